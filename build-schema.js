@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Schema Script Builder (Schema v5.1)
+ * Writes schema.js, a copy of schema.json the pages load with a <script> tag
+ * Used by: maintainers (`node build-schema.js` after editing schema.json)
+ *
+ * Browsers block fetch() on file:// pages, so loadQuestionSchema can't read schema.json there.
+ * schema.js hands the same schema to setQuestionSchema instead. schema.json stays the source
+ * of truth; test/schema-validator.test.js fails when schema.js is out of date.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const SCHEMA_FILE = path.join(__dirname, 'schema.json');
+const SCRIPT_FILE = path.join(__dirname, 'schema.js');
+
+/**
+ * Build the source of schema.js
+ * @param {Object} schema - Parsed schema.json
+ * @returns {string} Script that passes the schema to setQuestionSchema
+ */
+function buildSchemaScript(schema) {
+    return `/**
+ * Question Schema (Schema v5.1)
+ * schema.json as a script, for pages opened from file:// (where fetch() is blocked)
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html
+ *
+ * GENERATED from schema.json by build-schema.js. Edit schema.json, then run \`node build-schema.js\`.
+ *
+ * Dependencies (must be loaded before this script):
+ * - schema-validator.js (setQuestionSchema)
+ */
+
+setQuestionSchema(${JSON.stringify(schema, null, 2)});
+`;
+}
+
+if (require.main === module) {
+    fs.writeFileSync(SCRIPT_FILE, buildSchemaScript(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'))));
+    console.log(`Wrote ${path.basename(SCRIPT_FILE)}`);
+}
+
+module.exports = { buildSchemaScript };
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * Assessment CLI (Schema v5.1)
+ * Check, convert, render and summarize question bank files without opening the tools
+ * Used by: content team (`npx assessment-cli …` or `node cli.js …`)
+ *
+ * Commands:
+ * - validate <files…>                      Report parse and validateQuestion errors per line
+ * - convert <file> [--to jsonl|json] [-o]  JSON array ↔ JSONL; legacy and older schemas → v5.1
+ * - render <file> [--images dir] [--trusted] [-o]
+ *                                          Bank → standalone HTML preview (author HTML sanitized
+ *                                          unless --trusted; what was removed is reported)
+ * - stats <files…> [--json]                Counts by grade, chapter, type and difficulty
+ *
+ * Exit codes: 0 = OK, 1 = problems found in a bank, 2 = usage or file error
+ *
+ * Dependencies:
+ * - index.js (question-parser.js, schema-validator.js, question-migration.js, question-renderer.js)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const {
+    parseJson,
+    prepareForExport,
+    createQuestionFileHeader,
+    getTypeDisplayName,
+    renderQuestionHTML,
+    describeSanitizeReport,
+    escapeHtmlText,
+    CURRENT_SCHEMA_VERSION
+} = require('./index.js');
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const USAGE = `Usage: assessment-cli <command> [options] <files…>
+
+Commands:
+  validate <files…>       Report errors per line (exit code 1 if any)
+  convert <file>          Convert to v5.1; JSON array ↔ JSONL
+      --to jsonl|json       Output format (default: the other one)
+      -o, --output <file>   Write here instead of stdout
+  render <file>           Standalone HTML preview of a bank
+      --images <dir>        Embed images named by tag (Q1.content.1.png) from this folder
+      --trusted             Keep the bank's HTML as is (default: strip unsafe HTML and report it)
+      -o, --output <file>   Write here instead of stdout
+  stats <files…>          Counts by grade, chapter, type and difficulty
+      --json                Print JSON
+
+Schema version: ${CURRENT_SCHEMA_VERSION}`;
+
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;
+const EXIT_USAGE = 2;
+
+// Image extensions → MIME type for --images
+const RENDER_IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+// Preview styles for rendered banks (kept in line with CONTENT STYLES in assessment-authoring-tool.html)
+const RENDER_STYLES = `
+    body { margin: 0; background: #525659; }
+    .a4-page { width: 210mm; min-height: 297mm; margin: 1rem auto; background: white; padding: 12mm; box-sizing: border-box;
+        font-family: "Times New Roman", serif; font-size: 13pt; line-height: 1.5; color: #000; }
+    .p-q-block { margin-bottom: 1.5rem; text-align: justify; width: 100%; overflow: hidden; }
+    .p-q-header { display: grid; grid-template-columns: 1fr auto; align-items: start; gap: 1rem; margin-bottom: 0.5rem; }
+    .p-q-num { font-weight: bold; min-width: 2rem; display: inline-block; margin-right: 0.125rem; }
+    .p-q-marks { font-weight: bold; white-space: nowrap; padding-top: 0.25rem; }
+    .p-section-text { display: flex; align-items: flex-start; gap: 0.0625rem; width: 100%; }
+    .p-section-text > .p-q-num { flex-shrink: 0; }
+    .p-section-text > span:not(.p-q-num), .p-section-text > div { flex: 1; min-width: 0; overflow-wrap: break-word; }
+    .p-gap { display: inline-block; border-bottom: 2px solid #000; margin: 0 4px; vertical-align: bottom; max-width: 100%; }
+    .p-word-bank { padding: 0.75rem 1rem; border: 2px dashed #666; border-radius: 8px; margin: 1rem auto; display: flex;
+        flex-wrap: wrap; justify-content: center; gap: 1.5rem 2rem; width: 90%; }
+    .p-word-bank-item { white-space: nowrap; }
+    .p-pairs-container { display: inline-flex; gap: 1.5rem; margin: 1rem 0; }
+    .p-pairs-wrapper { width: 80%; margin: 0 auto; text-align: center; }
+    .p-pairs-column { min-width: 50px; display: flex; flex-direction: column; flex: 0 0 auto; }
+    .p-pairs-header { font-weight: bold; text-align: center; margin-bottom: 0.5rem; font-size: 10pt; }
+    .p-pairs-item { padding: 0.4rem 0.75rem; margin-bottom: 0.5rem; border: 1px solid #000; text-align: left; white-space: nowrap; }
+    .p-pairs-item-id { font-weight: bold; margin-right: 0.5rem; }
+    .p-table-container { display: flex; justify-content: center; margin: 1rem 0; width: 100%; }
+    .p-table-grid { border-collapse: collapse; width: 90%; }
+    .p-table-grid th, .p-table-grid td { border: 1px solid #d1d5db; padding: 0.5rem; text-align: center; vertical-align: middle; min-width: 40px; height: 36px; }
+    .p-table-grid th { background: #f3f4f6; font-weight: 600; font-size: 0.9em; }
+    .p-table-grid .row-header { background: #f9fafb; font-weight: 500; text-align: left; }
+    .p-sub-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0.25rem; column-gap: 1rem; }
+    .p-sub-grid .p-sub-item { padding-left: 0; margin-bottom: 0.25rem; }
+    .p-sub-matrix { column-gap: 1.5rem; }
+    .p-composite-subs .p-sub-grid { padding-left: 2.5rem; }
+    .p-sub-item { margin-bottom: 0.75rem; text-align: left; padding-left: 2.5rem; display: flex; align-items: flex-start; gap: 0.25rem; box-sizing: border-box; }
+    .p-sub-label { font-weight: bold; min-width: 1rem; flex-shrink: 0; }
+    .p-sub-content { flex: 1; min-width: 0; overflow-wrap: break-word; }
+    .p-option-item, .p-sq-option { display: flex; align-items: flex-start; gap: 0.25rem; }
+    .p-option-id { min-width: 1.25rem; flex-shrink: 0; }
+    .p-sq-option-id { min-width: 1.5rem; flex-shrink: 0; }
+    .p-option-text, .p-sq-option-text { flex: 1; min-width: 0; }
+    .p-asset { margin: 0.5rem auto; text-align: center; }
+    .p-asset img { max-width: 100%; max-height: 200px; border: 1px solid #ccc; display: block; margin: 0 auto; }
+    .p-asset-row { display: grid; grid-template-columns: 1fr 1fr; column-gap: 1rem; align-items: center; }
+    .p-asset-placeholder { display: block; border: 1px dashed #9ca3af; background: #f9fafb; padding: 1.5rem 1rem; margin: 0.75rem auto;
+        color: #6b7280; font-family: sans-serif; font-size: 0.8rem; text-align: center; border-radius: 6px; width: fit-content; }
+    .p-q-id { font-family: sans-serif; font-size: 0.7rem; color: #9ca3af; text-align: right; }
+    .katex-display { margin: 0.5rem 0; text-align: center; }
+    .katex { font-size: 1em; }
+    @media print { body { background: white; } .a4-page { margin: 0; width: 100%; min-height: auto; } }`;
+
+// =====================================================
+// COMMANDS
+// =====================================================
+
+/**
+ * validate: print every error (and migration note) as file:line:column kind (id) message
+ * @param {string[]} files - Bank files
+ * @returns {number} Exit code
+ */
+function validateCommand(files) {
+    let problemCount = 0;
+    files.forEach(file => {
+        const { questions, errors, warnings } = parseJson(readBankFile(file));
+        [...errors, ...warnings]
+            .sort((a, b) => a.line - b.line || a.column - b.column)
+            .forEach(entry => {
+                console.log(formatParseEntry(file, entry));
+                (entry.unmapped || []).forEach(u => console.log(`    unmapped ${u.path}: ${u.reason}`));
+            });
+        problemCount += errors.length;
+        const migrated = warnings.length > 0 ? `, ${warnings.length} migrated` : '';
+        console.log(`${file}: ${questions.length} valid, ${errors.length} error${errors.length === 1 ? '' : 's'}${migrated}`);
+    });
+    return problemCount > 0 ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+/**
+ * convert: rewrite a bank as v5.1 JSONL (with file header) or as a JSON array
+ * Entries with errors are left out and reported on stderr.
+ * @param {string} file - Bank file
+ * @param {Object} options - { to, output }
+ * @returns {number} Exit code
+ */
+function convertCommand(file, { to, output }) {
+    const format = to || (path.extname(file).toLowerCase() === '.jsonl' ? 'json' : 'jsonl');
+    if (format !== 'json' && format !== 'jsonl') {
+        return usageError(`--to must be jsonl or json (got "${to}")`);
+    }
+
+    const { questions, errors, warnings } = parseJson(readBankFile(file));
+    [...errors, ...warnings].forEach(entry => console.error(formatParseEntry(file, entry)));
+
+    const exported = questions.map(q => prepareForExport(q));
+    const text = format === 'jsonl'
+        ? [createQuestionFileHeader(), ...exported].map(q => JSON.stringify(q)).join('\n') + '\n'
+        : JSON.stringify(exported, null, 2) + '\n';
+    writeOutput(output, text);
+
+    console.error(`${file}: ${exported.length} question${exported.length === 1 ? '' : 's'} written as ${format.toUpperCase()}` +
+        (errors.length > 0 ? `, ${errors.length} skipped` : ''));
+    return errors.length > 0 ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+/**
+ * render: one HTML page with every question of a bank, as the preview shows them
+ * @param {string} file - Bank file
+ * @param {Object} options - { images, trusted, output }
+ * @returns {number} Exit code
+ */
+function renderCommand(file, { images, trusted, output }) {
+    const { questions, errors } = parseJson(readBankFile(file));
+    errors.forEach(entry => console.error(formatParseEntry(file, entry)));
+
+    const imageResolver = images ? createFolderImageResolver(images) : () => null;
+    const body = questions.map((q, i) => {
+        const sanitizeReport = [];
+        const html = renderQuestionHTML(q, { questionNumber: i + 1, showMarks: true, imageResolver, sanitize: !trusted, sanitizeReport });
+        const removed = describeSanitizeReport(sanitizeReport);
+        if (removed.length > 0) console.error(`${file} (${q.id}) removed ${removed.join(', ')}`);
+        return `
+    <div class="p-q-id">${escapeHtmlText(q.id)} · ${escapeHtmlText(getTypeDisplayName(q.type))}</div>
+    ${html}`;
+    }).join('\n');
+
+    writeOutput(output, `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtmlText(path.basename(file))}</title>
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">
+<style>${RENDER_STYLES}
+</style>
+</head>
+<body>
+<div class="a4-page">${body}
+</div>
+</body>
+</html>
+`);
+    console.error(`${file}: ${questions.length} question${questions.length === 1 ? '' : 's'} rendered` +
+        (errors.length > 0 ? `, ${errors.length} skipped` : ''));
+    return errors.length > 0 ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+/**
+ * stats: question counts of one or more banks (merged by id, like the selection tool)
+ * @param {string[]} files - Bank files
+ * @param {Object} options - { json }
+ * @returns {number} Exit code
+ */
+function statsCommand(files, { json }) {
+    const bank = new Map();
+    let errorCount = 0;
+    files.forEach(file => {
+        const { questions, errors } = parseJson(readBankFile(file));
+        questions.forEach(q => bank.set(q.id, q));
+        errorCount += errors.length;
+    });
+
+    const questions = Array.from(bank.values());
+    const stats = {
+        questions: questions.length,
+        marks: questions.reduce((sum, q) => sum + (Number(q.metadata?.marks) || 0), 0),
+        skipped: errorCount,
+        grade: countBy(questions, q => q.metadata?.grade),
+        chapter: countBy(questions, q => q.metadata?.chapter),
+        type: countBy(questions, q => q.type),
+        difficulty: countBy(questions, q => q.metadata?.difficulty)
+    };
+
+    if (json) {
+        console.log(JSON.stringify(stats, null, 2));
+    } else {
+        console.log(`${stats.questions} questions, ${stats.marks} marks${stats.skipped > 0 ? ` (${stats.skipped} entries skipped, see validate)` : ''}`);
+        ['grade', 'chapter', 'type', 'difficulty'].forEach(key => {
+            console.log(`\n${key[0].toUpperCase()}${key.slice(1)}`);
+            Object.entries(stats[key]).forEach(([value, count]) => {
+                console.log(`  ${value.padEnd(16)} ${String(count).padStart(5)}`);
+            });
+        });
+    }
+    return EXIT_OK;
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Read a bank file as UTF-8 (a byte order mark is dropped)
+ * @param {string} file - Path
+ * @returns {string} Contents
+ * @throws {Error} If the file can't be read
+ */
+function readBankFile(file) {
+    return fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * @param {string|undefined} output - File path, or undefined for stdout
+ * @param {string} text - Contents
+ */
+function writeOutput(output, text) {
+    if (output) fs.writeFileSync(output, text);
+    else process.stdout.write(text);
+}
+
+/**
+ * Format a parseJson error or warning like a compiler message
+ * @param {string} file - Bank file
+ * @param {Object} entry - { line, column, kind, questionId, message }
+ * @returns {string} e.g. 'bank.jsonl:12:1 validation (Q7) MCQ requires at least one option'
+ */
+function formatParseEntry(file, entry) {
+    const id = entry.questionId ? ` (${entry.questionId})` : '';
+    return `${file}:${entry.line}:${entry.column} ${entry.kind}${id} ${entry.message}`;
+}
+
+/**
+ * Image resolver that embeds images named by tag from a folder as data URLs
+ * @param {string} dir - Folder with Q1.content.1.png etc.
+ * @returns {Function} (imageId) → data URL or null
+ */
+function createFolderImageResolver(dir) {
+    const files = new Map();
+    fs.readdirSync(dir).forEach(name => {
+        const extension = path.extname(name).toLowerCase();
+        if (RENDER_IMAGE_TYPES[extension]) files.set(path.basename(name, path.extname(name)), { name, extension });
+    });
+    return (imageId) => {
+        const file = files.get(imageId);
+        if (!file) return null;
+        const data = fs.readFileSync(path.join(dir, file.name)).toString('base64');
+        return `data:${RENDER_IMAGE_TYPES[file.extension]};base64,${data}`;
+    };
+}
+
+/**
+ * Count questions by a key, most common first
+ * @param {Array} questions - v5.1 questions
+ * @param {Function} getKey - (question) → value
+ * @returns {Object} value → count ('(none)' for missing values)
+ */
+function countBy(questions, getKey) {
+    const counts = {};
+    questions.forEach(q => {
+        const key = getKey(q);
+        const label = key === undefined || key === null || key === '' ? '(none)' : String(key);
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], undefined, { numeric: true })));
+}
+
+/**
+ * Print a usage problem with the help text
+ * @param {string} message - What was wrong
+ * @returns {number} EXIT_USAGE
+ */
+function usageError(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+}
+
+// =====================================================
+// MAIN
+// =====================================================
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                to: { type: 'string' },
+                output: { type: 'string', short: 'o' },
+                images: { type: 'string' },
+                trusted: { type: 'boolean' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (e) {
+        return usageError(e.message);
+    }
+
+    const [command, ...files] = parsed.positionals;
+    const options = parsed.values;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (files.length === 0) return usageError(`${command}: no input file`);
+
+    try {
+        switch (command) {
+            case 'validate':
+                return validateCommand(files);
+            case 'convert':
+                if (files.length > 1) return usageError('convert: one input file at a time');
+                return convertCommand(files[0], options);
+            case 'render':
+                if (files.length > 1) return usageError('render: one input file at a time');
+                return renderCommand(files[0], options);
+            case 'stats':
+                return statsCommand(files, options);
+            default:
+                return usageError(`Unknown command "${command}"`);
+        }
+    } catch (e) {
+        // File errors (missing file, unreadable --images folder)
+        console.error(e.message);
+        return EXIT_USAGE;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
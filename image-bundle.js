@@ -0,0 +1,248 @@
+/**
+ * Image Bundle Module (Schema v5.1)
+ * Bulk image import using the filename-as-tag convention (docs/image-tagging-strategy.md)
+ * Used by: assessment-authoring-tool.html
+ *
+ * This module provides functions to:
+ * - Read a bundle of dropped files, folders and ZIP archives into images and question files
+ * - Derive each image's tag from its file name (Q1.opt.a.1.png → Q1.opt.a.1)
+ * - Match images to the [[image:tag]] tokens of a question bank
+ * - Load matched images into an image store (the Map used by resolveImagesForPreview)
+ *
+ * Image store: Map of tag → { dataUrl, blob, contentType, name }
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides extractImageTags)
+ * - zip-utils.js (provides readZip)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Image file extensions → MIME type (ZIP entries carry no type of their own)
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    bmp: 'image/bmp'
+};
+
+const QUESTION_FILE_EXTENSIONS = ['json', 'jsonl'];
+
+// =====================================================
+// READING BUNDLES
+// =====================================================
+
+/**
+ * Read a bundle of files: images, ZIP archives (expanded, also nested) and question files
+ * OS metadata (__MACOSX/, .DS_Store and other dot files) is ignored silently.
+ * @param {Array<File>} files - Files from an <input> (folders via webkitdirectory) or getDroppedFiles()
+ * @returns {Promise<Object>} {
+ *   images: [{ tag, name, blob, contentType }],
+ *   questionFiles: [{ name, text }],
+ *   skipped: [{ name, reason }]
+ * }
+ */
+async function readImageBundle(files) {
+    const bundle = { images: [], questionFiles: [], skipped: [] };
+    for (const file of files) {
+        await addBundleFile(bundle, file.webkitRelativePath || file.name, file);
+    }
+    return bundle;
+}
+
+/**
+ * Sort one file into a bundle (recursing into ZIP archives)
+ * @param {Object} bundle - { images, questionFiles, skipped } (modified in place)
+ * @param {string} name - Path shown in reports
+ * @param {Blob} blob - File contents
+ */
+async function addBundleFile(bundle, name, blob) {
+    const baseName = name.split('/').pop();
+    if (baseName.startsWith('.') || name.includes('__MACOSX/')) return;
+
+    const extension = getFileExtension(baseName);
+    if (extension === 'zip') {
+        let zip;
+        try {
+            zip = await readZip(blob);
+        } catch (e) {
+            bundle.skipped.push({ name, reason: e.message });
+            return;
+        }
+        zip.skipped.forEach(entry => bundle.skipped.push({ name: `${name}/${entry.name}`, reason: entry.reason }));
+        for (const entry of zip.entries) {
+            await addBundleFile(bundle, `${name}/${entry.name}`, entry.blob);
+        }
+    } else if (IMAGE_MIME_TYPES[extension]) {
+        const contentType = IMAGE_MIME_TYPES[extension];
+        bundle.images.push({
+            tag: getImageTagFromFileName(baseName),
+            name,
+            blob: blob.type ? blob : new Blob([blob], { type: contentType }),
+            contentType
+        });
+    } else if (QUESTION_FILE_EXTENSIONS.includes(extension)) {
+        bundle.questionFiles.push({ name, text: await blob.text() });
+    } else {
+        bundle.skipped.push({ name, reason: 'not an image, question file or ZIP' });
+    }
+}
+
+/**
+ * Collect the files of a drop, walking into dropped folders
+ * Must be called synchronously inside the drop handler (DataTransfer items expire after it).
+ * @param {DataTransfer} dataTransfer - event.dataTransfer
+ * @returns {Promise<Array<File>>} Files; names inside folders are kept in webkitRelativePath
+ *   where the browser provides it
+ */
+function getDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (entries.length === 0) return Promise.resolve(Array.from(dataTransfer.files || []));
+
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do {
+                // readEntries returns at most ~100 entries per call
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) await walk(child);
+            } while (batch.length > 0);
+        }
+    };
+    return entries.reduce((chain, entry) => chain.then(() => walk(entry)), Promise.resolve()).then(() => files);
+}
+
+// =====================================================
+// MATCHING
+// =====================================================
+
+/**
+ * Get the image tag for a file name (the name without its last extension)
+ * @param {string} fileName - e.g. 'Q1.sub.a.content.1.png' or 'images/Q1.opt.a.1.jpg'
+ * @returns {string} Tag, e.g. 'Q1.sub.a.content.1'
+ */
+function getImageTagFromFileName(fileName) {
+    const baseName = fileName.split('/').pop();
+    const dot = baseName.lastIndexOf('.');
+    return dot > 0 ? baseName.slice(0, dot) : baseName;
+}
+
+/**
+ * Collect the image tags used across a question bank
+ * @param {Array} questions - v5.1 questions
+ * @returns {Map<string, string[]>} tag → ids of the questions that use it
+ */
+function collectBankImageTags(questions) {
+    const tags = new Map();
+    questions.forEach(q => {
+        extractImageTags(q).forEach(tag => {
+            if (!tags.has(tag)) tags.set(tag, []);
+            tags.get(tag).push(q.id);
+        });
+    });
+    return tags;
+}
+
+/**
+ * Match bundle images to token tags
+ * Tags are matched exactly, then case-insensitively (Windows and some ZIP tools change case).
+ * @param {Array} images - bundle.images from readImageBundle
+ * @param {Iterable<string>} tags - Tags in use (e.g. collectBankImageTags(bank).keys())
+ * @returns {Object} {
+ *   matched: [{ tag, name, blob, contentType }],   - tag is the token's spelling
+ *   unmatchedFiles: [{ tag, name, blob, contentType, reason }],
+ *   missingTags: string[]                          - tags no bundle image matched
+ * }
+ */
+function matchImageBundle(images, tags) {
+    const wanted = new Set(tags);
+    const byLowerCase = new Map(Array.from(wanted, tag => [tag.toLowerCase(), tag]));
+    const matched = [];
+    const unmatchedFiles = [];
+    const used = new Set();
+
+    images.forEach(image => {
+        const tag = wanted.has(image.tag) ? image.tag : byLowerCase.get(image.tag.toLowerCase());
+        if (!tag) {
+            unmatchedFiles.push({ ...image, reason: 'no [[image:…]] token uses this tag' });
+        } else if (used.has(tag)) {
+            unmatchedFiles.push({ ...image, reason: `another file already matched ${tag}` });
+        } else {
+            used.add(tag);
+            matched.push({ ...image, tag });
+        }
+    });
+
+    return { matched, unmatchedFiles, missingTags: Array.from(wanted).filter(tag => !used.has(tag)) };
+}
+
+// =====================================================
+// IMAGE STORE
+// =====================================================
+
+/**
+ * Add images to an image store, replacing earlier images with the same tag
+ * @param {Map} store - tag → { dataUrl, blob, contentType, name } (modified in place)
+ * @param {Array} images - [{ tag, name, blob, contentType }]
+ * @returns {Promise<Map>} The store
+ */
+async function addImagesToStore(store, images) {
+    for (const image of images) {
+        store.set(image.tag, {
+            dataUrl: await blobToDataUrl(image.blob),
+            blob: image.blob,
+            contentType: image.contentType,
+            name: image.name
+        });
+    }
+    return store;
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * @param {string} fileName - File name
+ * @returns {string} Lowercase extension without the dot ('' if none)
+ */
+function getFileExtension(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMAGE_MIME_TYPES, QUESTION_FILE_EXTENSIONS, readImageBundle, getImageTagFromFileName,
+        collectBankImageTags, matchImageBundle, addImagesToStore, blobToDataUrl, getFileExtension
+    };
+}
@@ -0,0 +1,215 @@
+/**
+ * Image Integrity Module (Schema v5.1)
+ * Bank-level check of [[image:…]] tokens against an image store
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html (before PDF export)
+ *
+ * This module provides functions to:
+ * - Find tokens with no image in the store (they print as [Image: id] placeholders)
+ * - Find stored images that no question references
+ * - Find images far larger than the size their tokens display them at, in pixels or in bytes
+ * - Stop a print when images are missing, and ask before printing oversized ones
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides traverseAllRichText, IMAGE_TOKEN_REGEX)
+ * - question-renderer.js (provides parseImageTag)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Images without width/height params are shown at most this tall (see formatRichText)
+const IMAGE_DEFAULT_MAX_HEIGHT = 200;
+
+// Default limits for checkImageIntegrity
+const IMAGE_INTEGRITY_DEFAULTS = {
+    maxScale: 3,             // Pixels per displayed pixel (2× is enough for print and high-DPI screens)
+    maxBytesPerPixel: 4,     // File bytes per pixel at maxScale (4 = an uncompressed RGBA bitmap)
+    minBytes: 50 * 1024      // Files smaller than this are never reported as heavy
+};
+
+// =====================================================
+// INTEGRITY CHECK
+// =====================================================
+
+/**
+ * Check the images of a bank
+ * @param {Array} questions - v5.1 questions
+ * @param {Map} imageStore - tag → { dataUrl, blob?, name? } (see image-bundle.js)
+ * @param {Object} options - Limits (defaults in IMAGE_INTEGRITY_DEFAULTS)
+ * @param {Function} options.measure - async (image) → { width, height } | null (default: getImageDimensions)
+ * @returns {Promise<Object>} {
+ *   ok,                                            - true if nothing was found
+ *   missing: [{ tag, questionIds }],
+ *   orphaned: [{ tag, name }],
+ *   oversized: [{ tag, name, questionIds, reasons: string[] }]
+ * }
+ */
+async function checkImageIntegrity(questions, imageStore, options = {}) {
+    const { maxScale, maxBytesPerPixel, minBytes } = { ...IMAGE_INTEGRITY_DEFAULTS, ...options };
+    const measure = options.measure || getImageDimensions;
+    const usage = collectImageTokenUsage(questions);
+
+    const missing = [];
+    const oversized = [];
+    for (const [tag, { questionIds, tokens }] of usage) {
+        const image = imageStore.get(tag);
+        if (!image) {
+            missing.push({ tag, questionIds });
+            continue;
+        }
+
+        const natural = await measure(image);
+        if (!natural || !natural.width || !natural.height) continue;
+
+        // The largest size any token shows the image at decides how big it may be
+        const display = tokens.reduce((largest, token) => {
+            const size = getDisplayedImageSize(token, natural);
+            return size.width * size.height > largest.width * largest.height ? size : largest;
+        }, { width: 0, height: 0 });
+
+        const reasons = [];
+        const scale = Math.max(natural.width / display.width, natural.height / display.height);
+        if (scale > maxScale) {
+            reasons.push(`${natural.width}×${natural.height} px shown at ${display.width}×${display.height} (${scale.toFixed(1)}×)`);
+        }
+        const bytes = image.blob ? image.blob.size : getDataUrlSize(image.dataUrl);
+        const budget = Math.max(minBytes, display.width * display.height * maxScale * maxScale * maxBytesPerPixel);
+        if (bytes > budget) {
+            reasons.push(`${formatImageBytes(bytes)} for a ${display.width}×${display.height} image (limit ${formatImageBytes(budget)})`);
+        }
+        if (reasons.length > 0) {
+            oversized.push({ tag, name: image.name || tag, questionIds, reasons });
+        }
+    }
+
+    const orphaned = Array.from(imageStore.keys())
+        .filter(tag => !usage.has(tag))
+        .map(tag => ({ tag, name: imageStore.get(tag).name || tag }));
+
+    return {
+        ok: missing.length === 0 && orphaned.length === 0 && oversized.length === 0,
+        missing,
+        orphaned,
+        oversized
+    };
+}
+
+/**
+ * Collect every image token of a bank with its size params
+ * @param {Array} questions - v5.1 questions
+ * @returns {Map<string, Object>} tag → { questionIds: string[], tokens: [{ id, width, height }] }
+ */
+function collectImageTokenUsage(questions) {
+    const usage = new Map();
+    questions.forEach(question => {
+        // Traverse a copy: traverseAllRichText writes the returned text back
+        traverseAllRichText(JSON.parse(JSON.stringify(question)), (text) => {
+            if (!text) return text;
+            const regex = new RegExp(IMAGE_TOKEN_REGEX.source, 'g');
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const token = parseImageTag(match[1]);
+                token.id = token.id.trim();
+                if (!usage.has(token.id)) usage.set(token.id, { questionIds: [], tokens: [] });
+                const entry = usage.get(token.id);
+                if (!entry.questionIds.includes(question.id)) entry.questionIds.push(question.id);
+                entry.tokens.push(token);
+            }
+            return text;
+        });
+    });
+    return usage;
+}
+
+// =====================================================
+// REPORTING
+// =====================================================
+
+/**
+ * Describe the findings of checkImageIntegrity, one line each
+ * @param {Object} result - From checkImageIntegrity
+ * @param {Object} options
+ * @param {boolean} options.orphaned - Include unused images (not useful for a single paper)
+ * @returns {string[]} Lines such as 'Missing: [[image:Q1.content.1]] (Q1)'
+ */
+function describeImageIntegrity(result, { orphaned = true } = {}) {
+    return [
+        ...result.missing.map(m => `Missing: [[image:${m.tag}]] (${m.questionIds.join(', ')})`),
+        ...result.oversized.map(o => `Oversized: ${o.name} (${o.questionIds.join(', ')}) – ${o.reasons.join('; ')}`),
+        ...(orphaned ? result.orphaned.map(o => `Unused: ${o.name}`) : [])
+    ];
+}
+
+/**
+ * Gate a PDF export on the images of the questions being printed
+ * Missing images stop the export; oversized images only ask, since they print correctly.
+ * @param {Object} result - checkImageIntegrity for the printed questions
+ * @returns {boolean} True if the export may go ahead
+ */
+function confirmImagesForPrint(result) {
+    if (result.missing.length > 0) {
+        const lines = describeImageIntegrity({ ...result, oversized: [] }, { orphaned: false });
+        alert(`This paper can't be printed: ${result.missing.length} image${result.missing.length === 1 ? ' is' : 's are'} missing.\n\n${lines.join('\n')}`);
+        return false;
+    }
+    if (result.oversized.length > 0) {
+        const lines = describeImageIntegrity(result, { orphaned: false });
+        return confirm(`${lines.join('\n')}\n\nThese images make the PDF larger than it needs to be. Print anyway?`);
+    }
+    return true;
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Size an image is shown at for one token (the renderer keeps the aspect ratio when one side is given)
+ * @param {Object} token - { width, height } from parseImageTag (null when not set)
+ * @param {Object} natural - { width, height } of the image in pixels
+ * @returns {Object} { width, height } in CSS pixels
+ */
+function getDisplayedImageSize(token, natural) {
+    const ratio = natural.width / natural.height;
+    if (token.width && token.height) return { width: token.width, height: token.height };
+    if (token.width) return { width: token.width, height: Math.round(token.width / ratio) };
+    if (token.height) return { width: Math.round(token.height * ratio), height: token.height };
+    const height = Math.min(natural.height, IMAGE_DEFAULT_MAX_HEIGHT);
+    return { width: Math.round(height * ratio), height };
+}
+
+/**
+ * Read the pixel size of a stored image
+ * @param {Object} image - { dataUrl, blob? }
+ * @returns {Promise<Object|null>} { width, height }, or null if it can't be decoded (e.g. an unreachable URL)
+ */
+function getImageDimensions(image) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => resolve(null);
+        img.src = image.dataUrl;
+    });
+}
+
+/**
+ * Decoded size of a data: URL (0 for other URLs, whose size is unknown)
+ * @param {string} dataUrl - Image source
+ * @returns {number} Bytes
+ */
+function getDataUrlSize(dataUrl) {
+    const match = /^data:[^,]*;base64,(.*)$/.exec(dataUrl || '');
+    if (!match) return 0;
+    const base64 = match[1];
+    return Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+}
+
+/**
+ * @param {number} bytes - Size
+ * @returns {string} e.g. '850 KB', '2.4 MB'
+ */
+function formatImageBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
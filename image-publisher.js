@@ -0,0 +1,309 @@
+/**
+ * Image Publisher Module (Schema v5.1)
+ * Uploads a bank's images through a storage adapter and rewrites [[image:tag]] tokens to URIs
+ * Used by: assessment-authoring-tool.html (Publish All)
+ *
+ * This module provides functions to:
+ * - Collect every image tag of a bank and deduplicate the images by content hash (SHA-256)
+ * - Upload each distinct image once through a pluggable storage adapter
+ * - Keep a manifest (hash → uri) so re-publishing only uploads new or changed images,
+ *   and an interrupted publish resumes where it stopped
+ * - Build the cdnResults map for resolveImagesForPublish
+ *
+ * Storage adapter: {
+ *   id: string,                                    - identifies the target (manifest key)
+ *   upload(key, blob, contentType) → Promise<uri>,
+ *   exists?(key) → Promise<uri|null>,              - optional: skip files already on the target
+ *   loadManifest?() → Promise<Object|null>,        - optional: manifest stored on the target
+ *   saveManifest?(manifest) → Promise
+ * }
+ * Keys are content-addressed ('<sha256>.png'), so the same picture used under several tags
+ * is stored once.
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides extractImageTags, resolveImagesForPublish)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const PUBLISH_MANIFEST_VERSION = 1;
+const PUBLISH_MANIFEST_FILE = 'publish-manifest.json';
+
+// Manifests of targets that can't store their own (see loadPublishManifest)
+const PUBLISH_MANIFEST_STORAGE_PREFIX = 'assessment-publish-manifest:';
+
+// MIME type → file extension for uploaded keys
+const PUBLISH_FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp'
+};
+
+// =====================================================
+// PUBLISHING
+// =====================================================
+
+/**
+ * Publish the images of a bank and resolve its tokens
+ * Failed uploads don't stop the run; the manifest keeps every success, so publishing
+ * again retries only what is missing.
+ * @param {Array} questions - v5.1 questions (not modified)
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType?, name? } (see image-bundle.js)
+ * @param {Object} adapter - Storage adapter (see header)
+ * @param {Object} options
+ * @param {Object} options.manifest - Manifest from an earlier publish to this target (default: new)
+ * @param {Function} options.onProgress - (manifest, done, total) after each distinct image; may return
+ *   a promise (e.g. to save the manifest) which is awaited
+ * @returns {Promise<Object>} {
+ *   questions,                      - copies with tokens replaced by ![tag](uri)
+ *   cdnResults: Map<tag, { uri }>,
+ *   manifest,
+ *   uploaded: [{ hash, key, uri, tags }], reused: [{ hash, uri, tags }],
+ *   missing: string[],              - tags with no image in the store
+ *   failed: [{ hash, tags, error }] - hash is null when the image could not be read
+ * }
+ */
+async function publishImages(questions, imageStore, adapter, { manifest = createPublishManifest(adapter), onProgress } = {}) {
+    const cdnResults = new Map();
+    const missing = [];
+    const uploaded = [];
+    const reused = [];
+    const failed = [];
+
+    // Group tags by content so each distinct image is uploaded once
+    const groups = new Map(); // hash → { blob, contentType, tags }
+    const tags = new Set();
+    questions.forEach(q => extractImageTags(q).forEach(tag => tags.add(tag)));
+
+    for (const tag of tags) {
+        const image = imageStore.get(tag);
+        if (!image) {
+            missing.push(tag);
+            continue;
+        }
+        // Images registered by URL (e.g. migrated legacy assets) are already published
+        if (!image.blob && /^https?:\/\//i.test(image.dataUrl || '')) {
+            cdnResults.set(tag, { uri: image.dataUrl });
+            continue;
+        }
+        // An unreadable image fails on its own, like a failed upload
+        let blob, hash;
+        try {
+            blob = image.blob || await dataUrlToBlob(image.dataUrl);
+            hash = await hashImageBlob(blob);
+        } catch (e) {
+            failed.push({ hash: null, tags: [tag], error: e.message });
+            continue;
+        }
+        if (!groups.has(hash)) {
+            groups.set(hash, { blob, contentType: image.contentType || blob.type || 'application/octet-stream', tags: [] });
+        }
+        groups.get(hash).tags.push(tag);
+    }
+
+    let done = 0;
+    for (const [hash, group] of groups) {
+        const key = `${hash}.${PUBLISH_FILE_EXTENSIONS[group.contentType] || 'img'}`;
+        try {
+            let uri = manifest.images[hash]?.uri;
+            if (uri) {
+                reused.push({ hash, uri, tags: group.tags });
+            } else {
+                uri = typeof adapter.exists === 'function' ? await adapter.exists(key) : null;
+                if (uri) {
+                    reused.push({ hash, uri, tags: group.tags });
+                } else {
+                    uri = await adapter.upload(key, group.blob, group.contentType);
+                    uploaded.push({ hash, key, uri, tags: group.tags });
+                }
+                manifest.images[hash] = { key, uri, size: group.blob.size, contentType: group.contentType };
+            }
+            group.tags.forEach(tag => {
+                manifest.tags[tag] = hash;
+                cdnResults.set(tag, { uri });
+            });
+        } catch (e) {
+            failed.push({ hash, tags: group.tags, error: e.message });
+        }
+        done++;
+        manifest.updated_at = new Date().toISOString();
+        if (onProgress) await onProgress(manifest, done, groups.size);
+    }
+
+    return {
+        questions: questions.map(q => resolveImagesForPublish(q, cdnResults)),
+        cdnResults,
+        manifest,
+        uploaded,
+        reused,
+        missing,
+        failed
+    };
+}
+
+// =====================================================
+// MANIFEST
+// =====================================================
+
+/**
+ * Create an empty publish manifest
+ * @param {Object} adapter - Target adapter
+ * @returns {Object} { version, target, updated_at, images: { hash → { key, uri, size, contentType } }, tags: { tag → hash } }
+ */
+function createPublishManifest(adapter) {
+    return { version: PUBLISH_MANIFEST_VERSION, target: adapter?.id ?? null, updated_at: null, images: {}, tags: {} };
+}
+
+/**
+ * Load the manifest of a target: from the target itself if it can store one, else from localStorage
+ * @param {Object} adapter - Target adapter
+ * @returns {Promise<Object>} Manifest (new if none was saved or it is unreadable)
+ */
+async function loadPublishManifest(adapter) {
+    let manifest = null;
+    try {
+        if (typeof adapter.loadManifest === 'function') {
+            manifest = await adapter.loadManifest();
+        } else if (typeof localStorage !== 'undefined') {
+            manifest = JSON.parse(localStorage.getItem(PUBLISH_MANIFEST_STORAGE_PREFIX + adapter.id) || 'null');
+        }
+    } catch (e) {
+        console.warn(`Ignoring unreadable publish manifest for ${adapter.id}:`, e);
+    }
+    if (!manifest || manifest.version !== PUBLISH_MANIFEST_VERSION || !manifest.images || !manifest.tags) {
+        return createPublishManifest(adapter);
+    }
+    return manifest;
+}
+
+/**
+ * Save the manifest of a target (same place loadPublishManifest reads from)
+ * @param {Object} adapter - Target adapter
+ * @param {Object} manifest - Manifest
+ * @returns {Promise} Resolves when saved
+ */
+async function savePublishManifest(adapter, manifest) {
+    if (typeof adapter.saveManifest === 'function') {
+        await adapter.saveManifest(manifest);
+    } else if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(PUBLISH_MANIFEST_STORAGE_PREFIX + adapter.id, JSON.stringify(manifest));
+    }
+}
+
+// =====================================================
+// STORAGE ADAPTERS
+// =====================================================
+
+/**
+ * Adapter that writes images into a local folder (File System Access API: Chrome, Edge)
+ * The manifest is kept in the folder as publish-manifest.json, so it travels with the images.
+ * @param {FileSystemDirectoryHandle} directoryHandle - From window.showDirectoryPicker({ mode: 'readwrite' })
+ * @param {Object} options
+ * @param {string} options.publicUrl - URL the folder will be served from ('' = paths relative to the folder)
+ * @returns {Object} Storage adapter
+ */
+function createFolderStorageAdapter(directoryHandle, { publicUrl = '' } = {}) {
+    const prefix = publicUrl && !publicUrl.endsWith('/') ? `${publicUrl}/` : publicUrl;
+    const writeFile = async (name, contents) => {
+        const handle = await directoryHandle.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(contents);
+        await writable.close();
+    };
+
+    return {
+        id: `folder:${directoryHandle.name}`,
+        async upload(key, blob) {
+            await writeFile(key, blob);
+            return prefix + key;
+        },
+        async exists(key) {
+            try {
+                await directoryHandle.getFileHandle(key);
+                return prefix + key;
+            } catch (e) {
+                return null;
+            }
+        },
+        async loadManifest() {
+            try {
+                const file = await (await directoryHandle.getFileHandle(PUBLISH_MANIFEST_FILE)).getFile();
+                return JSON.parse(await file.text());
+            } catch (e) {
+                return null;
+            }
+        },
+        async saveManifest(manifest) {
+            await writeFile(PUBLISH_MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+        }
+    };
+}
+
+/**
+ * Adapter that uploads images with HTTP PUT (a CDN upload endpoint, or a local stand-in server)
+ * The server may answer with JSON { uri } or a Location header; otherwise the uri is publicUrl/key.
+ * @param {Object} options
+ * @param {string} options.endpoint - Upload URL; each image is PUT to endpoint/key
+ * @param {string} options.publicUrl - URL images are served from (default: endpoint)
+ * @param {Object} options.headers - Extra request headers (e.g. Authorization)
+ * @returns {Object} Storage adapter
+ */
+function createHttpStorageAdapter({ endpoint, publicUrl = endpoint, headers = {} }) {
+    const uploadBase = endpoint.replace(/\/+$/, '');
+    const publicBase = publicUrl.replace(/\/+$/, '');
+
+    return {
+        id: `http:${uploadBase}`,
+        async upload(key, blob, contentType) {
+            const response = await fetch(`${uploadBase}/${encodeURIComponent(key)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': contentType, ...headers },
+                body: blob
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status} uploading ${key}`);
+            const body = /json/.test(response.headers.get('Content-Type') || '') ? await response.json() : null;
+            return body?.uri || response.headers.get('Location') || `${publicBase}/${key}`;
+        },
+        async exists(key) {
+            try {
+                const response = await fetch(`${publicBase}/${encodeURIComponent(key)}`, { method: 'HEAD' });
+                return response.ok ? `${publicBase}/${key}` : null;
+            } catch (e) {
+                return null;
+            }
+        }
+    };
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * SHA-256 of an image, as hex
+ * crypto.subtle needs a secure context (https, localhost or file://).
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} 64-character hex digest
+ */
+async function hashImageBlob(blob) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('Image hashing needs a secure context (https, localhost or file://)');
+    }
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Turn a data: URL back into a Blob
+ * @param {string} dataUrl - data: URL
+ * @returns {Promise<Blob>} Image data
+ */
+async function dataUrlToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
+}
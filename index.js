@@ -0,0 +1,47 @@
+/**
+ * Node Entry Point (Schema v5.1)
+ * The shared question modules as one CommonJS module, for servers and scripts
+ * Used by: Node (require('assessment-generator')); index.mjs re-exports it for ES modules
+ *
+ * This module:
+ * - Runs the shared modules in the order the HTML pages load them, in one private function scope
+ *   (see module-loader.js): they find each other as the pages' scripts do, but nothing is set on globalThis
+ * - Passes them KaTeX and marked from npm in place of the pages' CDN scripts
+ * - Reads schema.json, so parseJson and validateQuestion check questions against it
+ *   (the pages load it as schema.js, see build-schema.js)
+ * - Exports what each module lists in its MODULE EXPORTS footer
+ *
+ * Dependencies (npm, optional):
+ * - katex (LaTeX math in renderQuestionHTML; without it math stays as source text)
+ * - marked (Markdown in renderQuestionHTML; without it Markdown stays as source text)
+ */
+
+const { loadModules } = require('./module-loader.js');
+
+// Page order: each module may use the ones before it (the parser also finds later ones when called)
+const MODULE_FILES = [
+    'question-parser.js',
+    'schema-validator.js',
+    'question-migration.js',
+    'question-renderer.js',
+    'question-preview.js',
+    'question-grader.js'
+];
+
+// Optional peer dependencies: a page without the CDN scripts leaves math and Markdown as source text
+function requireOptional(name) {
+    try {
+        return require(name);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+const katex = requireOptional('katex');
+if (katex) requireOptional('katex/contrib/mhchem'); // Registers \ce{} on the katex object
+const marked = requireOptional('marked')?.marked;
+
+const shared = loadModules(MODULE_FILES, { katex, marked });
+shared.setQuestionSchema(require('./schema.json'));
+
+module.exports = shared;
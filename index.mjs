@@ -0,0 +1,51 @@
+/**
+ * ES Module Entry Point (Schema v5.1)
+ * Named exports for `import { parseJson, renderQuestionHTML } from 'assessment-generator'`
+ * Used by: Node ES modules and bundlers
+ *
+ * The shared modules are plain scripts (so the pages work from file:// without a build step);
+ * this file re-exports the CommonJS entry point, index.js.
+ */
+
+import shared from './index.js';
+
+export const {
+    CURRENT_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, SCHEMA_VERSION_REGEX, QUESTION_FILE_FORMAT,
+    QUESTION_TYPES, DIFFICULTY_LEVELS, POOL_TYPES, LAYOUT_VALUES, SUB_LAYOUT_VALUES,
+    TABLE_GRID_VALUES, MATRIX_COLUMN_LIMITS, IMAGE_TOKEN_REGEX, GAP_TOKEN_REGEX,
+    LEGACY_IMAGE_TOKEN_REGEX, PARSE_ERROR_KINDS, BASE_STYLE, MCQ_STYLE, COMPOSITE_STYLE,
+    TABLE_STYLE, QUESTION_TYPE_DEFINITIONS, registerQuestionType, getQuestionTypeDefinition,
+    parseJson, createLineLocator, skipToLineEnd, findJsonSyntaxError, findQuestionId,
+    compareSchemaVersions, detectSchemaVersion, isQuestionFileHeader, createQuestionFileHeader,
+    validateAndNormalize, isOldSchema, ensureDefaults, normalizeDataForType, normalizeTableData,
+    normalizeStyleValues, getStyleForType, getDefaultDataForType, getDefaultAnswerForType,
+    normalizeAnswer, normalizeAcceptedAnswer, countGapTokens, hasAnswerKey, validateAnswer,
+    validateAcceptedAnswer, extractImageTags, getImageTagId,
+    resolveImagesForPreview, resolveImagesForPublish, traverseAllRichText, generateId, hasImages,
+    createEmptyQuestion, prepareForExport, validateQuestion, getTypeDisplayName,
+    QUESTION_SCHEMA_URL, loadQuestionSchema, setQuestionSchema, getQuestionSchema,
+    validateQuestionSchema, getQuestionSchemaWithTypes, formatSchemaErrors, validateAgainstSchema,
+    validateNode, collectSchemaErrors, closestSchemaBranch, resolveSchemaRef, matchesSchemaType,
+    describeSchemaType, isPlainSchemaObject, schemaValuesEqual, escapeJsonPointer, LEGACY_TYPE_MAP,
+    LEGACY_SUBJECT_NAMES, LEGACY_BLANK_REGEX, SCHEMA_MIGRATIONS, migrateQuestion,
+    registerSchemaMigration, migrateImageTokens, migrateOptionsPool, convertLegacyQuestion,
+    convertLegacySubQuestion, convertLegacyData, mapLegacyType, convertLegacyTaxonomy,
+    convertLegacyText, getLegacyAssetTag, parseLegacyPoints, reportUnknownKeys, DEFAULT_GAP_WIDTH,
+    BORDER_COLOR, DEFAULT_MATRIX_COLUMNS, ANSWER_KEY_MISSING_HTML, RESPONSE_TEXT_ROWS, SANITIZE_ALLOWED_TAGS,
+    SANITIZE_DROPPED_TAGS,
+    SANITIZE_VOID_TAGS, SANITIZE_URL_ATTRIBUTES, SANITIZE_SAFE_URL_REGEX,
+    SANITIZE_IMAGE_DATA_URL_REGEX, renderLatexMath, tokenizeMath, findInlineDollarClose,
+    findMathErrors, renderMarkdown, parseImageTag, formatRichText, renderGap,
+    sanitizeHtml, sanitizeAttributes, decodeHtmlEntities, escapeHtmlText, describeSanitizeReport,
+    findUnsafeQuestionHtml, getCellBorderStyle, toRomanLower, renderMCQPreview, renderWordBankPreview,
+    renderMatchPreview, renderTablePreview, renderSubjectiveResponse, getOptionsPool,
+    renderCompositePreview, renderSubQuestionGrid, getMatrixColumns, getRichTextOptions,
+    getResponseOptions, renderQuestionHTML,
+    renderAnswerSummary, renderAcceptedValues, renderAnswerKeyHTML, PREVIEW_DEFAULTS,
+    renderPreviewToContainer, renderPreviewHTML, applyPreviewStyles, getPreviewDefaults,
+    GRADE_STATUS, UNIT_ALIASES, MARKS_PRECISION, gradeQuestion, gradeResponses, gradeQuestionData,
+    getSubQuestionMarks, matchesAcceptedAnswer, normalizeAnswerText, parseQuantity, canonicalUnit,
+    summarizeGrade
+} = shared;
+
+export default shared;
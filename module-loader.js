@@ -0,0 +1,41 @@
+/**
+ * Module Loader (Schema v5.1)
+ * Runs the browser modules under Node the way the pages' <script> tags run them
+ * Used by: index.js, test/ (modules the package doesn't include, such as question-variants.js)
+ *
+ * The files run in one private function scope, in the given order: they find each other
+ * as the pages' scripts do, but nothing is set on globalThis. Each file sees a fresh
+ * `module` object. A module's MODULE EXPORTS footer fills module.exports only when `module`
+ * exists, so it does nothing in a page; here the loader collects what each footer exports.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Run browser module files in one function scope and collect their exports
+ * The files see `module` (a fresh { exports } per file) and the given globals, nothing else of Node.
+ * @param {string[]} files - File names next to this one, in load order
+ * @param {Object} globals - Names the files use as page globals (e.g. katex)
+ * @returns {Object} The files' module.exports, merged
+ */
+function loadModules(files, globals = {}) {
+    const names = Object.keys(globals);
+    const source = files.map(file => [
+        `// ${file}`,
+        fs.readFileSync(path.join(__dirname, file), 'utf8'),
+        ';__collect(module.exports); module = { exports: {} };'
+    ].join('\n')).join('\n');
+    const wrapper = `(function (module, __collect, ${names.join(', ')}) {\n${source}\n})`;
+
+    const exported = {};
+    vm.runInThisContext(wrapper, { filename: path.join(__dirname, files.join('+')) })(
+        { exports: {} },
+        (moduleExports) => Object.assign(exported, moduleExports),
+        ...names.map(name => globals[name])
+    );
+    return exported;
+}
+
+module.exports = { loadModules };
@@ -0,0 +1,430 @@
+/**
+ * Question Blueprint Module (Schema v5.1)
+ * Automatic paper generation from a blueprint and a loaded question bank
+ * Used by: assessment-selection-tool.html
+ *
+ * This module provides functions to:
+ * - Validate a blueprint (marks per section, difficulty ratios, chapter coverage, type mix, pool/subpool)
+ * - Fill a paper from a bank of v5.1 questions to match the blueprint
+ * - Report every constraint that could not be satisfied
+ *
+ * Blueprint format:
+ * {
+ *   "sections":   { "A": 10, "B": 20, "C": 20 },          // marks per section (required)
+ *   "difficulty": { "Easy": 0.3, "Medium": 0.5, "Hard": 0.2 }, // share of total marks
+ *   "chapters":   [1, 2, 3],                             // each must appear at least once
+ *   "types":      { "MCQ": 10, "COMPOSITE": 20 },        // marks per question type
+ *   "pool": "Exam", "subpool": "Written",                // bank filter
+ *   "tolerance": 0.1                                     // allowed deviation of difficulty shares
+ * }
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides QUESTION_TYPES, DIFFICULTY_LEVELS, POOL_TYPES)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const BLUEPRINT_DEFAULT_TOLERANCE = 0.1;
+
+// Weights used to rank candidates while filling a section
+const BLUEPRINT_WEIGHTS = {
+    difficulty: 3,
+    type: 2,
+    chapter: 4,
+    jitter: 0.5
+};
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+/**
+ * Validate a blueprint object
+ * @param {Object} blueprint - Blueprint (see module header)
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+function validateBlueprint(blueprint) {
+    const errors = [];
+
+    if (!blueprint || typeof blueprint !== 'object') {
+        return { valid: false, errors: ['Blueprint must be an object'] };
+    }
+
+    const sections = blueprint.sections;
+    if (!sections || typeof sections !== 'object' || Object.keys(sections).length === 0) {
+        errors.push('sections: at least one section with marks is required');
+    } else {
+        Object.entries(sections).forEach(([name, marks]) => {
+            if (typeof marks !== 'number' || marks < 0) {
+                errors.push(`sections.${name}: marks must be a non-negative number`);
+            }
+        });
+    }
+
+    if (blueprint.difficulty !== undefined) {
+        const entries = Object.entries(blueprint.difficulty || {});
+        entries.forEach(([level, share]) => {
+            if (!DIFFICULTY_LEVELS.includes(level)) {
+                errors.push(`difficulty.${level}: must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+            }
+            if (typeof share !== 'number' || share < 0 || share > 1) {
+                errors.push(`difficulty.${level}: share must be a number between 0 and 1`);
+            }
+        });
+        const total = entries.reduce((sum, [, share]) => sum + (Number(share) || 0), 0);
+        if (entries.length > 0 && Math.abs(total - 1) > 0.001) {
+            errors.push(`difficulty: shares must add up to 1 (got ${Number(total.toFixed(3))})`);
+        }
+    }
+
+    if (blueprint.chapters !== undefined && !Array.isArray(blueprint.chapters)) {
+        errors.push('chapters: must be an array of chapter numbers');
+    }
+
+    if (blueprint.types !== undefined) {
+        Object.entries(blueprint.types || {}).forEach(([type, marks]) => {
+            if (!QUESTION_TYPES.includes(type)) {
+                errors.push(`types.${type}: must be one of ${QUESTION_TYPES.join(', ')}`);
+            }
+            if (typeof marks !== 'number' || marks < 0) {
+                errors.push(`types.${type}: marks must be a non-negative number`);
+            }
+        });
+        const typeTotal = Object.values(blueprint.types || {}).reduce((sum, m) => sum + (Number(m) || 0), 0);
+        if (sections && typeTotal > getBlueprintTotal(blueprint)) {
+            errors.push(`types: type marks (${typeTotal}) exceed the paper total (${getBlueprintTotal(blueprint)})`);
+        }
+    }
+
+    if (blueprint.pool !== undefined && !POOL_TYPES.includes(blueprint.pool)) {
+        errors.push(`pool: must be one of ${POOL_TYPES.join(', ')}`);
+    }
+
+    if (blueprint.tolerance !== undefined && (typeof blueprint.tolerance !== 'number' || blueprint.tolerance < 0)) {
+        errors.push('tolerance: must be a non-negative number');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the total marks of a blueprint (sum of section marks)
+ * @param {Object} blueprint - Blueprint
+ * @returns {number} Total marks
+ */
+function getBlueprintTotal(blueprint) {
+    return Object.values(blueprint?.sections || {}).reduce((sum, m) => sum + (Number(m) || 0), 0);
+}
+
+// =====================================================
+// PAPER GENERATION
+// =====================================================
+
+/**
+ * Fill a paper from the bank to match a blueprint
+ *
+ * Sections are filled one at a time. Within a section, only candidates that keep the
+ * section's remaining marks reachable are considered; among those, the one that best
+ * closes the difficulty, type and chapter gaps wins (with a little randomness so repeated
+ * runs give different papers).
+ *
+ * @param {Array} bank - v5.1 question objects
+ * @param {Object} blueprint - Blueprint (see module header)
+ * @param {Object} options
+ * @param {Function} options.random - Random generator () => [0, 1) (default: Math.random)
+ * @param {string[]} options.exclude - Question ids that must not be picked
+ * @returns {Object} { selections: [{ id, section, marks }], unmet: [{ constraint, message }], summary }
+ */
+function generatePaperFromBlueprint(bank, blueprint, { random = Math.random, exclude = [] } = {}) {
+    const validation = validateBlueprint(blueprint);
+    if (!validation.valid) {
+        throw new Error(`Invalid blueprint: ${validation.errors.join('; ')}`);
+    }
+
+    const total = getBlueprintTotal(blueprint);
+    const targets = {
+        difficulty: scaleShares(blueprint.difficulty, total),
+        types: { ...(blueprint.types || {}) },
+        chapters: (blueprint.chapters || []).map(String)
+    };
+    const used = {
+        difficulty: {},
+        types: {},
+        chapters: {},
+        sections: {}
+    };
+
+    const excluded = new Set(exclude);
+    const candidates = (bank || []).filter(q =>
+        q && q.id && !excluded.has(q.id) &&
+        getQuestionMarks(q) > 0 &&
+        (!blueprint.pool || q.metadata?.pool === blueprint.pool) &&
+        (!blueprint.subpool || blueprint.pool === 'Practice' || q.metadata?.subpool === blueprint.subpool)
+    );
+
+    const selections = [];
+    const unmet = [];
+    const picked = new Set();
+
+    Object.entries(blueprint.sections).forEach(([section, sectionMarks]) => {
+        // Questions tagged for this section first; untagged questions can go anywhere
+        const sectionPool = candidates.filter(q => !q.metadata?.section || q.metadata.section === section);
+        let remaining = sectionMarks;
+
+        while (remaining > 0) {
+            const open = sectionPool.filter(q => !picked.has(q.id));
+            const fitting = open.filter(q => getQuestionMarks(q) <= remaining);
+            if (fitting.length === 0) break;
+
+            // Prefer picks after which the rest of the section can still be filled exactly.
+            // Every question worth the same marks leaves the same marks behind, so the
+            // subset-sum check runs once per distinct mark value, not once per candidate.
+            const openMarks = countHalfMarks(open.map(getQuestionMarks));
+            const leavesReachable = new Map();
+            const reachable = fitting.filter(q => {
+                const marks = getQuestionMarks(q);
+                if (!leavesReachable.has(marks)) {
+                    const rest = new Map(openMarks);
+                    const step = Math.round(marks * 2);
+                    rest.set(step, rest.get(step) - 1);
+                    leavesReachable.set(marks, canReachHalfMarks(rest, Math.round((remaining - marks) * 2)));
+                }
+                return leavesReachable.get(marks);
+            });
+            const choices = reachable.length > 0 ? reachable : fitting;
+
+            let best = null;
+            let bestScore = -Infinity;
+            choices.forEach(q => {
+                const score = scoreCandidate(q, targets, used, random);
+                if (score > bestScore) {
+                    best = q;
+                    bestScore = score;
+                }
+            });
+
+            const marks = getQuestionMarks(best);
+            picked.add(best.id);
+            selections.push({ id: best.id, section, marks });
+            addUsage(used, best, section, marks);
+            remaining -= marks;
+        }
+
+        if (remaining > 0) {
+            unmet.push({
+                constraint: `sections.${section}`,
+                message: `Section ${section}: filled ${sectionMarks - remaining} of ${sectionMarks} marks (no combination of available questions adds up)`
+            });
+        }
+    });
+
+    unmet.push(...checkBlueprintTargets(blueprint, targets, used, candidates));
+
+    return {
+        selections,
+        unmet,
+        summary: {
+            totalMarks: selections.reduce((sum, s) => sum + s.marks, 0),
+            targetMarks: total,
+            bySection: used.sections,
+            byDifficulty: used.difficulty,
+            byType: used.types,
+            byChapter: used.chapters
+        }
+    };
+}
+
+/**
+ * Compare the filled paper against the blueprint's ratio, coverage and type targets
+ * @param {Object} blueprint - Blueprint
+ * @param {Object} targets - Target marks from generatePaperFromBlueprint
+ * @param {Object} used - Marks used per category
+ * @param {Array} candidates - Bank questions that passed the pool filter
+ * @returns {Array} Unmet entries { constraint, message }
+ */
+function checkBlueprintTargets(blueprint, targets, used, candidates) {
+    const unmet = [];
+    const filled = Object.values(used.sections).reduce((sum, m) => sum + m, 0);
+    const tolerance = blueprint.tolerance ?? BLUEPRINT_DEFAULT_TOLERANCE;
+
+    if (candidates.length === 0) {
+        const filter = [blueprint.pool, blueprint.subpool].filter(Boolean).join(' / ') || 'any pool';
+        unmet.push({ constraint: 'pool', message: `No questions in the bank match ${filter}` });
+    }
+
+    Object.entries(targets.difficulty).forEach(([level, target]) => {
+        const share = filled > 0 ? (used.difficulty[level] || 0) / filled : 0;
+        const wanted = blueprint.difficulty[level];
+        if (Math.abs(share - wanted) > tolerance) {
+            unmet.push({
+                constraint: `difficulty.${level}`,
+                message: `${level}: ${Math.round(share * 100)}% of marks (target ${Math.round(wanted * 100)}%, ${used.difficulty[level] || 0} of ${Number(target.toFixed(2))} marks)`
+            });
+        }
+    });
+
+    targets.chapters.forEach(chapter => {
+        if (!used.chapters[chapter]) {
+            const available = candidates.some(q => String(q.metadata?.chapter) === chapter);
+            unmet.push({
+                constraint: `chapters.${chapter}`,
+                message: available
+                    ? `Chapter ${chapter}: not covered (its questions did not fit the section marks)`
+                    : `Chapter ${chapter}: not covered (no questions in the bank)`
+            });
+        }
+    });
+
+    Object.entries(targets.types).forEach(([type, target]) => {
+        const got = used.types[type] || 0;
+        if (got !== target) {
+            unmet.push({ constraint: `types.${type}`, message: `${type}: ${got} marks (target ${target})` });
+        }
+    });
+
+    return unmet;
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Get the marks of a bank question
+ * @param {Object} question - v5.1 question
+ * @returns {number} metadata.marks (0 if missing)
+ */
+function getQuestionMarks(question) {
+    const marks = Number(question?.metadata?.marks);
+    return Number.isFinite(marks) && marks > 0 ? marks : 0;
+}
+
+/**
+ * Rank a candidate by how much it closes the open gaps
+ * @param {Object} question - Candidate question
+ * @param {Object} targets - Target marks per category
+ * @param {Object} used - Marks used per category
+ * @param {Function} random - Random generator for tie-breaking
+ * @returns {number} Higher is better
+ */
+function scoreCandidate(question, targets, used, random) {
+    const marks = getQuestionMarks(question);
+    const level = question.metadata?.difficulty;
+    const chapter = String(question.metadata?.chapter ?? '');
+    let score = 0;
+
+    if (Object.keys(targets.difficulty).length > 0) {
+        const gap = (targets.difficulty[level] || 0) - (used.difficulty[level] || 0);
+        score += BLUEPRINT_WEIGHTS.difficulty * Math.min(gap, marks) / marks;
+    }
+
+    if (Object.keys(targets.types).length > 0) {
+        const gap = (targets.types[question.type] ?? 0) - (used.types[question.type] || 0);
+        // Types with a target that would be overshot are penalized; untargeted types are neutral
+        score += question.type in targets.types
+            ? BLUEPRINT_WEIGHTS.type * (gap >= marks ? 1 : gap > 0 ? 0 : -1)
+            : 0;
+    }
+
+    if (targets.chapters.length > 0) {
+        if (targets.chapters.includes(chapter)) {
+            score += used.chapters[chapter] ? 0 : BLUEPRINT_WEIGHTS.chapter;
+        } else {
+            score -= BLUEPRINT_WEIGHTS.chapter / 2;
+        }
+    }
+
+    return score + BLUEPRINT_WEIGHTS.jitter * random();
+}
+
+/**
+ * Record a picked question's marks against each category
+ * @param {Object} used - Marks used per category (modified in place)
+ * @param {Object} question - Picked question
+ * @param {string} section - Section it was placed in
+ * @param {number} marks - Its marks
+ */
+function addUsage(used, question, section, marks) {
+    const bump = (bucket, key) => { bucket[key] = (bucket[key] || 0) + marks; };
+    bump(used.sections, section);
+    bump(used.types, question.type);
+    if (question.metadata?.difficulty) bump(used.difficulty, question.metadata.difficulty);
+    if (question.metadata?.chapter !== undefined) bump(used.chapters, String(question.metadata.chapter));
+}
+
+/**
+ * Convert share-of-total ratios into target marks
+ * @param {Object} shares - { key: 0..1 }
+ * @param {number} total - Total marks
+ * @returns {Object} { key: marks }
+ */
+function scaleShares(shares, total) {
+    const result = {};
+    Object.entries(shares || {}).forEach(([key, share]) => { result[key] = share * total; });
+    return result;
+}
+
+/**
+ * Check whether some subset of marks adds up exactly to a target (subset sum)
+ * Marks are scaled to half-marks so 0.5-mark questions work.
+ * @param {number[]} marksList - Available marks
+ * @param {number} target - Marks to reach
+ * @returns {boolean} True if reachable (0 is always reachable)
+ */
+function canReachMarks(marksList, target) {
+    return canReachHalfMarks(countHalfMarks(marksList), Math.round(target * 2));
+}
+
+/**
+ * Count marks by value, in half-marks
+ * @param {number[]} marksList - Marks
+ * @returns {Map} half-marks → number of questions (marks that round to 0 are left out)
+ */
+function countHalfMarks(marksList) {
+    const counts = new Map();
+    marksList.forEach(m => {
+        const step = Math.round(m * 2);
+        if (step > 0) counts.set(step, (counts.get(step) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Subset sum over counted values (bounded knapsack): O(distinct values × goal)
+ * @param {Map} counts - half-marks → number of questions (see countHalfMarks)
+ * @param {number} goal - Half-marks to reach
+ * @returns {boolean} True if reachable (0 is always reachable)
+ */
+function canReachHalfMarks(counts, goal) {
+    if (goal <= 0) return goal === 0;
+
+    const reachable = new Uint8Array(goal + 1);
+    reachable[0] = 1;
+    for (const [step, count] of counts) {
+        if (count <= 0 || step > goal) continue;
+        // taken[s]: copies of this value used to first reach s
+        const taken = new Uint32Array(goal + 1);
+        for (let s = step; s <= goal; s++) {
+            if (!reachable[s] && reachable[s - step] && taken[s - step] < count) {
+                reachable[s] = 1;
+                taken[s] = taken[s - step] + 1;
+            }
+        }
+        if (reachable[goal]) return true;
+    }
+    return reachable[goal] === 1;
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BLUEPRINT_DEFAULT_TOLERANCE, BLUEPRINT_WEIGHTS, validateBlueprint, getBlueprintTotal,
+        generatePaperFromBlueprint, checkBlueprintTargets, getQuestionMarks, scoreCandidate, addUsage,
+        scaleShares, canReachMarks, countHalfMarks, canReachHalfMarks
+    };
+}
@@ -0,0 +1,918 @@
+/**
+ * Question DOCX Module (Schema v5.1)
+ * Editable Word export of an assembled paper
+ * Used by: assessment-selection-tool.html (Download DOCX)
+ *
+ * This module provides functions to:
+ * - Build a .docx of a paper: header, sections and numbered questions (createPaperDocx)
+ * - Turn RichText into Word paragraphs: formatting, gaps as blanks, images at their token size
+ *   and math as native Word equations (richTextToDocxParagraphs)
+ * - Turn KaTeX's MathML into Office Math (mathmlToOmml)
+ *
+ * Layout follows the A4 preview of the selection tool: Times New Roman 13pt, 12 mm margins,
+ * "N. text … (M marks)" with the marks at the right margin, MCQ options stacked or side by side
+ * (options_layout), MATCH in two columns, TABLE with its table_grid_lines and column_widths,
+ * COMPOSITE with its word bank and sub-question grid (sub_questions_layout).
+ * Images without a size in their token get the preview's default (at most 200px high).
+ *
+ * Each type lays out what follows its question text through a hook on its definition (see
+ * registerQuestionType), so types registered later can be exported too:
+ *   toDocx(data, context) - WordprocessingML (paragraphs and tables) for below the question text
+ *   context = { indent, right, optionIdStyle, subQuestionMarks, paragraphs(text, options, { prefix, suffix }),
+ *               labelled(text, label, marks), run(text, format), table(rows, options), at(changes), warn(message) }
+ *     indent, right - Left edge of the content and the right margin, in twips from the column's left edge
+ *     paragraphs    - RichText as paragraphs; prefix/suffix runs go in the first one
+ *     labelled      - A numbered item ("a.", "3.") with its marks at the right margin, like a question
+ *     table         - rows of cell XML as a fixed-width table (see buildDocxTable)
+ *     at            - The same context for nested content (sub-questions, table cells)
+ * A type without the hook is exported with its question text only, and a warning.
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides registerQuestionType, getQuestionTypeDefinition, extractImageTags)
+ * - question-renderer.js (provides formatRichText, tokenizeMath, escapeHtmlText, toRomanLower,
+ *   getOptionsPool, getMatrixColumns, BORDER_COLOR)
+ * - zip-utils.js (provides createZip)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOCX_NAMESPACES = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    m: 'http://schemas.openxmlformats.org/officeDocument/2006/math'
+};
+const DOCX_RELATIONSHIP_TYPES = {
+    document: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+    styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+    image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image'
+};
+// Image formats Word shows; others (SVG, WebP) are converted to PNG
+const DOCX_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/gif': 'gif', 'image/bmp': 'bmp' };
+
+// Sizes are in twips (1/20 pt) unless noted: A4 with the preview's 12 mm margins
+const DOCX_PAGE = { width: 11906, height: 16838, margin: 680 };
+const DOCX_CONTENT_WIDTH = DOCX_PAGE.width - 2 * DOCX_PAGE.margin;
+const DOCX_INDENT = 454;          // Question and sub-question text, after "12." / "a."
+const DOCX_OPTION_INDENT = 567;   // MCQ option text, after "(iii)"
+const DOCX_CELL_MARGIN = 85;      // Left and right padding of table cells
+const DOCX_TWIPS_PER_PX = 15;
+const DOCX_EMU_PER_PX = 9525;
+const DOCX_FONT = 'Times New Roman';
+const DOCX_FONT_SIZE = 26;        // Half-points: 13pt, as the preview
+const DOCX_LINE_SPACING = 312;    // 240ths of a line: the preview's line-height 1.5 in Word's terms
+const DOCX_BORDER_COLOR = BORDER_COLOR.replace('#', '').toUpperCase();
+const DOCX_HEADER_SHADING = 'F3F4F6';
+const DOCX_DEFAULT_IMAGE_HEIGHT = 200;  // px: images without a size, as formatRichText's max-height
+const DOCX_GAP_CHARACTER_WIDTH = 8;     // px of gap width per underscore of the blank
+const DOCX_HORIZONTAL_OPTION_COLUMNS = 4; // Text-only MCQ options per row in the 'horizontal' layout
+const DOCX_TABLE_WIDTH = 0.9;           // TABLE questions span 90% of the text width, as p-table-grid
+// table_grid_lines → drawn borders (the preview keeps the outer edges for 'none')
+const DOCX_TABLE_BORDERS = {
+    all: ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'],
+    none: ['top', 'left', 'bottom', 'right'],
+    horizontal: ['top', 'left', 'bottom', 'right', 'insideH'],
+    vertical: ['top', 'left', 'bottom', 'right', 'insideV']
+};
+// Large operators: Word stacks their limits and takes the next term as their body (n-ary)
+const DOCX_NARY_OPERATORS = ['∑', '∏', '∐', '∫', '∬', '∭', '∮', '∯', '∰', '⋃', '⋂', '⋁', '⋀', '⨀', '⨁', '⨂', '⨄', '⨆'];
+// Inline HTML elements → run formatting (see buildDocxRun)
+const DOCX_INLINE_FORMATS = {
+    b: { bold: true }, strong: { bold: true },
+    i: { italic: true }, em: { italic: true },
+    u: { underline: true }, ins: { underline: true }, a: { underline: true },
+    s: { strike: true }, del: { strike: true },
+    sup: { vertAlign: 'superscript' }, sub: { vertAlign: 'subscript' },
+    code: { code: true }, kbd: { code: true }, pre: { code: true, pre: true },
+    mark: { highlight: true }, small: { size: DOCX_FONT_SIZE - 4 }
+};
+const DOCX_BLOCK_TAGS = ['p', 'div', 'li', 'ul', 'ol', 'blockquote', 'pre'];
+const DOCX_TAB_RUN = '<w:r><w:tab/></w:r>';
+
+// =====================================================
+// EXPORT
+// =====================================================
+
+/**
+ * Build a DOCX file of a paper
+ * Tags without an image print as [Image: tag], as on the preview (check them first, see image-integrity.js).
+ * @param {Object} paper
+ * @param {string} paper.title - Heading of the paper (school name)
+ * @param {string[][]} paper.headerLines - Lines of header fields, spread across the page
+ *   (e.g. [['Class: 3', 'Subject: Mathematics', 'Time: 45 Mins'], ['Name: ______', 'Marks: 20']])
+ * @param {Array} paper.sections - [{ title, questions: [{ question, number, marks, subQuestionMarks? }] }]
+ *   question is the v5.1 question as printed, subQuestionMarks the marks of COMPOSITE sub-questions
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType? } (see image-bundle.js)
+ * @returns {Promise<Object>} { blob, warnings: [{ questionId, message }] }
+ */
+async function createPaperDocx({ title = '', headerLines = [], sections = [] }, imageStore) {
+    const questions = sections.flatMap(section => section.questions.map(entry => entry.question));
+    const doc = { images: new Map(), media: [], drawingId: 0, warnings: [], mathAsSource: false };
+    await loadDocxImages(questions, imageStore, doc);
+
+    const body = [buildDocxHeader(title, headerLines)];
+    sections.forEach(section => {
+        body.push(buildDocxParagraph([buildDocxRun(section.title, { bold: true })], {
+            keepNext: true,
+            border: { side: 'bottom', size: 4, space: 2 },
+            spacingBefore: 120,
+            spacingAfter: 120
+        }));
+        section.questions.forEach(entry => body.push(buildDocxQuestion(entry, doc)));
+    });
+    if (doc.mathAsSource) {
+        doc.warnings.push({ questionId: '', message: 'KaTeX is not loaded; math is exported as its LaTeX source' });
+    }
+
+    const zip = await createZip([
+        { name: '[Content_Types].xml', data: buildDocxContentTypes() },
+        { name: '_rels/.rels', data: buildDocxRelationships([{ id: 'rId1', type: 'document', target: 'word/document.xml' }]) },
+        { name: 'word/document.xml', data: buildDocxDocument(body.join('')) },
+        { name: 'word/styles.xml', data: buildDocxStyles() },
+        {
+            name: 'word/_rels/document.xml.rels',
+            data: buildDocxRelationships([
+                { id: 'rId1', type: 'styles', target: 'styles.xml' },
+                ...doc.media.map(media => ({ id: media.id, type: 'image', target: `media/${media.name}` }))
+            ])
+        },
+        ...doc.media.map(media => ({ name: `word/media/${media.name}`, data: media.blob }))
+    ]);
+    return { blob: new Blob([zip], { type: DOCX_MIME_TYPE }), warnings: doc.warnings };
+}
+
+/**
+ * Read the images of a paper: bytes for word/media and natural sizes for the layout
+ * @param {Array} questions - v5.1 questions
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType? }
+ * @param {Object} doc - Export state; doc.images (tag → { id, width, height }) and doc.media are filled in
+ */
+async function loadDocxImages(questions, imageStore, doc) {
+    const tags = new Set();
+    questions.forEach(q => extractImageTags(q).forEach(tag => tags.add(tag)));
+
+    for (const tag of tags) {
+        const image = imageStore.get(tag);
+        if (!image) continue;
+        try {
+            let blob = image.blob;
+            if (!blob) {
+                const response = await fetch(image.dataUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                blob = await response.blob();
+            }
+            const bitmap = await createImageBitmap(blob);
+            let extension = DOCX_IMAGE_TYPES[image.contentType || blob.type];
+            if (!extension) {
+                blob = await convertBitmapToPng(bitmap);
+                extension = 'png';
+            }
+            const id = `rIdImage${doc.media.length + 1}`;
+            doc.media.push({ id, name: `image${doc.media.length + 1}.${extension}`, blob });
+            doc.images.set(tag, { id, width: bitmap.width, height: bitmap.height });
+            bitmap.close();
+        } catch (e) {
+            doc.warnings.push({ questionId: '', message: `Image ${tag} could not be read (${e.message}); printed as [Image: ${tag}]` });
+        }
+    }
+}
+
+/**
+ * Draw an image onto a canvas and save it as PNG
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @returns {Promise<Blob>} image/png
+ */
+function convertBitmapToPng(bitmap) {
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG conversion failed')), 'image/png');
+    });
+}
+
+/**
+ * One question: "N." and its text with the marks at the right margin, then the type's layout
+ * @param {Object} entry - { question, number, marks, subQuestionMarks? }
+ * @param {Object} doc - Export state
+ * @returns {string} WordprocessingML
+ */
+function buildDocxQuestion({ question, number, marks, subQuestionMarks = [] }, doc) {
+    const data = question.data || {};
+    const context = createDocxContext(doc, question.id, { subQuestionMarks });
+    const heading = context.labelled(data.common_content || data.content || '', `${number}.`, marks, { spacingBefore: 120 });
+
+    const definition = getQuestionTypeDefinition(question.type);
+    if (!definition?.toDocx) {
+        context.warn(`${question.type} questions have no DOCX layout; only the question text is exported`);
+        return heading;
+    }
+    return heading + definition.toDocx(data, context.at({ indent: DOCX_INDENT }));
+}
+
+/**
+ * Helpers a toDocx hook lays out its content with (see the module header)
+ * @param {Object} doc - Export state
+ * @param {string} questionId - Question the warnings are about
+ * @param {Object} position - { indent, right, optionIdStyle, subQuestionMarks }
+ * @returns {Object} context
+ */
+function createDocxContext(doc, questionId, { indent = 0, right = DOCX_CONTENT_WIDTH, optionIdStyle, subQuestionMarks = [] } = {}) {
+    const warn = (message) => doc.warnings.push({ questionId, message });
+    const context = {
+        indent,
+        right,
+        optionIdStyle,
+        subQuestionMarks,
+        warn,
+        run: buildDocxRun,
+        paragraphs: (text, options = {}, extra = {}) => {
+            const left = options.indent ?? indent;
+            const paragraphs = richTextToDocxParagraphs(text, doc, { width: right - left, format: options.format, warn });
+            return buildDocxParagraphs(paragraphs, { indent: left, ...options }, extra);
+        },
+        labelled: (text, label, marks, options = {}) => context.paragraphs(text, {
+            indent: indent + DOCX_INDENT,
+            hanging: DOCX_INDENT,
+            tabs: [{ align: 'right', position: right }],
+            keepNext: true,
+            ...options
+        }, {
+            prefix: [buildDocxRun(label, { bold: true }), DOCX_TAB_RUN],
+            suffix: marks === undefined || marks === null ? [] : [DOCX_TAB_RUN, buildDocxRun(formatDocxMarks(marks), { bold: true })]
+        }),
+        table: (rows, options = {}) => buildDocxTable(rows, { indent, ...options }),
+        at: (changes) => createDocxContext(doc, questionId, { indent, right, optionIdStyle, subQuestionMarks, ...changes })
+    };
+    return context;
+}
+
+/**
+ * Marks as printed beside a question
+ * @param {number} marks - Marks
+ * @returns {string} "(1 mark)", "(2.5 marks)"
+ */
+function formatDocxMarks(marks) {
+    return `(${marks} ${marks == 1 ? 'mark' : 'marks'})`;
+}
+
+/**
+ * The paper header: centered title, header fields spread across the page, a rule below
+ * @param {string} title - Heading
+ * @param {string[][]} lines - Header fields per line
+ * @returns {string} WordprocessingML
+ */
+function buildDocxHeader(title, lines) {
+    const fields = lines.filter(line => line.length > 0);
+    const heading = buildDocxParagraph([buildDocxRun(title, { bold: true, caps: true, size: 36 })], {
+        align: 'center',
+        border: fields.length === 0 ? { side: 'bottom', size: 12, space: 12 } : null,
+        spacingAfter: fields.length === 0 ? 360 : 0
+    });
+    return heading + fields.map((line, i) => {
+        // First field at the left margin, last at the right, the others centered between
+        const tabs = line.slice(1).map((field, k) => k === line.length - 2
+            ? { align: 'right', position: DOCX_CONTENT_WIDTH }
+            : { align: 'center', position: Math.round(DOCX_CONTENT_WIDTH * (k + 1) / (line.length - 1)) });
+        const runs = line.flatMap((field, k) => [...(k > 0 ? [DOCX_TAB_RUN] : []), buildDocxRun(field, { bold: true, size: 24 })]);
+        const last = i === fields.length - 1;
+        return buildDocxParagraph(runs, {
+            tabs,
+            spacingBefore: 240,
+            spacingAfter: last ? 360 : 0,
+            border: last ? { side: 'bottom', size: 12, space: 12 } : null
+        });
+    }).join('');
+}
+
+// =====================================================
+// WORDPROCESSINGML
+// =====================================================
+
+/**
+ * A run of text
+ * @param {string} text - Plain text
+ * @param {Object} format - { bold, italic, underline, strike, caps, code, highlight, vertAlign, size (half-points) }
+ * @returns {string} <w:r>
+ */
+function buildDocxRun(text, format = {}) {
+    const properties = [
+        format.code ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' : '',
+        format.bold ? '<w:b/>' : '',
+        format.italic ? '<w:i/>' : '',
+        format.caps ? '<w:caps/>' : '',
+        format.strike ? '<w:strike/>' : '',
+        format.size ? `<w:sz w:val="${format.size}"/><w:szCs w:val="${format.size}"/>` : '',
+        format.highlight ? '<w:highlight w:val="yellow"/>' : '',
+        format.underline ? '<w:u w:val="single"/>' : '',
+        format.vertAlign ? `<w:vertAlign w:val="${format.vertAlign}"/>` : ''
+    ].join('');
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeHtmlText(text)}</w:t></w:r>`;
+}
+
+/**
+ * A paragraph
+ * @param {string[]} runs - Runs (or Office Math) of the paragraph
+ * @param {Object} options
+ * @param {string} options.align - 'left' | 'center' | 'right'
+ * @param {number} options.indent - Left indent of the text
+ * @param {number} options.hanging - First line starts this much further left (for "N.<tab>" labels)
+ * @param {Array} options.tabs - [{ align, position }]
+ * @param {boolean} options.keepNext - Keep on the page of the next paragraph
+ * @param {Object} options.border - { side, size (eighths of a point), space (points) }
+ * @param {number} options.spacingBefore - Space above
+ * @param {number} options.spacingAfter - Space below
+ * @returns {string} <w:p>
+ */
+function buildDocxParagraph(runs, { align, indent = 0, hanging = 0, tabs = [], keepNext = false, border = null, spacingBefore = 0, spacingAfter = 0 } = {}) {
+    const properties = [
+        keepNext ? '<w:keepNext/>' : '',
+        border ? `<w:pBdr><w:${border.side} w:val="single" w:sz="${border.size}" w:space="${border.space}" w:color="000000"/></w:pBdr>` : '',
+        tabs.length > 0 ? `<w:tabs>${tabs.map(tab => `<w:tab w:val="${tab.align}" w:pos="${tab.position}"/>`).join('')}</w:tabs>` : '',
+        spacingBefore || spacingAfter ? `<w:spacing w:before="${spacingBefore}" w:after="${spacingAfter}"/>` : '',
+        indent || hanging ? `<w:ind w:left="${indent}"${hanging ? ` w:hanging="${hanging}"` : ''}/>` : '',
+        align ? `<w:jc w:val="${align}"/>` : ''
+    ].join('');
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+}
+
+/**
+ * Paragraphs from richTextToDocxParagraphs, with runs added at the start and end of the first one
+ * Later paragraphs keep the indent but not the hanging label or tab stops.
+ * @param {Array} paragraphs - [{ runs, display? }]
+ * @param {Object} options - Paragraph options (see buildDocxParagraph)
+ * @param {Object} extra - { prefix: string[], suffix: string[] } runs for the first paragraph
+ * @returns {string} WordprocessingML ('' for no paragraphs and no prefix or suffix)
+ */
+function buildDocxParagraphs(paragraphs, options = {}, { prefix = [], suffix = [] } = {}) {
+    if (paragraphs.length === 0 && prefix.length === 0 && suffix.length === 0) return '';
+    // A display equation is a paragraph of its own: the label gets an empty line before it
+    const list = paragraphs.length > 0 && !paragraphs[0].display ? paragraphs : [{ runs: [] }, ...paragraphs];
+    return list.map((paragraph, i) => {
+        if (i === 0) return buildDocxParagraph([...prefix, ...paragraph.runs, ...suffix], options);
+        return buildDocxParagraph(paragraph.runs, { ...options, hanging: 0, tabs: [], spacingBefore: 0 });
+    }).join('');
+}
+
+/**
+ * A fixed-width table
+ * @param {Array} rows - Rows of cell contents (WordprocessingML; an empty cell gets an empty paragraph)
+ * @param {Object} options
+ * @param {number[]} options.widths - Column widths
+ * @param {string} options.borders - Key of DOCX_TABLE_BORDERS, or none drawn (default)
+ * @param {string} options.borderStyle - Line style of the borders ('single', 'dashed')
+ * @param {boolean} options.header - First row is a shaded header, repeated on each page
+ * @param {number} options.indent - Left edge (ignored when centered)
+ * @param {string} options.align - 'center' to center the table
+ * @returns {string} <w:tbl>
+ */
+function buildDocxTable(rows, { widths, borders, borderStyle = 'single', header = false, indent = 0, align } = {}) {
+    const drawn = DOCX_TABLE_BORDERS[borders] || [];
+    const borderXml = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => drawn.includes(side)
+        ? `<w:${side} w:val="${borderStyle}" w:sz="4" w:space="0" w:color="${DOCX_BORDER_COLOR}"/>`
+        : `<w:${side} w:val="nil"/>`).join('');
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    const properties = [
+        `<w:tblW w:w="${total}" w:type="dxa"/>`,
+        align ? `<w:jc w:val="${align}"/>` : '',
+        // Cell text lines up with the surrounding text, not the cell border
+        !align ? `<w:tblInd w:w="${indent - (drawn.length > 0 ? 0 : DOCX_CELL_MARGIN)}" w:type="dxa"/>` : '',
+        `<w:tblBorders>${borderXml}</w:tblBorders>`,
+        '<w:tblLayout w:type="fixed"/>',
+        `<w:tblCellMar><w:left w:w="${DOCX_CELL_MARGIN}" w:type="dxa"/><w:right w:w="${DOCX_CELL_MARGIN}" w:type="dxa"/></w:tblCellMar>`
+    ].join('');
+
+    const rowXml = rows.map((cells, r) => {
+        const isHeader = header && r === 0;
+        const tcs = widths.map((width, c) => {
+            const content = cells[c] || '';
+            const shading = isHeader ? `<w:shd w:val="clear" w:color="auto" w:fill="${DOCX_HEADER_SHADING}"/>` : '';
+            return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>${content.endsWith('</w:p>') ? content : `${content}<w:p/>`}</w:tc>`;
+        }).join('');
+        return `<w:tr><w:trPr><w:cantSplit/>${isHeader ? '<w:tblHeader/>' : ''}</w:trPr>${tcs}</w:tr>`;
+    }).join('');
+
+    return `<w:tbl><w:tblPr>${properties}</w:tblPr><w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>${rowXml}</w:tbl>`;
+}
+
+/**
+ * Column widths from style.column_widths ('30%'), filling in the columns without one
+ * @param {Array} columnWidths - style.column_widths
+ * @param {number} count - Number of columns
+ * @param {number} total - Table width
+ * @returns {number[]} Widths adding up to about total
+ */
+function getDocxColumnWidths(columnWidths, count, total) {
+    const percents = Array.from({ length: count }, (_, c) => parseFloat(columnWidths[c]) || 0);
+    const given = percents.reduce((sum, p) => sum + p, 0);
+    const open = percents.filter(p => p <= 0).length;
+    const rest = open > 0 ? Math.max(100 - given, open * 5) / open : 0;
+    const filled = percents.map(p => p > 0 ? p : rest);
+    const sum = filled.reduce((acc, p) => acc + p, 0);
+    return filled.map(p => Math.max(1, Math.round(total * p / sum)));
+}
+
+/**
+ * Widths of equal columns across the content of a context
+ * @param {Object} context - toDocx context
+ * @param {number} columns - Number of columns
+ * @returns {Object} { widths, cell } - cell is the context for the content of one cell
+ */
+function getDocxColumns(context, columns) {
+    const width = Math.floor((context.right - context.indent) / columns);
+    return {
+        widths: Array(columns).fill(width),
+        cell: context.at({ indent: 0, right: width - 2 * DOCX_CELL_MARGIN })
+    };
+}
+
+/**
+ * Split items into rows
+ * @param {Array} items - Items
+ * @param {number} columns - Items per row
+ * @returns {Array} Rows
+ */
+function chunkDocxRows(items, columns) {
+    const rows = [];
+    for (let i = 0; i < items.length; i += columns) rows.push(items.slice(i, i + columns));
+    return rows;
+}
+
+/**
+ * An inline picture
+ * @param {Object} image - { id, width, height } (see loadDocxImages), width and height in px
+ * @param {Object} doc - Export state (numbers the drawings)
+ * @param {string} name - Picture name (the image tag)
+ * @returns {string} <w:r> with a <w:drawing>
+ */
+function buildDocxImageRun({ id, width, height }, doc, name) {
+    const cx = Math.round(width * DOCX_EMU_PER_PX);
+    const cy = Math.round(height * DOCX_EMU_PER_PX);
+    const drawingId = ++doc.drawingId;
+    const title = escapeHtmlText(name);
+    return '<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+        `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="Picture ${drawingId}" descr="${title}"/>` +
+        '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+        `<a:graphic><a:graphicData uri="${DOCX_NAMESPACES.pic}"><pic:pic>` +
+        `<pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${title}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+        `<pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+        `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+        '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+}
+
+/**
+ * Size of an image on the page, as formatRichText sizes it
+ * A token size (one side keeps the aspect ratio) or at most DOCX_DEFAULT_IMAGE_HEIGHT high;
+ * never wider than the space it is in.
+ * @param {Object} natural - { width, height } of the image, px
+ * @param {string} style - style attribute formatRichText gave the <img>
+ * @param {number} maxWidth - Available width, twips
+ * @returns {Object} { width, height } px
+ */
+function getDocxImageSize(natural, style, maxWidth) {
+    const width = parseInt((style.match(/(?:^|;)\s*width:\s*(\d+)px/) || [])[1], 10);
+    const height = parseInt((style.match(/(?:^|;)\s*height:\s*(\d+)px/) || [])[1], 10);
+    const ratio = natural.width > 0 && natural.height > 0 ? natural.width / natural.height : 1;
+    let size;
+    if (width && height) size = { width, height };
+    else if (width) size = { width, height: width / ratio };
+    else if (height) size = { width: height * ratio, height };
+    else {
+        const scale = Math.min(1, DOCX_DEFAULT_IMAGE_HEIGHT / natural.height);
+        size = { width: natural.width * scale, height: natural.height * scale };
+    }
+    const limit = maxWidth / DOCX_TWIPS_PER_PX;
+    const fit = size.width > limit ? limit / size.width : 1;
+    return { width: Math.max(1, Math.round(size.width * fit)), height: Math.max(1, Math.round(size.height * fit)) };
+}
+
+// =====================================================
+// PACKAGE PARTS
+// =====================================================
+
+function buildDocxContentTypes() {
+    const images = [...new Set(Object.values(DOCX_IMAGE_TYPES))].map(extension =>
+        `<Default Extension="${extension}" ContentType="image/${extension}"/>`).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        `<Default Extension="xml" ContentType="application/xml"/>${images}` +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '</Types>';
+}
+
+/**
+ * @param {Array} relationships - [{ id, type (key of DOCX_RELATIONSHIP_TYPES), target }]
+ * @returns {string} A .rels part
+ */
+function buildDocxRelationships(relationships) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        relationships.map(rel => `<Relationship Id="${rel.id}" Type="${DOCX_RELATIONSHIP_TYPES[rel.type]}" Target="${rel.target}"/>`).join('') +
+        '</Relationships>';
+}
+
+function buildDocxDocument(body) {
+    const namespaces = Object.entries(DOCX_NAMESPACES).map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`).join(' ');
+    const margin = DOCX_PAGE.margin;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<w:document ${namespaces}><w:body>${body}` +
+        `<w:sectPr><w:pgSz w:w="${DOCX_PAGE.width}" w:h="${DOCX_PAGE.height}"/>` +
+        `<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="0" w:footer="0" w:gutter="0"/>` +
+        '</w:sectPr></w:body></w:document>';
+}
+
+// Document defaults: the preview's font, size and line spacing, no space between paragraphs
+function buildDocxStyles() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<w:styles xmlns:w="${DOCX_NAMESPACES.w}"><w:docDefaults>` +
+        `<w:rPrDefault><w:rPr><w:rFonts w:ascii="${DOCX_FONT}" w:hAnsi="${DOCX_FONT}" w:eastAsia="${DOCX_FONT}" w:cs="${DOCX_FONT}"/>` +
+        `<w:sz w:val="${DOCX_FONT_SIZE}"/><w:szCs w:val="${DOCX_FONT_SIZE}"/></w:rPr></w:rPrDefault>` +
+        `<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="${DOCX_LINE_SPACING}" w:lineRule="auto"/></w:pPr></w:pPrDefault>` +
+        '</w:docDefaults>' +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+        '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:tblPr>' +
+        '<w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>' +
+        '<w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+        '</w:styles>';
+}
+
+// =====================================================
+// TEXT CONVERSION
+// =====================================================
+
+/**
+ * Turn RichText into Word paragraphs
+ * The text is rendered with formatRichText (math as MathML) and the HTML walked: inline formatting
+ * becomes run formatting, gaps become ____ blanks, images inline pictures, math Office Math.
+ * @param {string} text - RichText
+ * @param {Object} doc - Export state (images, drawing numbers)
+ * @param {Object} options
+ * @param {number} options.width - Space the text has, twips (images are scaled down to fit)
+ * @param {Object} options.format - Run formatting for all of the text (e.g. { bold: true } for table headers)
+ * @param {Function} options.warn - Receives messages about what could not be exported
+ * @returns {Array} [{ runs: string[], display?: true }] - display marks a paragraph holding a display equation
+ */
+function richTextToDocxParagraphs(text, doc, { width = DOCX_CONTENT_WIDTH, format = {}, warn = () => {} } = {}) {
+    if (text === null || text === undefined || text === '') return [];
+    const source = String(text);
+    if (typeof katex === 'undefined' && tokenizeMath(source).segments.some(segment => segment.type === 'math')) {
+        doc.mathAsSource = true;
+    }
+
+    // Images are looked up again by their alt text (the tag); src only has to be set
+    const html = formatRichText(source, {
+        imageResolver: (tag) => doc.images.has(tag) ? `docx-image:${tag}` : null,
+        mathOutput: 'mathml'
+    });
+    const body = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html').body;
+
+    const paragraphs = [];
+    let runs = [];
+    let hasContent = false;
+    const flush = () => {
+        if (hasContent) paragraphs.push({ runs });
+        runs = [];
+        hasContent = false;
+    };
+    const addImage = (img, formatNow) => {
+        const tag = img.getAttribute('alt') || '';
+        const image = (img.getAttribute('src') || '').startsWith('docx-image:') ? doc.images.get(tag) : null;
+        if (!image) {
+            warn(`An <img> in the HTML (${img.getAttribute('src') || 'no src'}) is not exported; use an [[image:…]] token`);
+            runs.push(buildDocxRun(`[Image${tag ? `: ${tag}` : ''}]`, formatNow));
+        } else {
+            runs.push(buildDocxImageRun({ id: image.id, ...getDocxImageSize(image, img.getAttribute('style') || '', width) }, doc, tag));
+        }
+        hasContent = true;
+    };
+
+    const walk = (node, current) => {
+        if (node.nodeType === 3) {
+            // HTML whitespace collapses; no-break and em spaces stay
+            const value = current.pre ? node.nodeValue : node.nodeValue.replace(/[ \t\n\r\f]+/g, ' ');
+            if (value && (hasContent || value.trim())) {
+                runs.push(buildDocxRun(hasContent ? value : value.trimStart(), current));
+                hasContent = true;
+            }
+            return;
+        }
+        if (node.nodeType !== 1) return;
+        const tag = node.localName;
+        const className = node.getAttribute('class') || '';
+
+        if (tag === 'math') {
+            const omml = `<m:oMath>${mathmlToOmml(node)}</m:oMath>`;
+            if (node.getAttribute('display') === 'block') {
+                flush();
+                paragraphs.push({ runs: [`<m:oMathPara>${omml}</m:oMathPara>`], display: true });
+            } else {
+                runs.push(omml);
+                hasContent = true;
+            }
+            return;
+        }
+        if (/\bp-gap\b/.test(className)) {
+            const gapWidth = parseInt((node.getAttribute('style') || '').match(/width:\s*(\d+)px/)?.[1], 10) || 60;
+            runs.push(buildDocxRun('_'.repeat(Math.max(4, Math.round(gapWidth / DOCX_GAP_CHARACTER_WIDTH))), current));
+            hasContent = true;
+            return;
+        }
+        if (tag === 'img') return addImage(node, current);
+        if (tag === 'br') {
+            runs.push('<w:r><w:br/></w:r>');
+            hasContent = true;
+            return;
+        }
+        if (/\bp-asset-row\b/.test(className)) {
+            // Side by side images: one paragraph, a space between them
+            flush();
+            Array.from(node.getElementsByTagName('img')).forEach((img, i) => {
+                if (i > 0) runs.push(buildDocxRun('  ', current));
+                addImage(img, current);
+            });
+            flush();
+            return;
+        }
+
+        const block = DOCX_BLOCK_TAGS.includes(tag);
+        if (block) flush();
+        if (tag === 'li') {
+            const list = node.parentNode;
+            const number = Array.from(list.children).filter(child => child.localName === 'li').indexOf(node) + 1;
+            runs.push(buildDocxRun(list.localName === 'ol' ? `${number}. ` : '• ', current));
+        }
+        const next = { ...current, ...DOCX_INLINE_FORMATS[tag] };
+        Array.from(node.childNodes).forEach(child => walk(child, next));
+        if (block) flush();
+    };
+    Array.from(body.childNodes).forEach(child => walk(child, format));
+    flush();
+    return paragraphs;
+}
+
+// =====================================================
+// MATH
+// =====================================================
+
+/**
+ * Turn MathML (as KaTeX writes it) into Office Math
+ * Covers what KaTeX produces for school math: fractions, scripts, roots, accents, limits,
+ * large operators with their limits, \left…\right fences and matrices; anything else keeps its text.
+ * @param {Element} element - MathML element (<math> or inside it)
+ * @returns {string} OMML content (without <m:oMath>)
+ */
+function mathmlToOmml(element) {
+    const children = Array.from(element.children);
+    const arg = (i) => children[i] ? mathmlToOmml(children[i]) : '';
+    const text = element.textContent;
+
+    switch (element.localName) {
+        case 'semantics':
+            // The rendered math; the annotation holds the TeX source
+            return children[0] ? mathmlToOmml(children[0]) : '';
+        case 'annotation':
+        case 'annotation-xml':
+        case 'mphantom':
+            return '';
+        case 'mi': {
+            const variant = element.getAttribute('mathvariant');
+            const script = { 'double-struck': 'double-struck', fraktur: 'fraktur', script: 'script', 'sans-serif': 'sans-serif', monospace: 'monospace' }[variant];
+            const style = { bold: 'b', 'bold-italic': 'bi', normal: 'p' }[variant] || (script || [...text.trim()].length > 1 ? 'p' : null);
+            return buildOmmlRun(text.trim(), { style, script });
+        }
+        case 'mn':
+        case 'mo':
+        case 'ms':
+            return buildOmmlRun(text.trim(), { style: 'p' });
+        case 'mtext':
+            return buildOmmlRun(text, { normal: true });
+        case 'mspace': {
+            const width = parseFloat(element.getAttribute('width')) || 0;
+            return width > 0 ? buildOmmlRun(width >= 1 ? '\u2003' : '\u2009', { style: 'p' }) : '';
+        }
+        case 'mfrac': {
+            const noBar = parseFloat(element.getAttribute('linethickness')) === 0;
+            return `<m:f>${noBar ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : ''}<m:num>${arg(0)}</m:num><m:den>${arg(1)}</m:den></m:f>`;
+        }
+        case 'msup':
+            return `<m:sSup><m:e>${arg(0)}</m:e><m:sup>${arg(1)}</m:sup></m:sSup>`;
+        case 'msub':
+            return `<m:sSub><m:e>${arg(0)}</m:e><m:sub>${arg(1)}</m:sub></m:sSub>`;
+        case 'msubsup':
+            return `<m:sSubSup><m:e>${arg(0)}</m:e><m:sub>${arg(1)}</m:sub><m:sup>${arg(2)}</m:sup></m:sSubSup>`;
+        case 'msqrt':
+            return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${mathmlRowToOmml(children)}</m:e></m:rad>`;
+        case 'mroot':
+            return `<m:rad><m:deg>${arg(1)}</m:deg><m:e>${arg(0)}</m:e></m:rad>`;
+        case 'mover': {
+            const mark = children[1]?.textContent.trim();
+            if (element.getAttribute('accent') === 'true') {
+                if (mark === '‾' || mark === '¯') return `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr><m:e>${arg(0)}</m:e></m:bar>`;
+                return `<m:acc><m:accPr><m:chr m:val="${escapeHtmlText(mark || '^')}"/></m:accPr><m:e>${arg(0)}</m:e></m:acc>`;
+            }
+            return `<m:limUpp><m:e>${arg(0)}</m:e><m:lim>${arg(1)}</m:lim></m:limUpp>`;
+        }
+        case 'munder': {
+            const mark = children[1]?.textContent.trim();
+            if (element.getAttribute('accentunder') === 'true' && (mark === '_' || mark === '‾')) {
+                return `<m:bar><m:barPr><m:pos m:val="bot"/></m:barPr><m:e>${arg(0)}</m:e></m:bar>`;
+            }
+            return `<m:limLow><m:e>${arg(0)}</m:e><m:lim>${arg(1)}</m:lim></m:limLow>`;
+        }
+        case 'munderover':
+            return `<m:limUpp><m:e><m:limLow><m:e>${arg(0)}</m:e><m:lim>${arg(1)}</m:lim></m:limLow></m:e><m:lim>${arg(2)}</m:lim></m:limUpp>`;
+        case 'mtable':
+            return `<m:m>${children.map(row => `<m:mr>${Array.from(row.children).map(cell =>
+                `<m:e>${mathmlRowToOmml(Array.from(cell.children))}</m:e>`).join('')}</m:mr>`).join('')}</m:m>`;
+        case 'menclose':
+            if ((element.getAttribute('notation') || '').includes('box')) return `<m:borderBox><m:e>${mathmlRowToOmml(children)}</m:e></m:borderBox>`;
+            return mathmlRowToOmml(children);
+        default:
+            // math, mrow, mstyle, mpadded and anything unknown: their children in order
+            return mathmlRowToOmml(children);
+    }
+}
+
+/**
+ * A row of MathML elements: \left…\right fences become a delimiter, large operators take the next term
+ * @param {Element[]} nodes - MathML elements
+ * @returns {string} OMML content
+ */
+function mathmlRowToOmml(nodes) {
+    const isFence = (node) => node?.localName === 'mo' && node.getAttribute('fence') === 'true';
+    if (nodes.length >= 2 && isFence(nodes[0]) && isFence(nodes[nodes.length - 1])) {
+        const open = escapeHtmlText(nodes[0].textContent.trim());
+        const close = escapeHtmlText(nodes[nodes.length - 1].textContent.trim());
+        return `<m:d><m:dPr><m:begChr m:val="${open}"/><m:endChr m:val="${close}"/></m:dPr><m:e>${mathmlRowToOmml(nodes.slice(1, -1))}</m:e></m:d>`;
+    }
+
+    let omml = '';
+    for (let i = 0; i < nodes.length; i++) {
+        const nary = getMathmlNary(nodes[i]);
+        if (!nary) {
+            omml += mathmlToOmml(nodes[i]);
+            continue;
+        }
+        const body = nodes[i + 1] ? mathmlToOmml(nodes[++i]) : '';
+        omml += '<m:nary><m:naryPr>' +
+            `<m:chr m:val="${nary.operator}"/><m:limLoc m:val="${nary.limits}"/>` +
+            `${nary.sub ? '' : '<m:subHide m:val="1"/>'}${nary.sup ? '' : '<m:supHide m:val="1"/>'}` +
+            `</m:naryPr><m:sub>${nary.sub ? mathmlToOmml(nary.sub) : ''}</m:sub>` +
+            `<m:sup>${nary.sup ? mathmlToOmml(nary.sup) : ''}</m:sup><m:e>${body}</m:e></m:nary>`;
+    }
+    return omml;
+}
+
+/**
+ * Recognise a large operator, bare or with limits
+ * @param {Element} node - MathML element
+ * @returns {Object|null} { operator, limits: 'subSup' | 'undOvr', sub, sup } (sub, sup: elements or null)
+ */
+function getMathmlNary(node) {
+    const isOperator = (n) => n?.localName === 'mo' && DOCX_NARY_OPERATORS.includes(n.textContent.trim());
+    if (isOperator(node)) return { operator: node.textContent.trim(), limits: 'subSup', sub: null, sup: null };
+
+    const [base, a = null, b = null] = Array.from(node.children);
+    if (!isOperator(base)) return null;
+    const operator = base.textContent.trim();
+    switch (node.localName) {
+        case 'msub': return { operator, limits: 'subSup', sub: a, sup: null };
+        case 'msup': return { operator, limits: 'subSup', sub: null, sup: a };
+        case 'msubsup': return { operator, limits: 'subSup', sub: a, sup: b };
+        case 'munder': return { operator, limits: 'undOvr', sub: a, sup: null };
+        case 'mover': return { operator, limits: 'undOvr', sub: null, sup: a };
+        case 'munderover': return { operator, limits: 'undOvr', sub: a, sup: b };
+        default: return null;
+    }
+}
+
+/**
+ * A math run
+ * @param {string} text - Text of the run
+ * @param {Object} format - { style: 'p' | 'b' | 'bi' (upright, bold, bold italic), script, normal (plain text) }
+ * @returns {string} <m:r> ('' for no text)
+ */
+function buildOmmlRun(text, { style = null, script = null, normal = false } = {}) {
+    if (!text) return '';
+    const properties = normal
+        ? '<m:nor/>'
+        : `${script ? `<m:scr m:val="${script}"/>` : ''}${style ? `<m:sty m:val="${style}"/>` : ''}`;
+    return `<m:r>${properties ? `<m:rPr>${properties}</m:rPr>` : ''}<m:t xml:space="preserve">${escapeHtmlText(text)}</m:t></m:r>`;
+}
+
+// =====================================================
+// QUESTION TYPE DOCX HOOKS
+// =====================================================
+
+registerQuestionType('MCQ', {
+    // Stacked options, or side by side in a borderless table (2 per row with images, as the preview)
+    toDocx: (data, context) => {
+        const options = data.options || [];
+        if (options.length === 0) return '';
+        const item = (target, opt, k) => {
+            const id = context.optionIdStyle === 'roman' ? toRomanLower(k + 1) : (opt.id || String.fromCharCode(65 + k));
+            return target.paragraphs(opt.text || '', {
+                indent: target.indent + DOCX_OPTION_INDENT,
+                hanging: DOCX_OPTION_INDENT,
+                keepNext: target === context && k < options.length - 1
+            }, { prefix: [buildDocxRun(`(${id})`), DOCX_TAB_RUN] });
+        };
+
+        if (data.style?.options_layout !== 'horizontal') return options.map((opt, k) => item(context, opt, k)).join('');
+
+        const hasImages = options.some(opt => opt.text && (opt.text.includes('[[image:') || opt.text.includes('![')));
+        const columns = hasImages ? 2 : Math.min(options.length, DOCX_HORIZONTAL_OPTION_COLUMNS);
+        const { widths, cell } = getDocxColumns(context, columns);
+        const rows = chunkDocxRows(options.map((opt, k) => item(cell, opt, k)), columns);
+        return context.table(rows, { widths });
+    }
+});
+
+// Gaps are blanks in the question text; nothing follows it
+registerQuestionType('FIB', {
+    toDocx: () => ''
+});
+
+registerQuestionType('MATCH', {
+    toDocx: (data, context) => {
+        const pairs = data.pairs || [];
+        if (pairs.length === 0) return '';
+        const { widths, cell } = getDocxColumns(context, 2);
+        const heading = (title) => buildDocxParagraph([buildDocxRun(title, { bold: true })], { align: 'center' });
+        return context.table([
+            [heading('Column A'), heading('Column B')],
+            ...pairs.map(pair => [cell.paragraphs(pair.left || ''), cell.paragraphs(pair.right || '')])
+        ], { widths });
+    }
+});
+
+// Answered on the paper below the question; nothing follows it
+registerQuestionType('SUBJECTIVE', {
+    toDocx: () => ''
+});
+
+registerQuestionType('TABLE', {
+    toDocx: (data, context) => {
+        const table = data.table || {};
+        const style = data.style || {};
+        const header = style.hide_header === true ? [] : (table.header || []);
+        const rows = table.rows || [];
+        const count = Math.max(header.length, ...rows.map(row => (row || []).length));
+        if (count === 0) return '';
+
+        const widths = getDocxColumnWidths(style.column_widths || [], count, Math.round((context.right - context.indent) * DOCX_TABLE_WIDTH));
+        const cells = (row, format) => widths.map((width, c) =>
+            context.at({ indent: 0, right: width - 2 * DOCX_CELL_MARGIN }).paragraphs(row[c] || '', { format }));
+        return context.table([
+            ...(header.length > 0 ? [cells(header, { bold: true })] : []),
+            ...rows.map(row => cells(row || []))
+        ], {
+            widths,
+            borders: DOCX_TABLE_BORDERS[style.table_grid_lines] ? style.table_grid_lines : 'all',
+            header: header.length > 0,
+            align: 'center'
+        });
+    }
+});
+
+registerQuestionType('COMPOSITE', {
+    // Word bank in a dashed box, then the sub-questions stacked or in a grid (sub_questions_layout)
+    toDocx: (data, context) => {
+        let docx = '';
+        const pool = getOptionsPool(data);
+        if (pool) {
+            const width = Math.round((context.right - context.indent) * DOCX_TABLE_WIDTH);
+            const words = context.at({ indent: 0, right: width - 2 * DOCX_CELL_MARGIN })
+                .paragraphs(pool.map(String).join(' \u2003 '), { align: 'center' });
+            // The empty paragraph keeps Word from joining the box to a sub-question grid below it
+            docx += context.table([[words]], { widths: [width], borders: 'none', borderStyle: 'dashed', align: 'center' }) + '<w:p/>';
+        }
+
+        const subs = data.sub_questions || [];
+        const item = (target, sq, i) => {
+            const sqData = sq.data || {};
+            const heading = target.labelled(sqData.content || '', `${sq.id || String.fromCharCode(97 + i)}.`, context.subQuestionMarks[i]);
+            const definition = getQuestionTypeDefinition(sq.type);
+            if (!definition?.toDocx) {
+                context.warn(`Sub-question ${i + 1}: ${sq.type} questions have no DOCX layout; only the question text is exported`);
+                return heading;
+            }
+            return heading + definition.toDocx(sqData, target.at({ indent: target.indent + DOCX_INDENT, optionIdStyle: 'roman', subQuestionMarks: [] }));
+        };
+
+        const layout = data.style?.sub_questions_layout;
+        const columns = layout === 'horizontal' ? 2 : layout === 'matrix' ? getMatrixColumns(data.style) : 1;
+        if (columns === 1 || subs.length === 0) return docx + subs.map((sq, i) => item(context, sq, i)).join('');
+
+        const { widths, cell } = getDocxColumns(context, columns);
+        return docx + context.table(chunkDocxRows(subs.map((sq, i) => item(cell, sq, i)), columns), { widths });
+    }
+});
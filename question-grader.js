@@ -0,0 +1,521 @@
+/**
+ * Question Grader Module (Schema v5.1)
+ * Scores student responses against the typed answer keys in data.answer
+ * Used by: any page or script that collects student responses (load after question-parser.js), index.js (Node)
+ *
+ * This module provides functions to:
+ * - Grade a single question response (score, per-part feedback, marks breakdown)
+ * - Grade a full set of responses keyed by question id
+ * - Compare free-text answers tolerantly (case, whitespace, numbers, units)
+ *
+ * Response shapes (what a student's answer looks like per type):
+ * - MCQ:        'b' or ['a', 'c'] (option ids)
+ * - FIB:        ['7', '5 cm'] (one entry per [[gap]], in content order)
+ * - MATCH:      [2, 0, 1] (Column B index chosen for each Column A item)
+ * - TABLE:      { '0,1': '12', '1,1': '7' } keyed "row,col", or a 2D array of cell values
+ * - SUBJECTIVE: free text (never auto-scored; flagged for manual review)
+ * - COMPOSITE:  { a: <sub response>, b: <sub response> } keyed by sub-question id
+ * - Types added with registerQuestionType: whatever their grade hook accepts
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides normalizeAnswer, countGapTokens, getQuestionTypeDefinition)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const GRADE_STATUS = {
+    CORRECT: 'correct',
+    PARTIAL: 'partial',
+    INCORRECT: 'incorrect',
+    UNANSWERED: 'unanswered',
+    NEEDS_REVIEW: 'needs_review',
+    NO_KEY: 'no_key'
+};
+
+// Unit spellings treated as equivalent when comparing FIB/TABLE answers
+const UNIT_ALIASES = {
+    'mm': ['mm', 'millimetre', 'millimetres', 'millimeter', 'millimeters'],
+    'cm': ['cm', 'cms', 'centimetre', 'centimetres', 'centimeter', 'centimeters'],
+    'm': ['m', 'metre', 'metres', 'meter', 'meters', 'mtr', 'mtrs'],
+    'km': ['km', 'kms', 'kilometre', 'kilometres', 'kilometer', 'kilometers'],
+    'g': ['g', 'gm', 'gms', 'gram', 'grams'],
+    'kg': ['kg', 'kgs', 'kilogram', 'kilograms'],
+    'ml': ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+    'l': ['l', 'ltr', 'litre', 'litres', 'liter', 'liters'],
+    'rs': ['rs', '₹', 'rupee', 'rupees', 'inr'],
+    'p': ['p', 'paise'],
+    'min': ['min', 'mins', 'minute', 'minutes'],
+    'h': ['h', 'hr', 'hrs', 'hour', 'hours'],
+    's': ['s', 'sec', 'secs', 'second', 'seconds'],
+    '°c': ['°c', 'degc', 'degree celsius', 'degrees celsius'],
+    '%': ['%', 'percent', 'per cent']
+};
+
+const MARKS_PRECISION = 100; // Scores are rounded to 2 decimal places
+
+// =====================================================
+// MAIN GRADING FUNCTIONS
+// =====================================================
+
+/**
+ * Grade a student's response to one question
+ * @param {Object} question - Question object in v5.1 format
+ * @param {*} response - Student response (shape depends on question.type, see header)
+ * @param {Object} options - Grading options
+ * @param {boolean} options.partialCredit - Award proportional marks for FIB/MATCH/TABLE (default: true)
+ * @returns {Object} { questionId, type, score, maxScore, status, needsReview, parts[], breakdown[], feedback }
+ */
+function gradeQuestion(question, response, options = {}) {
+    const maxScore = Number(question?.metadata?.marks) || 0;
+
+    if (!question || !question.data) {
+        throw new Error('Cannot grade: question has no data');
+    }
+
+    let result;
+    if (question.type === 'COMPOSITE') {
+        result = gradeComposite(question.data, response, maxScore, options);
+    } else {
+        result = gradeQuestionData(question.type, question.data, response, maxScore, options);
+    }
+
+    return {
+        questionId: question.id,
+        type: question.type,
+        ...result,
+        feedback: summarizeGrade(result)
+    };
+}
+
+/**
+ * Grade a set of responses keyed by question id
+ * @param {Array} questions - Array of v5.1 question objects
+ * @param {Object} responses - Map of question id → response
+ * @param {Object} options - Grading options (see gradeQuestion)
+ * @returns {Object} { score, maxScore, needsReview, results[] }
+ */
+function gradeResponses(questions, responses = {}, options = {}) {
+    const results = questions.map(q => gradeQuestion(q, responses[q.id], options));
+    return {
+        score: roundMarks(results.reduce((sum, r) => sum + r.score, 0)),
+        maxScore: roundMarks(results.reduce((sum, r) => sum + r.maxScore, 0)),
+        needsReview: results.some(r => r.needsReview),
+        results
+    };
+}
+
+/**
+ * Grade a non-COMPOSITE payload against its answer key
+ * @param {string} type - Question type
+ * @param {Object} data - Question data (with data.answer)
+ * @param {*} response - Student response
+ * @param {number} maxScore - Marks available for this payload
+ * @param {Object} options - Grading options
+ * @returns {Object} { score, maxScore, status, needsReview, parts[], breakdown[] }
+ */
+function gradeQuestionData(type, data, response, maxScore, options = {}) {
+    const answer = normalizeAnswer(data.answer, type);
+
+    switch (type) {
+        case 'MCQ': return gradeMCQ(data, answer, response, maxScore);
+        case 'FIB': return gradeFIB(data, answer, response, maxScore, options);
+        case 'MATCH': return gradeMatch(data, answer, response, maxScore, options);
+        case 'TABLE': return gradeTable(data, answer, response, maxScore, options);
+        case 'SUBJECTIVE': return gradeSubjective(answer, response, maxScore);
+        default: {
+            // Types registered with a grade hook: (data, answer, response, maxScore, options) → same result shape
+            const grade = getQuestionTypeDefinition(type)?.grade;
+            if (grade) return grade(data, answer, response, maxScore, options);
+            throw new Error(`Cannot grade question type: ${type}`);
+        }
+    }
+}
+
+// =====================================================
+// TYPE-SPECIFIC GRADERS
+// =====================================================
+
+function gradeMCQ(data, answer, response, maxScore) {
+    const correct = answer.correct_options;
+    if (correct.length === 0) return noKeyResult(maxScore);
+
+    const selected = (Array.isArray(response) ? response : (isBlank(response) ? [] : [response])).map(String);
+    if (selected.length === 0) {
+        return buildResult(0, maxScore, [{
+            part: 'options', correct: false, score: 0, maxScore,
+            response: [], expected: correct, feedback: 'No option selected'
+        }], { unanswered: true });
+    }
+
+    const missed = correct.filter(id => !selected.includes(id));
+    const extra = selected.filter(id => !correct.includes(id));
+    const isCorrect = missed.length === 0 && extra.length === 0;
+
+    let feedback = 'Correct';
+    if (!isCorrect) {
+        const notes = [];
+        if (extra.length) notes.push(`incorrect choice${extra.length > 1 ? 's' : ''}: ${extra.join(', ')}`);
+        if (missed.length) notes.push(`missed: ${missed.join(', ')}`);
+        feedback = notes.join('; ');
+        if (!data.allow_multiple && selected.length > 1) feedback = 'Only one option may be selected';
+    }
+
+    return buildResult(isCorrect ? maxScore : 0, maxScore, [{
+        part: 'options', correct: isCorrect, score: isCorrect ? maxScore : 0, maxScore,
+        response: selected, expected: correct, feedback
+    }]);
+}
+
+function gradeFIB(data, answer, response, maxScore, options) {
+    const gapCount = Math.max(countGapTokens(data.content), answer.gaps.length);
+    if (answer.gaps.length === 0 || answer.gaps.every(g => g.accepted.length === 0)) {
+        return noKeyResult(maxScore);
+    }
+
+    const responses = toIndexedList(response);
+    const perGap = maxScore / gapCount;
+    const parts = [];
+
+    for (let i = 0; i < gapCount; i++) {
+        const key = answer.gaps[i];
+        const given = responses[i];
+        parts.push(gradeBlank(`Gap ${i + 1}`, key, given, perGap));
+    }
+
+    return combineParts(parts, maxScore, options, isBlank(response) || responses.every(isBlank));
+}
+
+function gradeMatch(data, answer, response, maxScore, options) {
+    const pairs = data.pairs || [];
+    const matches = answer.matches;
+    if (!matches.some(m => Number.isInteger(m))) return noKeyResult(maxScore);
+
+    const chosen = toIndexedList(response);
+    const perItem = maxScore / pairs.length;
+    const parts = pairs.map((pair, i) => {
+        const expected = matches[i];
+        const given = chosen[i];
+        const label = `Item ${i + 1}`;
+        if (!Number.isInteger(expected)) {
+            return { part: label, correct: null, score: 0, maxScore: perItem, response: given, expected: null, feedback: 'No answer key' };
+        }
+        if (isBlank(given)) {
+            return { part: label, correct: false, score: 0, maxScore: perItem, response: null, expected, feedback: 'Not matched' };
+        }
+        const isCorrect = Number(given) === expected;
+        return {
+            part: label, correct: isCorrect, score: isCorrect ? perItem : 0, maxScore: perItem,
+            response: Number(given), expected,
+            feedback: isCorrect ? 'Correct' : `Expected ${String.fromCharCode(97 + expected)}`
+        };
+    });
+
+    return combineParts(parts, maxScore, options, chosen.every(isBlank));
+}
+
+function gradeTable(data, answer, response, maxScore, options) {
+    const cells = answer.cells;
+    if (cells.length === 0) return noKeyResult(maxScore);
+
+    const perCell = maxScore / cells.length;
+    const parts = cells.map(cell => {
+        const given = getTableCellResponse(response, cell.row, cell.col);
+        return gradeBlank(`Row ${cell.row + 1}, Column ${cell.col + 1}`, cell, given, perCell);
+    });
+
+    return combineParts(parts, maxScore, options, parts.every(p => isBlank(p.response)));
+}
+
+function gradeSubjective(answer, response, maxScore) {
+    const unanswered = isBlank(response);
+    return {
+        score: 0,
+        maxScore,
+        status: unanswered ? GRADE_STATUS.UNANSWERED : GRADE_STATUS.NEEDS_REVIEW,
+        needsReview: !unanswered,
+        parts: [{
+            part: 'response', correct: null, score: 0, maxScore,
+            response: unanswered ? null : String(response),
+            expected: answer.model_answer || null,
+            feedback: unanswered ? 'Not answered' : 'Marked by teacher'
+        }],
+        breakdown: []
+    };
+}
+
+/**
+ * Grade a COMPOSITE question: each sub-question is scored against its own
+ * answer key and marks allocation (see getSubQuestionMarks)
+ */
+function gradeComposite(data, response, maxScore, options) {
+    const subs = data.sub_questions || [];
+    const allocation = getSubQuestionMarks({ metadata: { marks: maxScore }, data });
+    const parts = [];
+    const breakdown = [];
+
+    subs.forEach((sq, i) => {
+        const subId = sq.id || String.fromCharCode(97 + i);
+        const subResponse = Array.isArray(response) ? response[i] : response?.[subId];
+        const subResult = gradeQuestionData(sq.type, sq.data || {}, subResponse, allocation[i], options);
+
+        breakdown.push({
+            id: subId,
+            type: sq.type,
+            score: subResult.score,
+            maxScore: subResult.maxScore,
+            status: subResult.status
+        });
+        subResult.parts.forEach(p => parts.push({ ...p, part: `(${subId}) ${p.part}` }));
+    });
+
+    const score = roundMarks(breakdown.reduce((sum, b) => sum + b.score, 0));
+    const statuses = breakdown.map(b => b.status);
+    let status;
+    if (statuses.every(s => s === GRADE_STATUS.UNANSWERED)) status = GRADE_STATUS.UNANSWERED;
+    else if (statuses.every(s => s === GRADE_STATUS.NO_KEY)) status = GRADE_STATUS.NO_KEY;
+    else if (score >= maxScore && maxScore > 0) status = GRADE_STATUS.CORRECT;
+    else if (statuses.some(s => s === GRADE_STATUS.NEEDS_REVIEW || s === GRADE_STATUS.NO_KEY)) status = GRADE_STATUS.NEEDS_REVIEW;
+    else if (score > 0) status = GRADE_STATUS.PARTIAL;
+    else status = GRADE_STATUS.INCORRECT;
+
+    return {
+        score,
+        maxScore,
+        status,
+        needsReview: statuses.some(s => s === GRADE_STATUS.NEEDS_REVIEW || s === GRADE_STATUS.NO_KEY),
+        parts,
+        breakdown
+    };
+}
+
+// =====================================================
+// MARKS ALLOCATION
+// =====================================================
+
+/**
+ * Work out the marks for each COMPOSITE sub-question
+ * Sub-questions with their own `marks` keep them; the rest of metadata.marks
+ * is split evenly across sub-questions without marks.
+ * @param {Object} question - COMPOSITE question
+ * @returns {number[]} Marks per sub-question (same order as data.sub_questions)
+ */
+function getSubQuestionMarks(question) {
+    const subs = question?.data?.sub_questions || [];
+    const total = Number(question?.metadata?.marks) || 0;
+    const assigned = subs.reduce((sum, sq) => sum + (typeof sq.marks === 'number' ? sq.marks : 0), 0);
+    const unassigned = subs.filter(sq => typeof sq.marks !== 'number').length;
+    const share = unassigned > 0 ? Math.max(total - assigned, 0) / unassigned : 0;
+
+    return subs.map(sq => typeof sq.marks === 'number' ? sq.marks : roundMarks(share));
+}
+
+// =====================================================
+// TOLERANT ANSWER MATCHING
+// =====================================================
+
+/**
+ * Check a free-text response against one blank's accepted values
+ * Ignores case (unless case_sensitive), extra whitespace and a trailing full stop;
+ * numbers compare by value ("1,000" = "1000.0", "1/2" = "0.5") within `tolerance`;
+ * units compare by alias ("5 cm" = "5 centimetres") and may be omitted unless unit_required.
+ * Any other text next to a number ("3 or 4", or a unit the key doesn't have) makes it a mismatch.
+ * @param {string} response - Student's text
+ * @param {Object} entry - { accepted[], case_sensitive?, tolerance?, unit_required? }
+ * @returns {boolean} True if the response matches any accepted value
+ */
+function matchesAcceptedAnswer(response, entry) {
+    if (isBlank(response) || !entry?.accepted?.length) return false;
+    const given = normalizeAnswerText(String(response), entry.case_sensitive);
+
+    return entry.accepted.some(value => {
+        const expected = normalizeAnswerText(String(value), entry.case_sensitive);
+        if (given === expected) return true;
+
+        const givenQty = parseQuantity(given);
+        const expectedQty = parseQuantity(expected);
+        if (!givenQty || !expectedQty) return false;
+
+        const tolerance = typeof entry.tolerance === 'number' ? entry.tolerance : 1e-9;
+        if (Math.abs(givenQty.value - expectedQty.value) > tolerance) return false;
+
+        if (!givenQty.unit) return !(entry.unit_required && expectedQty.unit);
+        return givenQty.unit === expectedQty.unit;
+    });
+}
+
+/**
+ * Normalize answer text for comparison
+ * @param {string} text - Raw text
+ * @param {boolean} caseSensitive - Keep letter case
+ * @returns {string} Trimmed, whitespace-collapsed text without a trailing full stop
+ */
+function normalizeAnswerText(text, caseSensitive = false) {
+    let normalized = text.replace(/\s+/g, ' ').trim().replace(/\.$/, '').trim();
+    if (!caseSensitive) normalized = normalized.toLowerCase();
+    return normalized;
+}
+
+/**
+ * Parse "1,250", "-3.5", "1/2", "₹ 20" or "12 cm" into { value, unit }
+ * @param {string} text - Normalized answer text
+ * @returns {Object|null} { value: number, unit: string } with the canonical unit ('' for none),
+ *                        or null if not numeric or the text after the number is not a known unit
+ */
+function parseQuantity(text) {
+    let str = text.replace(/−/g, '-').trim();
+
+    // Currency-style prefixes ("rs 20", "₹20")
+    let prefixUnit = '';
+    const prefix = str.match(/^(₹|rs\.?)\s*/i);
+    if (prefix) {
+        prefixUnit = 'rs';
+        str = str.slice(prefix[0].length);
+    }
+
+    const match = str.match(/^([-+]?(?:\d{1,3}(?:[,\s]\d{3})+|\d+)(?:\.\d+)?|[-+]?\.\d+)(?:\s*\/\s*(\d+(?:\.\d+)?))?\s*(.*)$/);
+    if (!match) return null;
+
+    let value = parseFloat(match[1].replace(/[,\s]/g, ''));
+    if (match[2] !== undefined) {
+        const denominator = parseFloat(match[2]);
+        if (denominator === 0) return null;
+        value = value / denominator;
+    }
+    if (!isFinite(value)) return null;
+
+    const rest = (match[3] || '').replace(/\.$/, '').trim();
+    if (!rest) return { value, unit: prefixUnit };
+    if (prefixUnit) return null;
+    const unit = canonicalUnit(rest);
+    return unit === null ? null : { value, unit };
+}
+
+/**
+ * Map a unit spelling to its canonical form (see UNIT_ALIASES)
+ * @param {string} unit - Unit text
+ * @returns {string|null} Canonical unit, or null if it is not a known unit
+ */
+function canonicalUnit(unit) {
+    const key = unit.toLowerCase().replace(/\s+/g, ' ').trim();
+    for (const [canonical, aliases] of Object.entries(UNIT_ALIASES)) {
+        if (aliases.includes(key)) return canonical;
+    }
+    return null;
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+function gradeBlank(label, key, given, partMax) {
+    if (!key || !key.accepted?.length) {
+        return { part: label, correct: null, score: 0, maxScore: partMax, response: given ?? null, expected: null, feedback: 'No answer key' };
+    }
+    if (isBlank(given)) {
+        return { part: label, correct: false, score: 0, maxScore: partMax, response: null, expected: key.accepted, feedback: 'Not answered' };
+    }
+    const isCorrect = matchesAcceptedAnswer(given, key);
+    return {
+        part: label,
+        correct: isCorrect,
+        score: isCorrect ? partMax : 0,
+        maxScore: partMax,
+        response: String(given),
+        expected: key.accepted,
+        feedback: isCorrect ? 'Correct' : `Expected ${key.accepted[0]}`
+    };
+}
+
+/**
+ * Combine equally weighted parts into a question result
+ */
+function combineParts(parts, maxScore, options, unanswered) {
+    const partialCredit = options.partialCredit !== false;
+    const keyed = parts.filter(p => p.correct !== null);
+    const allCorrect = keyed.length > 0 && keyed.every(p => p.correct);
+
+    let score;
+    if (partialCredit) {
+        score = parts.reduce((sum, p) => sum + p.score, 0);
+    } else {
+        score = allCorrect ? maxScore : 0;
+    }
+
+    const result = buildResult(score, maxScore, parts.map(p => ({ ...p, score: roundMarks(p.score), maxScore: roundMarks(p.maxScore) })), { unanswered });
+    if (parts.some(p => p.correct === null)) {
+        result.needsReview = true;
+    }
+    return result;
+}
+
+function buildResult(score, maxScore, parts, { unanswered = false } = {}) {
+    score = roundMarks(score);
+    let status;
+    if (unanswered) status = GRADE_STATUS.UNANSWERED;
+    else if (score >= maxScore && maxScore > 0) status = GRADE_STATUS.CORRECT;
+    else if (score > 0) status = GRADE_STATUS.PARTIAL;
+    else status = GRADE_STATUS.INCORRECT;
+
+    return { score, maxScore, status, needsReview: false, parts, breakdown: [] };
+}
+
+function noKeyResult(maxScore) {
+    return {
+        score: 0,
+        maxScore,
+        status: GRADE_STATUS.NO_KEY,
+        needsReview: true,
+        parts: [],
+        breakdown: []
+    };
+}
+
+function summarizeGrade(result) {
+    switch (result.status) {
+        case GRADE_STATUS.CORRECT: return `Correct (${result.score}/${result.maxScore})`;
+        case GRADE_STATUS.PARTIAL: return `Partially correct (${result.score}/${result.maxScore})`;
+        case GRADE_STATUS.INCORRECT: return `Incorrect (0/${result.maxScore})`;
+        case GRADE_STATUS.UNANSWERED: return `Not answered (0/${result.maxScore})`;
+        case GRADE_STATUS.NEEDS_REVIEW: return `Needs teacher review (${result.score}/${result.maxScore} auto-scored)`;
+        case GRADE_STATUS.NO_KEY: return 'No answer key - mark manually';
+        default: return '';
+    }
+}
+
+function getTableCellResponse(response, row, col) {
+    if (!response) return null;
+    if (Array.isArray(response)) return response[row]?.[col] ?? null;
+    return response[`${row},${col}`] ?? null;
+}
+
+function toIndexedList(response) {
+    if (Array.isArray(response)) return response;
+    if (response && typeof response === 'object') {
+        const list = [];
+        Object.keys(response).forEach(k => { list[parseInt(k, 10)] = response[k]; });
+        return list;
+    }
+    return isBlank(response) ? [] : [response];
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function roundMarks(value) {
+    return Math.round(value * MARKS_PRECISION) / MARKS_PRECISION;
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GRADE_STATUS, UNIT_ALIASES, MARKS_PRECISION, gradeQuestion, gradeResponses, gradeQuestionData,
+        getSubQuestionMarks, matchesAcceptedAnswer, normalizeAnswerText, parseQuantity, canonicalUnit,
+        summarizeGrade
+    };
+}
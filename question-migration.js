@@ -0,0 +1,568 @@
+/**
+ * Question Migration Module (Schema v5.1)
+ * Upgrades questions written for older schema versions to the current one
+ * Used by: question-parser.js (parseJson), assessment-authoring-tool.html (library fetch), index.js (Node)
+ *
+ * This module provides functions to:
+ * - Keep a registry of step-by-step migrations (2.0 → 5.1, 4.6 → 5.0 → 5.1, ...) and chain them
+ * - Map legacy taxonomy, type, prompt, options, stimulus and grading to v5.1 metadata/type/data
+ * - Turn legacy assets into [[image:...]] tokens
+ * - Report every legacy field that could not be mapped, with its path
+ *
+ * Legacy format (v2):
+ * {
+ *   question_id, taxonomy: { grade_id, subject_id, unit_id, section_id, type, difficulty, pool, skill_tags },
+ *   content: { prompt: { text, assets }, options: [{ opt_id, text, assets }], stimulus, subquestions },
+ *   grading: { kind, values, points }, metadata: { ui_hint, version, source }
+ * }
+ *
+ * Schema history:
+ * - 2.0: legacy format above (no schema_version; detected by shape)
+ * - 4.6: images as [[Q1.content.1]] tokens
+ * - 5.0: [[image:tag]] tokens; FIB data may carry its own options_pool
+ * - 5.1: options_pool only on COMPOSITE data; typed answer keys; TABLE column_widths
+ *
+ * To add a schema version: bump CURRENT_SCHEMA_VERSION in question-parser.js and add a
+ * { from, to, description, migrate } step (here or via registerSchemaMigration).
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides CURRENT_SCHEMA_VERSION, compareSchemaVersions, detectSchemaVersion,
+ *   traverseAllRichText, ensureDefaults, getStyleForType, generateId, LEGACY_IMAGE_TOKEN_REGEX,
+ *   GAP_TOKEN_REGEX, DIFFICULTY_LEVELS, POOL_TYPES)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Legacy taxonomy.type → v5.1 type
+const LEGACY_TYPE_MAP = {
+    'mcq': 'MCQ',
+    'single_choice': 'MCQ',
+    'multiple_choice': 'MCQ',
+    'multi_select': 'MCQ',
+    'true_false': 'MCQ',
+    'fill_blank': 'FIB',
+    'fill_in_the_blank': 'FIB',
+    'cloze': 'FIB',
+    'match_columns': 'MATCH',
+    'matching': 'MATCH',
+    'short_answer': 'SUBJECTIVE',
+    'long_answer': 'SUBJECTIVE',
+    'essay': 'SUBJECTIVE',
+    'table': 'TABLE',
+    'composite': 'COMPOSITE',
+    // No v5.1 equivalent: kept as SUBJECTIVE with the items listed (reported as unmapped)
+    'sequencing': 'SUBJECTIVE',
+    'sorting': 'SUBJECTIVE'
+};
+
+// Legacy subject_id values that are not simply title-cased
+const LEGACY_SUBJECT_NAMES = {
+    'evs': 'EVS',
+    'gk': 'GK'
+};
+
+// Runs of 3+ underscores are legacy blanks
+const LEGACY_BLANK_REGEX = /_{3,}/g;
+
+// Migration steps, keyed by the version they upgrade from.
+// migrate(question, report) receives a copy it may modify and returns the upgraded question;
+// anything it cannot carry over goes into report.unmapped as { path, reason }.
+const SCHEMA_MIGRATIONS = [
+    {
+        from: LEGACY_SCHEMA_VERSION,
+        to: '5.1',
+        description: 'taxonomy/prompt/grading → metadata/type/data',
+        migrate: (question, report) => {
+            const converted = convertLegacyQuestion(question);
+            report.unmapped.push(...converted.unmapped);
+            report.images.push(...converted.images);
+            return converted.question;
+        }
+    },
+    { from: '4.6', to: '5.0', description: '[[tag]] image tokens → [[image:tag]]', migrate: migrateImageTokens },
+    { from: '5.0', to: '5.1', description: 'FIB options_pool moves to the COMPOSITE parent', migrate: migrateOptionsPool }
+];
+
+// =====================================================
+// VERSION MIGRATION
+// =====================================================
+
+/**
+ * Upgrade a question to CURRENT_SCHEMA_VERSION by chaining migration steps
+ * @param {Object} obj - Raw question object (not modified)
+ * @param {string} fromVersion - Version it was written for (default: detectSchemaVersion)
+ * @returns {Object} { question, fromVersion, steps: ['4.6→5.0', ...], unmapped: [{ path, reason }],
+ *   images: [{ tag, uri }] } - question still needs validateAndNormalize()
+ * @throws {Error} If there is no migration path from fromVersion
+ */
+function migrateQuestion(obj, fromVersion = detectSchemaVersion(obj)) {
+    const report = { unmapped: [], images: [] };
+    const steps = [];
+    let question = JSON.parse(JSON.stringify(obj));
+    let version = String(fromVersion);
+
+    while (compareSchemaVersions(version, CURRENT_SCHEMA_VERSION) < 0) {
+        const step = SCHEMA_MIGRATIONS.find(m => m.from === version);
+        if (!step) {
+            throw new Error(`No migration from schema ${version} to ${CURRENT_SCHEMA_VERSION}`);
+        }
+        question = step.migrate(question, report);
+        question.schema_version = step.to;
+        steps.push(`${step.from}→${step.to}`);
+        version = step.to;
+    }
+
+    return { question, fromVersion: String(fromVersion), steps, unmapped: report.unmapped, images: report.images };
+}
+
+/**
+ * Add (or replace) the migration step for a version
+ * @param {Object} step - { from, to, description, migrate(question, report) }
+ * @throws {Error} If the step is malformed or does not move forward
+ */
+function registerSchemaMigration(step) {
+    if (!step || typeof step.migrate !== 'function' || !SCHEMA_VERSION_REGEX.test(String(step.from)) || !SCHEMA_VERSION_REGEX.test(String(step.to))) {
+        throw new Error('A migration needs "from" and "to" versions and a migrate(question, report) function');
+    }
+    if (compareSchemaVersions(step.to, step.from) <= 0) {
+        throw new Error(`Migration ${step.from}→${step.to} must move to a newer version`);
+    }
+    const existing = SCHEMA_MIGRATIONS.findIndex(m => m.from === String(step.from));
+    const normalized = { ...step, from: String(step.from), to: String(step.to) };
+    if (existing === -1) SCHEMA_MIGRATIONS.push(normalized);
+    else SCHEMA_MIGRATIONS[existing] = normalized;
+}
+
+/**
+ * 4.6 → 5.0: [[Q1.content.1]] → [[image:Q1.content.1]]
+ * @param {Object} question - Question (modified in place)
+ * @returns {Object} The question
+ */
+function migrateImageTokens(question) {
+    traverseAllRichText(question, (text) => typeof text === 'string'
+        ? text.replace(LEGACY_IMAGE_TOKEN_REGEX, (match, tag) => `[[image:${tag}]]`)
+        : text);
+    return question;
+}
+
+/**
+ * 5.0 → 5.1: FIB word banks (options_pool) move to the COMPOSITE parent
+ * A standalone FIB has nowhere to keep its word bank, so the words are appended to its content.
+ * @param {Object} question - Question (modified in place)
+ * @param {Object} report - { unmapped } (modified in place)
+ * @returns {Object} The question
+ */
+function migrateOptionsPool(question, report) {
+    const data = question.data || {};
+
+    if (question.type === 'COMPOSITE' && Array.isArray(data.sub_questions)) {
+        const pool = Array.isArray(data.options_pool) ? [...data.options_pool] : [];
+        data.sub_questions.forEach(sq => {
+            if (sq.type !== 'FIB' || !sq.data || sq.data.options_pool === undefined) return;
+            (Array.isArray(sq.data.options_pool) ? sq.data.options_pool : []).forEach(word => {
+                if (!pool.includes(word)) pool.push(word);
+            });
+            delete sq.data.options_pool;
+        });
+        if (pool.length > 0) data.options_pool = pool;
+    } else if (question.type === 'FIB' && data.options_pool !== undefined) {
+        const words = Array.isArray(data.options_pool) ? data.options_pool : [];
+        if (words.length > 0) {
+            data.content = `${data.content || ''}\n\n**Word bank:** ${words.join(' · ')}`;
+            report.unmapped.push({ path: 'data.options_pool', reason: 'a standalone FIB has no word bank in 5.1; the words were appended to data.content' });
+        }
+        delete data.options_pool;
+    }
+    return question;
+}
+
+// =====================================================
+// LEGACY (2.0) CONVERSION
+// =====================================================
+
+/**
+ * Convert a legacy question to v5.1
+ * @param {Object} legacy - Legacy question object (not modified)
+ * @returns {Object} { question, unmapped: [{ path, reason }], images: [{ tag, uri }] }
+ *   images lists the assets that became [[image:tag]] tokens, so callers can register their URIs
+ */
+function convertLegacyQuestion(legacy) {
+    const report = { unmapped: [], images: [] };
+    const taxonomy = legacy.taxonomy || {};
+    const content = legacy.content || {};
+    const id = String(legacy.question_id ?? legacy.id ?? '') || generateId();
+    const legacyType = String(taxonomy.type || legacy.type || '').toLowerCase();
+    const type = mapLegacyType(legacyType, report, 'taxonomy.type');
+
+    const question = {
+        id,
+        metadata: convertLegacyTaxonomy(taxonomy, legacy.grading, report),
+        type,
+        data: null,
+        solution: { text: convertLegacyText(legacy.solution ?? legacy.explanation ?? legacy.grading?.explanation ?? '', id, 'solution', report) }
+    };
+
+    // Legacy questions sometimes put prompt/options at the top level instead of under content
+    const source = {
+        prompt: content.prompt ?? legacy.prompt,
+        options: content.options ?? legacy.options,
+        stimulus: content.stimulus ?? legacy.stimulus,
+        subquestions: content.subquestions ?? legacy.subquestions
+    };
+
+    if (type === 'COMPOSITE') {
+        question.data = {
+            common_content: convertLegacyText(source.prompt, id, 'common', report, 'content.prompt'),
+            style: getStyleForType('COMPOSITE'),
+            sub_questions: (source.subquestions || []).map((sub, i) =>
+                convertLegacySubQuestion(sub, id, `content.subquestions[${i}]`, report))
+        };
+        // Legacy sub-question points often disagree with the question total; validateQuestion would reject them
+        const subs = question.data.sub_questions;
+        const subPoints = subs.reduce((sum, sq) => sum + (sq.marks ?? 0), 0);
+        const total = question.metadata.marks ?? 1;
+        if (subs.some(sq => sq.marks !== undefined) && (subPoints > total || (subs.every(sq => sq.marks !== undefined) && subPoints !== total))) {
+            subs.forEach(sq => { delete sq.marks; });
+            report.unmapped.push({ path: 'content.subquestions[].grading.points', reason: `sub-question points (${subPoints}) do not add up to the question points (${total}); left unset` });
+        }
+        if (legacy.grading?.values?.length) {
+            report.unmapped.push({ path: 'grading.values', reason: 'COMPOSITE answers belong on sub-questions' });
+        }
+    } else {
+        question.data = convertLegacyData(type, legacyType, source, legacy.grading, id, '', report);
+    }
+
+    reportUnknownKeys(legacy, ['question_id', 'id', 'taxonomy', 'content', 'grading', 'metadata', 'type', 'prompt', 'options', 'stimulus', 'subquestions', 'solution', 'explanation'], '', report);
+    reportUnknownKeys(content, ['prompt', 'options', 'stimulus', 'subquestions'], 'content.', report);
+    reportUnknownKeys(taxonomy, ['grade_id', 'subject_id', 'unit_id', 'section_id', 'type', 'difficulty', 'pool', 'subpool'], 'taxonomy.', report);
+    Object.keys(legacy.metadata || {}).forEach(key => {
+        report.unmapped.push({ path: `metadata.${key}`, reason: 'legacy metadata has no v5.1 field' });
+    });
+
+    return { question: ensureDefaults(question), unmapped: report.unmapped, images: report.images };
+}
+
+/**
+ * Convert a legacy sub-question
+ * @param {Object} sub - { sub_id, type, prompt, options, stimulus, grading }
+ * @param {string} questionId - Parent id (for image tags)
+ * @param {string} path - Path of the sub-question in the legacy object
+ * @param {Object} report - { unmapped, images } (modified in place)
+ * @returns {Object} v5.1 sub-question
+ */
+function convertLegacySubQuestion(sub, questionId, path, report) {
+    const subId = String(sub.sub_id ?? sub.id ?? '');
+    const legacyType = String(sub.type || '').toLowerCase();
+    let type = mapLegacyType(legacyType, report, `${path}.type`);
+    if (type === 'COMPOSITE') {
+        report.unmapped.push({ path: `${path}.type`, reason: 'nested composite is not allowed; converted to SUBJECTIVE' });
+        type = 'SUBJECTIVE';
+    }
+
+    const converted = {
+        id: subId,
+        type,
+        data: convertLegacyData(type, legacyType, sub, sub.grading, questionId, `sub.${subId}.`, report, path)
+    };
+    const points = parseLegacyPoints(sub.grading?.points);
+    if (points !== null) converted.marks = points;
+
+    reportUnknownKeys(sub, ['sub_id', 'id', 'type', 'prompt', 'options', 'stimulus', 'grading'], `${path}.`, report);
+    return converted;
+}
+
+/**
+ * Build v5.1 data for a non-composite legacy question or sub-question
+ * @param {string} type - v5.1 type
+ * @param {string} legacyType - Legacy type (lowercase)
+ * @param {Object} source - { prompt, options, stimulus }
+ * @param {Object} grading - Legacy grading { kind, values, points }
+ * @param {string} questionId - Question id (for image tags)
+ * @param {string} tagPrefix - Image tag prefix for sub-questions ('sub.a.') or ''
+ * @param {Object} report - { unmapped, images } (modified in place)
+ * @param {string} path - Legacy path of the source object ('' for the root content)
+ * @returns {Object} v5.1 data
+ */
+function convertLegacyData(type, legacyType, source, grading, questionId, tagPrefix, report, path = 'content') {
+    const at = (field) => path ? `${path}.${field}` : field;
+    const typePath = path === 'content' ? 'taxonomy.type' : at('type');
+    const gradingPath = path === 'content' ? 'grading' : `${path}.grading`;
+    const values = Array.isArray(grading?.values) ? grading.values : [];
+    const data = {
+        content: convertLegacyText(source.prompt, questionId, `${tagPrefix}content`, report, at('prompt')),
+        style: getStyleForType(type)
+    };
+
+    const options = (source.options || []).map((opt, i) => ({
+        legacyId: String(opt.opt_id ?? opt.id ?? String.fromCharCode(97 + i)),
+        text: convertLegacyText(opt, questionId, `${tagPrefix}opt.${opt.opt_id ?? i}`, report, at(`options[${i}]`))
+    }));
+
+    switch (legacyType) {
+        case 'sequencing': {
+            const order = values[0]?.order || [];
+            const byId = Object.fromEntries(options.map(opt => [opt.legacyId, opt.text]));
+            data.content += options.length ? `\n\n${options.map(opt => `- ${opt.text}`).join('\n')}` : '';
+            data.answer = { model_answer: order.map(optId => byId[optId] ?? optId).join(', ') };
+            report.unmapped.push({ path: typePath, reason: 'sequencing has no v5.1 type; converted to SUBJECTIVE with the correct order as model answer' });
+            return data;
+        }
+        case 'sorting': {
+            const groups = source.stimulus?.groups || [];
+            const byId = Object.fromEntries(options.map(opt => [opt.legacyId, opt.text]));
+            data.content += options.length ? `\n\n${options.map(opt => `- ${opt.text}`).join('\n')}` : '';
+            data.answer = {
+                model_answer: values.map(v => {
+                    const group = groups.find(g => g.group_id === v.group);
+                    return `${group?.text ?? v.group}: ${(v.items || []).map(item => byId[item] ?? item).join(', ')}`;
+                }).join('\n')
+            };
+            report.unmapped.push({ path: typePath, reason: 'sorting has no v5.1 type; converted to SUBJECTIVE with the groups as model answer' });
+            return data;
+        }
+    }
+
+    switch (type) {
+        case 'MCQ': {
+            let mcqOptions = options;
+            if (legacyType === 'true_false' && mcqOptions.length === 0) {
+                mcqOptions = [{ legacyId: 'true', text: 'True' }, { legacyId: 'false', text: 'False' }];
+            }
+            // v5.1 option ids are a, b, c...; keep a map to translate the legacy answer ids
+            const idMap = {};
+            data.options = mcqOptions.map((opt, i) => {
+                const newId = String.fromCharCode(97 + i);
+                idMap[opt.legacyId] = newId;
+                idMap[opt.legacyId.toLowerCase()] = newId;
+                return { id: newId, text: opt.text };
+            });
+            const correct = values.map(v => idMap[String(v)] ?? idMap[String(v).toLowerCase()]).filter(Boolean);
+            if (correct.length < values.length) {
+                report.unmapped.push({ path: `${gradingPath}.values`, reason: 'some correct options refer to unknown option ids' });
+            }
+            data.allow_multiple = legacyType === 'multi_select' || grading?.kind === 'multiple_selection' || correct.length > 1;
+            data.answer = { correct_options: correct };
+            break;
+        }
+        case 'FIB': {
+            // Legacy blanks (____) become [[gap]] tokens; one accepted list per gap
+            data.content = data.content.replace(LEGACY_BLANK_REGEX, '[[gap]]');
+            const gapCount = (data.content.match(GAP_TOKEN_REGEX) || []).length;
+            if (gapCount === 0) {
+                data.content += ' [[gap]]';
+                report.unmapped.push({ path: at('prompt.text'), reason: 'no ____ blank found; a [[gap]] was added at the end' });
+            }
+            const accepted = values.map(v => String(v));
+            const gaps = Math.max(gapCount, 1);
+            data.answer = {
+                gaps: accepted.length === 0 ? [] : gaps === accepted.length
+                    ? accepted.map(v => ({ accepted: [v] }))
+                    : [{ accepted }]
+            };
+            if (accepted.length > 0 && gaps > 1 && gaps !== accepted.length) {
+                report.unmapped.push({ path: `${gradingPath}.values`, reason: `${accepted.length} values for ${gaps} blanks; all were accepted for the first blank` });
+            }
+            break;
+        }
+        case 'MATCH': {
+            const columns = source.stimulus?.pairs || {};
+            const left = columns.left_column || [];
+            const right = columns.right_column || [];
+            const count = Math.max(left.length, right.length);
+            data.pairs = Array.from({ length: count }, (_, i) => ({
+                left: convertLegacyText(left[i], questionId, `${tagPrefix}left.${i + 1}`, report, at(`stimulus.pairs.left_column[${i}]`)),
+                right: convertLegacyText(right[i], questionId, `${tagPrefix}right.${i + 1}`, report, at(`stimulus.pairs.right_column[${i}]`))
+            }));
+            const rightIndex = Object.fromEntries(right.map((item, i) => [item.id, i]));
+            const matches = left.map(item => {
+                const pair = values.find(v => Array.isArray(v.pair) && v.pair[0] === item.id);
+                return pair && pair.pair[1] in rightIndex ? rightIndex[pair.pair[1]] : null;
+            });
+            data.answer = { matches: matches.some(m => m !== null) ? matches : [] };
+            break;
+        }
+        case 'TABLE': {
+            const table = source.stimulus?.table || {};
+            data.table = {
+                header: (table.header || []).map(cell => convertLegacyText(cell, questionId, `${tagPrefix}table`, report, at('stimulus.table.header'))),
+                rows: (table.rows || []).map(row => (row || []).map(cell => convertLegacyText(cell, questionId, `${tagPrefix}table`, report, at('stimulus.table.rows'))))
+            };
+            if (values.length) {
+                report.unmapped.push({ path: `${gradingPath}.values`, reason: 'table answers have no legacy cell positions' });
+            }
+            break;
+        }
+        case 'SUBJECTIVE': {
+            if (legacyType === 'short_answer' || legacyType === 'long_answer') {
+                data.expected_length = legacyType === 'long_answer' ? 'long' : 'short';
+            }
+            if (values.length) data.answer = { model_answer: values.map(v => String(v)).join('\n') };
+            break;
+        }
+    }
+
+    if (type !== 'MCQ' && options.length > 0) {
+        report.unmapped.push({ path: at('options'), reason: `options are not used by ${type}` });
+    }
+    if (source.stimulus && !['MATCH', 'TABLE'].includes(type)) {
+        report.unmapped.push({ path: at('stimulus'), reason: `stimulus is not used by ${type}` });
+    }
+    return data;
+}
+
+// =====================================================
+// FIELD MAPPING HELPERS
+// =====================================================
+
+/**
+ * Map a legacy type to v5.1, reporting unknown types
+ * @returns {string} v5.1 type (SUBJECTIVE if unknown)
+ */
+function mapLegacyType(legacyType, report, path) {
+    const type = LEGACY_TYPE_MAP[legacyType];
+    if (!type) {
+        report.unmapped.push({ path, reason: `unknown legacy type "${legacyType}"; converted to SUBJECTIVE` });
+        return 'SUBJECTIVE';
+    }
+    return type;
+}
+
+/**
+ * Convert legacy taxonomy (+ grading points) to v5.1 metadata
+ * @param {Object} taxonomy - Legacy taxonomy
+ * @param {Object} grading - Legacy grading (for points)
+ * @param {Object} report - { unmapped } (modified in place)
+ * @returns {Object} v5.1 metadata (missing fields are filled by ensureDefaults)
+ */
+function convertLegacyTaxonomy(taxonomy, grading, report) {
+    const metadata = {};
+    const titleCase = (value) => String(value).charAt(0).toUpperCase() + String(value).slice(1).toLowerCase();
+
+    if (taxonomy.grade_id !== undefined) {
+        const match = /(\d+)/.exec(String(taxonomy.grade_id));
+        metadata.grade = match ? Number(match[1]) : titleCase(String(taxonomy.grade_id).replace(/^grade_/, ''));
+    }
+    if (taxonomy.subject_id !== undefined) {
+        const subject = String(taxonomy.subject_id).toLowerCase();
+        metadata.subject = LEGACY_SUBJECT_NAMES[subject] || subject.split('_').map(titleCase).join(' ');
+    }
+    if (taxonomy.unit_id !== undefined) {
+        // "ch1" → 1, "ch_measurement" → "Measurement"
+        const unit = String(taxonomy.unit_id).replace(/^(ch|unit)_?/i, '');
+        metadata.chapter = /^\d+$/.test(unit) ? Number(unit) : unit.split('_').map(titleCase).join(' ');
+    }
+    if (taxonomy.section_id !== undefined) metadata.section = String(taxonomy.section_id).toUpperCase();
+    if (taxonomy.difficulty !== undefined) {
+        const difficulty = titleCase(taxonomy.difficulty);
+        if (DIFFICULTY_LEVELS.includes(difficulty)) metadata.difficulty = difficulty;
+        else report.unmapped.push({ path: 'taxonomy.difficulty', reason: `unknown difficulty "${taxonomy.difficulty}"` });
+    }
+    if (taxonomy.pool !== undefined) {
+        const pool = titleCase(taxonomy.pool);
+        if (POOL_TYPES.includes(pool)) metadata.pool = pool;
+        else report.unmapped.push({ path: 'taxonomy.pool', reason: `unknown pool "${taxonomy.pool}"` });
+    }
+    if (taxonomy.subpool !== undefined) metadata.subpool = titleCase(taxonomy.subpool);
+    if (metadata.pool === 'Practice') metadata.subpool = 'NA';
+
+    const points = parseLegacyPoints(grading?.points);
+    if (points !== null) {
+        metadata.marks = Math.round(points);
+        if (metadata.marks !== points) {
+            report.unmapped.push({ path: 'grading.points', reason: `fractional points ${points} rounded to ${metadata.marks}` });
+        }
+    }
+    return metadata;
+}
+
+/**
+ * Convert a legacy text node ({ text, assets } or a plain string) to RichText
+ * Assets become [[image:tag|width:W|height:H]] tokens appended on their own line.
+ * @param {Object|string} node - Legacy text node
+ * @param {string} questionId - Question id (for image tags)
+ * @param {string} location - Tag location (e.g. 'content', 'opt.b', 'sub.a.content')
+ * @param {Object} report - { unmapped, images } (modified in place)
+ * @param {string} path - Legacy path (for the report)
+ * @returns {string} RichText
+ */
+function convertLegacyText(node, questionId, location, report, path = location) {
+    if (node === undefined || node === null) return '';
+    if (typeof node !== 'object') return String(node);
+
+    let text = node.text !== undefined ? String(node.text) : '';
+    const assets = Array.isArray(node.assets) ? node.assets : [];
+    const tokens = assets.map((asset, i) => {
+        const uri = typeof asset === 'string' ? asset : asset?.uri || asset?.url || asset?.src || '';
+        if (!uri && !asset?.id) {
+            report.unmapped.push({ path: `${path}.assets[${i}]`, reason: 'asset has no uri or id' });
+            return '';
+        }
+        const tag = getLegacyAssetTag(asset, uri, `${questionId}.${location}.${i + 1}`);
+        report.images.push({ tag, uri });
+
+        let token = `[[image:${tag}`;
+        if (asset?.width) token += `|width:${parseInt(asset.width, 10)}`;
+        if (asset?.height) token += `|height:${parseInt(asset.height, 10)}`;
+        return `${token}]]`;
+    }).filter(Boolean);
+
+    if (tokens.length > 0) text = text ? `${text}\n\n${tokens.join(' ')}` : tokens.join(' ');
+    return text;
+}
+
+/**
+ * Pick an image tag for a legacy asset: its id, else its file name, else a positional tag
+ * (positional tags follow the filename-as-tag convention, e.g. Q1.content.1)
+ * @returns {string} Tag safe to put inside [[image:...]]
+ */
+function getLegacyAssetTag(asset, uri, fallback) {
+    let tag = asset?.id || '';
+    if (!tag && uri && !uri.startsWith('data:')) {
+        tag = uri.split(/[?#]/)[0].split('/').pop().replace(/\.[a-z0-9]+$/i, '');
+    }
+    return String(tag || fallback).replace(/[\]|\s]/g, '_');
+}
+
+/**
+ * Parse legacy points ("2", 2, "1.5")
+ * @returns {number|null} Points, or null if missing / not a number
+ */
+function parseLegacyPoints(points) {
+    if (points === undefined || points === null || points === '') return null;
+    const value = Number(points);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Report keys of a legacy object that the converter does not know (empty values are ignored)
+ * @param {Object} obj - Legacy object
+ * @param {string[]} known - Keys that are handled
+ * @param {string} prefix - Path prefix
+ * @param {Object} report - { unmapped } (modified in place)
+ */
+function reportUnknownKeys(obj, known, prefix, report) {
+    if (!obj || typeof obj !== 'object') return;
+    Object.keys(obj).forEach(key => {
+        const value = obj[key];
+        const isEmpty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        if (!known.includes(key) && !isEmpty) {
+            report.unmapped.push({ path: `${prefix}${key}`, reason: 'no v5.1 field' });
+        }
+    });
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEGACY_TYPE_MAP, LEGACY_SUBJECT_NAMES, LEGACY_BLANK_REGEX, SCHEMA_MIGRATIONS,
+        migrateQuestion, registerSchemaMigration, migrateImageTokens, migrateOptionsPool,
+        convertLegacyQuestion, convertLegacySubQuestion, convertLegacyData, mapLegacyType,
+        convertLegacyTaxonomy, convertLegacyText, getLegacyAssetTag, parseLegacyPoints,
+        reportUnknownKeys
+    };
+}
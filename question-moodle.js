@@ -0,0 +1,505 @@
+/**
+ * Question Moodle Module (Schema v5.1)
+ * Export of question banks for Moodle, as Moodle XML or GIFT
+ * Used by: assessment-authoring-tool.html (Export Moodle XML, Export GIFT)
+ *
+ * This module provides functions to:
+ * - Export a bank as Moodle XML, images embedded in the questions (createMoodleXml)
+ * - Export a bank as GIFT text; images only as links to published URLs (createGiftText)
+ * - Turn RichText into HTML for Moodle: LaTeX as \(…\) for Moodle's MathJax filter (richTextToMoodleHtml)
+ *
+ * Mapping:
+ * - MCQ:        multichoice; with data.allow_multiple each correct option is an equal share of
+ *               the marks and a wrong one takes them all (Moodle has no all-or-nothing multichoice)
+ * - FIB:        cloze (Moodle XML) with a SHORTANSWER, SHORTANSWER_C (case_sensitive) or NUMERICAL
+ *               (tolerance) field in each gap; GIFT has one blank per question, so only FIB with one gap
+ * - MATCH:      matching; Column B items nothing matches are extra answers (Moodle XML only)
+ * - SUBJECTIVE: essay; the model answer is the grader information (Moodle XML only)
+ * - TABLE, COMPOSITE: no mapping; listed in the report as skipped
+ * metadata.chapter and metadata.section become categories ($course$/top/Chapter 3/Fractions),
+ * solution.text the general feedback, metadata.marks the default mark and the question id the ID number.
+ *
+ * Each type converts through two hooks on its definition (see registerQuestionType), so types
+ * registered later can be exported too:
+ *   toMoodleXml(data, context) - { type, text?, fields: string[] }: the Moodle question type, the question
+ *                                text (default: data.content) and the type's XML elements
+ *   toGift(data, context)      - { answer, text?, after? }: the answer block (inside {…}), the question text
+ *                                before it (default: data.content) and any text after it
+ *   context = { marks, richText(text, { gap }), plainText(text), warn(message), skip(reason) }
+ *     richText  - RichText as a Moodle XML text element (<text> and <file>s) or as escaped GIFT;
+ *                 gap(index) returns what goes in each gap (default: a ______ blank)
+ *     plainText - RichText as plain text (Moodle shows matching answers without formatting);
+ *                 XML-escaping is left to the hook, GIFT-escaping is done
+ *     skip      - Returns null; a hook returns skip(reason) for a question it can't export
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides registerQuestionType, getQuestionTypeDefinition)
+ * - question-renderer.js (provides formatRichText, escapeHtmlText, RESPONSE_TEXT_ROWS)
+ * - image-bundle.js (provides blobToDataUrl)
+ * - question-package.js (provides collectPackageImages, QUESTION_PACKAGE_IMAGE_FOLDER)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const MOODLE_CATEGORY_ROOT = '$course$/top';
+// Questions without chapter and section (the top category can't hold questions)
+const MOODLE_DEFAULT_CATEGORY = 'Uncategorised';
+// Embedded files are referenced through this placeholder in Moodle XML text
+const MOODLE_PLUGINFILE = '@@PLUGINFILE@@';
+// Essay response boxes are 5 to 40 lines, in steps of 5
+const MOODLE_FIELD_LINES_STEP = 5;
+// A gap as formatRichText renders it for print (see renderGap)
+const MOODLE_GAP_HTML_REGEX = /<span class="p-gap" style="[^"]*">&nbsp;<\/span>/g;
+// Accepted values NUMERICAL can compare with a tolerance
+const MOODLE_NUMBER_REGEX = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+
+// =====================================================
+// EXPORT
+// =====================================================
+
+/**
+ * Build a Moodle XML file from a bank and an image store
+ * Images are embedded (base64) in the text that shows them; tags without an image are reported, not fatal.
+ * @param {Array} questions - v5.1 questions, ready for export (see prepareForExport)
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType? } (see image-bundle.js)
+ * @returns {Promise<Object>} {
+ *   text,                                   - Moodle XML (<quiz>)
+ *   report: { exported, skipped: [{ questionId, reason }], warnings: [{ questionId, message }] },
+ *   missing: [{ tag, reason }]
+ * }
+ */
+async function createMoodleXml(questions, imageStore) {
+    const { files, images, missing } = await collectPackageImages(questions, imageStore);
+    const blobs = new Map(files.map(file => [file.name, file.data]));
+    const imageFiles = new Map();
+    for (const [tag, { file }] of Object.entries(images)) {
+        const dataUrl = await blobToDataUrl(blobs.get(file));
+        imageFiles.set(tag, {
+            name: file.slice(QUESTION_PACKAGE_IMAGE_FOLDER.length),
+            base64: dataUrl.slice(dataUrl.indexOf(',') + 1)
+        });
+    }
+
+    const richText = (text, options) => buildMoodleText(text, imageFiles, options);
+    const report = { exported: 0, skipped: [], warnings: [] };
+    const converted = convertMoodleQuestions(questions, 'toMoodleXml', {
+        richText,
+        plainText: (text) => richTextToMoodlePlainText(text)
+    }, report);
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+    let category = null;
+    converted.forEach(({ question, result, marks }) => {
+        const path = getMoodleCategory(question.metadata);
+        if (path !== category) {
+            lines.push('  <question type="category">',
+                `    <category><text>${escapeHtmlText(path)}</text></category>`,
+                '  </question>');
+            category = path;
+        }
+        lines.push(
+            `  <question type="${result.type}">`,
+            `    <name><text>${escapeHtmlText(question.id)}</text></name>`,
+            `    <questiontext format="html">${result.text ?? richText(question.data?.content)}</questiontext>`,
+            `    <generalfeedback format="html">${richText(question.solution?.text)}</generalfeedback>`,
+            `    <defaultgrade>${formatMoodleNumber(marks)}</defaultgrade>`,
+            '    <hidden>0</hidden>',
+            `    <idnumber>${escapeHtmlText(question.id)}</idnumber>`,
+            ...result.fields.map(field => `    ${field}`),
+            '  </question>'
+        );
+    });
+    lines.push('</quiz>');
+    return { text: lines.join('\n'), report, missing };
+}
+
+/**
+ * Build a GIFT file from a bank
+ * GIFT can't carry files: images published at an http(s) URL are linked, others are reported as missing.
+ * @param {Array} questions - v5.1 questions, ready for export (see prepareForExport)
+ * @param {Map} imageStore - tag → { dataUrl } (see image-bundle.js)
+ * @returns {Object} {
+ *   text,                                   - GIFT
+ *   report: { exported, skipped: [{ questionId, reason }], warnings: [{ questionId, message }] },
+ *   missing: [{ tag, reason }]
+ * }
+ */
+function createGiftText(questions, imageStore = new Map()) {
+    const missing = [];
+    const imageResolver = (tag) => {
+        const url = imageStore.get(tag)?.dataUrl || '';
+        if (/^https?:\/\//i.test(url)) return url;
+        if (!missing.some(m => m.tag === tag)) {
+            missing.push({ tag, reason: imageStore.has(tag) ? 'not published at a URL (GIFT can only link images)' : 'no image uploaded' });
+        }
+        return null;
+    };
+
+    const richText = (text, options) => escapeGiftText(richTextToMoodleHtml(text, { ...options, imageResolver }));
+    const report = { exported: 0, skipped: [], warnings: [] };
+    const converted = convertMoodleQuestions(questions, 'toGift', {
+        richText,
+        plainText: (text) => escapeGiftText(richTextToMoodlePlainText(text))
+    }, report);
+
+    const blocks = [];
+    let category = null;
+    converted.forEach(({ question, result }) => {
+        const path = getMoodleCategory(question.metadata);
+        if (path !== category) {
+            blocks.push(`$CATEGORY: ${path}`);
+            category = path;
+        }
+        const text = result.text ?? richText(question.data?.content);
+        const feedback = question.solution?.text ? ` ####${richText(question.solution.text)}` : '';
+        blocks.push(`// ${question.id}\n::${escapeGiftText(question.id)}::[html]${text}{${result.answer}${feedback}}${result.after || ''}`);
+    });
+    return { text: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', report, missing };
+}
+
+/**
+ * Run a type hook on each question, recording what can't be exported
+ * @param {Array} questions - v5.1 questions
+ * @param {string} hook - 'toMoodleXml' or 'toGift'
+ * @param {Object} helpers - { richText, plainText } for the hook context
+ * @param {Object} report - { exported, skipped, warnings } (modified in place)
+ * @returns {Array} [{ question, result, marks }] for the questions that were converted, in bank order
+ */
+function convertMoodleQuestions(questions, hook, helpers, report) {
+    const converted = [];
+    questions.forEach(question => {
+        const definition = getQuestionTypeDefinition(question.type);
+        if (!definition?.[hook]) {
+            report.skipped.push({ questionId: question.id, reason: `${question.type} questions have no Moodle mapping` });
+            return;
+        }
+        let reason = '';
+        const marks = Number(question.metadata?.marks) || 0;
+        const result = definition[hook](question.data || {}, {
+            ...helpers,
+            marks,
+            warn: (message) => report.warnings.push({ questionId: question.id, message }),
+            skip: (why) => {
+                reason = why;
+                return null;
+            }
+        });
+        if (!result) {
+            report.skipped.push({ questionId: question.id, reason: reason || 'could not be converted' });
+            return;
+        }
+        converted.push({ question, result, marks });
+    });
+    report.exported = converted.length;
+    return converted;
+}
+
+// =====================================================
+// TEXT CONVERSION
+// =====================================================
+
+/**
+ * Convert RichText to HTML for Moodle
+ * Renders it with formatRichText (Markdown, sanitized HTML); math stays LaTeX, as \(…\) or \[…\],
+ * which Moodle's MathJax filter typesets.
+ * @param {string} text - RichText
+ * @param {Object} options
+ * @param {Function} options.imageResolver - Function(tag) => URL or null ([Image: tag] placeholder)
+ * @param {Function} options.gap - Function(index) => what goes in each gap (default: a ______ blank)
+ * @returns {string} HTML
+ */
+function richTextToMoodleHtml(text, { imageResolver = () => null, gap = () => '______' } = {}) {
+    if (text === null || text === undefined || text === '') return '';
+    let index = 0;
+    return formatRichText(String(text), { imageResolver, mathOutput: 'tex' })
+        .replace(MOODLE_GAP_HTML_REGEX, () => gap(index++));
+}
+
+/**
+ * @param {string} text - RichText
+ * @returns {string} Its text content, without markup (math as \(…\))
+ */
+function richTextToMoodlePlainText(text) {
+    const html = richTextToMoodleHtml(text);
+    if (!html) return '';
+    return new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html').body.textContent.trim();
+}
+
+/**
+ * Content of a Moodle XML text element: the HTML, then the images it shows as embedded files
+ * @param {string} text - RichText
+ * @param {Map} imageFiles - tag → { name, base64 }
+ * @param {Object} options - richTextToMoodleHtml options (gap)
+ * @returns {string} <text> and <file> elements
+ */
+function buildMoodleText(text, imageFiles, options = {}) {
+    const used = new Map();
+    const html = richTextToMoodleHtml(text, {
+        ...options,
+        imageResolver: (tag) => {
+            const file = imageFiles.get(tag);
+            if (!file) return null;
+            used.set(file.name, file);
+            return `${MOODLE_PLUGINFILE}/${encodeURIComponent(file.name)}`;
+        }
+    });
+    // ]]> can't appear inside CDATA: split it over two sections
+    const cdata = html ? `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>` : '';
+    return `<text>${cdata}</text>` + Array.from(used.values(), file =>
+        `<file name="${escapeHtmlText(file.name)}" path="/" encoding="base64">${file.base64}</file>`).join('');
+}
+
+/**
+ * Escape text for GIFT: ~ = # { } : and backslash are escaped, line breaks written as \n
+ * (a blank line would end the question)
+ * @param {string} text - Text or HTML
+ * @returns {string} GIFT text
+ */
+function escapeGiftText(text) {
+    return String(text ?? '').replace(/[\\~=#{}:]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Escape an answer inside a cloze field: HTML special characters, and } # ~ / " \ with a backslash
+ * @param {string} text - Accepted value
+ * @returns {string} Cloze answer text
+ */
+function escapeMoodleClozeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/[}#~/"\\]/g, '\\$&');
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Category of a question: the chapter, then the section, below the course's top category
+ * @param {Object} metadata - Question metadata
+ * @returns {string} Category path ('/' in a name is written '//'); MOODLE_DEFAULT_CATEGORY without either
+ */
+function getMoodleCategory(metadata = {}) {
+    const chapter = String(metadata?.chapter ?? '').trim();
+    const section = String(metadata?.section ?? '').trim();
+    const names = [/^\d+$/.test(chapter) ? `Chapter ${chapter}` : chapter, section].filter(Boolean);
+    if (names.length === 0) names.push(MOODLE_DEFAULT_CATEGORY);
+    return [MOODLE_CATEGORY_ROOT, ...names.map(name => name.replace(/\//g, '//'))].join('/');
+}
+
+/**
+ * Grade fraction of each MCQ option, in percent
+ * @param {Array} options - MCQ options
+ * @param {string[]} correct - Correct option ids
+ * @param {boolean} multiple - data.allow_multiple
+ * @returns {string[]} One fraction per option
+ */
+function getMoodleChoiceFractions(options, correct, multiple) {
+    const share = formatMoodleNumber(100 / correct.length);
+    return options.map(opt => {
+        if (correct.includes(opt.id)) return multiple ? share : '100';
+        return multiple ? '-100' : '0';
+    });
+}
+
+/**
+ * Column A items with their match, and the Column B items nothing matches
+ * @param {Object} data - MATCH data
+ * @param {Function} warn - Receives items left out
+ * @returns {Object} { items: [{ left, right }], distractors: [right] }
+ */
+function getMoodleMatchItems(data, warn) {
+    const pairs = data.pairs || [];
+    const matches = data.answer?.matches || [];
+    const items = [];
+    const used = new Set();
+    pairs.forEach((pair, i) => {
+        const j = matches[i];
+        if (!Number.isInteger(j) || !pairs[j]) {
+            warn(`Column A item ${i + 1} has no match in the answer key; left out`);
+            return;
+        }
+        items.push({ left: pair.left, right: pairs[j].right });
+        used.add(j);
+    });
+    const distractors = pairs.filter((pair, j) => !used.has(j)).map(pair => pair.right);
+    return { items, distractors };
+}
+
+/**
+ * Moodle matching needs two items to match and three different answers to choose from
+ * @param {Array} items - { left, right } from getMoodleMatchItems
+ * @param {Array} answers - Every answer offered (matched and extra), as plain text
+ * @returns {boolean} True if Moodle accepts the question
+ */
+function isMoodleMatchingValid(items, answers) {
+    return items.length >= 2 && new Set(answers).size >= 3;
+}
+
+/**
+ * @param {number} value - Marks or a fraction
+ * @returns {string} Up to 5 decimal places (as Moodle lists fractions such as 33.33333), no trailing zeros
+ */
+function formatMoodleNumber(value) {
+    return String(Math.round((Number(value) || 0) * 100000) / 100000);
+}
+
+// =====================================================
+// QUESTION TYPE MOODLE HOOKS
+// =====================================================
+
+registerQuestionType('MCQ', {
+    toMoodleXml: (data, { richText, skip }) => {
+        const options = data.options || [];
+        const correct = (data.answer?.correct_options || []).filter(id => options.some(opt => opt.id === id));
+        if (correct.length === 0) return skip('No correct option in the answer key');
+        const fractions = getMoodleChoiceFractions(options, correct, data.allow_multiple);
+        return {
+            type: 'multichoice',
+            fields: [
+                `<single>${data.allow_multiple ? 'false' : 'true'}</single>`,
+                '<shuffleanswers>false</shuffleanswers>',
+                '<answernumbering>abc</answernumbering>',
+                ...options.map((opt, i) => `<answer fraction="${fractions[i]}" format="html">${richText(opt.text)}` +
+                    '<feedback format="html"><text></text></feedback></answer>')
+            ]
+        };
+    },
+    toGift: (data, { richText, skip }) => {
+        const options = data.options || [];
+        const correct = (data.answer?.correct_options || []).filter(id => options.some(opt => opt.id === id));
+        if (correct.length === 0) return skip('No correct option in the answer key');
+        const fractions = getMoodleChoiceFractions(options, correct, data.allow_multiple);
+        return {
+            answer: options.map((opt, i) => {
+                if (data.allow_multiple) return `~%${fractions[i]}%${richText(opt.text)}`;
+                return `${fractions[i] === '100' ? '=' : '~'}${richText(opt.text)}`;
+            }).join(' ')
+        };
+    }
+});
+
+registerQuestionType('FIB', {
+    // Every gap a cloze field of weight 1, so the marks are split evenly over the gaps
+    toMoodleXml: (data, { richText, warn, skip }) => {
+        const gaps = data.answer?.gaps || [];
+        const unkeyed = [];
+        let count = 0;
+        const text = richText(data.content, {
+            gap: (i) => {
+                count++;
+                const entry = gaps[i];
+                if (!(entry?.accepted?.length > 0)) {
+                    unkeyed.push(i + 1);
+                    return '______';
+                }
+                if (entry.unit_required) warn(`Gap ${i + 1}: unit rules are not part of Moodle; only the accepted values are scored`);
+                const accepted = [...new Set(entry.accepted)];
+                if (typeof entry.tolerance === 'number') {
+                    if (accepted.every(value => MOODLE_NUMBER_REGEX.test(value.trim()))) {
+                        return `{1:NUMERICAL:${accepted.map(value => `=${value.trim()}:${entry.tolerance}`).join('~')}}`;
+                    }
+                    warn(`Gap ${i + 1}: the tolerance only applies to plain numbers; exported as a text answer`);
+                }
+                const field = entry.case_sensitive ? 'SHORTANSWER_C' : 'SHORTANSWER';
+                return `{1:${field}:${accepted.map(value => `=${escapeMoodleClozeText(value)}`).join('~')}}`;
+            }
+        });
+        if (count === 0) return skip('No gaps in the content');
+        if (unkeyed.length > 0) return skip(`No accepted answer for gap ${unkeyed.join(', ')}`);
+        return { type: 'cloze', text, fields: [] };
+    },
+    // A short answer (or numerical) blank inside the text
+    toGift: (data, { richText, warn, skip }) => {
+        let count = 0;
+        const text = richText(data.content, { gap: () => `\uE000GAP${count++}\uE001` });
+        if (count === 0) return skip('No gaps in the content');
+        if (count > 1) return skip('GIFT has one blank per question; export FIB with several gaps as Moodle XML');
+        const entry = data.answer?.gaps?.[0];
+        if (!(entry?.accepted?.length > 0)) return skip('No accepted answer for gap 1');
+
+        const accepted = [...new Set(entry.accepted)];
+        const [before, after] = text.split('\uE000GAP0\uE001');
+        if (typeof entry.tolerance === 'number' && accepted.every(value => MOODLE_NUMBER_REGEX.test(value.trim()))) {
+            return { text: before, answer: `#${accepted.map(value => `=${value.trim()}:${entry.tolerance}`).join(' ')}`, after };
+        }
+        if (entry.case_sensitive) warn('GIFT short answers ignore case; the answer is not case sensitive in Moodle');
+        if (entry.unit_required) warn('Unit rules are not part of GIFT; only the accepted values are scored');
+        return { text: before, answer: accepted.map(value => `=${escapeGiftText(value)}`).join(' '), after };
+    }
+});
+
+registerQuestionType('MATCH', {
+    toMoodleXml: (data, { richText, plainText, warn, skip }) => {
+        if (!(data.answer?.matches || []).some(Number.isInteger)) return skip('No matches in the answer key');
+        const { items, distractors } = getMoodleMatchItems(data, warn);
+        const answers = [...items.map(item => item.right), ...distractors].map(plainText);
+        if (!isMoodleMatchingValid(items, answers)) {
+            return skip('Moodle matching needs at least two matched items and three different Column B answers');
+        }
+        if ([...items.map(item => item.right), ...distractors].some(right => /\[\[image:/.test(right || ''))) {
+            warn('Moodle shows matching answers as plain text; Column B images are left out');
+        }
+        return {
+            type: 'matching',
+            fields: [
+                '<shuffleanswers>true</shuffleanswers>',
+                ...items.map((item, i) => `<subquestion format="html">${richText(item.left)}` +
+                    `<answer><text>${escapeHtmlText(answers[i])}</text></answer></subquestion>`),
+                // Extra answers: Column B items nothing matches
+                ...distractors.map((right, i) => '<subquestion format="html"><text></text>' +
+                    `<answer><text>${escapeHtmlText(answers[items.length + i])}</text></answer></subquestion>`)
+            ]
+        };
+    },
+    toGift: (data, { richText, plainText, warn, skip }) => {
+        if (!(data.answer?.matches || []).some(Number.isInteger)) return skip('No matches in the answer key');
+        const { items, distractors } = getMoodleMatchItems(data, warn);
+        const answers = items.map(item => plainText(item.right));
+        if (!isMoodleMatchingValid(items, answers)) {
+            return skip('GIFT matching needs at least three matched items with different Column B answers');
+        }
+        if (distractors.length > 0) {
+            warn(`GIFT has no extra answers; ${distractors.length} Column B item(s) nothing matches are left out`);
+        }
+        return { answer: items.map((item, i) => `=${richText(item.left)} -> ${answers[i]}`).join(' ') };
+    }
+});
+
+registerQuestionType('SUBJECTIVE', {
+    toMoodleXml: (data, { richText }) => {
+        const rows = RESPONSE_TEXT_ROWS[data.expected_length] || RESPONSE_TEXT_ROWS.short;
+        const upload = data.allow_media_upload === true;
+        return {
+            type: 'essay',
+            fields: [
+                '<responseformat>editor</responseformat>',
+                // With uploads allowed, a photo of a written answer is enough
+                `<responserequired>${upload ? 0 : 1}</responserequired>`,
+                `<responsefieldlines>${Math.max(1, Math.ceil(rows / MOODLE_FIELD_LINES_STEP)) * MOODLE_FIELD_LINES_STEP}</responsefieldlines>`,
+                `<attachments>${upload ? 1 : 0}</attachments>`,
+                '<attachmentsrequired>0</attachmentsrequired>',
+                `<graderinfo format="html">${richText(data.answer?.model_answer)}</graderinfo>`,
+                '<responsetemplate format="html"><text></text></responsetemplate>'
+            ]
+        };
+    },
+    toGift: (data, { warn }) => {
+        if (data.answer?.model_answer) warn('GIFT has no place for the model answer; export as Moodle XML to keep it');
+        if (data.allow_media_upload === true) warn('GIFT essays take no uploads; allow them in Moodle after importing');
+        return { answer: '' };
+    }
+});
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MOODLE_CATEGORY_ROOT, MOODLE_DEFAULT_CATEGORY, MOODLE_PLUGINFILE,
+        createMoodleXml, createGiftText, richTextToMoodleHtml, richTextToMoodlePlainText,
+        escapeGiftText, escapeMoodleClozeText, getMoodleCategory
+    };
+}
@@ -0,0 +1,207 @@
+/**
+ * Question Package Module (Schema v5.1)
+ * Self-contained question bank files: questions and their images in one ZIP
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html
+ *
+ * This module provides functions to:
+ * - Export a bank with every image its [[image:tag]] tokens use (createQuestionPackage)
+ * - Open a package again: question text for parseJson plus the images (readQuestionPackage)
+ *
+ * Package layout:
+ *   manifest.json     - { format, package_version, schema_version, created_at, name,
+ *                         questions: 'questions.jsonl', question_count,
+ *                         images: { tag → { file, contentType, size } } }
+ *   questions.jsonl   - Header line + questions (as downloadJSONL writes them)
+ *   images/<tag>.png  - One file per tag; the manifest maps tags to files, and the file
+ *                       names follow the filename-as-tag convention, so the ZIP also works
+ *                       as a plain image bundle
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides extractImageTags, createQuestionFileHeader, CURRENT_SCHEMA_VERSION)
+ * - zip-utils.js (provides createZip, readZip)
+ * - image-bundle.js (provides IMAGE_MIME_TYPES, getFileExtension)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const QUESTION_PACKAGE_FORMAT = 'assessment-package';
+const QUESTION_PACKAGE_VERSION = 1;
+const QUESTION_PACKAGE_MANIFEST = 'manifest.json';
+const QUESTION_PACKAGE_QUESTIONS = 'questions.jsonl';
+const QUESTION_PACKAGE_IMAGE_FOLDER = 'images/';
+
+// =====================================================
+// EXPORT
+// =====================================================
+
+/**
+ * Build a package from a bank and an image store
+ * Images are taken from the store by tag; tags without an image are reported, not fatal.
+ * @param {Array} questions - v5.1 questions, ready for export (see prepareForExport)
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType? } (see image-bundle.js)
+ * @param {Object} options
+ * @param {string} options.name - Bank name recorded in the manifest
+ * @returns {Promise<Object>} { blob, manifest, missing: [{ tag, reason }] }
+ */
+async function createQuestionPackage(questions, imageStore, { name = '' } = {}) {
+    const { files, images, missing } = await collectPackageImages(questions, imageStore);
+    const manifest = {
+        format: QUESTION_PACKAGE_FORMAT,
+        package_version: QUESTION_PACKAGE_VERSION,
+        schema_version: CURRENT_SCHEMA_VERSION,
+        created_at: new Date().toISOString(),
+        name,
+        questions: QUESTION_PACKAGE_QUESTIONS,
+        question_count: questions.length,
+        images
+    };
+
+    const jsonl = [createQuestionFileHeader(), ...questions].map(q => JSON.stringify(q)).join('\n');
+    const blob = await createZip([
+        { name: QUESTION_PACKAGE_MANIFEST, data: JSON.stringify(manifest, null, 2) },
+        { name: QUESTION_PACKAGE_QUESTIONS, data: jsonl },
+        ...files
+    ]);
+    return { blob, manifest, missing };
+}
+
+/**
+ * Gather the image files of a bank for a ZIP (also used for QTI packages, see question-qti.js)
+ * Images are taken from the store by tag; tags without an image are reported, not fatal.
+ * @param {Array} questions - v5.1 questions
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType? } (see image-bundle.js)
+ * @returns {Promise<Object>} {
+ *   files: [{ name, data }],                             - ZIP entries under images/
+ *   images: { tag → { file, contentType, size } },
+ *   missing: [{ tag, reason }]
+ * }
+ */
+async function collectPackageImages(questions, imageStore) {
+    const tags = new Set();
+    questions.forEach(q => extractImageTags(q).forEach(tag => tags.add(tag)));
+
+    const files = [];
+    const images = {};
+    const missing = [];
+    const usedFileNames = new Set();
+
+    for (const tag of tags) {
+        const image = imageStore.get(tag);
+        if (!image) {
+            missing.push({ tag, reason: 'no image uploaded' });
+            continue;
+        }
+        let blob = image.blob;
+        if (!blob) {
+            // Images registered by URL (data: or http) are copied in, so the package works offline
+            try {
+                const response = await fetch(image.dataUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                blob = await response.blob();
+            } catch (e) {
+                missing.push({ tag, reason: `could not read ${image.name || image.dataUrl}: ${e.message}` });
+                continue;
+            }
+        }
+        const contentType = image.contentType || blob.type || 'application/octet-stream';
+        const file = getPackageImageFileName(tag, contentType, usedFileNames);
+        images[tag] = { file, contentType, size: blob.size };
+        files.push({ name: file, data: blob });
+    }
+    return { files, images, missing };
+}
+
+/**
+ * File name of an image inside a package: images/<tag>.<ext>
+ * Characters that file systems reject are replaced; the manifest keeps the real tag.
+ * @param {string} tag - Image tag
+ * @param {string} contentType - MIME type
+ * @param {Set<string>} used - Names already taken in this package (modified in place)
+ * @returns {string} Path inside the ZIP
+ */
+function getPackageImageFileName(tag, contentType, used) {
+    const extension = Object.keys(IMAGE_MIME_TYPES).find(ext => IMAGE_MIME_TYPES[ext] === contentType) || 'bin';
+    const base = tag.replace(/[\\/:*?"<>|\s]/g, '_');
+    let name = `${QUESTION_PACKAGE_IMAGE_FOLDER}${base}.${extension}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+        name = `${QUESTION_PACKAGE_IMAGE_FOLDER}${base}~${n}.${extension}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+}
+
+// =====================================================
+// IMPORT
+// =====================================================
+
+/**
+ * Open a question package
+ * @param {Blob} blob - ZIP file
+ * @returns {Promise<Object|null>} null if the ZIP is not a question package (e.g. a plain image bundle), else {
+ *   manifest,
+ *   text,                                      - questions.jsonl, for parseJson
+ *   images: [{ tag, name, blob, contentType }],
+ *   skipped: [{ name, reason }]                - entries that could not be read
+ * }
+ * @throws {Error} If the file is not a ZIP, or the package is newer than this tool understands
+ */
+async function readQuestionPackage(blob) {
+    const zip = await readZip(blob);
+    const entries = new Map(zip.entries.map(entry => [entry.name, entry]));
+    const manifestEntry = entries.get(QUESTION_PACKAGE_MANIFEST);
+    if (!manifestEntry) return null;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestEntry.blob.text());
+    } catch (e) {
+        return null;
+    }
+    if (!manifest || manifest.format !== QUESTION_PACKAGE_FORMAT) return null;
+    if (!(manifest.package_version <= QUESTION_PACKAGE_VERSION)) {
+        throw new Error(`Package version ${manifest.package_version} is newer than this tool supports (${QUESTION_PACKAGE_VERSION})`);
+    }
+
+    const questionsEntry = entries.get(manifest.questions || QUESTION_PACKAGE_QUESTIONS);
+    if (!questionsEntry) throw new Error(`Package has no ${manifest.questions || QUESTION_PACKAGE_QUESTIONS}`);
+
+    const skipped = [...zip.skipped];
+    const images = [];
+    Object.entries(manifest.images || {}).forEach(([tag, info]) => {
+        const entry = entries.get(info.file);
+        if (!entry) {
+            skipped.push({ name: info.file, reason: `missing from the package (image ${tag})` });
+            return;
+        }
+        const contentType = info.contentType || IMAGE_MIME_TYPES[getFileExtension(info.file)] || 'application/octet-stream';
+        images.push({ tag, name: info.file, blob: new Blob([entry.blob], { type: contentType }), contentType });
+    });
+
+    return { manifest, text: await questionsEntry.blob.text(), images, skipped };
+}
+
+/**
+ * Check whether a JSON file is a package manifest (an unzipped package dropped as a folder)
+ * @param {string} text - File contents
+ * @returns {boolean} True for a manifest.json written by createQuestionPackage
+ */
+function isQuestionPackageManifest(text) {
+    try {
+        return JSON.parse(text)?.format === QUESTION_PACKAGE_FORMAT;
+    } catch (e) {
+        return false;
+    }
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTION_PACKAGE_FORMAT, QUESTION_PACKAGE_VERSION, QUESTION_PACKAGE_MANIFEST, QUESTION_PACKAGE_QUESTIONS,
+        createQuestionPackage, collectPackageImages, readQuestionPackage, isQuestionPackageManifest
+    };
+}
@@ -1,12 +1,17 @@
 /**
  * Question Parser Module (Schema v5.1)
  * Shared parsing and validation logic for assessment questions
- * Used by: assessment-authoring-tool.html, assessment-selection-tool.html
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html, index.js (Node)
  * 
  * This module provides functions to:
  * - Parse JSONL/JSON content into question objects
  * - Validate and normalize v5.1 schema questions
+ *   (plus a full schema.json check when schema-validator.js is loaded, and a check of
+ *   math delimiters and formulas when question-renderer.js is loaded)
+ * - Detect each question's schema version (schema_version, file header or shape) and
+ *   migrate older versions when question-migration.js is loaded
  * - Extract and resolve image tokens [[image:tag]] in RichText
+ * - Default and validate typed answer keys (data.answer)
  * - Utility helpers for working with question data
  * 
  * Schema v5.1 Key Features:
@@ -16,22 +21,50 @@
  * - TABLE type: { content, style, table: { header?, rows } }
  * - Type-safe 'style' object (mandatory) with composed mix-ins
  * - column_widths support for TABLE type
+ * - Typed answer keys in data.answer (COMPOSITE keeps them on each sub-question):
+ *   MCQ { correct_options }, FIB { gaps }, MATCH { matches },
+ *   TABLE { cells }, SUBJECTIVE { model_answer }
  */
 
 // =====================================================
 // CONSTANTS
 // =====================================================
 
+// Schema version written on export; older versions are migrated by question-migration.js
+const CURRENT_SCHEMA_VERSION = '5.1';
+// Version assumed for objects from before versioning (taxonomy/prompt/grading shape)
+const LEGACY_SCHEMA_VERSION = '2.0';
+const SCHEMA_VERSION_REGEX = /^\d+(\.\d+)*$/;
+// "format" of the optional header object that starts a question file
+const QUESTION_FILE_FORMAT = 'assessment-questions';
+
 const QUESTION_TYPES = ['MCQ', 'FIB', 'MATCH', 'SUBJECTIVE', 'TABLE', 'COMPOSITE'];
 const DIFFICULTY_LEVELS = ['Easy', 'Medium', 'Hard'];
 const POOL_TYPES = ['Practice', 'Exam'];
 const LAYOUT_VALUES = ['vertical', 'horizontal'];
 const SUB_LAYOUT_VALUES = ['vertical', 'horizontal', 'matrix'];
 const TABLE_GRID_VALUES = ['all', 'none', 'horizontal', 'vertical'];
+// Column count of the 'matrix' sub-question layout (style.sub_questions_columns)
+const MATRIX_COLUMN_LIMITS = { min: 2, max: 6, default: 3 };
 
 // Regex for image tokens in RichText - format: [[image:id]] or [[image:id|height:H|width:W]]
 const IMAGE_TOKEN_REGEX = /\[\[image:([^\]]+)\]\]/g;
 
+// Regex for gap tokens in RichText - format: [[gap]] or [[gap|width:N]]
+const GAP_TOKEN_REGEX = /\[\[gap(?:\|[^\]]*)?\]\]/g;
+
+// Regex for schema 4.6 image tokens - format: [[Q1.content.1]] (no "image:" prefix)
+const LEGACY_IMAGE_TOKEN_REGEX = /\[\[(?!gap\b)([^\]|:\s]+)\]\]/g;
+
+// Kinds of problems reported by parseJson
+const PARSE_ERROR_KINDS = {
+    SYNTAX: 'syntax',           // Not valid JSON
+    OLD_SCHEMA: 'old_schema',   // Pre-v5.1 object (taxonomy/content/stimulus/prompt)
+    VALIDATION: 'validation',   // Parsed, but fails validateAndNormalize or validateQuestion
+    VERSION: 'version',         // schema_version is invalid, newer than this tool, or has no migration path
+    MIGRATION: 'migration'      // Warning: older version was migrated (see question-migration.js)
+};
+
 // Default style configs (type-specific)
 const BASE_STYLE = {
     image_layout: 'vertical'
@@ -53,87 +86,415 @@ const TABLE_STYLE = {
     hide_header: false
 };
 
+// =====================================================
+// QUESTION TYPE REGISTRY
+// =====================================================
+
+// type → definition (see registerQuestionType); the built-in types are registered at the end of this file
+const QUESTION_TYPE_DEFINITIONS = new Map();
+
+/**
+ * Register a question type, or add to the definition of a registered one
+ * The built-in types are registered the same way (see BUILT-IN QUESTION TYPES), and
+ * question-renderer.js adds their renderers by registering them again.
+ * Every part is optional; a type without any of them has plain content and no answer key.
+ * @param {string} type - Value of question.type (e.g. 'ORDERING'); added to QUESTION_TYPES
+ * @param {Object} definition
+ * @param {string} definition.displayName - Human-readable name (getTypeDisplayName)
+ * @param {Function} definition.defaultData - () → data of an empty question; style and answer are added
+ *   when missing
+ * @param {Object} definition.style - Style mix-in fields and their defaults, on top of BASE_STYLE
+ * @param {Function} definition.normalizeStyle - (style) → style, with image_layout already set
+ * @param {Function} definition.normalizeData - (data) → data, after style defaults
+ * @param {Function} definition.defaultAnswer - () → empty answer key (types without one have no data.answer)
+ * @param {Function} definition.normalizeAnswer - (answer) → answer; answer has the defaults merged in
+ * @param {Function} definition.hasAnswer - (answer, data) → true if the answer key is filled in
+ * @param {Function} definition.validate - (question) → string[] structural errors (top-level questions)
+ * @param {Function} definition.validateAnswer - (data, answer, label) → string[] answer key errors
+ * @param {Function} definition.walkRichText - (data, transformer) → applies transformer(text, path) to
+ *   the type's RichText fields and stores the results (data.content and solution are walked for every type)
+ * @param {Object} definition.schema - JSON Schema of data, checked by schema-validator.js for types
+ *   schema.json doesn't know (may $ref '#/definitions/...' of schema.json)
+ * @param {boolean} definition.subQuestion - May be a COMPOSITE sub-question (default: true)
+ * @param {Function} definition.grade - Auto-grading, see question-grader.js
+ * @param {Function} definition.render - Renderer hooks, see question-renderer.js
+ * @returns {Object} The complete definition
+ * @throws {Error} If type is not a non-empty string
+ */
+function registerQuestionType(type, definition = {}) {
+    if (typeof type !== 'string' || !type.trim()) {
+        throw new Error(`Question type must be a non-empty string (got ${JSON.stringify(type)})`);
+    }
+    const merged = { type, subQuestion: true, ...QUESTION_TYPE_DEFINITIONS.get(type), ...definition };
+    QUESTION_TYPE_DEFINITIONS.set(type, merged);
+    if (!QUESTION_TYPES.includes(type)) QUESTION_TYPES.push(type);
+    return merged;
+}
+
+/**
+ * Get the definition of a registered question type
+ * @param {string} type - Question type
+ * @returns {Object|null} Definition (see registerQuestionType), or null if not registered
+ */
+function getQuestionTypeDefinition(type) {
+    return QUESTION_TYPE_DEFINITIONS.get(type) || null;
+}
+
 // =====================================================
 // JSONL PARSING
 // =====================================================
 
 /**
- * Parse mixed JSON/JSONL content into an array of question objects
- * Handles BOM, JSON arrays, multiple JSON objects
+ * Parse mixed JSON/JSONL content into question objects plus a list of problems
+ * Handles BOM, JSON arrays, a single JSON object, JSONL and concatenated (pretty-printed) objects.
+ * Bad objects never abort the import: each one is skipped and reported with its position.
+ * An optional header object ({ format: 'assessment-questions', schema_version }) sets the version
+ * of the questions after it; a question's own schema_version wins (see detectSchemaVersion).
+ * Older versions are migrated when question-migration.js is loaded; each migration is
+ * reported in warnings (the question is still imported).
  * @param {string} content - Raw JSON/JSONL content
- * @returns {Array} Array of validated question objects
- * @throws {Error} If content contains non-v5.1 schema questions
+ * @returns {Object} { questions: Array, errors: Array<{line, column, questionId, kind, message}>,
+ *   warnings: Array<{line, column, questionId, kind, message, fromVersion, steps, unmapped, images}> }
+ *   kind is one of PARSE_ERROR_KINDS; line and column are 1-based
  */
 function parseJson(content) {
-    const results = [];
+    const questions = [];
+    const errors = [];
+    const warnings = [];
     
     // Remove BOM if present
     if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
     
-    // Trim whitespace
-    content = content.trim();
+    const locate = createLineLocator(content);
+    const addError = (offset, kind, message, questionId = null) => {
+        errors.push({ ...locate(offset), questionId, kind, message });
+    };
     
-    // Try parsing as JSON array first (handles JSON files with array wrapper)
-    if (content.startsWith('[')) {
-        try {
-            const parsed = JSON.parse(content);
-            if (Array.isArray(parsed)) {
-                parsed.forEach(obj => {
-                    if (obj && typeof obj === 'object') {
-                        const validated = validateAndNormalize(obj);
-                        results.push(validated);
-                    }
-                });
-                return results;
+    // Scan for top-level objects; a surrounding [ ... ] array and separating commas are skipped
+    const chunks = [];
+    let start = -1;
+    let braceCount = 0;
+    let inString = false;
+    let escape = false;
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        
+        if (inString) {
+            if (escape) { escape = false; continue; }
+            if (char === '\\') { escape = true; continue; }
+            if (char === '"') { inString = false; continue; }
+            // JSON strings cannot span lines: stop here so one bad quote doesn't eat the rest of the file
+            if (char === '\n') inString = false;
+            continue;
+        }
+        
+        if (char === '"') {
+            if (braceCount === 0) {
+                addError(i, PARSE_ERROR_KINDS.SYNTAX, 'Unexpected text outside a JSON object');
+                i = skipToLineEnd(content, i);
+                continue;
             }
-        } catch (e) {
-            console.log('Not a valid JSON array, trying JSONL parsing...');
+            inString = true;
+        } else if (char === '{') {
+            // A '{' at the start of a line while an object is still open: the previous object was never closed
+            if (braceCount > 0 && (i === 0 || content[i - 1] === '\n')) {
+                addError(start, PARSE_ERROR_KINDS.SYNTAX, 'Unterminated object (missing closing brace)', findQuestionId(content.slice(start, i)));
+                braceCount = 0;
+            }
+            if (braceCount === 0) start = i;
+            braceCount++;
+        } else if (char === '}') {
+            if (braceCount === 0) {
+                addError(i, PARSE_ERROR_KINDS.SYNTAX, 'Unexpected closing brace');
+                continue;
+            }
+            braceCount--;
+            if (braceCount === 0) chunks.push({ start, text: content.slice(start, i + 1) });
+        } else if (braceCount === 0 && !/[\s\[\],]/.test(char)) {
+            addError(i, PARSE_ERROR_KINDS.SYNTAX, 'Unexpected text outside a JSON object');
+            i = skipToLineEnd(content, i);
         }
     }
+    if (braceCount > 0) {
+        addError(start, PARSE_ERROR_KINDS.SYNTAX, 'Unterminated object (missing closing brace)', findQuestionId(content.slice(start)));
+    }
     
-    // Try parsing as complete JSON object (single question)
-    if (content.startsWith('{') && !content.includes('\n{')) {
+    let fileVersion = null;
+    chunks.forEach(({ start, text }) => {
+        let obj;
         try {
-            const obj = JSON.parse(content);
-            const validated = validateAndNormalize(obj);
-            results.push(validated);
-            return results;
+            obj = JSON.parse(text);
         } catch (e) {
-            console.log('Not a single JSON object, trying JSONL parsing...');
+            // Browsers word (and place) JSON.parse errors differently; find the position ourselves
+            const problem = findJsonSyntaxError(text) || { offset: 0, message: e.message };
+            addError(start + problem.offset, PARSE_ERROR_KINDS.SYNTAX, problem.message, findQuestionId(text));
+            return;
         }
-    }
-    
-    // Fall back to JSONL parsing (one object per line or concatenated objects)
-    let buffer = "";
-    let braceCount = 0;
-    let inString = false;
-    let escape = false;
+        
+        if (isQuestionFileHeader(obj)) {
+            if (obj.schema_version !== undefined && !SCHEMA_VERSION_REGEX.test(String(obj.schema_version))) {
+                addError(start, PARSE_ERROR_KINDS.VERSION, `Invalid file schema_version "${obj.schema_version}"`);
+                return;
+            }
+            fileVersion = obj.schema_version !== undefined ? String(obj.schema_version) : null;
+            return;
+        }
+        
+        const questionId = typeof obj.id === 'string' ? obj.id : (obj.question_id ?? null);
+        const version = detectSchemaVersion(obj, fileVersion);
+        if (!SCHEMA_VERSION_REGEX.test(version)) {
+            addError(start, PARSE_ERROR_KINDS.VERSION, `Invalid schema_version "${version}"`, questionId);
+            return;
+        }
+        const age = compareSchemaVersions(version, CURRENT_SCHEMA_VERSION);
+        if (age > 0) {
+            addError(start, PARSE_ERROR_KINDS.VERSION, `Schema version ${version} is newer than this tool supports (${CURRENT_SCHEMA_VERSION})`, questionId);
+            return;
+        }
+        
+        let source = obj;
+        let migration = null;
+        if (age < 0) {
+            if (typeof migrateQuestion !== 'function') {
+                const message = version === LEGACY_SCHEMA_VERSION
+                    ? 'Old schema format detected. Please convert to v5.1 schema format.'
+                    : `Schema version ${version} detected. Load question-migration.js to upgrade it to ${CURRENT_SCHEMA_VERSION}.`;
+                addError(start, PARSE_ERROR_KINDS.OLD_SCHEMA, message, questionId);
+                return;
+            }
+            try {
+                migration = migrateQuestion(obj, version);
+            } catch (e) {
+                addError(start, PARSE_ERROR_KINDS.VERSION, e.message, questionId);
+                return;
+            }
+            source = migration.question;
+        }
+        
+        let question;
+        try {
+            question = validateAndNormalize(source);
+        } catch (e) {
+            const kind = isOldSchema(source) ? PARSE_ERROR_KINDS.OLD_SCHEMA : PARSE_ERROR_KINDS.VALIDATION;
+            addError(start, kind, e.message, questionId);
+            return;
+        }
+        
+        const result = validateQuestion(question);
+        if (!result.valid) {
+            const prefix = migration ? `Migrated from schema ${version}, but: ` : '';
+            addError(start, PARSE_ERROR_KINDS.VALIDATION, prefix + result.errors.join('; '), question.id);
+            return;
+        }
+        if (migration) {
+            const { steps, unmapped, images } = migration;
+            let message = `Migrated from schema ${version} to ${CURRENT_SCHEMA_VERSION} (${steps.join(', ')})`;
+            if (unmapped.length > 0) message += `; not mapped: ${unmapped.map(u => `${u.path} (${u.reason})`).join('; ')}`;
+            warnings.push({
+                ...locate(start), questionId: question.id, kind: PARSE_ERROR_KINDS.MIGRATION, message,
+                fromVersion: version, steps, unmapped, images
+            });
+        }
+        questions.push(question);
+    });
     
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { questions, errors, warnings };
+}
+
+/**
+ * Build an offset → { line, column } lookup for a string (both 1-based)
+ * @param {string} content - Text to index
+ * @returns {Function} (offset) => { line, column }
+ */
+function createLineLocator(content) {
+    const lineStarts = [0];
     for (let i = 0; i < content.length; i++) {
-        const char = content[i];
-        buffer += char;
-        if (escape) { escape = false; continue; }
-        if (char === '\\') { escape = true; continue; }
-        if (char === '"') { inString = !inString; continue; }
-        if (!inString) {
-            if (char === '{') { braceCount++; } 
-            else if (char === '}') {
-                braceCount--;
-                if (braceCount === 0) {
-                    try {
-                        const obj = JSON.parse(buffer.trim());
-                        const validated = validateAndNormalize(obj);
-                        results.push(validated);
-                        buffer = ""; 
-                    } catch (e) {
-                        console.error('Parse error:', e);
-                        buffer = ""; // Reset buffer on error
-                    }
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+    };
+}
+
+/**
+ * Get the offset of the last character on the current line
+ * @param {string} content - Text
+ * @param {number} offset - Any offset within the line
+ * @returns {number} Offset just before the newline (or end of text)
+ */
+function skipToLineEnd(content, offset) {
+    const end = content.indexOf('\n', offset);
+    return end === -1 ? content.length : end;
+}
+
+/**
+ * Locate the first JSON syntax error in a text
+ * Only called after JSON.parse has failed, to get a browser-independent position and message.
+ * @param {string} text - JSON source
+ * @returns {Object|null} { offset, message } or null if the text is valid JSON
+ */
+function findJsonSyntaxError(text) {
+    let pos = 0;
+    const fail = (message) => { throw { offset: pos, message }; };
+    const skipSpace = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+    const describe = () => pos >= text.length ? 'end of input' : `'${text[pos]}'`;
+    
+    const parseString = () => {
+        pos++; // opening quote
+        while (pos < text.length) {
+            const char = text[pos];
+            if (char === '"') { pos++; return; }
+            if (char === '\n') fail('Unterminated string');
+            if (char < ' ') fail('Control character in string (use \\n, \\t)');
+            if (char === '\\') {
+                const next = text[pos + 1];
+                if (next === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) fail('Invalid \\u escape in string');
+                    pos += 6;
+                    continue;
                 }
+                if (next === undefined || !'"\\/bfnrt'.includes(next)) fail(`Invalid escape \\${next ?? ''} in string`);
+                pos += 2;
+                continue;
             }
+            pos++;
         }
+        fail('Unterminated string');
+    };
+    
+    const parseValue = () => {
+        skipSpace();
+        const char = text[pos];
+        if (char === '{') {
+            pos++;
+            skipSpace();
+            if (text[pos] === '}') { pos++; return; }
+            while (true) {
+                skipSpace();
+                if (text[pos] !== '"') fail(`Expected a double-quoted property name but found ${describe()}`);
+                parseString();
+                skipSpace();
+                if (text[pos] !== ':') fail(`Expected ':' after property name but found ${describe()}`);
+                pos++;
+                parseValue();
+                skipSpace();
+                if (text[pos] === ',') { pos++; continue; }
+                if (text[pos] === '}') { pos++; return; }
+                fail(`Expected ',' or '}' after property value but found ${describe()}`);
+            }
+        }
+        if (char === '[') {
+            pos++;
+            skipSpace();
+            if (text[pos] === ']') { pos++; return; }
+            while (true) {
+                parseValue();
+                skipSpace();
+                if (text[pos] === ',') { pos++; continue; }
+                if (text[pos] === ']') { pos++; return; }
+                fail(`Expected ',' or ']' after array item but found ${describe()}`);
+            }
+        }
+        if (char === '"') return parseString();
+        const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+        if (literal && !/[\w.]/.test(text[pos + literal[0].length] || '')) {
+            pos += literal[0].length;
+            return;
+        }
+        fail(`Expected a value but found ${describe()}`);
+    };
+    
+    try {
+        parseValue();
+        skipSpace();
+        if (pos < text.length) fail(`Unexpected ${describe()} after the end of the object`);
+        return null;
+    } catch (problem) {
+        if (problem && typeof problem.offset === 'number') return problem;
+        throw problem;
     }
-    return results;
+}
+
+/**
+ * Best-effort question id from raw (possibly broken) JSON text
+ * @param {string} text - Object source text
+ * @returns {string|null} The first "id" (or legacy "question_id") value, if any
+ */
+function findQuestionId(text) {
+    const match = /"(?:question_)?id"\s*:\s*"([^"\\\n]*)"/.exec(text);
+    return match ? match[1] : null;
+}
+
+// =====================================================
+// SCHEMA VERSIONS
+// =====================================================
+
+/**
+ * Compare two schema versions numerically ('4.6' < '5.0' < '5.1' < '5.10')
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is older, 0 if equal, positive if a is newer
+ */
+function compareSchemaVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Work out which schema version a raw question object was written for
+ * Order: the question's own schema_version, the legacy (taxonomy/prompt) shape,
+ * the file header's version, then the shape (4.6 tokens, 5.0 FIB options_pool).
+ * @param {Object} obj - Raw question object
+ * @param {string|null} fileVersion - schema_version from the file header, if any
+ * @returns {string} Version string, e.g. '5.1'
+ */
+function detectSchemaVersion(obj, fileVersion = null) {
+    if (obj.schema_version !== undefined) return String(obj.schema_version);
+    if (isOldSchema(obj)) return LEGACY_SCHEMA_VERSION;
+    if (fileVersion) return fileVersion;
+    
+    let hasLegacyTokens = false;
+    traverseAllRichText(JSON.parse(JSON.stringify(obj)), (text) => {
+        if (typeof text === 'string' && new RegExp(LEGACY_IMAGE_TOKEN_REGEX.source).test(text)) hasLegacyTokens = true;
+        return text;
+    });
+    if (hasLegacyTokens) return '4.6';
+    
+    const subQuestions = Array.isArray(obj.data?.sub_questions) ? obj.data.sub_questions : [];
+    const fibPools = [obj, ...subQuestions].some(q => q?.type === 'FIB' && q.data?.options_pool !== undefined);
+    if (fibPools) return '5.0';
+    
+    return CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Check whether an object is a question file header rather than a question
+ * @param {Object} obj - Raw object
+ * @returns {boolean} True for { format: 'assessment-questions', schema_version, ... }
+ */
+function isQuestionFileHeader(obj) {
+    return !!obj && obj.format === QUESTION_FILE_FORMAT && !obj.data;
+}
+
+/**
+ * Create the header object written as the first line of exported question files
+ * @returns {Object} { format, schema_version }
+ */
+function createQuestionFileHeader() {
+    return { format: QUESTION_FILE_FORMAT, schema_version: CURRENT_SCHEMA_VERSION };
 }
 
 // =====================================================
@@ -149,9 +510,9 @@ function parseJson(content) {
  */
 function validateAndNormalize(obj) {
     // Check for v5.1 format: must have 'data' object and valid 'type'
-    if (!obj.data || !QUESTION_TYPES.includes(obj.type)) {
+    if (!obj || typeof obj !== 'object' || !obj.data || !QUESTION_TYPES.includes(obj.type)) {
         // Check if it's an old schema format
-        if (obj.taxonomy || obj.content || obj.stimulus || obj.prompt) {
+        if (isOldSchema(obj)) {
             throw new Error('Old schema format detected. Please convert to v5.1 schema format.');
         }
         throw new Error('Invalid question format. Expected v5.1 schema with "type" and "data" fields.');
@@ -160,6 +521,16 @@ function validateAndNormalize(obj) {
     return ensureDefaults(obj);
 }
 
+/**
+ * Check whether an object uses a pre-v5.1 schema
+ * @param {Object} obj - Raw question object
+ * @returns {boolean} True if it has old-schema fields and no v5.1 data
+ */
+function isOldSchema(obj) {
+    return !!obj && typeof obj === 'object' && !obj.data &&
+        !!(obj.taxonomy || obj.content || obj.stimulus || obj.prompt);
+}
+
 /**
  * Ensure all required v5.1 fields have defaults
  * @param {Object} obj - Question object
@@ -167,6 +538,7 @@ function validateAndNormalize(obj) {
  */
 function ensureDefaults(obj) {
     if (!obj.id) obj.id = generateId();
+    obj.schema_version = CURRENT_SCHEMA_VERSION;
     
     // Ensure metadata
     if (!obj.metadata) obj.metadata = {};
@@ -204,16 +576,23 @@ function ensureDefaults(obj) {
             } else if (sq.data?.style) {
                 sq.data.style = normalizeStyleValues(sq.data.style, sq.type);
             }
-            // Normalize sub-question TABLE data if needed
-            if (sq.type === 'TABLE' && sq.data) {
-                sq.data = normalizeTableData(sq.data);
+            // Type-specific data fixes (e.g. TABLE structure)
+            if (sq.data) {
+                sq.data = normalizeDataForType(sq.type, sq.data);
+            }
+            // Sub-questions carry their own answer keys
+            if (sq.data) {
+                sq.data.answer = normalizeAnswer(sq.data.answer, sq.type);
             }
         });
     }
     
-    // Normalize TABLE type data
-    if (obj.type === 'TABLE' && obj.data) {
-        obj.data = normalizeTableData(obj.data);
+    // Type-specific data fixes (e.g. TABLE structure)
+    obj.data = normalizeDataForType(obj.type, obj.data);
+    
+    // Ensure answer key (types without one, like COMPOSITE, keep answers on their sub-questions)
+    if (getDefaultAnswerForType(obj.type)) {
+        obj.data.answer = normalizeAnswer(obj.data.answer, obj.type);
     }
     
     // Ensure solution
@@ -223,6 +602,17 @@ function ensureDefaults(obj) {
     return obj;
 }
 
+/**
+ * Apply the normalizeData step of a question type
+ * @param {string} type - Question type
+ * @param {Object} data - Question data
+ * @returns {Object} Normalized data (unchanged for types without the step)
+ */
+function normalizeDataForType(type, data) {
+    const normalizeData = getQuestionTypeDefinition(type)?.normalizeData;
+    return normalizeData ? normalizeData(data) : data;
+}
+
 /**
  * Normalize table data structure
  * Ensures proper { table: { header?, rows } } format
@@ -261,32 +651,9 @@ function normalizeStyleValues(style, type) {
     // Ensure defaults based on type
     normalized.image_layout = normalized.image_layout || 'vertical';
     
-    // Only add options_layout for MCQ/FIB types
-    if (type === 'MCQ' || type === 'FIB') {
-        normalized.options_layout = normalized.options_layout || 'vertical';
-    }
-    
-    // Only add sub_questions_layout for COMPOSITE type
-    if (type === 'COMPOSITE') {
-        normalized.sub_questions_layout = normalized.sub_questions_layout || 'vertical';
-    }
-    
-    // Table-specific style normalization
-    if (type === 'TABLE') {
-        normalized.table_grid_lines = normalized.table_grid_lines || 'all';
-        if (!TABLE_GRID_VALUES.includes(normalized.table_grid_lines)) {
-            normalized.table_grid_lines = 'all';
-        }
-        if (normalized.hide_header === undefined) {
-            normalized.hide_header = false;
-        }
-        // column_widths - preserve if valid array
-        if (normalized.column_widths && !Array.isArray(normalized.column_widths)) {
-            delete normalized.column_widths;
-        }
-    }
-    
-    return normalized;
+    // Type-specific style fields (e.g. options_layout, table_grid_lines)
+    const normalizeStyle = getQuestionTypeDefinition(type)?.normalizeStyle;
+    return normalizeStyle ? normalizeStyle(normalized) : normalized;
 }
 
 /**
@@ -295,19 +662,7 @@ function normalizeStyleValues(style, type) {
  * @returns {Object} Style object with type-appropriate fields
  */
 function getStyleForType(type) {
-    switch (type) {
-        case 'MCQ':
-        case 'FIB':
-            return { ...MCQ_STYLE };
-        case 'COMPOSITE':
-            return { ...COMPOSITE_STYLE };
-        case 'TABLE':
-            return { ...TABLE_STYLE };
-        case 'MATCH':
-        case 'SUBJECTIVE':
-        default:
-            return { ...BASE_STYLE };
-    }
+    return { ...BASE_STYLE, ...getQuestionTypeDefinition(type)?.style };
 }
 
 /**
@@ -316,29 +671,125 @@ function getStyleForType(type) {
  * @returns {Object} Default data object
  */
 function getDefaultDataForType(type) {
-    switch (type) {
-        case 'MCQ':
-            return { content: '', style: getStyleForType('MCQ'), options: [] };
-        case 'FIB':
-            return { content: '', style: getStyleForType('FIB') };
-        case 'MATCH':
-            return { content: '', style: getStyleForType('MATCH'), pairs: [] };
-        case 'SUBJECTIVE':
-            return { content: '', style: getStyleForType('SUBJECTIVE'), expected_length: 'short' };
-        case 'TABLE':
-            return {
-                content: '', 
-                style: getStyleForType('TABLE'), 
-                table: {
-                    header: ['Column 1', 'Column 2'],
-                    rows: [['Row 1', ''], ['Row 2', '']]
-                }
-            };
-        case 'COMPOSITE':
-            return { common_content: '', style: getStyleForType('COMPOSITE'), sub_questions: [] };
-        default:
-            return { content: '', style: getStyleForType(type) };
+    const definition = getQuestionTypeDefinition(type);
+    const data = definition?.defaultData ? definition.defaultData() : { content: '' };
+    if (!data.style) data.style = getStyleForType(type);
+    const answer = getDefaultAnswerForType(type);
+    if (answer && data.answer === undefined) data.answer = answer;
+    return data;
+}
+
+// =====================================================
+// ANSWER KEYS
+// =====================================================
+
+/**
+ * Get the empty answer key for a question type
+ * @param {string} type - Question type
+ * @returns {Object|null} Default answer object, or null for COMPOSITE
+ */
+function getDefaultAnswerForType(type) {
+    const defaultAnswer = getQuestionTypeDefinition(type)?.defaultAnswer;
+    return defaultAnswer ? defaultAnswer() : null;
+}
+
+/**
+ * Normalize an answer key to the typed shape for its question type
+ * Accepts shorthand forms (single id string, plain accepted strings)
+ * @param {Object} answer - Raw answer object (may be undefined)
+ * @param {string} type - Question type
+ * @returns {Object|undefined} Normalized answer object
+ */
+function normalizeAnswer(answer, type) {
+    const defaults = getDefaultAnswerForType(type);
+    if (!defaults) return undefined;
+    if (!answer || typeof answer !== 'object') return defaults;
+    
+    const normalized = { ...defaults, ...answer };
+    const normalizeTypeAnswer = getQuestionTypeDefinition(type).normalizeAnswer;
+    return normalizeTypeAnswer ? normalizeTypeAnswer(normalized) : normalized;
+}
+
+/**
+ * Normalize one blank's accepted values to { accepted: string[], ... }
+ * @param {Object|string|Array} entry - Accepted answer entry or shorthand
+ * @returns {Object} Accepted answer object
+ */
+function normalizeAcceptedAnswer(entry) {
+    if (typeof entry === 'string' || typeof entry === 'number') {
+        return { accepted: [String(entry)] };
+    }
+    if (Array.isArray(entry)) {
+        return { accepted: entry.map(String) };
     }
+    if (!entry || typeof entry !== 'object') {
+        return { accepted: [] };
+    }
+    const accepted = Array.isArray(entry.accepted) ? entry.accepted
+        : (entry.accepted !== undefined ? [entry.accepted] : []);
+    return { ...entry, accepted: accepted.map(String) };
+}
+
+/**
+ * Count [[gap]] tokens in a RichText string
+ * @param {string} text - RichText content
+ * @returns {number} Number of gap tokens
+ */
+function countGapTokens(text) {
+    if (!text || typeof text !== 'string') return 0;
+    return (text.match(new RegExp(GAP_TOKEN_REGEX.source, 'g')) || []).length;
+}
+
+/**
+ * Check whether a question (or any of its sub-questions) has answer entries
+ * @param {Object} q - Question object
+ * @returns {boolean} True if at least one answer is filled in
+ */
+function hasAnswerKey(q) {
+    if (!q?.data) return false;
+    const hasAnswer = getQuestionTypeDefinition(q.type)?.hasAnswer;
+    return hasAnswer ? hasAnswer(q.data.answer || {}, q.data) : false;
+}
+
+/**
+ * Validate the answer key of a single (non-COMPOSITE) question payload
+ * An empty answer key is allowed; entries that are present must be consistent
+ * with the question data (see the validateAnswer step of each question type).
+ * @param {string} type - Question type
+ * @param {Object} data - Question data (with data.answer)
+ * @param {string} label - Prefix for error messages (e.g. 'Sub-question 2: ')
+ * @returns {string[]} Error messages
+ */
+function validateAnswer(type, data, label = '') {
+    const errors = [];
+    const answer = data?.answer;
+    if (answer === undefined || answer === null) return errors;
+    if (typeof answer !== 'object' || Array.isArray(answer)) {
+        errors.push(`${label}data.answer must be an object`);
+        return errors;
+    }
+    
+    const validateTypeAnswer = getQuestionTypeDefinition(type)?.validateAnswer;
+    if (validateTypeAnswer) errors.push(...validateTypeAnswer(data, answer, label));
+    
+    return errors;
+}
+
+/**
+ * Check one blank's accepted values (FIB gap, TABLE cell)
+ * @param {Object} entry - { accepted: string[] }
+ * @param {string} where - Name of the blank in messages (e.g. 'Gap 2')
+ * @param {string} label - Prefix for error messages
+ * @returns {string[]} Error messages
+ */
+function validateAcceptedAnswer(entry, where, label = '') {
+    if (!entry || !Array.isArray(entry.accepted) || entry.accepted.length === 0) {
+        return [`${label}${where} needs at least one accepted value`];
+    }
+    if (entry.accepted.some(v => typeof v !== 'string')) {
+        return [`${label}${where} accepted values must be strings`];
+    }
+    return [];
 }
 
 // =====================================================
@@ -348,7 +799,7 @@ function getDefaultDataForType(type) {
 /**
  * Extract all image tags from a question
  * @param {Object} question - Question object
- * @returns {Set<string>} Set of image tags
+ * @returns {Set<string>} Set of image tags (ids only: [[image:Q1.content.1|width:80]] → 'Q1.content.1')
  */
 function extractImageTags(question) {
     const tags = new Set();
@@ -358,7 +809,7 @@ function extractImageTags(question) {
         let match;
         const regex = new RegExp(IMAGE_TOKEN_REGEX.source, 'g');
         while ((match = regex.exec(text)) !== null) {
-            tags.add(match[1]);
+            tags.add(getImageTagId(match[1]));
         }
         return text;
     });
@@ -366,6 +817,15 @@ function extractImageTags(question) {
     return tags;
 }
 
+/**
+ * Get the image id from the inside of an image token
+ * @param {string} token - 'Q1.content.1' or 'Q1.content.1|height:H|width:W'
+ * @returns {string} Image id ('Q1.content.1')
+ */
+function getImageTagId(token) {
+    return token.split('|')[0].trim();
+}
+
 /**
  * Resolve image tokens in a question for preview (using data URLs)
  * @param {Object} question - Question object
@@ -377,7 +837,8 @@ function resolveImagesForPreview(question, imageStore) {
     
     traverseAllRichText(resolved, (text) => {
         if (!text) return text;
-        return text.replace(IMAGE_TOKEN_REGEX, (match, tag) => {
+        return text.replace(IMAGE_TOKEN_REGEX, (match, token) => {
+            const tag = getImageTagId(token);
             const image = imageStore.get(tag);
             if (image && image.dataUrl) {
                 return `![${tag}](${image.dataUrl})`;
@@ -400,7 +861,8 @@ function resolveImagesForPublish(question, cdnResults) {
     
     traverseAllRichText(resolved, (text) => {
         if (!text) return text;
-        return text.replace(IMAGE_TOKEN_REGEX, (match, tag) => {
+        return text.replace(IMAGE_TOKEN_REGEX, (match, token) => {
+            const tag = getImageTagId(token);
             const cdn = cdnResults.get(tag);
             if (cdn && cdn.uri) {
                 return `![${tag}](${cdn.uri})`;
@@ -421,7 +883,7 @@ function traverseAllRichText(question, transformer) {
     const data = question.data;
     if (!data) return;
     
-    // Main content (MCQ, FIB, MATCH, SUBJECTIVE, TABLE)
+    // Main content (every type but COMPOSITE)
     if (data.content !== undefined) {
         data.content = transformer(data.content, 'data.content');
     }
@@ -431,59 +893,9 @@ function traverseAllRichText(question, transformer) {
         data.common_content = transformer(data.common_content, 'data.common_content');
     }
     
-    // MCQ options
-    if (data.options && Array.isArray(data.options)) {
-        data.options.forEach((opt, i) => {
-            if (opt.text !== undefined) {
-                opt.text = transformer(opt.text, `data.options[${i}].text`);
-            }
-        });
-    }
-    
-    // COMPOSITE options_pool (word bank for FIB sub-questions)
-    if (data.options_pool && Array.isArray(data.options_pool)) {
-        data.options_pool = data.options_pool.map((item, i) => 
-            transformer(item, `data.options_pool[${i}]`)
-        );
-    }
-    
-    // Match pairs
-    if (data.pairs && Array.isArray(data.pairs)) {
-        data.pairs.forEach((pair, i) => {
-            if (pair.left !== undefined) {
-                pair.left = transformer(pair.left, `data.pairs[${i}].left`);
-            }
-            if (pair.right !== undefined) {
-                pair.right = transformer(pair.right, `data.pairs[${i}].right`);
-            }
-        });
-    }
-    
-    // TABLE structure: table.header and table.rows (2D array)
-    if (data.table) {
-        if (data.table.header && Array.isArray(data.table.header)) {
-            data.table.header = data.table.header.map((cell, i) => 
-                transformer(cell, `data.table.header[${i}]`)
-            );
-        }
-        if (data.table.rows && Array.isArray(data.table.rows)) {
-            data.table.rows = data.table.rows.map((row, i) => {
-                if (Array.isArray(row)) {
-                    return row.map((cell, j) => 
-                        transformer(cell, `data.table.rows[${i}][${j}]`)
-                    );
-                }
-                return row;
-            });
-        }
-    }
-    
-    // Composite sub-questions (recursive)
-    if (data.sub_questions && Array.isArray(data.sub_questions)) {
-        data.sub_questions.forEach((sub, i) => {
-            traverseAllRichText({ type: sub.type, data: sub.data }, transformer);
-        });
-    }
+    // Type-specific fields (options, pairs, table cells, sub-questions...)
+    const walkRichText = getQuestionTypeDefinition(question.type)?.walkRichText;
+    if (walkRichText) walkRichText(data, transformer);
     
     // Solution
     if (question.solution?.text !== undefined) {
@@ -520,6 +932,7 @@ function hasImages(q) {
  */
 function createEmptyQuestion(type = 'SUBJECTIVE') {
     return {
+        schema_version: CURRENT_SCHEMA_VERSION,
         id: generateId(),
         metadata: {
             grade: 'Nursery',
@@ -541,6 +954,7 @@ function createEmptyQuestion(type = 'SUBJECTIVE') {
 
 /**
  * Prepare question data for export
+ * Answer keys (data.answer, including sub-question answers) are kept.
  * @param {Object} q - Question object
  * @returns {Object} Clean question object for export
  */
@@ -552,6 +966,11 @@ function prepareForExport(q) {
     delete exported._selected;
     delete exported._expanded;
     
+    // Legacy grading blocks are superseded by data.answer in v5.1
+    delete exported.grading;
+    
+    exported.schema_version = CURRENT_SCHEMA_VERSION;
+    
     return exported;
 }
 
@@ -575,33 +994,28 @@ function validateQuestion(q) {
         errors.push('Missing data.style (mandatory in v5.1)');
     }
     
-    // Type-specific validation
-    if (q.type === 'MCQ' && (!q.data?.options || q.data.options.length === 0)) {
-        errors.push('MCQ requires at least one option');
-    }
-    if (q.type === 'MATCH' && (!q.data?.pairs || q.data.pairs.length === 0)) {
-        errors.push('MATCH requires at least one pair');
-    }
-    if (q.type === 'TABLE') {
-        if (!q.data?.table) {
-            errors.push('TABLE requires a table object');
-        } else if (!q.data.table.rows || q.data.table.rows.length === 0) {
-            errors.push('TABLE requires at least one row in table.rows');
-        }
-    }
-    if (q.type === 'COMPOSITE' && (!q.data?.sub_questions || q.data.sub_questions.length === 0)) {
-        errors.push('COMPOSITE requires at least one sub-question');
+    // Type-specific validation (COMPOSITE also checks its sub-questions)
+    const validateType = getQuestionTypeDefinition(q.type)?.validate;
+    if (validateType) errors.push(...validateType(q));
+    
+    // Answer key consistency
+    if (q.data) {
+        errors.push(...validateAnswer(q.type, q.data));
     }
     
-    // Validate sub-questions have style
-    if (q.type === 'COMPOSITE' && q.data?.sub_questions) {
-        q.data.sub_questions.forEach((sq, i) => {
-            if (!sq.data?.style) {
-                errors.push(`Sub-question ${i + 1} missing data.style (mandatory in v5.1)`);
-            }
+    // Unclosed delimiters and unparseable formulas when question-renderer.js is loaded
+    if (q.data && typeof findMathErrors === 'function') {
+        traverseAllRichText(JSON.parse(JSON.stringify(q)), (text, path) => {
+            findMathErrors(text).forEach(message => errors.push(`Math in ${path}: ${message}`));
+            return text;
         });
     }
     
+    // Full schema.json check (enums, shapes, nested sub_questions) when schema-validator.js is loaded
+    if (typeof validateQuestionSchema === 'function') {
+        errors.push(...formatSchemaErrors(validateQuestionSchema(q).errors));
+    }
+    
     return {
         valid: errors.length === 0,
         errors
@@ -614,13 +1028,272 @@ function validateQuestion(q) {
  * @returns {string} Display name
  */
 function getTypeDisplayName(type) {
-    const names = {
-        'MCQ': 'Multiple Choice',
-        'FIB': 'Fill in the Blank',
-        'MATCH': 'Match the Following',
-        'SUBJECTIVE': 'Subjective',
-        'TABLE': 'Table/Grid',
-        'COMPOSITE': 'Composite'
+    return getQuestionTypeDefinition(type)?.displayName || type;
+}
+
+// =====================================================
+// BUILT-IN QUESTION TYPES
+// =====================================================
+
+registerQuestionType('MCQ', {
+    displayName: 'Multiple Choice',
+    style: MCQ_STYLE,
+    defaultData: () => ({ content: '', options: [] }),
+    normalizeStyle: (style) => ({ ...style, options_layout: style.options_layout || 'vertical' }),
+    defaultAnswer: () => ({ correct_options: [] }),
+    normalizeAnswer: (answer) => {
+        let correct = answer.correct_options;
+        if (typeof correct === 'string') correct = [correct];
+        if (!Array.isArray(correct)) correct = [];
+        return { ...answer, correct_options: correct.map(String) };
+    },
+    hasAnswer: (answer) => (answer.correct_options || []).length > 0,
+    validate: (q) => (!q.data?.options || q.data.options.length === 0) ? ['MCQ requires at least one option'] : [],
+    validateAnswer: (data, answer, label) => {
+        const ids = (data.options || []).map(opt => opt.id);
+        const correct = answer.correct_options;
+        if (!Array.isArray(correct)) return [`${label}MCQ answer.correct_options must be an array`];
+        const errors = correct.filter(id => !ids.includes(id))
+            .map(id => `${label}MCQ answer refers to unknown option "${id}"`);
+        if (!data.allow_multiple && correct.length > 1) {
+            errors.push(`${label}MCQ has ${correct.length} correct options but allow_multiple is false`);
+        }
+        return errors;
+    },
+    walkRichText: (data, transformer) => {
+        if (!Array.isArray(data.options)) return;
+        data.options.forEach((opt, i) => {
+            if (opt.text !== undefined) {
+                opt.text = transformer(opt.text, `data.options[${i}].text`);
+            }
+        });
+    }
+});
+
+registerQuestionType('FIB', {
+    displayName: 'Fill in the Blank',
+    style: MCQ_STYLE,
+    normalizeStyle: (style) => ({ ...style, options_layout: style.options_layout || 'vertical' }),
+    defaultAnswer: () => ({ gaps: [] }),
+    normalizeAnswer: (answer) => ({
+        ...answer,
+        gaps: (Array.isArray(answer.gaps) ? answer.gaps : []).map(normalizeAcceptedAnswer)
+    }),
+    hasAnswer: (answer) => (answer.gaps || []).some(g => g.accepted?.length > 0),
+    validateAnswer: (data, answer, label) => {
+        if (!Array.isArray(answer.gaps)) return [`${label}FIB answer.gaps must be an array`];
+        const errors = [];
+        const gapCount = countGapTokens(data.content);
+        if (answer.gaps.length > gapCount) {
+            errors.push(`${label}FIB answer has ${answer.gaps.length} gaps but content has ${gapCount} [[gap]] tokens`);
+        }
+        answer.gaps.forEach((gap, i) => errors.push(...validateAcceptedAnswer(gap, `Gap ${i + 1}`, label)));
+        return errors;
+    }
+});
+
+registerQuestionType('MATCH', {
+    displayName: 'Match the Following',
+    defaultData: () => ({ content: '', pairs: [] }),
+    defaultAnswer: () => ({ matches: [] }),
+    normalizeAnswer: (answer) => Array.isArray(answer.matches) ? answer : { ...answer, matches: [] },
+    hasAnswer: (answer) => (answer.matches || []).some(m => Number.isInteger(m)),
+    validate: (q) => (!q.data?.pairs || q.data.pairs.length === 0) ? ['MATCH requires at least one pair'] : [],
+    validateAnswer: (data, answer, label) => {
+        if (!Array.isArray(answer.matches)) return [`${label}MATCH answer.matches must be an array`];
+        const errors = [];
+        const pairCount = (data.pairs || []).length;
+        if (answer.matches.length > pairCount) {
+            errors.push(`${label}MATCH answer has ${answer.matches.length} matches but only ${pairCount} pairs`);
+        }
+        answer.matches.forEach((m, i) => {
+            if (m === null) return;
+            if (!Number.isInteger(m) || m < 0 || m >= pairCount) {
+                errors.push(`${label}MATCH answer for item ${i + 1} is not a valid Column B index`);
+            }
+        });
+        return errors;
+    },
+    walkRichText: (data, transformer) => {
+        if (!Array.isArray(data.pairs)) return;
+        data.pairs.forEach((pair, i) => {
+            if (pair.left !== undefined) {
+                pair.left = transformer(pair.left, `data.pairs[${i}].left`);
+            }
+            if (pair.right !== undefined) {
+                pair.right = transformer(pair.right, `data.pairs[${i}].right`);
+            }
+        });
+    }
+});
+
+registerQuestionType('SUBJECTIVE', {
+    displayName: 'Subjective',
+    defaultData: () => ({ content: '', expected_length: 'short' }),
+    defaultAnswer: () => ({ model_answer: '' }),
+    normalizeAnswer: (answer) => typeof answer.model_answer === 'string' ? answer : { ...answer, model_answer: '' },
+    hasAnswer: (answer) => !!answer.model_answer?.trim(),
+    validateAnswer: (data, answer, label) =>
+        (answer.model_answer !== undefined && typeof answer.model_answer !== 'string')
+            ? [`${label}SUBJECTIVE answer.model_answer must be a string`] : [],
+    walkRichText: (data, transformer) => {
+        if (data.answer?.model_answer !== undefined) {
+            data.answer.model_answer = transformer(data.answer.model_answer, 'data.answer.model_answer');
+        }
+    }
+});
+
+registerQuestionType('TABLE', {
+    displayName: 'Table/Grid',
+    style: TABLE_STYLE,
+    defaultData: () => ({
+        content: '',
+        table: {
+            header: ['Column 1', 'Column 2'],
+            rows: [['Row 1', ''], ['Row 2', '']]
+        }
+    }),
+    normalizeStyle: (style) => {
+        const normalized = { ...style };
+        if (!TABLE_GRID_VALUES.includes(normalized.table_grid_lines)) {
+            normalized.table_grid_lines = 'all';
+        }
+        if (normalized.hide_header === undefined) {
+            normalized.hide_header = false;
+        }
+        // column_widths - preserve if valid array
+        if (normalized.column_widths && !Array.isArray(normalized.column_widths)) {
+            delete normalized.column_widths;
+        }
+        return normalized;
+    },
+    normalizeData: normalizeTableData,
+    defaultAnswer: () => ({ cells: [] }),
+    normalizeAnswer: (answer) => ({
+        ...answer,
+        cells: (Array.isArray(answer.cells) ? answer.cells : []).map(cell => ({
+            ...cell,
+            ...normalizeAcceptedAnswer(cell)
+        }))
+    }),
+    hasAnswer: (answer) => (answer.cells || []).length > 0,
+    validate: (q) => {
+        if (!q.data?.table) return ['TABLE requires a table object'];
+        if (!q.data.table.rows || q.data.table.rows.length === 0) return ['TABLE requires at least one row in table.rows'];
+        return [];
+    },
+    validateAnswer: (data, answer, label) => {
+        if (!Array.isArray(answer.cells)) return [`${label}TABLE answer.cells must be an array`];
+        const errors = [];
+        const rows = data.table?.rows || [];
+        answer.cells.forEach((cell, i) => {
+            const row = rows[cell?.row];
+            if (!Number.isInteger(cell?.row) || !Array.isArray(row)) {
+                errors.push(`${label}TABLE answer cell ${i + 1} has an invalid row`);
+            } else if (!Number.isInteger(cell.col) || cell.col < 0 || cell.col >= row.length) {
+                errors.push(`${label}TABLE answer cell ${i + 1} has an invalid col`);
+            }
+            errors.push(...validateAcceptedAnswer(cell, `Cell (${cell?.row}, ${cell?.col})`, label));
+        });
+        return errors;
+    },
+    walkRichText: (data, transformer) => {
+        if (!data.table) return;
+        if (Array.isArray(data.table.header)) {
+            data.table.header = data.table.header.map((cell, i) =>
+                transformer(cell, `data.table.header[${i}]`)
+            );
+        }
+        if (Array.isArray(data.table.rows)) {
+            data.table.rows = data.table.rows.map((row, i) => {
+                if (Array.isArray(row)) {
+                    return row.map((cell, j) =>
+                        transformer(cell, `data.table.rows[${i}][${j}]`)
+                    );
+                }
+                return row;
+            });
+        }
+    }
+});
+
+registerQuestionType('COMPOSITE', {
+    displayName: 'Composite',
+    style: COMPOSITE_STYLE,
+    subQuestion: false,
+    defaultData: () => ({ common_content: '', sub_questions: [] }),
+    normalizeStyle: (style) => {
+        const normalized = { ...style, sub_questions_layout: style.sub_questions_layout || 'vertical' };
+        if (normalized.sub_questions_layout === 'matrix') {
+            const columns = normalized.sub_questions_columns;
+            if (!Number.isInteger(columns) || columns < MATRIX_COLUMN_LIMITS.min || columns > MATRIX_COLUMN_LIMITS.max) {
+                normalized.sub_questions_columns = MATRIX_COLUMN_LIMITS.default;
+            }
+        }
+        return normalized;
+    },
+    // Answers belong on the sub-questions
+    hasAnswer: (answer, data) => (data.sub_questions || []).some(sq => hasAnswerKey(sq)),
+    validate: (q) => {
+        const subQuestions = q.data?.sub_questions;
+        if (!subQuestions || subQuestions.length === 0) return ['COMPOSITE requires at least one sub-question'];
+        
+        const errors = [];
+        subQuestions.forEach((sq, i) => {
+            if (!sq.data?.style) {
+                errors.push(`Sub-question ${i + 1} missing data.style (mandatory in v5.1)`);
+            }
+            errors.push(...validateAnswer(sq.type, sq.data, `Sub-question ${i + 1}: `));
+            if (sq.marks !== undefined && (typeof sq.marks !== 'number' || sq.marks < 0)) {
+                errors.push(`Sub-question ${i + 1} marks must be a non-negative number`);
+            }
+        });
+        
+        // Sub-question marks may not add up to more than the question's marks
+        const subMarks = subQuestions.reduce((sum, sq) => sum + (typeof sq.marks === 'number' ? sq.marks : 0), 0);
+        const allMarked = subQuestions.every(sq => typeof sq.marks === 'number');
+        const total = q.metadata?.marks || 0;
+        if (subMarks > total || (allMarked && subMarks !== total)) {
+            errors.push(`Sub-question marks (${subMarks}) do not add up to metadata.marks (${total})`);
+        }
+        return errors;
+    },
+    validateAnswer: (data, answer, label) => [`${label}COMPOSITE answers belong on sub-questions, not data.answer`],
+    walkRichText: (data, transformer) => {
+        // options_pool (word bank for FIB sub-questions)
+        if (Array.isArray(data.options_pool)) {
+            data.options_pool = data.options_pool.map((item, i) =>
+                transformer(item, `data.options_pool[${i}]`)
+            );
+        }
+        // Sub-questions (recursive)
+        if (Array.isArray(data.sub_questions)) {
+            data.sub_questions.forEach((sub, i) => {
+                traverseAllRichText({ type: sub.type, data: sub.data },
+                    (text, path) => transformer(text, `data.sub_questions[${i}].${path}`));
+            });
+        }
+    }
+});
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CURRENT_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, SCHEMA_VERSION_REGEX, QUESTION_FILE_FORMAT,
+        QUESTION_TYPES, DIFFICULTY_LEVELS, POOL_TYPES, LAYOUT_VALUES, SUB_LAYOUT_VALUES,
+        TABLE_GRID_VALUES, MATRIX_COLUMN_LIMITS, IMAGE_TOKEN_REGEX, GAP_TOKEN_REGEX,
+        LEGACY_IMAGE_TOKEN_REGEX, PARSE_ERROR_KINDS, BASE_STYLE, MCQ_STYLE, COMPOSITE_STYLE,
+        TABLE_STYLE, QUESTION_TYPE_DEFINITIONS, registerQuestionType, getQuestionTypeDefinition,
+        parseJson, createLineLocator, skipToLineEnd, findJsonSyntaxError, findQuestionId,
+        compareSchemaVersions, detectSchemaVersion, isQuestionFileHeader, createQuestionFileHeader,
+        validateAndNormalize, isOldSchema, ensureDefaults, normalizeDataForType, normalizeTableData,
+        normalizeStyleValues, getStyleForType, getDefaultDataForType, getDefaultAnswerForType,
+        normalizeAnswer, normalizeAcceptedAnswer, countGapTokens, hasAnswerKey, validateAnswer,
+        validateAcceptedAnswer, extractImageTags, getImageTagId, resolveImagesForPreview,
+        resolveImagesForPublish, traverseAllRichText, generateId, hasImages, createEmptyQuestion,
+        prepareForExport, validateQuestion, getTypeDisplayName
     };
-    return names[type] || type;
 }
@@ -1,7 +1,7 @@
 /**
  * Question Preview Module (Schema v5.1)
  * Shared preview rendering logic for assessment questions
- * Used by: assessment-authoring-tool.html, assessment-selection-tool.html
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html, index.js (Node)
  * 
  * This module provides a high-level preview function that:
  * - Applies container styles (font, size, line height) from question.data.style
@@ -40,12 +40,17 @@ const PREVIEW_DEFAULTS = {
  * @param {string} options.fontFamily - Override font (e.g. from toolbar; takes precedence over question style)
  * @param {string} options.fontSize - Override font size (e.g. from toolbar)
  * @param {string} options.wrapperClass - CSS class for the wrapper div (default: 'q-preview')
+ * @param {boolean} options.sanitize - Sanitize author HTML (default: true, see formatRichText)
+ * @param {Array} options.sanitizeReport - Receives what sanitizing removed
+ * @param {boolean} options.responseMode - Render answer widgets instead of print blanks (default: false,
+ *   see renderQuestionHTML; question-response.js reads them)
+ * @param {string} options.responseName - Prefix for the widget names (see renderQuestionHTML)
  * @returns {string} The rendered HTML (also sets container.innerHTML)
  * 
  * @example
  * // Authoring tool - with interactive images
  * renderPreviewToContainer(question, container, {
- *     imageResolver: (id) => uploadedImages[id],
+ *     imageResolver: (id) => uploadedImages.get(id)?.dataUrl,
  *     interactive: true,
  *     questionNumber: question.id
  * });
@@ -70,7 +75,11 @@ function renderPreviewToContainer(question, container, options = {}) {
         fontFamily: optionsFontFamily = null,
         fontSize: optionsFontSize = null,
         lineHeight: optionsLineHeight = null,
-        wrapperClass = 'q-preview'
+        wrapperClass = 'q-preview',
+        sanitize = true,
+        sanitizeReport,
+        responseMode = false,
+        responseName
     } = options;
     
     try {
@@ -87,7 +96,11 @@ function renderPreviewToContainer(question, container, options = {}) {
             questionNumber,
             showMarks,
             imageResolver,
-            interactive
+            interactive,
+            sanitize,
+            sanitizeReport,
+            responseMode,
+            responseName
         });
         
         // Wrap in container div with specified class (or no wrapper if empty)
@@ -98,8 +111,8 @@ function renderPreviewToContainer(question, container, options = {}) {
     } catch (error) {
         console.error('Error rendering question preview:', error, question);
         container.innerHTML = `<div class="p-error" style="color: red; padding: 1rem;">
-            <strong>Error rendering question ${questionNumber}:</strong><br>
-            ${error.message}
+            <strong>Error rendering question ${escapeHtmlText(questionNumber)}:</strong><br>
+            ${escapeHtmlText(error.message)}
         </div>`;
         return '';
     }
@@ -121,14 +134,22 @@ function renderPreviewHTML(question, options = {}) {
         interactive = false,
         questionNumber = question.id || '1',
         showMarks = false,
-        wrapperClass = 'q-preview'
+        wrapperClass = 'q-preview',
+        sanitize = true,
+        sanitizeReport,
+        responseMode = false,
+        responseName
     } = options;
     
     const html = renderQuestionHTML(question, {
         questionNumber,
         showMarks,
         imageResolver,
-        interactive
+        interactive,
+        sanitize,
+        sanitizeReport,
+        responseMode,
+        responseName
     });
     
     return wrapperClass ? `<div class="${wrapperClass}">${html}</div>` : html;
@@ -157,3 +178,14 @@ function applyPreviewStyles(container, question = null) {
 function getPreviewDefaults() {
     return { ...PREVIEW_DEFAULTS };
 }
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PREVIEW_DEFAULTS, renderPreviewToContainer, renderPreviewHTML, applyPreviewStyles,
+        getPreviewDefaults
+    };
+}
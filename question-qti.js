@@ -0,0 +1,1142 @@
+/**
+ * Question QTI Module (Schema v5.1)
+ * Exchange with other assessment platforms as IMS QTI 3.0 content packages
+ * Used by: assessment-authoring-tool.html (Export QTI; QTI packages in Upload JSON/JSONL and the image drop),
+ *          assessment-selection-tool.html (QTI packages as bank files)
+ *
+ * This module provides functions to:
+ * - Export a bank as a QTI 3.0 package, images included as package resources (createQtiPackage)
+ * - Turn RichText into QTI XHTML: Markdown and HTML as XHTML, LaTeX as MathML (richTextToQtiXhtml)
+ * - Open a QTI 3.0 package as question text for parseJson plus its images (readQtiPackage)
+ * - Turn QTI XHTML back into RichText (qtiXhtmlToRichText)
+ *
+ * Mapping:
+ * - MCQ:        qti-choice-interaction, scored all or nothing
+ * - FIB:        a qti-text-entry-interaction in each gap; the accepted values are mapped, marks split over the gaps
+ * - MATCH:      qti-match-interaction from Column A to Column B (directedPair), marks split over the items
+ * - SUBJECTIVE: qti-extended-text-interaction (and qti-upload-interaction when data.allow_media_upload);
+ *               the model answer is a rubric block for scorers; no automatic scoring
+ * - TABLE:      an XHTML table with a qti-text-entry-interaction in the empty and answer cells
+ * - COMPOSITE:  common_content and the word bank as a qti-assessment-stimulus, plus one item per
+ *               sub-question referring to it; importing groups the items of a stimulus again
+ * Solutions are rubric blocks for scorers and tutors (for COMPOSITE, in the last sub-question's item).
+ * Fields QTI has no place for (question id, metadata, style, tolerance and unit rules, sub-question ids)
+ * are kept as JSON in the manifest's resource metadata (QTI_EXTENSION_NAMESPACE), so a round trip
+ * restores them; other platforms ignore it.
+ *
+ * Package layout:
+ *   imsmanifest.xml   - IMS content package manifest: one resource per item, stimulus and image
+ *   <identifier>.xml  - qti-assessment-item, or qti-assessment-stimulus for COMPOSITE common content
+ *   images/<tag>.png  - Images, named as in question packages (see question-package.js)
+ *
+ * Each type converts through three hooks on its definition (see registerQuestionType), so types
+ * registered later can be exchanged too:
+ *   toQti(data, context)   - { declarations: string[], body, rules }: response declarations, item body
+ *                            and response rules (XML); data has its RichText in QTI XHTML already.
+ *                            context = { marks, warn(message) }
+ *   matchesQtiItem(body)   - True if an imported qti-item-body holds a question of this type
+ *   fromQti(body, context) - Question data read from a qti-item-body (rubric blocks removed).
+ *                            context = { declarations (see readQtiDeclarations), rubrics: { scoring, solution },
+ *                            toRichText(element), warn(message) }
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides registerQuestionType, getQuestionTypeDefinition, traverseAllRichText,
+ *   extractImageTags, QUESTION_TYPES, CURRENT_SCHEMA_VERSION)
+ * - question-renderer.js (provides formatRichText, escapeHtmlText, RESPONSE_TEXT_ROWS, DEFAULT_GAP_WIDTH,
+ *   SANITIZE_ALLOWED_TAGS, SANITIZE_VOID_TAGS)
+ * - question-grader.js (provides getSubQuestionMarks)
+ * - zip-utils.js (provides createZip, readZip)
+ * - image-bundle.js (provides IMAGE_MIME_TYPES, getFileExtension, getImageTagFromFileName)
+ * - question-package.js (provides collectPackageImages)
+ * - KaTeX (math as MathML; without it, math is exported as its LaTeX source)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0';
+const QTI_SCHEMA_LOCATION = 'https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd';
+const QTI_MANIFEST_NAMESPACE = 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1';
+const QTI_MANIFEST_SCHEMA_LOCATION = 'https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqtiv3p0_imscpv1p2_v1p0.xsd';
+const QTI_MANIFEST = 'imsmanifest.xml';
+// Resource metadata with the fields QTI has no place for (JSON)
+const QTI_EXTENSION_NAMESPACE = 'urn:assessment-generator:qti:v5.1';
+const QTI_RESOURCE_TYPES = {
+    item: 'imsqti_item_xmlv3p0',
+    stimulus: 'imsqti_stimulus_xmlv3p0',
+    image: 'webcontent'
+};
+// Gap widths become expected-length in characters, at roughly 10px per character (as for ______ blanks)
+const QTI_GAP_CHARACTER_WIDTH = 10;
+// Answer fields QTI can't express; a round trip takes them from the extension
+const QTI_UNMAPPED_ANSWER_FIELDS = ['tolerance', 'unit_required'];
+// XHTML elements that start a new paragraph of RichText when importing
+const QTI_BLOCK_ELEMENTS = ['p', 'div', 'section', 'article', 'aside', 'header', 'footer', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'table', 'tr', 'caption', 'figure', 'figcaption', 'hr', 'dl', 'dt', 'dd',
+    'qti-prompt', 'qti-rubric-block', 'qti-content-body', 'qti-stimulus-body'];
+
+// =====================================================
+// EXPORT
+// =====================================================
+
+/**
+ * Build a QTI 3.0 package from a bank and an image store
+ * Images are taken from the store by tag; tags without an image are reported, not fatal.
+ * @param {Array} questions - v5.1 questions, ready for export (see prepareForExport)
+ * @param {Map} imageStore - tag → { blob?, dataUrl, contentType? } (see image-bundle.js)
+ * @param {Object} options
+ * @param {string} options.name - Package title recorded in the manifest
+ * @returns {Promise<Object>} {
+ *   blob,
+ *   missing: [{ tag, reason }],
+ *   warnings: [{ questionId, message }]      - what QTI can't express (e.g. tolerance), and skipped questions
+ * }
+ */
+async function createQtiPackage(questions, imageStore, { name = '' } = {}) {
+    const { files: imageFiles, images, missing } = await collectPackageImages(questions, imageStore);
+    const used = new Set();
+    const imagePaths = new Map();
+    const imageResources = [];
+    Object.entries(images).forEach(([tag, { file }]) => {
+        const identifier = createQtiIdentifier(`IMG_${tag}`, used);
+        imagePaths.set(tag, { identifier, src: file.split('/').map(encodeURIComponent).join('/') });
+        imageResources.push({ identifier, type: QTI_RESOURCE_TYPES.image, href: file, extension: { tag } });
+    });
+
+    const resources = [];
+    const files = [];
+    const warnings = [];
+    questions.forEach(question => {
+        const warn = (message) => warnings.push({ questionId: question.id, message });
+        const converted = convertRichTextForQti(question, imagePaths);
+        const imageIds = Array.from(extractImageTags(question))
+            .filter(tag => imagePaths.has(tag))
+            .map(tag => imagePaths.get(tag).identifier);
+        const addResource = (identifier, type, xml, extension, dependencies = []) => {
+            files.push({ name: `${identifier}.xml`, data: xml });
+            resources.push({ identifier, type, href: `${identifier}.xml`, extension, dependencies: [...dependencies, ...imageIds] });
+        };
+
+        if (question.type !== 'COMPOSITE') {
+            const definition = getQuestionTypeDefinition(question.type);
+            if (!definition?.toQti) {
+                warn(`${question.type} questions have no QTI mapping; skipped`);
+                return;
+            }
+            const identifier = createQtiIdentifier(question.id, used);
+            const marks = Number(question.metadata?.marks) || 0;
+            const parts = definition.toQti(converted.data, { marks, warn });
+            addResource(identifier, QTI_RESOURCE_TYPES.item,
+                buildQtiItem({ identifier, title: question.id, parts, marks, solution: converted.solution?.text }),
+                { id: question.id, metadata: question.metadata, data: pickQtiExtensionData(question.data) });
+            return;
+        }
+
+        // COMPOSITE: the common content once, as a stimulus shared by one item per sub-question
+        const stimulus = createQtiIdentifier(`${question.id}_stimulus`, used);
+        addResource(stimulus, QTI_RESOURCE_TYPES.stimulus,
+            buildQtiStimulus({ identifier: stimulus, title: question.id, data: converted.data }),
+            { id: question.id, metadata: question.metadata, data: { style: question.data.style } });
+
+        const subQuestions = converted.data.sub_questions || [];
+        const subMarks = getSubQuestionMarks(question);
+        subQuestions.forEach((sq, i) => {
+            const source = question.data.sub_questions[i];
+            const subId = source.id || String.fromCharCode(97 + i);
+            const definition = getQuestionTypeDefinition(sq.type);
+            if (!definition?.toQti) {
+                warn(`Sub-question ${subId}: ${sq.type} has no QTI mapping; skipped`);
+                return;
+            }
+            const identifier = createQtiIdentifier(`${question.id}_${subId}`, used);
+            const parts = definition.toQti(sq.data || {}, {
+                marks: subMarks[i],
+                warn: (message) => warn(`Sub-question ${subId}: ${message}`)
+            });
+            const isLast = i === subQuestions.length - 1;
+            addResource(identifier, QTI_RESOURCE_TYPES.item,
+                buildQtiItem({
+                    identifier, title: `${question.id} (${subId})`, parts, marks: subMarks[i], stimulus,
+                    solution: isLast ? converted.solution?.text : ''
+                }),
+                { composite: question.id, sub_id: subId, marks: source.marks, data: pickQtiExtensionData(source.data) },
+                [stimulus]);
+        });
+    });
+
+    // Items and stimuli in bank order, then the images
+    const blob = await createZip([
+        { name: QTI_MANIFEST, data: buildQtiManifest([...resources, ...imageResources], name) },
+        ...files,
+        ...imageFiles
+    ]);
+    return { blob, missing, warnings };
+}
+
+/**
+ * Copy a question with every RichText field in QTI XHTML (see traverseAllRichText)
+ * Gaps become text entry interactions in the content of types answered in their gaps
+ * (definition.gapResponses, e.g. FIB), and plain blanks elsewhere.
+ * @param {Object} question - v5.1 question
+ * @param {Map} imagePaths - tag → { src } of the images in the package
+ * @returns {Object} The converted copy
+ */
+function convertRichTextForQti(question, imagePaths) {
+    const converted = JSON.parse(JSON.stringify(question));
+    traverseAllRichText(converted, (text, path) => richTextToQtiXhtml(text, {
+        imagePaths,
+        gapResponses: isQtiGapResponsePath(question, path)
+    }));
+    return converted;
+}
+
+/**
+ * Check whether a RichText path is the content of a question answered in its gaps
+ * @param {Object} question - v5.1 question
+ * @param {string} path - Path from traverseAllRichText (e.g. 'data.sub_questions[1].data.content')
+ * @returns {boolean} True if its gaps are responses
+ */
+function isQtiGapResponsePath(question, path) {
+    if (path === 'data.content') return getQuestionTypeDefinition(question.type)?.gapResponses === true;
+    const match = /^data\.sub_questions\[(\d+)\]\.data\.content$/.exec(path);
+    const sq = match ? question.data.sub_questions?.[match[1]] : null;
+    return !!sq && getQuestionTypeDefinition(sq.type)?.gapResponses === true;
+}
+
+/**
+ * Convert RichText to QTI XHTML
+ * Renders it with formatRichText (Markdown, sanitized HTML, LaTeX as MathML), then strips the
+ * renderer's wrappers, classes and styles: image sizes become width/height attributes.
+ * @param {string} text - RichText
+ * @param {Object} options
+ * @param {Map} options.imagePaths - tag → { src } of the images in the package; others print as [Image: tag]
+ * @param {boolean} options.gapResponses - Gaps as qti-text-entry-interaction RESPONSE_1, RESPONSE_2, ...
+ *   (default: a ______ blank)
+ * @returns {string} XHTML fragment (flow content, no namespace declarations except on <math>)
+ */
+function richTextToQtiXhtml(text, { imagePaths = new Map(), gapResponses = false } = {}) {
+    if (text === null || text === undefined || text === '') return '';
+
+    const html = formatRichText(String(text), {
+        imageResolver: (tag) => imagePaths.get(tag)?.src || null,
+        mathOutput: 'mathml'
+    });
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html');
+    const body = doc.body;
+
+    // KaTeX wraps its MathML in spans: keep the <math> (its TeX annotation lets importers restore the source)
+    body.querySelectorAll('.katex-display, .katex').forEach(span => {
+        const math = span.querySelector('math');
+        if (math) span.replaceWith(math);
+    });
+    body.querySelectorAll('.p-asset, .p-asset-row').forEach(wrapper => wrapper.replaceWith(...wrapper.childNodes));
+    body.querySelectorAll('.p-asset-placeholder').forEach(placeholder => placeholder.replaceWith(placeholder.textContent));
+    body.querySelectorAll('img').forEach(img => {
+        ['width', 'height'].forEach(side => {
+            const size = new RegExp(`(?:^|;)\\s*${side}:\\s*(\\d+)px`).exec(img.getAttribute('style') || '');
+            if (size) img.setAttribute(side, size[1]);
+        });
+    });
+    body.querySelectorAll('.p-gap').forEach((gap, i) => {
+        if (!gapResponses) {
+            gap.replaceWith('______');
+            return;
+        }
+        const entry = doc.createElement('qti-text-entry-interaction');
+        entry.setAttribute('response-identifier', `RESPONSE_${i + 1}`);
+        const width = parseInt(gap.style.width, 10) || 0;
+        entry.setAttribute('expected-length', String(Math.max(1, Math.round(width / QTI_GAP_CHARACTER_WIDTH))));
+        gap.replaceWith(entry);
+    });
+    body.querySelectorAll('[style], [class]').forEach(el => {
+        el.removeAttribute('style');
+        el.removeAttribute('class');
+    });
+
+    const serializer = new XMLSerializer();
+    return Array.from(body.childNodes, node => serializer.serializeToString(node))
+        .join('')
+        .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+}
+
+/**
+ * Fields of question data kept in the manifest extension (the rest is in the QTI markup)
+ * @param {Object} data - Question data
+ * @returns {Object} { style, answer }
+ */
+function pickQtiExtensionData(data) {
+    const picked = {};
+    if (data?.style) picked.style = data.style;
+    if (data?.answer) picked.answer = data.answer;
+    return picked;
+}
+
+// =====================================================
+// QTI DOCUMENTS
+// =====================================================
+
+/**
+ * Build a qti-assessment-item
+ * SCORE is the sum the type's rules set; MAXSCORE is the question's marks.
+ * @param {Object} item
+ * @param {string} item.identifier - Item identifier (also the file name)
+ * @param {string} item.title - Item title
+ * @param {Object} item.parts - { declarations, body, rules } from the type's toQti hook
+ * @param {number} item.marks - Marks
+ * @param {string} item.stimulus - Identifier of a shared stimulus (COMPOSITE sub-questions)
+ * @param {string} item.solution - Solution in QTI XHTML
+ * @returns {string} XML document
+ */
+function buildQtiItem({ identifier, title, parts, marks, stimulus = '', solution = '' }) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<qti-assessment-item xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+        `    xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA_LOCATION}"`,
+        `    identifier="${escapeHtmlText(identifier)}" title="${escapeHtmlText(title)}" adaptive="false" time-dependent="false">`,
+        ...parts.declarations.map(declaration => `  ${declaration}`),
+        `  ${buildQtiOutcomeDeclaration('SCORE', 0)}`,
+        `  ${buildQtiOutcomeDeclaration('MAXSCORE', marks)}`
+    ];
+    if (stimulus) {
+        lines.push(`  <qti-assessment-stimulus-ref identifier="${stimulus}" href="${stimulus}.xml"/>`);
+    }
+    lines.push(`  <qti-item-body>${parts.body}${buildQtiRubricBlock(solution, 'solution')}</qti-item-body>`);
+    if (parts.rules) {
+        lines.push(`  <qti-response-processing>${parts.rules}</qti-response-processing>`);
+    }
+    lines.push('</qti-assessment-item>');
+    return lines.join('\n');
+}
+
+/**
+ * Build the qti-assessment-stimulus of a COMPOSITE: common content, then the word bank
+ * @param {Object} stimulus
+ * @param {string} stimulus.identifier - Stimulus identifier (also the file name)
+ * @param {string} stimulus.title - Stimulus title
+ * @param {Object} stimulus.data - COMPOSITE data with RichText in QTI XHTML
+ * @returns {string} XML document
+ */
+function buildQtiStimulus({ identifier, title, data }) {
+    const pool = Array.isArray(data.options_pool) ? data.options_pool : [];
+    const wordBank = pool.length > 0
+        ? `<ul class="word-bank">${pool.map(word => `<li>${word}</li>`).join('')}</ul>`
+        : '';
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<qti-assessment-stimulus xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+        `    xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA_LOCATION}"`,
+        `    identifier="${escapeHtmlText(identifier)}" title="${escapeHtmlText(title)}">`,
+        `  <qti-stimulus-body>${buildQtiBlock(data.common_content)}${wordBank}</qti-stimulus-body>`,
+        '</qti-assessment-stimulus>'
+    ].join('\n');
+}
+
+/**
+ * Build imsmanifest.xml
+ * @param {Array} resources - [{ identifier, type, href, extension, dependencies? }]
+ * @param {string} name - Package title
+ * @returns {string} XML document
+ */
+function buildQtiManifest(resources, name) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<manifest xmlns="${QTI_MANIFEST_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+        `    xmlns:ag="${QTI_EXTENSION_NAMESPACE}"`,
+        `    xsi:schemaLocation="${QTI_MANIFEST_NAMESPACE} ${QTI_MANIFEST_SCHEMA_LOCATION}"`,
+        `    identifier="${createQtiIdentifier(`MANIFEST_${name || Date.now()}`, new Set())}">`,
+        '  <metadata>',
+        '    <schema>QTI Package</schema>',
+        '    <schemaversion>3.0.0</schemaversion>',
+        '  </metadata>',
+        '  <organizations/>',
+        '  <resources>'
+    ];
+    resources.forEach(({ identifier, type, href, extension, dependencies = [] }) => {
+        lines.push(`    <resource identifier="${identifier}" type="${type}" href="${escapeHtmlText(href)}">`);
+        lines.push(`      <metadata><ag:extension>${escapeHtmlText(JSON.stringify(extension))}</ag:extension></metadata>`);
+        lines.push(`      <file href="${escapeHtmlText(href)}"/>`);
+        dependencies.forEach(dependency => lines.push(`      <dependency identifierref="${dependency}"/>`));
+        lines.push('    </resource>');
+    });
+    lines.push('  </resources>', '</manifest>');
+    return lines.join('\n');
+}
+
+/**
+ * @param {string} identifier - Outcome variable
+ * @param {number} value - Default value
+ * @returns {string} qti-outcome-declaration (float)
+ */
+function buildQtiOutcomeDeclaration(identifier, value) {
+    return `<qti-outcome-declaration identifier="${identifier}" cardinality="single" base-type="float">` +
+        `<qti-default-value><qti-value>${formatQtiNumber(value)}</qti-value></qti-default-value></qti-outcome-declaration>`;
+}
+
+/**
+ * Response declaration of a typed-in answer, with its accepted values mapped to marks
+ * @param {string} identifier - Response variable
+ * @param {Object} entry - { accepted[], case_sensitive? } (see normalizeAcceptedAnswer), or null for no key
+ * @param {number} marks - Marks for a match
+ * @returns {string} qti-response-declaration (string)
+ */
+function buildQtiTextResponseDeclaration(identifier, entry, marks) {
+    const accepted = [...new Set(entry?.accepted || [])];
+    const open = `<qti-response-declaration identifier="${identifier}" cardinality="single" base-type="string"`;
+    if (accepted.length === 0) return `${open}/>`;
+    const caseSensitive = entry.case_sensitive ? 'true' : 'false';
+    return `${open}>` +
+        `<qti-correct-response><qti-value>${escapeHtmlText(accepted[0])}</qti-value></qti-correct-response>` +
+        `<qti-mapping default-value="0">${accepted.map(value =>
+            `<qti-map-entry map-key="${escapeHtmlText(value)}" mapped-value="${formatQtiNumber(marks)}" case-sensitive="${caseSensitive}"/>`
+        ).join('')}</qti-mapping></qti-response-declaration>`;
+}
+
+/**
+ * Response rule setting SCORE to the sum of mapped responses
+ * @param {string[]} identifiers - Response variables with a mapping
+ * @returns {string} qti-set-outcome-value, or '' if there is nothing to score
+ */
+function buildQtiMappedScoreRule(identifiers) {
+    if (identifiers.length === 0) return '';
+    const terms = identifiers.map(identifier => `<qti-map-response identifier="${identifier}"/>`).join('');
+    return `<qti-set-outcome-value identifier="SCORE"><qti-sum>${terms}</qti-sum></qti-set-outcome-value>`;
+}
+
+/**
+ * @param {string} xhtml - QTI XHTML (may be empty)
+ * @returns {string} The XHTML in a <div> (item and stimulus bodies hold block content), or ''
+ */
+function buildQtiBlock(xhtml) {
+    return xhtml ? `<div>${xhtml}</div>` : '';
+}
+
+/**
+ * @param {string} xhtml - QTI XHTML (may be empty)
+ * @param {string} use - 'solution' or 'scoring' (model answer)
+ * @returns {string} qti-rubric-block for scorers and tutors, or ''
+ */
+function buildQtiRubricBlock(xhtml, use) {
+    if (!xhtml) return '';
+    return `<qti-rubric-block view="scorer tutor" use="${use}"><qti-content-body>${buildQtiBlock(xhtml)}</qti-content-body></qti-rubric-block>`;
+}
+
+/**
+ * Make a QTI identifier (letters, digits, '-', '_', '.'; starting with a letter or '_'), unique in a package
+ * @param {string} value - Question id, option id, ...
+ * @param {Set<string>} used - Identifiers already taken (modified in place)
+ * @returns {string} Identifier
+ */
+function createQtiIdentifier(value, used) {
+    let base = String(value ?? '').replace(/[^A-Za-z0-9._-]/g, '_');
+    if (!/^[A-Za-z_]/.test(base)) base = `_${base}`;
+    let identifier = base;
+    for (let n = 2; used.has(identifier.toLowerCase()); n++) {
+        identifier = `${base}_${n}`;
+    }
+    used.add(identifier.toLowerCase());
+    return identifier;
+}
+
+/**
+ * @param {number} value - Marks
+ * @returns {string} Up to 4 decimal places, no trailing zeros
+ */
+function formatQtiNumber(value) {
+    return String(Math.round((Number(value) || 0) * 10000) / 10000);
+}
+
+// =====================================================
+// IMPORT
+// =====================================================
+
+/**
+ * Open a QTI 3.0 package
+ * Items with a known interaction become questions of the type whose matchesQtiItem hook accepts them;
+ * items sharing a stimulus become one COMPOSITE. Other items are imported as SUBJECTIVE (with a warning).
+ * @param {Blob} blob - ZIP file
+ * @returns {Promise<Object|null>} null if the ZIP has no imsmanifest.xml with QTI resources, else {
+ *   text,                                      - Questions as JSONL, for parseJson (which normalizes them)
+ *   images: [{ tag, name, blob, contentType }],
+ *   skipped: [{ name, reason }],               - entries that could not be read (e.g. QTI 2.x items)
+ *   warnings: [{ questionId, message }]        - what was converted with losses
+ * }
+ * @throws {Error} If the file is not a ZIP
+ */
+async function readQtiPackage(blob) {
+    const zip = await readZip(blob);
+    const entries = new Map(zip.entries.map(entry => [entry.name, entry]));
+    const manifestEntry = entries.get(QTI_MANIFEST);
+    if (!manifestEntry) return null;
+    const manifest = parseQtiXml(await manifestEntry.blob.text());
+    if (!manifest) return null;
+    const resources = findQtiElements(manifest.documentElement, 'resource');
+    if (!resources.some(resource => /^imsqti_/.test(resource.getAttribute('type') || ''))) return null;
+
+    const skipped = [...zip.skipped];
+    const warnings = [];
+
+    // Images: every image file, under its file name's tag or the tag recorded at export
+    const images = [];
+    const imageTags = new Map();
+    zip.entries.forEach(entry => {
+        const contentType = IMAGE_MIME_TYPES[getFileExtension(entry.name)];
+        if (!contentType) return;
+        imageTags.set(entry.name, getImageTagFromFileName(entry.name));
+    });
+    resources.forEach(resource => {
+        const href = resource.getAttribute('href');
+        const tag = readQtiExtension(resource)?.tag;
+        if (tag && imageTags.has(href)) imageTags.set(href, tag);
+    });
+    imageTags.forEach((tag, name) => {
+        const contentType = IMAGE_MIME_TYPES[getFileExtension(name)];
+        images.push({ tag, name, blob: new Blob([entries.get(name).blob], { type: contentType }), contentType });
+    });
+
+    const extensions = new Map(resources.map(resource => [resource.getAttribute('href'), readQtiExtension(resource)]));
+    const questions = [];
+    const composites = new Map();   // stimulus path → COMPOSITE question
+    for (const resource of resources) {
+        const type = resource.getAttribute('type') || '';
+        const href = resource.getAttribute('href') || '';
+        if (/^imsqti_item_xmlv2/.test(type)) {
+            skipped.push({ name: href, reason: 'QTI 2.x items are not supported (export them as QTI 3.0)' });
+            continue;
+        }
+        if (type !== QTI_RESOURCE_TYPES.item) continue;
+
+        const entry = entries.get(href);
+        const doc = entry ? parseQtiXml(await entry.blob.text()) : null;
+        if (!doc || doc.documentElement.localName !== 'qti-assessment-item') {
+            skipped.push({ name: href, reason: entry ? 'not a QTI 3.0 item' : 'missing from the package' });
+            continue;
+        }
+        const extension = extensions.get(href) || {};
+        const questionId = extension.composite || extension.id || doc.documentElement.getAttribute('identifier');
+        const warn = (message) => warnings.push({ questionId, message });
+        const toRichText = (element, basePath = href) => qtiXhtmlToRichText(element, { basePath, imageTags, warn });
+        const item = readQtiItem(doc, { toRichText, warn });
+        const data = applyQtiExtensionData(item.data, extension.data);
+
+        if (!item.stimulus) {
+            questions.push({
+                schema_version: CURRENT_SCHEMA_VERSION,
+                id: extension.id || item.identifier,
+                metadata: { ...extension.metadata, marks: item.marks ?? extension.metadata?.marks },
+                type: item.type,
+                data,
+                solution: { text: item.solution }
+            });
+            continue;
+        }
+
+        // Sub-question of a COMPOSITE: the first item of a stimulus creates the question
+        const stimulusPath = resolveQtiPath(href, item.stimulus);
+        if (!composites.has(stimulusPath)) {
+            const stimulusEntry = entries.get(stimulusPath);
+            const stimulusDoc = stimulusEntry ? parseQtiXml(await stimulusEntry.blob.text()) : null;
+            if (!stimulusDoc) warn(`Stimulus ${stimulusPath} is missing or not XML; the common content is empty`);
+            const composite = readQtiStimulus(stimulusDoc, stimulusPath, extensions.get(stimulusPath) || {},
+                (element) => toRichText(element, stimulusPath));
+            composites.set(stimulusPath, composite);
+            questions.push(composite);
+        }
+        const composite = composites.get(stimulusPath);
+        const subQuestions = composite.data.sub_questions;
+        const sq = {
+            id: extension.sub_id || String.fromCharCode(97 + subQuestions.length),
+            type: item.type,
+            data
+        };
+        const marks = extension.composite ? extension.marks : item.marks;
+        if (typeof marks === 'number') sq.marks = marks;
+        subQuestions.push(sq);
+        if (item.solution) {
+            composite.solution.text = composite.solution.text ? `${composite.solution.text}\n\n${item.solution}` : item.solution;
+        }
+    }
+
+    // COMPOSITEs without marks of their own (from another platform) are worth their items
+    composites.forEach(composite => {
+        if (composite.metadata.marks === undefined) {
+            composite.metadata.marks = composite.data.sub_questions.reduce((sum, sq) => sum + (sq.marks || 0), 0);
+        }
+    });
+
+    const text = [createQuestionFileHeader(), ...questions].map(q => JSON.stringify(q)).join('\n');
+    return { text, images, skipped, warnings };
+}
+
+/**
+ * Read one qti-assessment-item
+ * @param {Document} doc - Item document
+ * @param {Object} context - { toRichText(element), warn(message) }
+ * @returns {Object} { identifier, type, data, marks (MAXSCORE, or undefined), solution, stimulus (href or '') }
+ */
+function readQtiItem(doc, { toRichText, warn }) {
+    const root = doc.documentElement;
+    const declarations = readQtiDeclarations(root);
+    const body = getQtiChildElements(root, 'qti-item-body')[0] || doc.createElementNS(QTI_NAMESPACE, 'qti-item-body');
+
+    // Rubric blocks for scorers and tutors hold the model answer and solution; candidate ones stay in the text
+    const rubrics = { scoring: '', solution: '' };
+    findQtiElements(body, 'qti-rubric-block').forEach(block => {
+        const views = (block.getAttribute('view') || '').split(/\s+/);
+        if (views.includes('candidate')) return;
+        const use = block.getAttribute('use') === 'scoring' ? 'scoring' : 'solution';
+        const text = toRichText(block);
+        rubrics[use] = rubrics[use] ? `${rubrics[use]}\n\n${text}` : text;
+        block.parentNode.removeChild(block);
+    });
+
+    let type;
+    let data;
+    const definition = QUESTION_TYPES.map(getQuestionTypeDefinition)
+        .find(d => d?.matchesQtiItem && d.fromQti && d.matchesQtiItem(body));
+    if (definition) {
+        type = definition.type;
+        data = definition.fromQti(body, { declarations, rubrics, toRichText, warn });
+    } else {
+        const interactions = [...new Set(Array.from(body.getElementsByTagName('*'), el => el.localName)
+            .filter(name => /-interaction$/.test(name)))];
+        warn(`${interactions.join(', ') || 'No interaction'}: not supported; imported as SUBJECTIVE without an answer key`);
+        type = 'SUBJECTIVE';
+        data = { content: toRichText(body) };
+    }
+
+    const stimulusRef = getQtiChildElements(root, 'qti-assessment-stimulus-ref')[0];
+    return {
+        identifier: root.getAttribute('identifier'),
+        type,
+        data,
+        marks: readQtiOutcomeDefault(root, 'MAXSCORE'),
+        solution: rubrics.solution,
+        stimulus: stimulusRef?.getAttribute('href') || ''
+    };
+}
+
+/**
+ * Start the COMPOSITE of a qti-assessment-stimulus: common content and word bank, no sub-questions yet
+ * @param {Document} doc - Stimulus document (null if it is missing)
+ * @param {string} path - Stimulus path in the package
+ * @param {Object} extension - Extension JSON of the stimulus resource ({ id, metadata, data: { style } })
+ * @param {Function} toRichText - (element) → RichText
+ * @returns {Object} COMPOSITE question
+ */
+function readQtiStimulus(doc, path, extension, toRichText) {
+    const data = { common_content: '', sub_questions: [] };
+    const body = doc ? findQtiElement(doc.documentElement, 'qti-stimulus-body') : null;
+    if (body) {
+        const wordBank = findQtiElements(body, 'ul')
+            .find(list => (list.getAttribute('class') || '').split(/\s+/).includes('word-bank'));
+        if (wordBank) {
+            data.options_pool = getQtiChildElements(wordBank, 'li').map(li => toRichText(li));
+            wordBank.parentNode.removeChild(wordBank);
+        }
+        data.common_content = toRichText(body);
+    }
+    if (extension.data?.style) data.style = extension.data.style;
+
+    return {
+        schema_version: CURRENT_SCHEMA_VERSION,
+        id: extension.id || doc?.documentElement.getAttribute('identifier') || getImageTagFromFileName(path),
+        metadata: { ...extension.metadata },
+        type: 'COMPOSITE',
+        data,
+        solution: { text: '' }
+    };
+}
+
+/**
+ * Read the response declarations of an item
+ * @param {Element} root - qti-assessment-item
+ * @returns {Map<string, Object>} identifier → { cardinality, baseType, correct: string[],
+ *   mapping: [{ key, value, caseSensitive }] }
+ */
+function readQtiDeclarations(root) {
+    const values = (parent) => parent ? getQtiChildElements(parent, 'qti-value').map(value => value.textContent.trim()) : [];
+    const declarations = new Map();
+    getQtiChildElements(root, 'qti-response-declaration').forEach(declaration => {
+        const mapping = getQtiChildElements(declaration, 'qti-mapping')[0];
+        declarations.set(declaration.getAttribute('identifier'), {
+            cardinality: declaration.getAttribute('cardinality'),
+            baseType: declaration.getAttribute('base-type'),
+            correct: values(getQtiChildElements(declaration, 'qti-correct-response')[0]),
+            mapping: mapping ? getQtiChildElements(mapping, 'qti-map-entry').map(entry => ({
+                key: entry.getAttribute('map-key'),
+                value: Number(entry.getAttribute('mapped-value')) || 0,
+                caseSensitive: entry.getAttribute('case-sensitive') === 'true'
+            })) : []
+        });
+    });
+    return declarations;
+}
+
+/**
+ * Default value of an outcome variable (e.g. MAXSCORE)
+ * @param {Element} root - qti-assessment-item
+ * @param {string} identifier - Outcome variable
+ * @returns {number|undefined} The value, or undefined if it is not declared as a number
+ */
+function readQtiOutcomeDefault(root, identifier) {
+    const declaration = getQtiChildElements(root, 'qti-outcome-declaration')
+        .find(el => el.getAttribute('identifier') === identifier);
+    const value = declaration ? findQtiElement(declaration, 'qti-value') : null;
+    const number = value ? Number(value.textContent.trim()) : NaN;
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Accepted values of a typed-in answer (FIB gap, TABLE cell)
+ * @param {Object} declaration - From readQtiDeclarations (may be undefined)
+ * @returns {Object} { accepted[], case_sensitive? } (see normalizeAcceptedAnswer)
+ */
+function readQtiAcceptedAnswer(declaration) {
+    if (!declaration) return { accepted: [] };
+    const mapped = declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key);
+    const answer = { accepted: [...new Set([...declaration.correct, ...mapped])] };
+    if (declaration.mapping.some(entry => entry.caseSensitive)) answer.case_sensitive = true;
+    return answer;
+}
+
+/**
+ * The extension JSON of a manifest resource
+ * @param {Element} resource - <resource>
+ * @returns {Object|null} Parsed JSON, or null if there is none (packages from other platforms)
+ */
+function readQtiExtension(resource) {
+    const element = Array.from(resource.getElementsByTagNameNS(QTI_EXTENSION_NAMESPACE, 'extension'))[0];
+    if (!element) return null;
+    try {
+        return JSON.parse(element.textContent);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Put the extension fields back on imported data
+ * The extension's answer key is used only when it has the same accepted values as the QTI markup
+ * (it adds tolerance and unit rules); if the item was edited elsewhere, the markup wins.
+ * @param {Object} data - Data from the type's fromQti hook
+ * @param {Object} extension - { style, answer } from pickQtiExtensionData (may be undefined)
+ * @returns {Object} data
+ */
+function applyQtiExtensionData(data, extension) {
+    if (!extension) return data;
+    if (extension.style) data.style = extension.style;
+    if (extension.answer && isSameQtiAnswer(extension.answer, data.answer)) data.answer = extension.answer;
+    return data;
+}
+
+/**
+ * Compare two answer keys, leaving out the fields QTI can't express
+ * @param {*} a - Answer key
+ * @param {*} b - Answer key
+ * @returns {boolean} True if they agree on everything QTI records
+ */
+function isSameQtiAnswer(a, b) {
+    const canonical = (value) => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (!value || typeof value !== 'object') return value;
+        const result = {};
+        Object.keys(value).sort().forEach(key => {
+            if (QTI_UNMAPPED_ANSWER_FIELDS.includes(key)) return;
+            if (key === 'case_sensitive' && !value[key]) return;
+            result[key] = canonical(value[key]);
+        });
+        return result;
+    };
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+// =====================================================
+// QTI XHTML TO RICHTEXT
+// =====================================================
+
+/**
+ * Convert the content of a QTI element to RichText
+ * - Text is escaped, so Markdown, math and token characters stay literal
+ * - <math> becomes $…$ or $$…$$ from its LaTeX annotation (plain text without one)
+ * - <img> becomes [[image:tag|height:H|width:W]], tag from the package image at its src
+ * - qti-text-entry-interaction becomes [[gap]] (with a width when expected-length isn't the default)
+ * - Other interactions keep only their qti-prompt
+ * - <br> and paragraphs become line breaks; HTML in SANITIZE_ALLOWED_TAGS is kept
+ * @param {Element} element - QTI element (its children are converted)
+ * @param {Object} context
+ * @param {string} context.basePath - Package path of the file the element is in (for relative srcs)
+ * @param {Map} context.imageTags - Package path → image tag
+ * @param {Function} context.warn - Function(message) for content converted with losses
+ * @returns {string} RichText
+ */
+function qtiXhtmlToRichText(element, { basePath = '', imageTags = new Map(), warn = () => {} } = {}) {
+    const defaultGapLength = Math.round(parseInt(DEFAULT_GAP_WIDTH, 10) / QTI_GAP_CHARACTER_WIDTH);
+
+    const convertChildren = (el) => Array.from(el.childNodes, convert).join('');
+    const convert = (node) => {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            return escapeQtiText(node.nodeValue.replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const name = node.localName;
+        if (name === 'math') return qtiMathToLatex(node, warn);
+        if (name === 'br') return '\n';
+        if (name === 'img') {
+            const src = node.getAttribute('src') || '';
+            const path = resolveQtiPath(basePath, src);
+            if (!imageTags.has(path)) warn(`Image ${src} is not in the package`);
+            const tag = imageTags.get(path) || getImageTagFromFileName(path);
+            const size = ['height', 'width']
+                .filter(side => /^\d+$/.test(node.getAttribute(side) || ''))
+                .map(side => `|${side}:${node.getAttribute(side)}`).join('');
+            return `[[image:${tag}${size}]]`;
+        }
+        if (name === 'qti-text-entry-interaction') {
+            const length = parseInt(node.getAttribute('expected-length'), 10);
+            return length && length !== defaultGapLength ? `[[gap|width:${length * QTI_GAP_CHARACTER_WIDTH}]]` : '[[gap]]';
+        }
+        if (/-interaction$/.test(name)) {
+            const prompt = getQtiChildElements(node, 'qti-prompt')[0];
+            return prompt ? `\n\n${convertChildren(prompt)}\n\n` : '';
+        }
+        if (QTI_BLOCK_ELEMENTS.includes(name)) return `\n\n${convertChildren(node)}\n\n`;
+        if (name === 'td' || name === 'th') return `${convertChildren(node)} `;
+
+        const allowed = SANITIZE_ALLOWED_TAGS[name];
+        if (!allowed) return convertChildren(node);
+        const attributes = allowed
+            .filter(attribute => node.hasAttribute(attribute))
+            .map(attribute => ` ${attribute}="${escapeHtmlText(node.getAttribute(attribute))}"`)
+            .join('');
+        return SANITIZE_VOID_TAGS.includes(name)
+            ? `<${name}${attributes}>`
+            : `<${name}${attributes}>${convertChildren(node)}</${name}>`;
+    };
+
+    return convertChildren(element)
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Escape plain text for RichText
+ * HTML characters become entities; backslashes and '[' become entities too, since in RichText they
+ * would start math (\( \[) or tokens ([[gap]]); Markdown characters and '$' are backslash-escaped.
+ * @param {string} text - Plain text
+ * @returns {string} RichText that renders as the text
+ */
+function escapeQtiText(text) {
+    return text.replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\\/g, '&#92;')
+        .replace(/\[/g, '&#91;')
+        .replace(/[$*_`~]/g, '\\$&');
+}
+
+/**
+ * LaTeX source of a MathML formula, from its TeX annotation (KaTeX and most editors add one)
+ * @param {Element} math - <math>
+ * @param {Function} warn - Function(message) when there is no annotation
+ * @returns {string} $…$ ($$…$$ for display math), or the formula's text if there is no annotation
+ */
+function qtiMathToLatex(math, warn) {
+    const annotation = findQtiElements(math, 'annotation')
+        .find(el => /^(application\/x-tex|tex|latex)$/i.test(el.getAttribute('encoding') || ''));
+    if (!annotation) {
+        warn('MathML without a LaTeX annotation was imported as plain text');
+        return escapeQtiText(math.textContent.replace(/\s+/g, ' ').trim());
+    }
+    const tex = annotation.textContent.trim();
+    return math.getAttribute('display') === 'block' ? `$$${tex}$$` : `$${tex}$`;
+}
+
+// =====================================================
+// XML HELPERS
+// =====================================================
+
+/**
+ * @param {string} text - XML
+ * @returns {Document|null} Parsed document, or null if it isn't well-formed
+ */
+function parseQtiXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    return doc.getElementsByTagName('parsererror').length > 0 ? null : doc;
+}
+
+/**
+ * @param {Element} element - Element to search
+ * @param {string} localName - Element name without prefix, in any namespace
+ * @returns {Element[]} Descendants with that name, in document order
+ */
+function findQtiElements(element, localName) {
+    return Array.from(element.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * @param {Element} element - Element to search
+ * @param {string} localName - Element name without prefix, in any namespace
+ * @returns {Element|null} First descendant with that name
+ */
+function findQtiElement(element, localName) {
+    return element.getElementsByTagNameNS('*', localName)[0] || null;
+}
+
+/**
+ * @param {Element} element - Parent element
+ * @param {string} localName - Element name without prefix (default: any)
+ * @returns {Element[]} Child elements with that name
+ */
+function getQtiChildElements(element, localName) {
+    return Array.from(element.children).filter(child => !localName || child.localName === localName);
+}
+
+/**
+ * Resolve an href against the package path of the file it is in
+ * @param {string} base - Path of the referring file (e.g. 'items/Q1.xml')
+ * @param {string} href - Relative href (URLs with a scheme are returned unchanged)
+ * @returns {string} Package path (e.g. 'items/images/Q1.content.1.png')
+ */
+function resolveQtiPath(base, href) {
+    if (/^[a-z][\w+.-]*:/i.test(href)) return href;
+    let decoded = href;
+    try {
+        decoded = decodeURIComponent(href);
+    } catch (e) {
+        // Keep malformed escapes as they are
+    }
+    const parts = href.startsWith('/') ? [] : base.split('/').slice(0, -1);
+    decoded.split(/[?#]/)[0].split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+// =====================================================
+// QUESTION TYPE QTI HOOKS
+// =====================================================
+
+registerQuestionType('MCQ', {
+    toQti: (data) => {
+        const used = new Set();
+        const ids = new Map((data.options || []).map(opt => [opt.id, createQtiIdentifier(opt.id, used)]));
+        const correct = (data.answer?.correct_options || []).filter(id => ids.has(id)).map(id => ids.get(id));
+        const cardinality = data.allow_multiple ? 'multiple' : 'single';
+        const choices = (data.options || []).map(opt =>
+            `<qti-simple-choice identifier="${ids.get(opt.id)}">${opt.text || ''}</qti-simple-choice>`).join('');
+        return {
+            declarations: [`<qti-response-declaration identifier="RESPONSE" cardinality="${cardinality}" base-type="identifier">` +
+                (correct.length > 0 ? `<qti-correct-response>${correct.map(id => `<qti-value>${id}</qti-value>`).join('')}</qti-correct-response>` : '') +
+                '</qti-response-declaration>'],
+            body: `${buildQtiBlock(data.content)}<qti-choice-interaction response-identifier="RESPONSE" ` +
+                `max-choices="${data.allow_multiple ? 0 : 1}" shuffle="false">${choices}</qti-choice-interaction>`,
+            // All or nothing, as gradeMCQ
+            rules: correct.length === 0 ? '' : '<qti-response-condition><qti-response-if>' +
+                '<qti-match><qti-variable identifier="RESPONSE"/><qti-correct identifier="RESPONSE"/></qti-match>' +
+                '<qti-set-outcome-value identifier="SCORE"><qti-variable identifier="MAXSCORE"/></qti-set-outcome-value>' +
+                '</qti-response-if></qti-response-condition>'
+        };
+    },
+    matchesQtiItem: (body) => !!findQtiElement(body, 'qti-choice-interaction'),
+    fromQti: (body, { declarations, toRichText }) => {
+        const interaction = findQtiElement(body, 'qti-choice-interaction');
+        const declaration = declarations.get(interaction.getAttribute('response-identifier'));
+        const data = {
+            content: toRichText(body),
+            options: findQtiElements(interaction, 'qti-simple-choice').map(choice => ({
+                id: choice.getAttribute('identifier'),
+                text: toRichText(choice)
+            })),
+            answer: { correct_options: declaration?.correct || [] }
+        };
+        if ((interaction.getAttribute('max-choices') ?? '1') !== '1' || declaration?.cardinality === 'multiple') {
+            data.allow_multiple = true;
+        }
+        return data;
+    }
+});
+
+registerQuestionType('FIB', {
+    toQti: (data, { marks, warn }) => {
+        const gapCount = ((data.content || '').match(/<qti-text-entry-interaction\b/g) || []).length;
+        const gaps = data.answer?.gaps || [];
+        const declarations = [];
+        const scored = [];
+        for (let i = 0; i < gapCount; i++) {
+            const identifier = `RESPONSE_${i + 1}`;
+            const gap = gaps[i];
+            if (gap && QTI_UNMAPPED_ANSWER_FIELDS.some(field => gap[field])) {
+                warn(`Gap ${i + 1}: tolerance and unit rules are not part of QTI; only the accepted values are scored`);
+            }
+            declarations.push(buildQtiTextResponseDeclaration(identifier, gap, marks / gapCount));
+            if (gap?.accepted?.length > 0) scored.push(identifier);
+        }
+        return { declarations, body: buildQtiBlock(data.content), rules: buildQtiMappedScoreRule(scored) };
+    },
+    // Gaps in running text (gaps in a table are TABLE cells)
+    matchesQtiItem: (body) => {
+        const entries = findQtiElements(body, 'qti-text-entry-interaction');
+        return entries.length > 0 && !entries.some(entry => entry.closest('table'));
+    },
+    fromQti: (body, { declarations, toRichText, warn }) => {
+        const gaps = findQtiElements(body, 'qti-text-entry-interaction')
+            .map(entry => readQtiAcceptedAnswer(declarations.get(entry.getAttribute('response-identifier'))));
+        while (gaps.length > 0 && gaps[gaps.length - 1].accepted.length === 0) gaps.pop();
+        // Every gap in the key needs accepted values: a key with holes can't be stored
+        const unkeyed = gaps.findIndex(gap => gap.accepted.length === 0);
+        if (unkeyed >= 0) warn(`Gap ${unkeyed + 1} has no correct response; the answer key was left empty`);
+        return { content: toRichText(body), answer: { gaps: unkeyed >= 0 ? [] : gaps } };
+    }
+});
+
+registerQuestionType('MATCH', {
+    toQti: (data, { marks }) => {
+        const pairs = data.pairs || [];
+        const keyed = (data.answer?.matches || [])
+            .map((m, i) => Number.isInteger(m) && m < pairs.length ? `A${i + 1} B${m + 1}` : null)
+            .filter(Boolean);
+        const perItem = pairs.length > 0 ? marks / pairs.length : 0;
+        const set = (column, side, matchMax) => `<qti-simple-match-set>${pairs.map((pair, i) =>
+            `<qti-simple-associable-choice identifier="${column}${i + 1}" match-max="${matchMax}">${pair[side] || ''}</qti-simple-associable-choice>`
+        ).join('')}</qti-simple-match-set>`;
+        return {
+            declarations: ['<qti-response-declaration identifier="RESPONSE" cardinality="multiple" base-type="directedPair">' +
+                (keyed.length > 0
+                    ? `<qti-correct-response>${keyed.map(pair => `<qti-value>${pair}</qti-value>`).join('')}</qti-correct-response>` +
+                      `<qti-mapping default-value="0">${keyed.map(pair =>
+                          `<qti-map-entry map-key="${pair}" mapped-value="${formatQtiNumber(perItem)}"/>`).join('')}</qti-mapping>`
+                    : '') +
+                '</qti-response-declaration>'],
+            // Each Column A item takes one Column B item; Column B items may be used more than once
+            body: `${buildQtiBlock(data.content)}<qti-match-interaction response-identifier="RESPONSE" ` +
+                `max-associations="${pairs.length}" shuffle="false">${set('A', 'left', 1)}${set('B', 'right', 0)}</qti-match-interaction>`,
+            rules: keyed.length > 0 ? '<qti-set-outcome-value identifier="SCORE"><qti-map-response identifier="RESPONSE"/></qti-set-outcome-value>' : ''
+        };
+    },
+    matchesQtiItem: (body) => !!findQtiElement(body, 'qti-match-interaction'),
+    fromQti: (body, { declarations, toRichText, warn }) => {
+        const interaction = findQtiElement(body, 'qti-match-interaction');
+        const [left = [], right = []] = getQtiChildElements(interaction, 'qti-simple-match-set')
+            .map(set => getQtiChildElements(set, 'qti-simple-associable-choice'));
+        if (left.length !== right.length) {
+            warn(`Columns A and B have ${left.length} and ${right.length} items; the shorter one was padded with empty items`);
+        }
+        const count = Math.max(left.length, right.length);
+        const leftIds = left.map(choice => choice.getAttribute('identifier'));
+        const rightIds = right.map(choice => choice.getAttribute('identifier'));
+
+        const declaration = declarations.get(interaction.getAttribute('response-identifier'));
+        const keyed = declaration
+            ? [...declaration.correct, ...declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key)]
+            : [];
+        const matches = Array.from({ length: count }, () => null);
+        keyed.forEach(value => {
+            const [a, b] = value.trim().split(/\s+/);
+            const i = leftIds.indexOf(a);
+            const j = rightIds.indexOf(b);
+            if (i >= 0 && j >= 0 && matches[i] === null) matches[i] = j;
+        });
+
+        return {
+            content: toRichText(body),
+            pairs: Array.from({ length: count }, (_, i) => ({
+                left: left[i] ? toRichText(left[i]) : '',
+                right: right[i] ? toRichText(right[i]) : ''
+            })),
+            answer: { matches }
+        };
+    }
+});
+
+registerQuestionType('SUBJECTIVE', {
+    toQti: (data) => {
+        const lines = RESPONSE_TEXT_ROWS[data.expected_length] || RESPONSE_TEXT_ROWS.short;
+        const upload = data.allow_media_upload === true;
+        return {
+            declarations: [
+                '<qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="string"/>',
+                ...(upload ? ['<qti-response-declaration identifier="RESPONSE_UPLOAD" cardinality="single" base-type="file"/>'] : [])
+            ],
+            body: `${buildQtiBlock(data.content)}<qti-extended-text-interaction response-identifier="RESPONSE" expected-lines="${lines}"/>` +
+                (upload ? '<qti-upload-interaction response-identifier="RESPONSE_UPLOAD"/>' : '') +
+                buildQtiRubricBlock(data.answer?.model_answer, 'scoring'),
+            // Marked by a teacher
+            rules: ''
+        };
+    },
+    matchesQtiItem: (body) => !!(findQtiElement(body, 'qti-extended-text-interaction') || findQtiElement(body, 'qti-upload-interaction')),
+    fromQti: (body, { rubrics, toRichText }) => {
+        const interaction = findQtiElement(body, 'qti-extended-text-interaction');
+        const lines = parseInt(interaction?.getAttribute('expected-lines'), 10) || 0;
+        const data = {
+            content: toRichText(body),
+            expected_length: lines > RESPONSE_TEXT_ROWS.short ? 'long' : 'short',
+            answer: { model_answer: rubrics.scoring }
+        };
+        if (findQtiElement(body, 'qti-upload-interaction')) data.allow_media_upload = true;
+        return data;
+    }
+});
+
+registerQuestionType('TABLE', {
+    toQti: (data, { marks, warn }) => {
+        const table = data.table || {};
+        const cells = data.answer?.cells || [];
+        const perCell = cells.length > 0 ? marks / cells.length : 0;
+        const declarations = [];
+        const scored = [];
+        const header = Array.isArray(table.header) && table.header.length > 0
+            ? `<thead><tr>${table.header.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>`
+            : '';
+        // Answer cells and empty cells are typed into, as in responseMode
+        const rows = (table.rows || []).map((row, r) => `<tr>${(Array.isArray(row) ? row : []).map((cell, c) => {
+            const key = cells.find(k => k.row === r && k.col === c);
+            if (!key && cell) return `<td>${cell}</td>`;
+            const identifier = `RESPONSE_R${r + 1}_C${c + 1}`;
+            if (key && QTI_UNMAPPED_ANSWER_FIELDS.some(field => key[field])) {
+                warn(`Cell (${r + 1}, ${c + 1}): tolerance and unit rules are not part of QTI; only the accepted values are scored`);
+            }
+            declarations.push(buildQtiTextResponseDeclaration(identifier, key, perCell));
+            if (key?.accepted?.length > 0) scored.push(identifier);
+            return `<td><qti-text-entry-interaction response-identifier="${identifier}"/></td>`;
+        }).join('')}</tr>`).join('');
+        return {
+            declarations,
+            body: `${buildQtiBlock(data.content)}<table>${header}<tbody>${rows}</tbody></table>`,
+            rules: buildQtiMappedScoreRule(scored)
+        };
+    },
+    matchesQtiItem: (body) => findQtiElements(body, 'qti-text-entry-interaction').some(entry => entry.closest('table')),
+    fromQti: (body, { declarations, toRichText }) => {
+        const tableElement = findQtiElements(body, 'table').find(t => findQtiElement(t, 'qti-text-entry-interaction'));
+        const rowElements = findQtiElements(tableElement, 'tr');
+        const headerRow = rowElements.find(tr => tr.parentNode.localName === 'thead');
+        const cells = [];
+        const rows = rowElements.filter(tr => tr !== headerRow).map((tr, r) => getQtiChildElements(tr).map((cell, c) => {
+            const entry = findQtiElement(cell, 'qti-text-entry-interaction');
+            if (!entry) return toRichText(cell);
+            const accepted = readQtiAcceptedAnswer(declarations.get(entry.getAttribute('response-identifier')));
+            if (accepted.accepted.length > 0) cells.push({ row: r, col: c, ...accepted });
+            return '';
+        }));
+        const table = headerRow ? { header: getQtiChildElements(headerRow).map(cell => toRichText(cell)), rows } : { rows };
+        tableElement.parentNode.removeChild(tableElement);
+        return { content: toRichText(body), table, answer: { cells } };
+    }
+});
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QTI_NAMESPACE, QTI_MANIFEST_NAMESPACE, QTI_EXTENSION_NAMESPACE, QTI_MANIFEST,
+        createQtiPackage, convertRichTextForQti, richTextToQtiXhtml, buildQtiItem,
+        readQtiPackage, readQtiItem, qtiXhtmlToRichText, qtiMathToLatex, parseQtiXml
+    };
+}
@@ -1,15 +1,20 @@
 /**
  * Question Renderer Module (Schema v5.1)
  * Shared UX rendering logic for assessment questions
- * Used by: assessment-authoring-tool.html, assessment-selection-tool.html
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html, index.js (Node)
  * 
  * This module provides functions to:
  * - Render RichText content (Markdown, LaTeX math, image tokens, gaps)
  * - Generate HTML preview for all question types
- * - Handle type-specific rendering (MCQ, FIB, MATCH, SUBJECTIVE, TABLE, COMPOSITE)
+ * - Handle type-specific rendering (MCQ, FIB, MATCH, SUBJECTIVE, TABLE, COMPOSITE), registered as
+ *   renderer hooks of the question types (see registerQuestionType)
+ * - Render answer key / marking scheme entries from data.answer
+ * - Render answer widgets instead of print blanks (responseMode, read back by question-response.js)
+ * - Sanitize author HTML in RichText (allowlist of tags and attributes, on by default)
  * 
  * Dependencies (must be loaded before this script):
- * - KaTeX (for LaTeX math rendering)
+ * - question-parser.js (provides registerQuestionType, getQuestionTypeDefinition)
+ * - KaTeX (for LaTeX math rendering), with its mhchem extension (for \ce{} chemistry)
  * - marked.js (for Markdown rendering)
  */
 
@@ -19,6 +24,28 @@
 
 const DEFAULT_GAP_WIDTH = '60px';  // Used for [[gap]] without explicit width
 const BORDER_COLOR = '#d1d5db';
+const DEFAULT_MATRIX_COLUMNS = 3;  // 'matrix' sub-question layout without sub_questions_columns
+const ANSWER_KEY_MISSING_HTML = '<em class="p-ak-missing">No answer key</em>';
+const RESPONSE_TEXT_ROWS = { short: 3, long: 10 };  // SUBJECTIVE answer box height by data.expected_length
+
+// HTML that RichText may contain when sanitizing (see sanitizeHtml): tag → allowed attributes
+// Covers what marked.parseInline produces and the inline markup authors type (e.g. <u>).
+const SANITIZE_ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [], strong: [], i: [], em: [], u: [], s: [], del: [], ins: [], mark: [],
+    sub: [], sup: [], small: [], code: [], kbd: [], span: [], br: [],
+    p: [], ul: [], ol: [], li: [], blockquote: [], pre: [],
+    img: ['src', 'alt', 'title', 'width', 'height']
+};
+// Removed together with their content (the text inside them is not meant to be read)
+const SANITIZE_DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'template', 'noscript', 'noembed', 'textarea', 'title', 'xmp', 'svg', 'math'];
+const SANITIZE_VOID_TAGS = ['br', 'img'];
+// Attributes holding URLs, and the URLs they may hold: http(s), mailto, relative, #anchors;
+// img may also use data:image/... (published banks and image bundles use both)
+const SANITIZE_URL_ATTRIBUTES = ['href', 'src'];
+const SANITIZE_SAFE_URL_REGEX = /^(?:https?:|mailto:|[^:/?#]*(?:[/?#]|$))/i;
+const SANITIZE_IMAGE_DATA_URL_REGEX = /^data:image\/[a-z0-9.+-]+[;,]/i;
 
 // =====================================================
 // RICH TEXT PROCESSING
@@ -26,34 +53,180 @@ const BORDER_COLOR = '#d1d5db';
 
 /**
  * Render LaTeX math using KaTeX
- * Supports $...$ for inline and $$...$$ for display math
+ * Delimiters and escapes are read by tokenizeMath: $…$, \(…\) inline; $$…$$, \[…\] display; \$ is a dollar sign.
+ * \ce{…} (chemistry) needs KaTeX's mhchem extension (contrib/mhchem), loaded after KaTeX.
  * @param {string} text - Text containing LaTeX math
- * @returns {string} Text with rendered math HTML
+ * @param {Function} wrap - Optional: (html) => string put in place of each rendered formula
+ * @param {string} output - KaTeX output: 'htmlAndMathml' (default), 'html' or 'mathml' (e.g. for QTI export),
+ *   or 'tex': the LaTeX source as \(…\) or \[…\] for a MathJax page (e.g. Moodle export; KaTeX not needed)
+ * @returns {string} Text with rendered math HTML (math is left as source when KaTeX is not loaded)
  */
-function renderLatexMath(text) {
-    if (!text || typeof katex === 'undefined') return text;
+function renderLatexMath(text, wrap = (html) => html, output = 'htmlAndMathml') {
+    if (!text) return text;
     
-    // Render display math first ($$...$$)
-    text = text.replace(/\$\$([^$]+)\$\$/g, (match, math) => {
+    return tokenizeMath(text).segments.map(segment => {
+        if (segment.type === 'text') return segment.value;
+        if (output === 'tex') {
+            return wrap(escapeHtmlText(segment.display ? `\\[${segment.math}\\]` : `\\(${segment.math}\\)`));
+        }
+        if (typeof katex === 'undefined') return segment.value;
         try {
-            return katex.renderToString(math.trim(), { displayMode: true, throwOnError: false });
+            return wrap(katex.renderToString(segment.math.trim(), { displayMode: segment.display, throwOnError: false, output }));
         } catch (e) {
-            console.warn('KaTeX display error:', e);
-            return match;
+            console.warn('KaTeX error:', e);
+            return segment.value;
         }
-    });
+    }).join('');
+}
+
+/**
+ * Split RichText into text and math segments
+ * - \$ is a literal dollar sign (in text segments it becomes '$')
+ * - Code spans (`…`) are text: no math inside them
+ * - $…$ is math only if the opening $ is followed by a non-space, and the closing $ is preceded by a
+ *   non-space and not followed by a digit, so "Ravi has $5 and Sita has $3" stays text
+ * - $$…$$, \[…\] and \(…\) without their closing delimiter are reported in errors and kept as text
+ * @param {string} text - RichText
+ * @returns {Object} {
+ *   segments: [{ type: 'text', value } | { type: 'math', value, math, display }],  - value = source text
+ *   errors: string[]
+ * }
+ */
+function tokenizeMath(text) {
+    const segments = [];
+    const errors = [];
+    let buffer = '';
+    let i = 0;
     
-    // Render inline math ($...$) - be careful not to match $$
-    text = text.replace(/\$([^$]+)\$/g, (match, math) => {
-        try {
-            return katex.renderToString(math.trim(), { displayMode: false, throwOnError: false });
-        } catch (e) {
-            console.warn('KaTeX inline error:', e);
-            return match;
+    const flush = () => {
+        if (buffer) segments.push({ type: 'text', value: buffer });
+        buffer = '';
+    };
+    // Index of the closing delimiter, skipping backslash escapes inside the math
+    const findClose = (close, from) => {
+        for (let j = from; j <= text.length - close.length; j++) {
+            if (text.startsWith(close, j)) return j;
+            if (text[j] === '\\' && close !== '\\]' && close !== '\\)') j++;
         }
-    });
+        return -1;
+    };
     
-    return text;
+    while (i < text.length) {
+        const ch = text[i];
+        
+        // Code span: copy up to the matching run of backticks
+        if (ch === '`') {
+            const run = /^`+/.exec(text.slice(i))[0];
+            const end = text.indexOf(run, i + run.length);
+            const stop = end === -1 ? i + run.length : end + run.length;
+            buffer += text.slice(i, stop);
+            i = stop;
+            continue;
+        }
+        
+        if (ch === '\\') {
+            const next = text[i + 1];
+            if (next === '$') {
+                buffer += '$';
+                i += 2;
+                continue;
+            }
+            if (next === '(' || next === '[') {
+                const close = next === '(' ? '\\)' : '\\]';
+                const end = findClose(close, i + 2);
+                if (end === -1) {
+                    errors.push(`Unclosed \\${next} (missing ${close})`);
+                    buffer += text.slice(i, i + 2);
+                    i += 2;
+                    continue;
+                }
+                flush();
+                segments.push({ type: 'math', value: text.slice(i, end + 2), math: text.slice(i + 2, end), display: next === '[' });
+                i = end + 2;
+                continue;
+            }
+            // Any other escape (e.g. \\) is text; keep both characters so \\$ is not read as \$
+            buffer += text.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+        
+        if (ch === '$' && text[i + 1] === '$') {
+            const end = findClose('$$', i + 2);
+            if (end === -1) {
+                errors.push('Unclosed $$ (missing closing $$)');
+                buffer += '$$';
+                i += 2;
+                continue;
+            }
+            flush();
+            segments.push({ type: 'math', value: text.slice(i, end + 2), math: text.slice(i + 2, end), display: true });
+            i = end + 2;
+            continue;
+        }
+        
+        if (ch === '$') {
+            const end = findInlineDollarClose(text, i);
+            if (end === -1) {
+                buffer += '$';  // A lone dollar sign (currency)
+                i++;
+                continue;
+            }
+            flush();
+            segments.push({ type: 'math', value: text.slice(i, end + 1), math: text.slice(i + 1, end), display: false });
+            i = end + 1;
+            continue;
+        }
+        
+        buffer += ch;
+        i++;
+    }
+    
+    flush();
+    return { segments, errors };
+}
+
+/**
+ * Closing $ of inline math opened at index start (helper for tokenizeMath)
+ * @param {string} text - RichText
+ * @param {number} start - Index of the opening $
+ * @returns {number} Index of the closing $, or -1 if the $ doesn't open math
+ */
+function findInlineDollarClose(text, start) {
+    if (!text[start + 1] || /\s/.test(text[start + 1])) return -1;
+    for (let j = start + 1; j < text.length; j++) {
+        if (text[j] === '\\') {
+            j++;  // \$ inside math is a dollar sign in the formula
+            continue;
+        }
+        if (text[j] === '\n' && text[j + 1] === '\n') return -1;  // Inline math doesn't span paragraphs
+        if (text[j] === '$') {
+            if (/\s/.test(text[j - 1]) || /\d/.test(text[j + 1] || '')) continue;
+            return j;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Problems in the math of one RichText string (for validateQuestion)
+ * @param {string} text - RichText
+ * @returns {string[]} Unclosed delimiters, and formulas KaTeX can't parse (when KaTeX is loaded),
+ *   e.g. '$\frac{1}{2$: Expected '}', got 'EOF' at end of input'
+ */
+function findMathErrors(text) {
+    if (!text || typeof text !== 'string') return [];
+    const { segments, errors } = tokenizeMath(text);
+    if (typeof katex !== 'undefined') {
+        segments.filter(segment => segment.type === 'math').forEach(segment => {
+            try {
+                katex.renderToString(segment.math.trim(), { displayMode: segment.display, throwOnError: true });
+            } catch (e) {
+                errors.push(`${segment.value}: ${String(e.message).replace(/^KaTeX parse error: /, '')}`);
+            }
+        });
+    }
+    return errors;
 }
 
 /**
@@ -119,6 +292,12 @@ function parseImageTag(tag) {
  * @param {Object} options - Rendering options
  * @param {Function} options.imageResolver - Function(imageId) => URL or null
  * @param {boolean} options.interactive - Enable resize handles for images (default: false)
+ * @param {string} options.imageLayout - style.image_layout: 'horizontal' puts adjacent images side by side
+ * @param {boolean} options.sanitize - Strip HTML outside SANITIZE_ALLOWED_TAGS (default: true; pass false
+ *   only for trusted in-house content)
+ * @param {Array} options.sanitizeReport - Receives what sanitizing removed (see sanitizeHtml)
+ * @param {boolean} options.gapInputs - Render gaps as text inputs (responseMode, types answered in the gaps)
+ * @param {string} options.mathOutput - KaTeX output format (see renderLatexMath)
  * @returns {string} HTML string
  */
 function formatRichText(text, options = {}) {
@@ -126,6 +305,7 @@ function formatRichText(text, options = {}) {
     
     const imageResolver = options.imageResolver || (() => null);
     const interactive = options.interactive || false;
+    const sanitize = options.sanitize !== false;
     
     let result = text;
     
@@ -133,12 +313,15 @@ function formatRichText(text, options = {}) {
     // Using Unicode private-use characters as delimiters: \uE000 and \uE001
     const imagePlaceholders = [];
     const gapPlaceholders = [];
+    const mathPlaceholders = [];
     
     // Handle image tokens [[image:id]] or [[image:id|height:H|width:W]]
     result = result.replace(/\[\[image:([^\]]+)\]\]/g, (match, tagContent) => {
         const parsed = parseImageTag(tagContent);
         const imageId = parsed.id;
         const imageUrl = imageResolver(imageId);
+        // Tags come from the question file: escape them wherever they land in markup
+        const idHtml = escapeHtmlText(imageId);
         
         let replacement;
         if (imageUrl) {
@@ -152,19 +335,19 @@ function formatRichText(text, options = {}) {
                     ? `${parsed.width} × ${parsed.height}` 
                     : 'Drag to resize';
                 
-                replacement = `<div class="p-asset-resizable" data-tag="${tagContent}">
-                    <img src="${imageUrl}" alt="${imageId}" style="${imgStyle}">
+                replacement = `<div class="p-asset-resizable" data-tag="${escapeHtmlText(tagContent)}">
+                    <img src="${escapeHtmlText(imageUrl)}" alt="${idHtml}" style="${imgStyle}">
                     <div class="resize-handle resize-handle-se" onmousedown="initImageResize(event, 'se', this.parentElement)"></div>
                     <div class="resize-handle resize-handle-e" onmousedown="initImageResize(event, 'e', this.parentElement)"></div>
                     <div class="resize-handle resize-handle-s" onmousedown="initImageResize(event, 's', this.parentElement)"></div>
                     <div class="size-tooltip">${tooltipText}</div>
-                    <button class="reset-size-btn" onclick="resetImageSize(event, '${imageId}')" title="Reset to default size">×</button>
+                    <button class="reset-size-btn" onclick="resetImageSize(event, ${escapeHtmlText(JSON.stringify(imageId))})" title="Reset to default size">×</button>
                 </div>`;
             } else {
-                replacement = `<div class="p-asset"><img src="${imageUrl}" alt="${imageId}" style="${imgStyle}"></div>`;
+                replacement = `<div class="p-asset"><img src="${escapeHtmlText(imageUrl)}" alt="${idHtml}" style="${imgStyle}"></div>`;
             }
         } else {
-            replacement = `<div class="p-asset-placeholder">[Image: ${imageId}]</div>`;
+            replacement = `<div class="p-asset-placeholder">[Image: ${idHtml}]</div>`;
         }
         
         const placeholder = `\uE000IMG${imagePlaceholders.length}\uE001`;
@@ -175,7 +358,7 @@ function formatRichText(text, options = {}) {
     // Handle [[gap]] or [[gap|width:<integer>]] placeholders for FIB
     result = result.replace(/\[\[gap(?:\|width:(\d+))?\]\]/g, (match, widthParam) => {
         const width = widthParam ? `${widthParam}px` : DEFAULT_GAP_WIDTH;
-        const replacement = `<span class="p-gap" style="width:${width};">&nbsp;</span>`;
+        const replacement = renderGap(width, gapPlaceholders.length, options);
         const placeholder = `\uE000GAP${gapPlaceholders.length}\uE001`;
         gapPlaceholders.push(replacement);
         return placeholder;
@@ -187,7 +370,7 @@ function formatRichText(text, options = {}) {
         result = result.replace(/_{2,}/g, (match) => {
             // Scale width based on number of underscores (roughly 10px per underscore, min 60px)
             const width = Math.max(60, match.length * 10) + 'px';
-            const replacement = `<span class="p-gap" style="width:${width};">&nbsp;</span>`;
+            const replacement = renderGap(width, gapPlaceholders.length, options);
             const placeholder = `\uE000GAP${gapPlaceholders.length}\uE001`;
             gapPlaceholders.push(replacement);
             return placeholder;
@@ -195,22 +378,226 @@ function formatRichText(text, options = {}) {
     }
     
     // Step 2: Render LaTeX math (before Markdown to preserve math formatting)
-    result = renderLatexMath(result);
+    // When sanitizing, KaTeX output is kept aside like the tokens: it is trusted markup
+    result = sanitize
+        ? renderLatexMath(result, (html) => {
+            const placeholder = `\uE000MATH${mathPlaceholders.length}\uE001`;
+            mathPlaceholders.push(html);
+            return placeholder;
+        }, options.mathOutput)
+        : renderLatexMath(result, undefined, options.mathOutput);
     
     // Step 3: Render Markdown
     result = renderMarkdown(result);
     
-    // Step 4: Restore placeholders (custom tags are now safely rendered)
+    // Step 3b: Sanitize the author's HTML (and what Markdown made of it)
+    if (sanitize) {
+        result = sanitizeHtml(result, options.sanitizeReport);
+    }
+    
+    // Step 4: Group images that follow each other (only whitespace or line breaks between them)
+    // into two-column rows
+    if (options.imageLayout === 'horizontal') {
+        result = result.replace(/\uE000IMG\d+\uE001(?:(?:\s|<br\s*\/?>)*\uE000IMG\d+\uE001)+/g, (run) =>
+            `<div class="p-asset-row">${run.match(/\uE000IMG\d+\uE001/g).join('')}</div>`
+        );
+    }
+    
+    // Step 5: Restore placeholders (custom tags are now safely rendered)
     imagePlaceholders.forEach((html, i) => {
         result = result.replace(`\uE000IMG${i}\uE001`, html);
     });
     gapPlaceholders.forEach((html, i) => {
         result = result.replace(`\uE000GAP${i}\uE001`, html);
     });
+    mathPlaceholders.forEach((html, i) => {
+        result = result.replace(`\uE000MATH${i}\uE001`, () => html);
+    });
     
     return result;
 }
 
+/**
+ * Render one gap: a print blank, or an input in responseMode
+ * @param {string} width - CSS width
+ * @param {number} index - Gap number in the text (0-based; the FIB response index)
+ * @param {Object} options - formatRichText options
+ * @returns {string} HTML string
+ */
+function renderGap(width, index, options) {
+    if (options.gapInputs) {
+        return `<input type="text" class="p-gap-input" data-gap="${index}" style="width:${width};" autocomplete="off" autocapitalize="off" spellcheck="false" aria-label="Blank ${index + 1}">`;
+    }
+    return `<span class="p-gap" style="width:${width};">&nbsp;</span>`;
+}
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ * @param {*} text - Value (converted to string)
+ * @returns {string} Escaped text
+ */
+function escapeHtmlText(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// =====================================================
+// HTML SANITIZING
+// =====================================================
+
+/**
+ * Keep only allowlisted HTML (SANITIZE_ALLOWED_TAGS)
+ * Other tags are removed but their text kept, except SANITIZE_DROPPED_TAGS which go with their
+ * content. Attributes outside the allowlist (event handlers, style, ...) and unsafe URLs
+ * (javascript:, data: outside img) are removed. Unclosed tags are closed, stray closing tags
+ * dropped, so one question can't break the markup of the page around it.
+ * @param {string} html - Untrusted HTML
+ * @param {Array} report - Optional: receives { kind: 'element'|'attribute'|'url'|'comment', name, tag? }
+ *   for everything removed
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html, report) {
+    if (!html) return html;
+    const note = (entry) => { if (report) report.push(entry); };
+    const tokenRegex = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|</g;
+    const open = [];
+    let out = '';
+    let last = 0;
+    let match;
+    
+    while ((match = tokenRegex.exec(html)) !== null) {
+        out += html.slice(last, match.index);
+        last = tokenRegex.lastIndex;
+        const [token, closing, rawName, rawAttributes] = match;
+        
+        if (token === '<') {
+            out += '&lt;';  // A '<' that starts no tag is text
+            continue;
+        }
+        if (token.startsWith('<!--')) {
+            note({ kind: 'comment', name: 'comment' });
+            continue;
+        }
+        
+        const name = rawName.toLowerCase();
+        if (SANITIZE_DROPPED_TAGS.includes(name)) {
+            if (!closing) {
+                note({ kind: 'element', name });
+                // Skip to the matching end tag (or the end of the text)
+                const end = new RegExp(`</${name}\\s*>`, 'ig');
+                end.lastIndex = last;
+                last = end.exec(html) ? end.lastIndex : html.length;
+                tokenRegex.lastIndex = last;
+            }
+            continue;
+        }
+        if (!Object.prototype.hasOwnProperty.call(SANITIZE_ALLOWED_TAGS, name)) {
+            if (!closing) note({ kind: 'element', name });
+            continue;
+        }
+        
+        if (closing) {
+            const index = open.lastIndexOf(name);
+            if (index === -1) continue;
+            // Close anything left open inside this element first
+            while (open.length > index) out += `</${open.pop()}>`;
+            continue;
+        }
+        
+        out += `<${name}${sanitizeAttributes(name, rawAttributes, note)}>`;
+        if (!SANITIZE_VOID_TAGS.includes(name)) open.push(name);
+    }
+    
+    out += html.slice(last);
+    while (open.length > 0) out += `</${open.pop()}>`;
+    return out;
+}
+
+/**
+ * Keep the allowlisted attributes of one tag (helper for sanitizeHtml)
+ * @param {string} tag - Lowercase tag name
+ * @param {string} rawAttributes - Source text between the tag name and '>'
+ * @param {Function} note - Records a removed item
+ * @returns {string} Attributes, each as ' name="escaped value"'
+ */
+function sanitizeAttributes(tag, rawAttributes, note) {
+    const allowed = SANITIZE_ALLOWED_TAGS[tag];
+    const attributeRegex = /([^\s"'=<>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let out = '';
+    let match;
+    
+    while ((match = attributeRegex.exec(rawAttributes)) !== null) {
+        const name = match[1].toLowerCase();
+        const value = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+        if (!allowed.includes(name)) {
+            note({ kind: 'attribute', name, tag });
+            continue;
+        }
+        if (SANITIZE_URL_ATTRIBUTES.includes(name)) {
+            // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+            const url = value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+            const safe = SANITIZE_SAFE_URL_REGEX.test(url) || (tag === 'img' && SANITIZE_IMAGE_DATA_URL_REGEX.test(url));
+            if (!safe) {
+                note({ kind: 'url', name: url.split(':')[0].toLowerCase() + ':', tag });
+                continue;
+            }
+        }
+        out += ` ${name}="${escapeHtmlText(value)}"`;
+    }
+    return out;
+}
+
+/**
+ * Decode the character references of an attribute value (numeric, and the named ones used to hide schemes)
+ * @param {string} text - Attribute value as written
+ * @returns {string} Decoded value
+ */
+function decodeHtmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', nbsp: '\u00a0' };
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, dec, hex, name) => {
+        if (dec || hex) {
+            const code = parseInt(dec || hex, dec ? 10 : 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        return named[name.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Summarize a sanitize report, one line per kind of removed item
+ * @param {Array} report - Entries from sanitizeHtml
+ * @returns {string[]} Lines such as '<script> element (2×)', 'onerror attribute on <img>'
+ */
+function describeSanitizeReport(report) {
+    const counts = new Map();
+    (report || []).forEach(entry => {
+        let line;
+        if (entry.kind === 'element') line = `<${entry.name}> element`;
+        else if (entry.kind === 'attribute') line = `${entry.name} attribute on <${entry.tag}>`;
+        else if (entry.kind === 'url') line = `${entry.name} URL on <${entry.tag}>`;
+        else line = 'HTML comment';
+        counts.set(line, (counts.get(line) || 0) + 1);
+    });
+    return Array.from(counts, ([line, count]) => count > 1 ? `${line} (${count}×)` : line);
+}
+
+/**
+ * Find the questions whose HTML sanitizing changes (for import reports)
+ * @param {Array} questions - v5.1 questions
+ * @returns {Array} [{ questionId, removed: string[] }] (describeSanitizeReport lines), only questions with findings
+ */
+function findUnsafeQuestionHtml(questions) {
+    return questions.map(question => {
+        const report = [];
+        renderQuestionHTML(question, { sanitizeReport: report });
+        return { questionId: question.id, removed: describeSanitizeReport(report) };
+    }).filter(entry => entry.removed.length > 0);
+}
+
 // =====================================================
 // TABLE UTILITIES
 // =====================================================
@@ -258,6 +645,8 @@ function toRomanLower(n) {
  * @param {Object} data - MCQ data object
  * @param {Object} renderOptions - Rendering options (passed to formatRichText)
  * @param {string} renderOptions.optionIdStyle - 'roman' for sub-questions (i, ii, iii...), else use stored ids
+ * @param {boolean} renderOptions.responseMode - Options become radio buttons (checkboxes if allow_multiple)
+ * @param {string} renderOptions.responseName - Name of the radio/checkbox group
  * @returns {string} HTML string
  */
 function renderMCQPreview(data, renderOptions) {
@@ -267,6 +656,7 @@ function renderMCQPreview(data, renderOptions) {
     const isHorizontal = optLayout === 'horizontal';
     const numOptions = data.options.length;
     const useRomanIds = renderOptions?.optionIdStyle === 'roman';
+    const inputType = data.allow_multiple ? 'checkbox' : 'radio';
     
     // Check if any option contains images (affects horizontal layout behavior)
     const hasImages = data.options.some(opt => 
@@ -294,10 +684,16 @@ function renderMCQPreview(data, renderOptions) {
             textStyle = '';
         }
         
-        return `<div class="p-option-item" style="${itemStyle}">
-            <span class="p-option-id" style="margin-right:0.25px; flex-shrink:0;">(${optId})</span>
+        // In responseMode the whole option is the label of its input, so a tap anywhere on it selects it
+        const inputHtml = renderOptions?.responseMode
+            ? `<input type="${inputType}" class="p-option-input" name="${escapeHtmlText(renderOptions.responseName || 'mcq')}" value="${escapeHtmlText(opt.id || optId)}">`
+            : '';
+        const itemTag = inputHtml ? 'label' : 'div';
+        
+        return `<${itemTag} class="p-option-item" style="${itemStyle}">
+            ${inputHtml}<span class="p-option-id" style="margin-right:0.25px; flex-shrink:0;">(${escapeHtmlText(optId)})</span>
             <div class="p-option-text" style="${textStyle}">${formatRichText(optText, renderOptions)}</div>
-        </div>`;
+        </${itemTag}>`;
     }).join('');
     
     // For horizontal: flex-wrap ensures items wrap, gap provides spacing
@@ -325,14 +721,16 @@ function renderMCQPreview(data, renderOptions) {
 /**
  * Render word bank (options pool)
  * @param {Array} optionsPool - Array of word strings
+ * @param {Object} renderOptions - Rendering options (sanitize, sanitizeReport as for formatRichText)
  * @returns {string} HTML string
  */
-function renderWordBankPreview(optionsPool) {
+function renderWordBankPreview(optionsPool, renderOptions = {}) {
     if (!optionsPool || optionsPool.length === 0) return '';
     
-    const wordItems = optionsPool.map(word => 
-        `<span class="p-word-bank-item">${word}</span>`
-    ).join('');
+    const wordItems = optionsPool.map(word => {
+        const wordHtml = renderOptions.sanitize === false ? word : sanitizeHtml(String(word), renderOptions.sanitizeReport);
+        return `<span class="p-word-bank-item">${wordHtml}</span>`;
+    }).join('');
     
     return `<div style="display:flex; justify-content:center;"><div class="p-word-bank" style="width:90%;">${wordItems}</div></div>`;
 }
@@ -341,20 +739,26 @@ function renderWordBankPreview(optionsPool) {
  * Render MATCH pairs
  * @param {Object} data - MATCH data object
  * @param {Object} renderOptions - Rendering options (passed to formatRichText)
+ * @param {boolean} renderOptions.responseMode - Column B items are lettered (a), (b)... and each
+ *   Column A item gets a dropdown of those letters
  * @returns {string} HTML string
  */
 function renderMatchPreview(data, renderOptions) {
     if (!data.pairs || data.pairs.length === 0) return '';
     
+    const responseMode = renderOptions?.responseMode || false;
+    const letters = data.pairs.map((p, j) => String.fromCharCode(97 + j));
+    const choicesHtml = letters.map((letter, j) => `<option value="${j}">${letter}</option>`).join('');
+    
     const leftItems = data.pairs.map((p, i) => 
         `<div class="p-pairs-item">
-            ${formatRichText(p.left, renderOptions)}
+            ${responseMode ? `<select class="p-match-select" data-item="${i}" aria-label="Match for item ${i + 1}"><option value="">—</option>${choicesHtml}</select> ` : ''}${formatRichText(p.left, renderOptions)}
         </div>`
     ).join('');
     
     const rightItems = data.pairs.map((p, i) => 
         `<div class="p-pairs-item">
-            ${formatRichText(p.right, renderOptions)}
+            ${responseMode ? `<span class="p-pairs-letter">(${letters[i]})</span> ` : ''}${formatRichText(p.right, renderOptions)}
         </div>`
     ).join('');
     
@@ -377,6 +781,8 @@ function renderMatchPreview(data, renderOptions) {
  * Render TABLE grid
  * @param {Object} data - TABLE data object
  * @param {Object} renderOptions - Rendering options (passed to formatRichText)
+ * @param {boolean} renderOptions.responseMode - Empty body cells, and the cells of data.answer.cells,
+ *   become text inputs
  * @returns {string} HTML string
  */
 function renderTablePreview(data, renderOptions) {
@@ -392,6 +798,9 @@ function renderTablePreview(data, renderOptions) {
     const rows = tableData.rows || [];
     const numRows = rows.length;
     const numCols = Math.max(header.length, rows[0]?.length || 0);
+    const answerCells = renderOptions?.responseMode
+        ? new Set((data.answer?.cells || []).map(cell => `${cell.row},${cell.col}`))
+        : null;
     
     // Build colgroup for column widths
     let colgroupHtml = '';
@@ -399,7 +808,7 @@ function renderTablePreview(data, renderOptions) {
         const colItems = [];
         for (let c = 0; c < numCols; c++) {
             const colWidth = columnWidths[c] || '';
-            colItems.push(`<col ${colWidth ? `style="width:${colWidth}"` : ''}>`);
+            colItems.push(`<col ${colWidth ? `style="width:${escapeHtmlText(colWidth)}"` : ''}>`);
         }
         colgroupHtml = `<colgroup>${colItems.join('')}</colgroup>`;
     }
@@ -425,6 +834,9 @@ function renderTablePreview(data, renderOptions) {
             const isFirstCol = colIdx === 0;
             const isLastCol = colIdx === (row.length - 1);
             const cellStyle = getCellBorderStyle(gridLines, isFirstCol, isLastCol, isFirstRow, isLastRow);
+            if (answerCells && (answerCells.has(`${rowIdx},${colIdx}`) || !String(cell || '').trim())) {
+                return `<td style="${cellStyle}"><input type="text" class="p-cell-input" data-row="${rowIdx}" data-col="${colIdx}" autocomplete="off" aria-label="Row ${rowIdx + 1}, column ${colIdx + 1}"></td>`;
+            }
             return `<td style="${cellStyle}">${formatRichText(cell || '', renderOptions)}</td>`;
         }).join('');
         
@@ -443,6 +855,18 @@ function renderTablePreview(data, renderOptions) {
         </div>`;
 }
 
+/**
+ * Render the SUBJECTIVE answer box (responseMode only; on paper the student writes below the question)
+ * @param {Object} data - SUBJECTIVE data object
+ * @param {Object} renderOptions - Rendering options
+ * @returns {string} HTML string: a textarea sized by data.expected_length (see RESPONSE_TEXT_ROWS), or ''
+ */
+function renderSubjectiveResponse(data, renderOptions) {
+    if (!renderOptions?.responseMode) return '';
+    const rows = RESPONSE_TEXT_ROWS[data.expected_length] || RESPONSE_TEXT_ROWS.short;
+    return `<textarea class="p-response-text" rows="${rows}" aria-label="Your answer"></textarea>`;
+}
+
 /**
  * Get options pool from COMPOSITE data (v5.1: options_pool is at CompositeData level)
  * @param {Object} data - COMPOSITE data object
@@ -464,64 +888,104 @@ function getOptionsPool(data) {
 function renderCompositePreview(data, renderOptions) {
     if (!data.sub_questions || data.sub_questions.length === 0) return '';
     
-    const subLayout = data.style?.sub_questions_layout || 'vertical';
-    
     const subs = data.sub_questions.map((sq, i) => {
         const label = sq.id || String.fromCharCode(97 + i);
         const sqData = sq.data || {};
         const sqContent = sqData.content || '';
-        
-        // Sub-question options for MCQ - use Roman numerals (i, ii, iii...) for option labels
-        let optHtml = '';
-        if (sq.type === 'MCQ' && sqData.options && sqData.options.length > 0) {
-            const subRenderOpts = { ...renderOptions, optionIdStyle: 'roman' };
-            optHtml = renderMCQPreview(sqData, subRenderOpts);
-        }
-        
-        // TABLE type for sub-questions
-        let sqTableHtml = '';
-        if (sq.type === 'TABLE' && sqData.table && sqData.table.rows) {
-            sqTableHtml = renderTablePreview(sqData, renderOptions);
+        let sqRenderOptions = getRichTextOptions(sqData, renderOptions);
+        if (renderOptions.responseMode) {
+            sqRenderOptions = getResponseOptions(sq.type, sqRenderOptions, `${renderOptions.responseName}-${i}`);
         }
         
-        // MATCH type for sub-questions
-        let sqMatchHtml = '';
-        if (sq.type === 'MATCH' && sqData.pairs && sqData.pairs.length > 0) {
-            sqMatchHtml = renderMatchPreview(sqData, renderOptions);
-        }
+        // Type-specific content (MCQ options use Roman numerals i, ii, iii...)
+        const sqDefinition = getQuestionTypeDefinition(sq.type) || {};
+        const renderSub = sqDefinition.renderSubQuestion || sqDefinition.render;
+        const sqTypeHtml = renderSub ? renderSub(sqData, sqRenderOptions) : '';
         
         // Structure: label is separate, content is in a flex container
         // Options should align with content text, not the label
         // Check if content has tags (image, gap, etc.) or if there's type-specific content
-        const hasTagsOrContent = sqContent.includes('[[') || optHtml || sqTableHtml || sqMatchHtml;
-        const renderedContent = formatRichText(sqContent, renderOptions);
+        const hasTagsOrContent = sqContent.includes('[[') || sqTypeHtml;
+        const renderedContent = formatRichText(sqContent, sqRenderOptions);
         const contentDisplay = renderedContent || (hasTagsOrContent ? '' : '<em style="color:#999;">No text</em>');
         
         const contentHtml = `
             <div class="p-sub-content" style="flex:1; min-width:0;">
                 ${contentDisplay ? `<div>${contentDisplay}</div>` : ''}
-                ${optHtml ? `<div style="margin-top:8px; margin-left:0; padding-left:0;">${optHtml}</div>` : ''}
-                ${sqTableHtml}
-                ${sqMatchHtml}
+                ${sqTypeHtml}
             </div>`;
         
         // Use flex layout for sub-item to ensure proper alignment
-        return `<div class="p-sub-item" style="display:flex; align-items:flex-start; margin-bottom:8px;">
-            <span class="p-sub-label" style="flex-shrink:0; margin-right:0.25px; font-weight:500;">${label}.</span>
+        // (in responseMode, data-sub-index tells question-response.js whose widgets are inside)
+        const subIndexAttr = renderOptions.responseMode ? ` data-sub-index="${i}"` : '';
+        return `<div class="p-sub-item"${subIndexAttr} style="display:flex; align-items:flex-start; margin-bottom:8px;">
+            <span class="p-sub-label" style="flex-shrink:0; margin-right:0.25px; font-weight:500;">${escapeHtmlText(label)}.</span>
             ${contentHtml}
         </div>`;
     }).join('');
     
-    // Apply layout based on mode: vertical (stack) or horizontal (2 cols)
+    // Apply layout based on mode: vertical (stack), horizontal (2 cols) or matrix (N cols)
     // Wrap in p-composite-subs for proper indentation from main content
-    const subHtml = subLayout === 'horizontal' 
-        ? `<div class="p-composite-subs"><div class="p-sub-grid">${subs}</div></div>` 
-        : `<div class="p-composite-subs">${subs}</div>`;
+    const subHtml = `<div class="p-composite-subs">${renderSubQuestionGrid(subs, data.style)}</div>`;
     
     // Note: Word bank (options_pool) is rendered in renderQuestionHTML at COMPOSITE level
     return subHtml;
 }
 
+/**
+ * Arrange rendered sub-questions according to style.sub_questions_layout
+ * @param {string} subsHtml - Rendered .p-sub-item elements
+ * @param {Object} style - COMPOSITE data.style
+ * @returns {string} HTML string: the items unchanged for 'vertical', else wrapped in a .p-sub-grid
+ */
+function renderSubQuestionGrid(subsHtml, style) {
+    switch (style?.sub_questions_layout) {
+        case 'horizontal':
+            return `<div class="p-sub-grid">${subsHtml}</div>`;
+        case 'matrix': {
+            const columns = getMatrixColumns(style);
+            return `<div class="p-sub-grid p-sub-matrix" style="grid-template-columns: repeat(${columns}, minmax(0, 1fr));">${subsHtml}</div>`;
+        }
+        default:
+            return subsHtml;
+    }
+}
+
+/**
+ * Column count of the 'matrix' sub-question layout
+ * @param {Object} style - COMPOSITE data.style
+ * @returns {number} style.sub_questions_columns, or DEFAULT_MATRIX_COLUMNS if it isn't a whole number > 1
+ */
+function getMatrixColumns(style) {
+    const columns = style?.sub_questions_columns;
+    return Number.isInteger(columns) && columns > 1 ? columns : DEFAULT_MATRIX_COLUMNS;
+}
+
+/**
+ * Rendering options for the RichText of one question or sub-question
+ * Its own style.image_layout applies; a sub-question without one follows its parent.
+ * @param {Object} data - Question or sub-question data
+ * @param {Object} renderOptions - Rendering options
+ * @returns {Object} renderOptions with imageLayout set
+ */
+function getRichTextOptions(data, renderOptions) {
+    const imageLayout = data?.style?.image_layout || renderOptions.imageLayout;
+    return imageLayout === renderOptions.imageLayout ? renderOptions : { ...renderOptions, imageLayout };
+}
+
+/**
+ * Rendering options for the answer widgets of one question or sub-question (responseMode)
+ * @param {string} type - Question type
+ * @param {Object} renderOptions - Rendering options
+ * @param {string} responseName - Name for its radio/checkbox group; unique on the page
+ * @returns {Object} renderOptions with responseName, and gapInputs for types answered in
+ *   their gaps (definition.gapResponses, e.g. FIB)
+ */
+function getResponseOptions(type, renderOptions, responseName) {
+    const gapInputs = getQuestionTypeDefinition(type)?.gapResponses === true;
+    return { ...renderOptions, responseName, gapInputs };
+}
+
 // =====================================================
 // MAIN PREVIEW RENDERER
 // =====================================================
@@ -534,6 +998,12 @@ function renderCompositePreview(data, renderOptions) {
  * @param {string|number} options.questionNumber - Display number for the question
  * @param {boolean} options.showMarks - Whether to show marks (default: true)
  * @param {boolean} options.interactive - Enable resize handles (default: false)
+ * @param {boolean} options.sanitize - Sanitize author HTML (default: true, see formatRichText)
+ * @param {Array} options.sanitizeReport - Receives what sanitizing removed
+ * @param {boolean} options.responseMode - Render answer widgets (inputs, option buttons, dropdowns, answer
+ *   boxes) instead of print blanks, and leave out the solution (default: false, see question-response.js)
+ * @param {string} options.responseName - Prefix for the widget names (default: 'response-<question id>');
+ *   must differ between questions shown on the same page
  * @returns {string} HTML string
  */
 function renderQuestionHTML(question, options = {}) {
@@ -543,12 +1013,20 @@ function renderQuestionHTML(question, options = {}) {
     const meta = question.metadata || {};
     const qType = question.type || 'SUBJECTIVE';
     
-    const questionNumber = options.questionNumber || question.id || '1';
+    const questionNumber = escapeHtmlText(options.questionNumber || question.id || '1');
     const showMarks = options.showMarks !== false;
-    const renderOptions = {
+    const responseMode = options.responseMode || false;
+    let renderOptions = {
         imageResolver: options.imageResolver || (() => null),
-        interactive: options.interactive || false
+        interactive: options.interactive || false,
+        imageLayout: data.style?.image_layout || 'vertical',
+        sanitize: options.sanitize !== false,
+        sanitizeReport: options.sanitizeReport,
+        responseMode
     };
+    if (responseMode) {
+        renderOptions = getResponseOptions(qType, renderOptions, options.responseName || `response-${question.id || '1'}`);
+    }
     
     // Main content - for COMPOSITE it's common_content, others use content
     const mainContent = data.common_content || data.content || '';
@@ -570,40 +1048,17 @@ function renderQuestionHTML(question, options = {}) {
         </div>`;
     }
     
-    // For COMPOSITE: Check for options_pool (word bank) and render it after main content
-    let wordBankHtml = '';
-    if (qType === 'COMPOSITE') {
-        const optionsPool = getOptionsPool(data);
-        if (optionsPool && optionsPool.length > 0) {
-            wordBankHtml = `<div class="p-word-bank-wrapper" style="padding-left:2.5rem; margin:8px 0;">${renderWordBankPreview(optionsPool)}</div>`;
-        }
-    }
+    // Renderer hooks of the type (FIB has nothing beyond the main content, SUBJECTIVE only in responseMode)
+    const definition = getQuestionTypeDefinition(qType) || {};
+    
+    // Content between the prompt and the type content, e.g. the COMPOSITE word bank (options_pool)
+    const afterPromptHtml = definition.renderAfterPrompt ? definition.renderAfterPrompt(data, renderOptions) : '';
     
     // Type-specific content
     let typeHtml = '';
     
     try {
-        switch (qType) {
-            case 'MCQ':
-                typeHtml = renderMCQPreview(data, renderOptions);
-                break;
-            case 'FIB':
-                // FIB has no additional content in v5.1 (options_pool moved to COMPOSITE level)
-                break;
-            case 'MATCH':
-                typeHtml = renderMatchPreview(data, renderOptions);
-                break;
-            case 'TABLE':
-                typeHtml = renderTablePreview(data, renderOptions);
-                break;
-            case 'COMPOSITE':
-                typeHtml = renderCompositePreview(data, renderOptions);
-                break;
-            case 'SUBJECTIVE':
-            default:
-                // SUBJECTIVE has no additional content beyond the main content
-                break;
-        }
+        typeHtml = definition.render ? definition.render(data, renderOptions) : '';
     } catch (e) {
         console.error(`Error rendering ${qType}:`, e);
         typeHtml = `<div style="color:red;">Error rendering ${qType}: ${e.message}</div>`;
@@ -611,25 +1066,19 @@ function renderQuestionHTML(question, options = {}) {
     
     // Marks display
     const points = meta.marks || 1;
-    const marksText = showMarks ? `[${points}]` : '';
+    const marksText = showMarks ? `[${escapeHtmlText(points)}]` : '';
     
     // Wrap type-specific content with proper indentation
-    // For non-COMPOSITE types (MCQ, FIB, etc.), options should align with question content text
-    // COMPOSITE handles its own sub-question indentation via p-sub-item flex layout
+    // Options, pairs and tables align with question content text; types with indent: false
+    // (COMPOSITE, via its p-sub-item flex layout) handle their own indentation
     let typeContentHtml = '';
     if (typeHtml) {
-        if (qType === 'COMPOSITE') {
-            // COMPOSITE sub-questions have their own indentation structure
-            typeContentHtml = typeHtml;
-        } else {
-            // Non-COMPOSITE types need wrapper for proper indentation
-            typeContentHtml = `<div class="p-type-content">${typeHtml}</div>`;
-        }
+        typeContentHtml = definition.indent === false ? typeHtml : `<div class="p-type-content">${typeHtml}</div>`;
     }
     
-    // Solution content (RichText) - aligned with question content
+    // Solution content (RichText) - aligned with question content; never shown to a student answering online
     const solution = question.solution || {};
-    const solutionText = solution.text || '';
+    const solutionText = responseMode ? '' : (solution.text || '');
     let solutionHtml = '';
     if (solutionText) {
         try {
@@ -645,10 +1094,11 @@ function renderQuestionHTML(question, options = {}) {
         }
     }
     
-    // For COMPOSITE: wordBankHtml (options_pool) appears after main content but before sub-questions
-    return `<div class="p-q-block">
+    // For COMPOSITE: the word bank (options_pool) appears after main content but before sub-questions
+    const blockAttrs = responseMode ? ` data-question-id="${escapeHtmlText(question.id || '')}" data-question-type="${escapeHtmlText(qType)}"` : '';
+    return `<div class="p-q-block"${blockAttrs}>
         <div class="p-q-header">
-            <div class="p-q-content">${promptHtml}${wordBankHtml}</div>
+            <div class="p-q-content">${promptHtml}${afterPromptHtml}</div>
             ${marksText ? `<div class="p-q-marks">${marksText}</div>` : ''}
         </div>
         ${typeContentHtml}
@@ -657,3 +1107,200 @@ function renderQuestionHTML(question, options = {}) {
         ${solutionHtml ? '<div class="p-q-end-line">- - - - - - - - - - - - - - - - - - - - end of solution - - - - - - - - - - - - - - - - - - - -</div>' : ''}
     </div>`;
 }
+
+// =====================================================
+// ANSWER KEY RENDERER
+// =====================================================
+
+/**
+ * Render the correct answers of a question payload from data.answer (renderAnswer hook of its type)
+ * @param {string} type - Question type
+ * @param {Object} data - Question data (with data.answer)
+ * @param {Object} renderOptions - Rendering options (passed to formatRichText)
+ * @param {string} renderOptions.optionIdStyle - 'roman' for sub-question MCQ labels (matches renderMCQPreview)
+ * @param {number[]} renderOptions.subQuestionMarks - COMPOSITE: marks per sub-question, in order
+ * @returns {string} HTML string
+ */
+function renderAnswerSummary(type, data, renderOptions = {}) {
+    const renderAnswer = getQuestionTypeDefinition(type)?.renderAnswer;
+    return renderAnswer ? renderAnswer(data || {}, renderOptions) : ANSWER_KEY_MISSING_HTML;
+}
+
+/**
+ * Render one blank's accepted values as "first (also: second, third)"
+ * @param {Object} entry - { accepted: string[] }
+ * @returns {string} HTML string
+ */
+function renderAcceptedValues(entry) {
+    const accepted = entry?.accepted || [];
+    if (accepted.length === 0) return '—';
+    const escape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const first = `<strong>${escape(accepted[0])}</strong>`;
+    return accepted.length > 1 ? `${first} (also: ${accepted.slice(1).map(escape).join(', ')})` : first;
+}
+
+/**
+ * Render an answer key / marking scheme entry for one question
+ * @param {Object} question - Question object (v5.1 schema)
+ * @param {Object} options - Rendering options
+ * @param {Function} options.imageResolver - Function(imageId) => URL or null
+ * @param {string|number} options.questionNumber - Display number for the question
+ * @param {number} options.marks - Marks to show (default: metadata.marks)
+ * @param {number[]} options.subQuestionMarks - Marks per COMPOSITE sub-question, in order
+ * @param {boolean} options.showSolution - Include solution.text (default: true)
+ * @param {boolean} options.sanitize - Sanitize author HTML (default: true, see formatRichText)
+ * @param {Array} options.sanitizeReport - Receives what sanitizing removed
+ * @returns {string} HTML string
+ */
+function renderAnswerKeyHTML(question, options = {}) {
+    if (!question) return '';
+    
+    const data = question.data || {};
+    const qType = question.type || 'SUBJECTIVE';
+    const questionNumber = escapeHtmlText(options.questionNumber || question.id || '1');
+    const marks = escapeHtmlText(options.marks ?? question.metadata?.marks ?? 1);
+    const showSolution = options.showSolution !== false;
+    const renderOptions = {
+        imageResolver: options.imageResolver || (() => null),
+        interactive: false,
+        sanitize: options.sanitize !== false,
+        sanitizeReport: options.sanitizeReport
+    };
+    
+    const answerHtml = renderAnswerSummary(qType, data, { ...renderOptions, subQuestionMarks: options.subQuestionMarks });
+    
+    const solutionText = question.solution?.text || '';
+    const solutionHtml = showSolution && solutionText
+        ? `<div class="p-solution-section">
+                <div class="p-solution-label">Solution</div>
+                <div class="p-solution-content">${formatRichText(solutionText, renderOptions)}</div>
+            </div>`
+        : '';
+    
+    return `<div class="p-ak-block">
+        <div class="p-ak-header">
+            <span class="p-q-num">${questionNumber}.</span>
+            <div class="p-ak-answers">${answerHtml}</div>
+            <div class="p-q-marks">[${marks}]</div>
+        </div>
+        ${solutionHtml}
+    </div>`;
+}
+
+// =====================================================
+// QUESTION TYPE RENDERERS
+// =====================================================
+
+// Renderer hooks of the built-in types, added to their definitions (see registerQuestionType):
+//   render(data, renderOptions)            - HTML below the question text (options, pairs, table)
+//   renderSubQuestion(data, renderOptions) - The same for a COMPOSITE sub-question (default: render)
+//   renderAfterPrompt(data, renderOptions) - HTML right after the question text, beside the marks
+//   renderAnswer(data, renderOptions)      - Answer key entry (see renderAnswerSummary)
+//   indent: false                          - render output is not indented under the question text
+//   gapResponses: true                     - in responseMode the answer is typed into the gaps of the text
+
+registerQuestionType('MCQ', {
+    render: renderMCQPreview,
+    renderSubQuestion: (data, renderOptions) => {
+        const optHtml = renderMCQPreview(data, { ...renderOptions, optionIdStyle: 'roman' });
+        return optHtml ? `<div style="margin-top:8px; margin-left:0; padding-left:0;">${optHtml}</div>` : '';
+    },
+    renderAnswer: (data, renderOptions) => {
+        const correct = data.answer?.correct_options || [];
+        if (correct.length === 0) return ANSWER_KEY_MISSING_HTML;
+        const useRomanIds = renderOptions.optionIdStyle === 'roman';
+        const options = data.options || [];
+        return correct.map(id => {
+            const k = options.findIndex(opt => opt.id === id);
+            const label = useRomanIds && k >= 0 ? toRomanLower(k + 1) : escapeHtmlText(id);
+            const text = k >= 0 ? formatRichText(options[k].text || '', renderOptions) : '';
+            return `<span class="p-ak-answer">(${label}) ${text}</span>`;
+        }).join('; ');
+    }
+});
+
+registerQuestionType('FIB', {
+    gapResponses: true,
+    renderAnswer: (data) => {
+        const gaps = data.answer?.gaps || [];
+        if (!gaps.some(g => g.accepted?.length)) return ANSWER_KEY_MISSING_HTML;
+        if (gaps.length === 1) return renderAcceptedValues(gaps[0]);
+        return gaps.map((gap, i) => `<span class="p-ak-answer">(${i + 1}) ${renderAcceptedValues(gap)}</span>`).join('; ');
+    }
+});
+
+registerQuestionType('MATCH', {
+    render: renderMatchPreview,
+    renderAnswer: (data, renderOptions) => {
+        const pairs = data.pairs || [];
+        const matches = data.answer?.matches || [];
+        if (!matches.some(m => Number.isInteger(m))) return ANSWER_KEY_MISSING_HTML;
+        return `<div class="p-ak-list">${pairs.map((pair, i) => {
+            const m = matches[i];
+            const right = Number.isInteger(m) && pairs[m] ? formatRichText(pairs[m].right, renderOptions) : '—';
+            return `<div class="p-ak-answer">${formatRichText(pair.left, renderOptions)} → ${right}</div>`;
+        }).join('')}</div>`;
+    }
+});
+
+registerQuestionType('SUBJECTIVE', {
+    render: renderSubjectiveResponse,
+    renderAnswer: (data, renderOptions) => {
+        const modelAnswer = data.answer?.model_answer;
+        return modelAnswer ? formatRichText(modelAnswer, renderOptions) : ANSWER_KEY_MISSING_HTML;
+    }
+});
+
+registerQuestionType('TABLE', {
+    render: renderTablePreview,
+    renderAnswer: (data) => {
+        const cells = data.answer?.cells || [];
+        if (cells.length === 0) return ANSWER_KEY_MISSING_HTML;
+        return `<div class="p-ak-list">${cells.map(cell =>
+            `<div class="p-ak-answer">Row ${cell.row + 1}, Column ${cell.col + 1}: ${renderAcceptedValues(cell)}</div>`
+        ).join('')}</div>`;
+    }
+});
+
+registerQuestionType('COMPOSITE', {
+    render: renderCompositePreview,
+    indent: false,
+    renderAfterPrompt: (data, renderOptions) => {
+        const optionsPool = getOptionsPool(data);
+        if (!optionsPool) return '';
+        return `<div class="p-word-bank-wrapper" style="padding-left:2.5rem; margin:8px 0;">${renderWordBankPreview(optionsPool, renderOptions)}</div>`;
+    },
+    // One line per sub-question, with its marks
+    renderAnswer: (data, renderOptions) => {
+        const subMarks = renderOptions.subQuestionMarks || [];
+        return (data.sub_questions || []).map((sq, i) => {
+            const label = sq.id || String.fromCharCode(97 + i);
+            const sqMarks = subMarks[i] !== undefined ? subMarks[i] : sq.marks;
+            const summary = renderAnswerSummary(sq.type, sq.data || {}, { ...renderOptions, optionIdStyle: 'roman', subQuestionMarks: undefined });
+            return `<div class="p-ak-sub">
+                <span class="p-sub-label">${escapeHtmlText(label)}.</span>
+                <div class="p-ak-sub-answer">${summary}</div>
+                ${sqMarks !== undefined ? `<span class="p-ak-sub-marks">[${escapeHtmlText(sqMarks)}]</span>` : ''}
+            </div>`;
+        }).join('');
+    }
+});
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_GAP_WIDTH, BORDER_COLOR, DEFAULT_MATRIX_COLUMNS, ANSWER_KEY_MISSING_HTML, RESPONSE_TEXT_ROWS,
+        SANITIZE_ALLOWED_TAGS,
+        SANITIZE_DROPPED_TAGS, SANITIZE_VOID_TAGS, SANITIZE_URL_ATTRIBUTES, SANITIZE_SAFE_URL_REGEX,
+        SANITIZE_IMAGE_DATA_URL_REGEX, renderLatexMath, tokenizeMath, findInlineDollarClose,
+        findMathErrors, renderMarkdown, parseImageTag, formatRichText, renderGap,
+        sanitizeHtml, sanitizeAttributes, decodeHtmlEntities, escapeHtmlText, describeSanitizeReport,
+        findUnsafeQuestionHtml, getCellBorderStyle, toRomanLower, renderMCQPreview, renderWordBankPreview, renderMatchPreview,
+        renderTablePreview, renderSubjectiveResponse, getOptionsPool, renderCompositePreview, renderSubQuestionGrid,
+        getMatrixColumns, getRichTextOptions, getResponseOptions, renderQuestionHTML, renderAnswerSummary,
+        renderAcceptedValues, renderAnswerKeyHTML
+    };
+}
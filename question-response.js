@@ -0,0 +1,264 @@
+/**
+ * Question Response Module (Schema v5.1)
+ * Online answering: reads the answer widgets of renderQuestionHTML's responseMode back as responses
+ * Used by: assessment-selection-tool.html (Try on practice questions); any page where students answer on screen
+ *
+ * This module provides functions to:
+ * - Render a question with answer widgets into a container (renderResponseToContainer)
+ * - Read what the student entered as a plain, JSON-serializable response in the shape
+ *   gradeQuestion expects (readQuestionResponse, readResponses for a page of questions)
+ * - Put a saved response back into the widgets, e.g. to resume a test (writeQuestionResponse)
+ * - Size the widgets for touch screens (RESPONSE_STYLES, added to the page once)
+ *
+ * Widgets (see renderQuestionHTML, options.responseMode):
+ * - MCQ:        radio buttons, or checkboxes when data.allow_multiple
+ * - FIB:        a text input in each gap
+ * - MATCH:      a dropdown of Column B letters beside each Column A item
+ * - TABLE:      text inputs in the empty cells and the cells of data.answer.cells
+ * - SUBJECTIVE: a text area, taller when data.expected_length is 'long'
+ * - COMPOSITE:  the widgets of each sub-question
+ *
+ * Each type reads and writes its widgets through two hooks on its definition (see registerQuestionType),
+ * so types registered later can be answered online too:
+ *   readResponse(element, data)            - Response from the widgets inside element (the question
+ *                                            block, or the .p-sub-item of a sub-question)
+ *   writeResponse(element, data, response) - Show a response in those widgets
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides registerQuestionType, getQuestionTypeDefinition)
+ * - question-preview.js (provides renderPreviewToContainer)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const RESPONSE_STYLE_ELEMENT_ID = 'question-response-styles';
+
+// Widget styles: 44px touch targets, and 16px text so phones and tablets don't zoom in on focus
+const RESPONSE_STYLES = `
+    .p-gap-input, .p-cell-input, .p-match-select, .p-response-text {
+        font: inherit; font-size: max(16px, 1em); color: inherit; background: #f8fafc;
+        border: 1px solid #94a3b8; border-radius: 4px; box-sizing: border-box;
+    }
+    .p-gap-input { min-height: 36px; max-width: 100%; padding: 2px 6px; margin: 2px 0; vertical-align: baseline; }
+    .p-cell-input { width: 100%; min-width: 4em; min-height: 40px; padding: 4px 6px; }
+    .p-match-select { min-height: 44px; min-width: 4.5em; padding: 0 6px; margin-right: 0.5rem; }
+    .p-pairs-letter { font-weight: 500; margin-right: 0.25rem; }
+    .p-response-text { display: block; width: 100%; padding: 8px; margin-top: 6px; resize: vertical; }
+    label.p-option-item { min-height: 44px; padding: 4px 8px; border-radius: 6px; cursor: pointer; }
+    label.p-option-item:has(.p-option-input:checked) { background: #dbeafe; }
+    .p-option-input { width: 1.25em; height: 1.25em; margin: 0.15em 0.5rem 0 0; flex-shrink: 0; }
+    .p-gap-input:focus, .p-cell-input:focus, .p-match-select:focus, .p-response-text:focus {
+        outline: 2px solid #3b82f6; outline-offset: 1px; background: #fff;
+    }
+`;
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+/**
+ * Render a question for answering
+ * @param {Object} question - Question object in v5.1 format
+ * @param {HTMLElement} container - DOM element to render into
+ * @param {Object} options - renderPreviewToContainer options, plus:
+ * @param {*} options.response - Saved response to show in the widgets (see writeQuestionResponse)
+ * @param {Function} options.onChange - Function(response) after every edit, e.g. to keep or autosave it
+ * @returns {string} The rendered HTML
+ */
+function renderResponseToContainer(question, container, options = {}) {
+    if (!question || !container) return '';
+
+    const { response, onChange, ...previewOptions } = options;
+    const html = renderPreviewToContainer(question, container, { ...previewOptions, interactive: false, responseMode: true });
+    addResponseStyles(container.ownerDocument);
+
+    if (response !== undefined && response !== null) {
+        writeQuestionResponse(container, question, response);
+    }
+    // A handler property, not a listener: rendering into the same container again replaces it
+    container.oninput = onChange ? () => onChange(readQuestionResponse(container, question)) : null;
+    return html;
+}
+
+/**
+ * Add RESPONSE_STYLES to a page (once)
+ * @param {Document} doc - Page to style (default: the current document)
+ */
+function addResponseStyles(doc = document) {
+    if (!doc || doc.getElementById(RESPONSE_STYLE_ELEMENT_ID)) return;
+    const style = doc.createElement('style');
+    style.id = RESPONSE_STYLE_ELEMENT_ID;
+    style.textContent = RESPONSE_STYLES;
+    doc.head.appendChild(style);
+}
+
+// =====================================================
+// READING AND WRITING RESPONSES
+// =====================================================
+
+/**
+ * Read the response to one question
+ * @param {HTMLElement} container - Element holding the question, rendered in responseMode
+ * @param {Object} question - The question that was rendered
+ * @returns {*} Response for gradeQuestion (shape by type, see question-grader.js), or null if the
+ *   question isn't in the container or its type has no readResponse hook
+ */
+function readQuestionResponse(container, question) {
+    const block = findResponseBlock(container, question);
+    const readResponse = getQuestionTypeDefinition(question?.type)?.readResponse;
+    if (!block || !readResponse) return null;
+    return readResponse(block, question.data || {});
+}
+
+/**
+ * Read the responses to every question on a page (e.g. a test rendered with renderQuestionHTML)
+ * @param {HTMLElement} container - Element holding the questions
+ * @param {Array} questions - The questions that were rendered
+ * @returns {Object} Map of question id → response, for gradeResponses
+ */
+function readResponses(container, questions) {
+    const responses = {};
+    questions.forEach(question => {
+        responses[question.id] = readQuestionResponse(container, question);
+    });
+    return responses;
+}
+
+/**
+ * Show a saved response in the widgets of one question
+ * @param {HTMLElement} container - Element holding the question, rendered in responseMode
+ * @param {Object} question - The question that was rendered
+ * @param {*} response - Response as readQuestionResponse returns it (the other shapes gradeQuestion
+ *   accepts work too)
+ * @returns {boolean} False if the question isn't in the container or its type has no writeResponse hook
+ */
+function writeQuestionResponse(container, question, response) {
+    const block = findResponseBlock(container, question);
+    const writeResponse = getQuestionTypeDefinition(question?.type)?.writeResponse;
+    if (!block || !writeResponse) return false;
+    writeResponse(block, question.data || {}, response);
+    return true;
+}
+
+/**
+ * Find the rendered block of a question
+ * @param {HTMLElement} container - Element holding the question
+ * @param {Object} question - Question object
+ * @returns {HTMLElement|null} The .p-q-block rendered in responseMode for question.id
+ */
+function findResponseBlock(container, question) {
+    if (!container || !question) return null;
+    const id = String(question.id || '');
+    return Array.from(container.querySelectorAll('.p-q-block[data-question-id]'))
+        .find(block => block.dataset.questionId === id) || null;
+}
+
+/**
+ * Value for one position of a list response (an array, or an object keyed by position)
+ * @param {*} response - Response
+ * @param {number|string} index - Position
+ * @returns {string} The value as text, '' if there is none
+ */
+function getListResponseValue(response, index) {
+    const value = response !== null && typeof response === 'object' ? response[index] : (Number(index) === 0 ? response : null);
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Call back for each sub-question of a COMPOSITE that was rendered
+ * @param {HTMLElement} element - The COMPOSITE question block
+ * @param {Object} data - COMPOSITE data
+ * @param {Function} callback - Function(item, subQuestion, subId, index) for each .p-sub-item found
+ */
+function forEachSubQuestionItem(element, data, callback) {
+    (data.sub_questions || []).forEach((sq, i) => {
+        const item = element.querySelector(`.p-sub-item[data-sub-index="${i}"]`);
+        if (item) callback(item, sq, sq.id || String.fromCharCode(97 + i), i);
+    });
+}
+
+// =====================================================
+// QUESTION TYPE RESPONSE HOOKS
+// =====================================================
+
+registerQuestionType('MCQ', {
+    // Option id, or the list of ids when several may be chosen
+    readResponse: (element, data) => {
+        const chosen = Array.from(element.querySelectorAll('.p-option-input:checked'), input => input.value);
+        return data.allow_multiple ? chosen : (chosen[0] ?? null);
+    },
+    writeResponse: (element, data, response) => {
+        const chosen = (Array.isArray(response) ? response : [response]).map(String);
+        element.querySelectorAll('.p-option-input').forEach(input => {
+            input.checked = chosen.includes(input.value);
+        });
+    }
+});
+
+registerQuestionType('FIB', {
+    // One entry per gap, in content order
+    readResponse: (element) => Array.from(element.querySelectorAll('.p-gap-input'), input => input.value),
+    writeResponse: (element, data, response) => {
+        element.querySelectorAll('.p-gap-input').forEach(input => {
+            input.value = getListResponseValue(response, input.dataset.gap);
+        });
+    }
+});
+
+registerQuestionType('MATCH', {
+    // Column B index chosen for each Column A item (null where nothing is chosen)
+    readResponse: (element) => Array.from(element.querySelectorAll('.p-match-select'),
+        select => select.value === '' ? null : Number(select.value)),
+    writeResponse: (element, data, response) => {
+        element.querySelectorAll('.p-match-select').forEach(select => {
+            select.value = getListResponseValue(response, select.dataset.item);
+        });
+    }
+});
+
+registerQuestionType('TABLE', {
+    // { "row,col": value } for every answer cell
+    readResponse: (element) => {
+        const response = {};
+        element.querySelectorAll('.p-cell-input').forEach(input => {
+            response[`${input.dataset.row},${input.dataset.col}`] = input.value;
+        });
+        return response;
+    },
+    writeResponse: (element, data, response) => {
+        element.querySelectorAll('.p-cell-input').forEach(input => {
+            const { row, col } = input.dataset;
+            const value = Array.isArray(response) ? response[row]?.[col] : response?.[`${row},${col}`];
+            input.value = value === null || value === undefined ? '' : String(value);
+        });
+    }
+});
+
+registerQuestionType('SUBJECTIVE', {
+    readResponse: (element) => element.querySelector('.p-response-text')?.value ?? '',
+    writeResponse: (element, data, response) => {
+        const textarea = element.querySelector('.p-response-text');
+        if (textarea) textarea.value = response === null || response === undefined ? '' : String(response);
+    }
+});
+
+registerQuestionType('COMPOSITE', {
+    // { subId: response } for the sub-questions whose type can be answered online
+    readResponse: (element, data) => {
+        const response = {};
+        forEachSubQuestionItem(element, data, (item, sq, subId) => {
+            const readResponse = getQuestionTypeDefinition(sq.type)?.readResponse;
+            if (readResponse) response[subId] = readResponse(item, sq.data || {});
+        });
+        return response;
+    },
+    writeResponse: (element, data, response) => {
+        forEachSubQuestionItem(element, data, (item, sq, subId, i) => {
+            const writeResponse = getQuestionTypeDefinition(sq.type)?.writeResponse;
+            const subResponse = Array.isArray(response) ? response[i] : response?.[subId];
+            if (writeResponse && subResponse !== undefined) writeResponse(item, sq.data || {}, subResponse);
+        });
+    }
+});
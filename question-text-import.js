@@ -0,0 +1,532 @@
+/**
+ * Question Text Import Module (Schema v5.1)
+ * Import of question sheets typed as plain text or pasted from Word (Aiken-style, Markdown)
+ * Used by: assessment-authoring-tool.html (.txt/.md files in Upload JSON/JSONL, Paste Text)
+ *
+ * This module provides functions to:
+ * - Read a question sheet into v5.1 questions, reporting every line it could not read (parseQuestionText)
+ *
+ * Format (blank lines are paragraph breaks):
+ *   ---                        Front matter: metadata for the questions that follow it, until the next
+ *   grade: 4                   front matter (grade, subject, chapter, section, difficulty, marks, pool,
+ *   chapter: 3                 subpool); questions without it get the defaults of createEmptyQuestion
+ *   ---
+ *   1. What is 2 + 3? (1 mark) A numbered line (1. 1) Q1. Question 1:) starts a question; "(2 marks)" or
+ *                              "[2]" at its end sets the marks. Numbers must go up and the line must not
+ *                              be indented; other numbered lines are text of the current question.
+ *   a) 4   b) 5   c) 6         Options, in order from a) (also (a), a. and A)); options sharing a line
+ *                              are laid out horizontally
+ *   ANSWER: b                  The answer key (see below)
+ *   SOLUTION: 2 + 3 = 5        solution.text (EXPLANATION: works too)
+ *   MARKS: 2                   Metadata of this question only (any front matter key); ID: sets the id
+ * Keywords are not case-sensitive and ANS: is short for ANSWER:. The lines after ANSWER: and SOLUTION:
+ * belong to them until the next keyword or question.
+ *
+ * The type follows from what a question has:
+ * - MCQ:        options; ANSWER: the correct letters (b, or a, c to allow several)
+ * - TABLE:      a table of | rows (a |---| row under the first one makes it the header) or of
+ *               tab-separated rows, as Word tables paste; ANSWER: the values of its empty cells in
+ *               reading order, separated by ;
+ * - FIB:        [[gap]] tokens or ___ blanks; ANSWER: one value per gap, separated by ; (alternatives by |)
+ * - SUBJECTIVE: anything else; ANSWER: the model answer
+ * A table in a question with options stays in its content as a Markdown table. MATCH and COMPOSITE
+ * questions have no text form; the editor builds them.
+ *
+ * Dependencies (must be loaded before this script):
+ * - question-parser.js (provides createEmptyQuestion, ensureDefaults, validateQuestion, generateId,
+ *   countGapTokens, PARSE_ERROR_KINDS, DIFFICULTY_LEVELS, POOL_TYPES)
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// File extensions read as question sheets rather than JSON/JSONL
+const QUESTION_TEXT_EXTENSIONS = ['txt', 'md'];
+// Error kind of lines the format can't account for (questions that fail validation use PARSE_ERROR_KINDS)
+const TEXT_IMPORT_ERROR_KIND = 'text';
+// 1. / 1) / 1: / Q1. / Question 1: and the start of the question, if it is on the same line
+const TEXT_QUESTION_REGEX = /^(?:Q(?:uestion)?\s*)?(\d+)\s*[.):](?:\s+(.*))?$/i;
+// a) / (a) / a. / A) and the option
+const TEXT_OPTION_REGEX = /^\(?([a-z])[).]\s+(\S.*)$/i;
+// (2 marks), (1 mark) or [2] at the end of a question's first line
+const TEXT_MARKS_SUFFIX_REGEX = /\s*(?:\((\d+)\s*marks?\)|\[(\d+)(?:\s*marks?)?\])$/i;
+// KEY: value, for front matter and the keywords in a question
+const TEXT_KEY_VALUE_REGEX = /^([a-z]+)\s*:\s*(.*)$/i;
+const TEXT_KEYWORDS = {
+    answer: 'answer',
+    ans: 'answer',
+    solution: 'solution',
+    explanation: 'solution',
+    id: 'id'
+};
+const TEXT_METADATA_KEYS = ['grade', 'subject', 'chapter', 'section', 'difficulty', 'marks', 'pool', 'subpool'];
+// Values schema.json allows for metadata.subpool
+const TEXT_SUBPOOL_VALUES = ['NA', 'Written', 'Oral'];
+// Blanks typed as underscores (FIB gaps)
+const TEXT_BLANK_REGEX = /_{3,}/g;
+// The |---|:---:| row under a Markdown table's header
+const TEXT_TABLE_SEPARATOR_REGEX = /^\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?$/;
+
+// =====================================================
+// PARSING
+// =====================================================
+
+/**
+ * Read a question sheet into v5.1 questions
+ * Lines that fit nowhere are reported and left out; the rest of their question is still imported.
+ * An ANSWER: line that can't be read is reported and its question imported without an answer key.
+ * @param {string} text - Question sheet
+ * @returns {Object} { questions, errors: [{ line, column, questionId, kind, message }], warnings: [] },
+ *                   as parseJson returns them
+ */
+function parseQuestionText(text) {
+    const lines = normalizeQuestionText(text).split('\n');
+    const questions = [];
+    const errors = [];
+    const usedIds = new Set();
+    const report = (line, message, questionId = null) => {
+        errors.push({ line, column: 1, questionId, kind: TEXT_IMPORT_ERROR_KIND, message });
+    };
+    let defaults = {};
+    let draft = null;
+    let lastNumber = 0;
+
+    const finishQuestion = () => {
+        if (!draft) return;
+        if (!draft.content.some(Boolean) && !draft.table && draft.options.length === 0) {
+            errors.push({
+                line: draft.line, column: 1, questionId: draft.id,
+                kind: PARSE_ERROR_KINDS.VALIDATION, message: 'Question has no text'
+            });
+            draft = null;
+            return;
+        }
+        const question = buildTextQuestion(draft, usedIds, report);
+        const result = validateQuestion(question);
+        if (result.valid) {
+            usedIds.add(question.id);
+            questions.push(question);
+        } else {
+            errors.push({
+                line: draft.line, column: 1, questionId: question.id,
+                kind: PARSE_ERROR_KINDS.VALIDATION, message: result.errors.join('; ')
+            });
+        }
+        draft = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        const lineNumber = i + 1;
+
+        if (trimmed === '---' && isTextFrontMatter(lines, i)) {
+            finishQuestion();
+            let end = lines.findIndex((l, j) => j > i && l.trim() === '---');
+            if (end === -1) {
+                report(lineNumber, 'Front matter has no closing --- line');
+                end = lines.length;
+            }
+            defaults = { ...defaults, ...readTextFrontMatter(lines, i + 1, end, report) };
+            lastNumber = 0; // A new section may number its questions from 1 again
+            i = end;
+            continue;
+        }
+
+        const start = /^\S/.test(line) && trimmed.match(TEXT_QUESTION_REGEX);
+        if (start && Number(start[1]) > lastNumber) {
+            finishQuestion();
+            lastNumber = Number(start[1]);
+            draft = createTextQuestionDraft(lineNumber, defaults);
+            let stem = (start[2] || '').replace(/\t+/g, ' ');
+            const marks = stem.match(TEXT_MARKS_SUFFIX_REGEX);
+            if (marks) {
+                draft.metadata.marks = Number(marks[1] || marks[2]);
+                stem = stem.slice(0, marks.index);
+            }
+            if (stem) draft.content.push(stem);
+            continue;
+        }
+
+        if (!draft) {
+            if (trimmed) report(lineNumber, 'Not part of a question: questions start with a number (1. or Q1.)');
+            continue;
+        }
+        readTextQuestionLine(draft, lines, i, report);
+    }
+    finishQuestion();
+
+    return { questions, errors, warnings: [] };
+}
+
+/**
+ * Undo what copying from Word adds: byte order mark, Windows line ends, non-breaking and zero-width spaces
+ * @param {string} text - Pasted or loaded text
+ * @returns {string} Plain text with \n line ends
+ */
+function normalizeQuestionText(text) {
+    return String(text ?? '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u00A0\u2007\u202F]/g, ' ')
+        .replace(/[\u200B-\u200D]/g, '');
+}
+
+// A --- line starts front matter if a metadata key follows it (otherwise it is text, e.g. a Markdown rule)
+function isTextFrontMatter(lines, index) {
+    const next = lines.slice(index + 1).find(l => l.trim());
+    const match = next?.trim().match(TEXT_KEY_VALUE_REGEX);
+    return !!match && TEXT_METADATA_KEYS.includes(match[1].toLowerCase());
+}
+
+// Metadata of the front matter lines from start up to (not including) end
+function readTextFrontMatter(lines, start, end, report) {
+    const metadata = {};
+    for (let i = start; i < end; i++) {
+        const trimmed = lines[i].trim();
+        if (!trimmed) continue;
+        const match = trimmed.match(TEXT_KEY_VALUE_REGEX);
+        const key = match?.[1].toLowerCase();
+        if (!match || !TEXT_METADATA_KEYS.includes(key)) {
+            report(i + 1, `Not a front matter line: use key: value with ${TEXT_METADATA_KEYS.join(', ')}`);
+            continue;
+        }
+        const { value, error } = parseTextMetadataValue(key, match[2].trim());
+        if (error) report(i + 1, error);
+        else metadata[key] = value;
+    }
+    return metadata;
+}
+
+/**
+ * Check a metadata value against what schema.json allows
+ * @param {string} key - One of TEXT_METADATA_KEYS
+ * @param {string} value - Value as typed
+ * @returns {Object} { value } or { error }
+ */
+function parseTextMetadataValue(key, value) {
+    if (!value) return { error: `No value for ${key}` };
+    const number = /^\d+$/.test(value) ? Number(value) : null;
+    const choose = (choices) => {
+        const match = choices.find(c => c.toLowerCase() === value.toLowerCase());
+        return match ? { value: match } : { error: `${key} must be ${choices.join(', ')}, not "${value}"` };
+    };
+    switch (key) {
+        case 'marks':
+            return number > 0 ? { value: number } : { error: `marks must be a whole number above 0, not "${value}"` };
+        case 'grade':
+        case 'chapter':
+            return { value: number ?? value };
+        case 'difficulty':
+            return choose(DIFFICULTY_LEVELS);
+        case 'pool':
+            return choose(POOL_TYPES);
+        case 'subpool':
+            return choose(TEXT_SUBPOOL_VALUES);
+        default:
+            return { value };
+    }
+}
+
+// A question as read so far; field is where plain lines go ('content', 'answer', 'solution' or 'ignored')
+function createTextQuestionDraft(line, defaults) {
+    return {
+        line,
+        id: null,
+        metadata: { ...defaults },
+        content: [],
+        options: [],
+        optionsInline: false,
+        table: null,
+        answer: null,
+        solution: null,
+        field: 'content',
+        previous: 'text'
+    };
+}
+
+// One line of the current question (anything but a question start or front matter)
+function readTextQuestionLine(draft, lines, index, report) {
+    const trimmed = lines[index].trim();
+    const lineNumber = index + 1;
+
+    const keyValue = trimmed.match(TEXT_KEY_VALUE_REGEX);
+    const name = keyValue?.[1].toLowerCase();
+    const key = TEXT_KEYWORDS[name] || (TEXT_METADATA_KEYS.includes(name) ? name : null);
+    if (key) {
+        const value = keyValue[2].trim();
+        if (key === 'answer' || key === 'solution') {
+            if (draft[key]) {
+                report(lineNumber, `Second ${keyValue[1].toUpperCase()}: in this question; left out`);
+                draft.field = 'ignored';
+            } else {
+                draft[key] = { line: lineNumber, lines: [value] };
+                draft.field = key;
+            }
+        } else if (key === 'id') {
+            if (value) draft.id = value;
+            else report(lineNumber, 'No value for ID');
+        } else {
+            const result = parseTextMetadataValue(key, value);
+            if (result.error) report(lineNumber, result.error);
+            else draft.metadata[key] = result.value;
+        }
+        return;
+    }
+
+    if (draft.field === 'ignored') {
+        if (trimmed) report(lineNumber, 'Part of a left-out ANSWER: or SOLUTION:');
+        return;
+    }
+    if (draft.field !== 'content') {
+        draft[draft.field].lines.push(trimmed);
+        return;
+    }
+
+    const tableRow = getTextTableRow(lines, index);
+    if (draft.table && !tableRow) draft.table.closed = true;
+    const previous = draft.previous;
+    draft.previous = !trimmed ? 'blank' : 'text';
+
+    if (!trimmed) {
+        draft.content.push('');
+        return;
+    }
+
+    const options = readTextOptions(trimmed, draft.options.length);
+    if (options) {
+        draft.options.push(...options);
+        if (options.length > 1) draft.optionsInline = true;
+        draft.previous = 'option';
+        return;
+    }
+    if (draft.options.length > 0) {
+        // A line right under an option continues it; anything later belongs nowhere
+        if (previous === 'option') {
+            draft.options[draft.options.length - 1] += '\n' + trimmed.replace(/\s+/g, ' ');
+            draft.previous = 'option';
+        } else {
+            report(lineNumber, 'Text after the options: put it above a) or under SOLUTION:');
+        }
+        return;
+    }
+
+    if (tableRow) {
+        addTextTableRow(draft, tableRow, trimmed, lineNumber, report);
+        return;
+    }
+    draft.content.push(trimmed.replace(/\t+/g, ' '));
+}
+
+/**
+ * Options on a line that starts with the next option (a) for the first)
+ * @param {string} line - Trimmed line
+ * @param {number} count - Options the question has so far
+ * @returns {string[]|null} Option texts, or null if the line does not start with the next option
+ */
+function readTextOptions(line, count) {
+    const letter = (index) => String.fromCharCode(97 + index);
+    const first = line.match(TEXT_OPTION_REGEX);
+    if (!first || first[1].toLowerCase() !== letter(count)) return null;
+
+    const options = [];
+    let rest = first[2];
+    for (let i = count + 1; i < 26; i++) {
+        const next = rest.match(new RegExp(`\\s\\(?${letter(i)}[).]\\s+(?=\\S)`, 'i'));
+        if (!next) break;
+        options.push(rest.slice(0, next.index));
+        rest = rest.slice(next.index + next[0].length);
+    }
+    options.push(rest);
+    return options.map(text => text.replace(/\s+/g, ' ').trim());
+}
+
+// =====================================================
+// TABLES
+// =====================================================
+
+/**
+ * Cells of a table row: a line starting with |, or a tab-separated line next to another one with as
+ * many cells (a single line with tabs is text, e.g. a question with its marks tabbed to the right)
+ * @param {string[]} lines - All lines
+ * @param {number} index - Line to check
+ * @returns {string[]|null} Trimmed cells, or null if the line is not a table row
+ */
+function getTextTableRow(lines, index) {
+    const trimmed = lines[index].trim();
+    if (trimmed.startsWith('|')) {
+        return trimmed.replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/).map(cell => cell.replace(/\\\|/g, '|').trim());
+    }
+    // Empty cells at the ends of a Word row are tabs too, so only spaces are trimmed
+    const tabCells = (line) => {
+        const cells = (line ?? '').replace(/^ +| +$/g, '').split('\t');
+        return cells.length > 1 && cells.some(cell => cell.trim()) ? cells : null;
+    };
+    const cells = tabCells(lines[index]);
+    if (!cells) return null;
+    const isRowLike = (line) => tabCells(line)?.length === cells.length;
+    return isRowLike(lines[index - 1]) || isRowLike(lines[index + 1]) ? cells.map(cell => cell.trim()) : null;
+}
+
+// Add a row (or the |---| header separator) to the question's table
+function addTextTableRow(draft, cells, trimmed, lineNumber, report) {
+    if (draft.table?.closed) {
+        report(lineNumber, 'A question has one table; this row is not part of it');
+        return;
+    }
+    if (!draft.table) draft.table = { header: null, rows: [], closed: false };
+    const table = draft.table;
+
+    if (TEXT_TABLE_SEPARATOR_REGEX.test(trimmed)) {
+        if (table.rows.length === 1 && !table.header) {
+            table.header = table.rows.pop().cells;
+        } else {
+            report(lineNumber, 'A |---| row goes right under the first row, to make it the header');
+        }
+        return;
+    }
+    table.rows.push({ cells, line: lineNumber });
+}
+
+// { header?, rows } with every row as wide as the widest; rows that were shorter are reported
+function buildTextTable(table, report) {
+    const width = Math.max(table.header?.length || 0, ...table.rows.map(row => row.cells.length));
+    const pad = (cells) => [...cells, ...Array(width - cells.length).fill('')];
+    const rows = table.rows.map(({ cells, line }) => {
+        if (cells.length < width) {
+            report(line, `Row has ${cells.length} cells, the table ${width}; empty cells added at its end`);
+        }
+        // A cell of underscores is an empty cell to fill in, like a blank one
+        return pad(cells).map(cell => /^_*$/.test(cell) ? '' : cell);
+    });
+    return table.header ? { header: pad(table.header), rows } : { rows };
+}
+
+// GitHub Flavored Markdown for a table kept in the content (the first row is the header if there is none)
+function textTableToMarkdown({ header, rows }) {
+    const line = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+    const [head, ...body] = header ? [header, ...rows] : rows;
+    if (!head) return '';
+    return [line(head), line(head.map(() => '---')), ...body.map(line)].join('\n');
+}
+
+// =====================================================
+// BUILDING QUESTIONS
+// =====================================================
+
+/**
+ * Turn a draft into a v5.1 question (through createEmptyQuestion and ensureDefaults)
+ * @param {Object} draft - See createTextQuestionDraft
+ * @param {Set<string>} usedIds - Ids of the questions read so far; the new id is not one of them
+ * @param {Function} report - (line, message, questionId) for lines that can't be used
+ * @returns {Object} Question, not yet validated
+ */
+function buildTextQuestion(draft, usedIds, report) {
+    const table = draft.table && (draft.table.rows.length > 0 || draft.table.header)
+        ? buildTextTable(draft.table, report) : null;
+    let content = draft.content.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    const fibContent = content.replace(TEXT_BLANK_REGEX, '[[gap]]');
+    let type = 'SUBJECTIVE';
+    if (draft.options.length > 0) type = 'MCQ';
+    else if (table) type = 'TABLE';
+    else if (countGapTokens(fibContent) > 0) type = 'FIB';
+
+    const question = createEmptyQuestion(type);
+    if (draft.id && usedIds.has(draft.id)) {
+        report(draft.line, `ID ${draft.id} is already used by another question; a new one was made`);
+    } else if (draft.id) {
+        question.id = draft.id;
+    }
+    while (usedIds.has(question.id)) question.id = generateId();
+    Object.assign(question.metadata, draft.metadata);
+    if (draft.solution) question.solution.text = joinTextLines(draft.solution.lines);
+
+    const answer = draft.answer ? joinTextLines(draft.answer.lines) : '';
+    const rejectAnswer = (message) => {
+        report(draft.answer.line, `ANSWER: ${message}; imported without an answer key`, question.id);
+        return null;
+    };
+    const data = question.data;
+
+    if (type === 'MCQ') {
+        if (table) content = [content, textTableToMarkdown(table)].filter(Boolean).join('\n\n');
+        data.content = content;
+        data.options = draft.options.map((text, i) => ({ id: String.fromCharCode(97 + i), text }));
+        if (draft.optionsInline) data.style.options_layout = 'horizontal';
+        const correct = answer && readTextChoiceAnswer(answer, data.options, rejectAnswer);
+        if (correct) {
+            data.allow_multiple = correct.length > 1;
+            data.answer = { correct_options: correct };
+        }
+    } else if (type === 'TABLE') {
+        data.content = content;
+        data.table = table;
+        const cells = answer && readTextTableAnswer(answer, table.rows, rejectAnswer);
+        if (cells) data.answer = { cells };
+    } else if (type === 'FIB') {
+        data.content = fibContent;
+        const gaps = answer && readTextGapAnswer(answer, countGapTokens(fibContent), rejectAnswer);
+        if (gaps) data.answer = { gaps };
+    } else {
+        data.content = content;
+        data.answer = { model_answer: answer };
+    }
+
+    return ensureDefaults(question);
+}
+
+// Lines of an ANSWER: or SOLUTION:, with blank lines as paragraph breaks
+function joinTextLines(lines) {
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Option ids of an MCQ answer (b / (b) / a, c / a and c); null after reject(message)
+function readTextChoiceAnswer(answer, options, reject) {
+    const correct = [];
+    for (const part of answer.split(/[,;&\n]|\band\b/i).map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^\(?([a-z])(?:[).]|\s|$)/i);
+        if (!match) return reject(`"${part}" is not an option letter`);
+        const index = match[1].toLowerCase().charCodeAt(0) - 97;
+        if (index >= options.length) return reject(`there is no option ${match[1]})`);
+        if (!correct.includes(options[index].id)) correct.push(options[index].id);
+    }
+    return correct;
+}
+
+// Accepted values separated by ; (or line breaks), alternatives by |; null after reject(message)
+function readTextAcceptedValues(answer, count, what, reject) {
+    const values = answer.split(/[;\n]/).map(value => value.split('|').map(v => v.trim()).filter(Boolean));
+    if (values.length > count) return reject(`${values.length} values for ${count} ${what}`);
+    const empty = values.findIndex(accepted => accepted.length === 0);
+    if (empty !== -1) return reject(`value ${empty + 1} is empty`);
+    return values;
+}
+
+// FIB answer: one entry per gap, in order
+function readTextGapAnswer(answer, gapCount, reject) {
+    const values = readTextAcceptedValues(answer, gapCount, 'gaps', reject);
+    return values && values.map(accepted => ({ accepted }));
+}
+
+// TABLE answer: the empty body cells in reading order
+function readTextTableAnswer(answer, rows, reject) {
+    const blanks = [];
+    rows.forEach((cells, row) => cells.forEach((cell, col) => {
+        if (cell === '') blanks.push({ row, col });
+    }));
+    const values = readTextAcceptedValues(answer, blanks.length, 'empty cells', reject);
+    return values && values.map((accepted, i) => ({ ...blanks[i], accepted }));
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTION_TEXT_EXTENSIONS, TEXT_IMPORT_ERROR_KIND,
+        parseQuestionText, normalizeQuestionText
+    };
+}
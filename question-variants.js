@@ -0,0 +1,189 @@
+/**
+ * Question Variants Module (Schema v5.1)
+ * Seeded shuffling for building reproducible paper variants (sets A/B/C/D...)
+ * Used by: assessment-selection-tool.html
+ *
+ * This module provides functions to:
+ * - Create a deterministic random generator from a seed string
+ * - Shuffle MCQ options and the MATCH right column of a question, keeping data.answer in step
+ * - Build a paper variant: question order shuffled within each section, plus shuffled question copies
+ *
+ * The same seed always produces the same variant, so any set can be reprinted later.
+ * Option labels stay in printed order (A, B, C...) - the option *texts* move and the
+ * answer key is remapped to the new labels.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const VARIANT_CODES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// =====================================================
+// SEEDED RANDOM
+// =====================================================
+
+/**
+ * Create a deterministic random number generator
+ * @param {string|number} seed - Any seed value; equal seeds give equal sequences
+ * @returns {Function} () => number in [0, 1)
+ */
+function createSeededRandom(seed) {
+    // xmur3 string hash → 32-bit state for mulberry32
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    let state = (h ^ (h >>> 16)) >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Get a shuffled permutation of indices 0..n-1 (Fisher-Yates)
+ * @param {number} n - Number of items
+ * @param {Function} random - Random generator from createSeededRandom
+ * @returns {number[]} Permutation; result[newPosition] = oldIndex
+ */
+function shuffledIndices(n, random) {
+    const order = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+/**
+ * Return a shuffled copy of an array
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random generator from createSeededRandom
+ * @returns {Array} New array in shuffled order
+ */
+function shuffleArray(items, random) {
+    return shuffledIndices(items.length, random).map(i => items[i]);
+}
+
+/**
+ * Get the printed set code for a variant index (0 → 'A', 1 → 'B', ...)
+ * @param {number} index - Variant index
+ * @returns {string} Set code
+ */
+function getVariantCode(index) {
+    if (index < VARIANT_CODES.length) return VARIANT_CODES[index];
+    return getVariantCode(Math.floor(index / VARIANT_CODES.length) - 1) + VARIANT_CODES[index % VARIANT_CODES.length];
+}
+
+// =====================================================
+// QUESTION SHUFFLING
+// =====================================================
+
+/**
+ * Shuffle a question's MCQ options and MATCH right column (recursing into COMPOSITE)
+ * @param {Object} question - Question object (not modified)
+ * @param {Function} random - Random generator from createSeededRandom
+ * @returns {Object} Shuffled deep copy with data.answer remapped
+ */
+function shuffleQuestion(question, random) {
+    const shuffled = JSON.parse(JSON.stringify(question));
+    shuffleQuestionData(shuffled.type, shuffled.data, random);
+    return shuffled;
+}
+
+/**
+ * Shuffle one payload in place
+ * @param {string} type - Question type
+ * @param {Object} data - Question data (modified in place)
+ * @param {Function} random - Random generator
+ */
+function shuffleQuestionData(type, data, random) {
+    if (!data) return;
+
+    if (type === 'MCQ' && Array.isArray(data.options) && data.options.length > 1) {
+        // Labels stay in printed order; texts move. Remap correct ids to the new labels.
+        const labels = data.options.map(opt => opt.id);
+        const order = shuffledIndices(data.options.length, random);
+        const oldToNewId = {};
+        data.options = order.map((oldIdx, newIdx) => {
+            oldToNewId[labels[oldIdx]] = labels[newIdx];
+            return { ...data.options[oldIdx], id: labels[newIdx] };
+        });
+        if (Array.isArray(data.answer?.correct_options)) {
+            data.answer.correct_options = data.answer.correct_options
+                .map(id => oldToNewId[id] ?? id)
+                .sort((a, b) => labels.indexOf(a) - labels.indexOf(b));
+        }
+    }
+
+    if (type === 'MATCH' && Array.isArray(data.pairs) && data.pairs.length > 1) {
+        // Column A stays put; Column B is permuted. matches[i] follows its Column B item.
+        const rights = data.pairs.map(pair => pair.right);
+        const order = shuffledIndices(rights.length, random);
+        const newPosition = [];
+        order.forEach((oldIdx, newIdx) => { newPosition[oldIdx] = newIdx; });
+        data.pairs = data.pairs.map((pair, i) => ({ ...pair, right: rights[order[i]] }));
+        if (Array.isArray(data.answer?.matches)) {
+            data.answer.matches = data.answer.matches.map(m => Number.isInteger(m) ? newPosition[m] : m);
+        }
+    }
+
+    if (type === 'COMPOSITE' && Array.isArray(data.sub_questions)) {
+        data.sub_questions.forEach(sq => shuffleQuestionData(sq.type, sq.data, random));
+    }
+}
+
+// =====================================================
+// PAPER VARIANTS
+// =====================================================
+
+/**
+ * Build one paper variant
+ * @param {Array} sections - [{ section, questions: [{ id, ... }] }] in paper order
+ * @param {Function} getQuestion - Function(id) => v5.1 question object
+ * @param {Object} options
+ * @param {string} options.seed - Base seed shared by all variants of this paper
+ * @param {number} options.index - Variant index (0 → set A)
+ * @returns {Object} { code, seed, sections, questions: { id → shuffled question } }
+ */
+function createPaperVariant(sections, getQuestion, { seed, index = 0 } = {}) {
+    const code = getVariantCode(index);
+    const variantSeed = `${seed}:${code}`;
+    const random = createSeededRandom(variantSeed);
+    const questions = {};
+
+    const variantSections = sections.map(({ section, questions: sectionQs }) => ({
+        section,
+        questions: shuffleArray(sectionQs, random)
+    }));
+
+    // Shuffle question contents in paper order so each question's result depends only on the seed
+    variantSections.forEach(({ questions: sectionQs }) => {
+        sectionQs.forEach(q => {
+            const question = getQuestion(q.id);
+            if (question) questions[q.id] = shuffleQuestion(question, random);
+        });
+    });
+
+    return { code, seed: variantSeed, sections: variantSections, questions };
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VARIANT_CODES, createSeededRandom, shuffledIndices, shuffleArray, getVariantCode,
+        shuffleQuestion, shuffleQuestionData, createPaperVariant
+    };
+}
@@ -0,0 +1,392 @@
+/**
+ * Schema Validator Module (Schema v5.1)
+ * Validates questions against schema.json without any third-party library
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html, question-parser.js, index.js (Node)
+ *
+ * This module provides functions to:
+ * - Load schema.json once and cache it (schema.json is the single source of truth)
+ * - Validate any value against a JSON Schema (draft-07 subset used by schema.json)
+ * - Validate a question, including nested sub_questions, with a JSON-pointer path per violation
+ * - Accept question types registered in code (registerQuestionType) that schema.json doesn't list
+ *
+ * Supported keywords: $ref (local "#/..." only), type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, minimum, maximum, minLength, maxLength,
+ * pattern, allOf, anyOf, oneOf, not, if/then/else. Annotations (default, description) are ignored.
+ *
+ * Optional: question-parser.js (provides QUESTION_TYPES, getQuestionTypeDefinition) for the types
+ * registered in code.
+ *
+ * Runs offline: the pages load schema.js (schema.json as a script, see build-schema.js) right after
+ * this module, because browsers block fetch() on file:// pages. loadQuestionSchema() then resolves
+ * to that schema without a request; it only fetches schema.json when schema.js wasn't loaded.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const QUESTION_SCHEMA_URL = 'schema.json';
+
+// Cached schema and the pending load (see loadQuestionSchema)
+let questionSchema = null;
+let questionSchemaPromise = null;
+
+// schema.json with the registered question types added (see getQuestionSchemaWithTypes)
+let extendedQuestionSchema = null;
+
+// =====================================================
+// SCHEMA LOADING
+// =====================================================
+
+/**
+ * Load and cache the question schema
+ * Resolves at once if the schema was already set (by schema.js or setQuestionSchema).
+ * Never rejects: resolves to null (and logs a warning) if the schema can't be read,
+ * in which case validateQuestionSchema() reports the question as unchecked.
+ * @param {string} url - Schema location (default: schema.json next to the page)
+ * @returns {Promise<Object|null>} The schema, or null if unavailable
+ */
+function loadQuestionSchema(url = QUESTION_SCHEMA_URL) {
+    if (!questionSchemaPromise) {
+        questionSchemaPromise = fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(schema => {
+                questionSchema = schema;
+                return schema;
+            })
+            .catch(error => {
+                console.warn(`Could not load ${url}; schema validation is disabled (${error.message}).`);
+                questionSchemaPromise = null; // Allow a later retry
+                return null;
+            });
+    }
+    return questionSchemaPromise;
+}
+
+/**
+ * Use an already-parsed schema (e.g. read with require() or from a file picker)
+ * @param {Object} schema - Parsed schema.json
+ */
+function setQuestionSchema(schema) {
+    questionSchema = schema;
+    questionSchemaPromise = Promise.resolve(schema);
+}
+
+/**
+ * Get the cached question schema
+ * @returns {Object|null} The schema, or null if not loaded yet
+ */
+function getQuestionSchema() {
+    return questionSchema;
+}
+
+// =====================================================
+// QUESTION VALIDATION
+// =====================================================
+
+/**
+ * Validate a question against schema.json
+ * @param {Object} question - Question object
+ * @returns {Object} { valid: boolean, checked: boolean, errors: [{ path, message, keyword }] }
+ *   checked is false when the schema has not been loaded (errors is then empty)
+ */
+function validateQuestionSchema(question) {
+    if (!questionSchema) {
+        return { valid: true, checked: false, errors: [] };
+    }
+    const errors = validateAgainstSchema(question, getQuestionSchemaWithTypes());
+    return { valid: errors.length === 0, checked: true, errors };
+}
+
+/**
+ * The question schema, extended with the types registered in code that schema.json doesn't list
+ * Each such type is added to the type enums (of questions, and of sub-questions unless its
+ * definition has subQuestion: false); its data is checked against definition.schema if it has one.
+ * @returns {Object} Schema (the cached schema.json itself when there are no such types)
+ */
+function getQuestionSchemaWithTypes() {
+    const knownTypes = questionSchema.properties?.type?.enum || [];
+    const definitions = typeof QUESTION_TYPES === 'undefined' ? [] : QUESTION_TYPES
+        .filter(type => !knownTypes.includes(type))
+        .map(type => getQuestionTypeDefinition(type))
+        .filter(Boolean);
+    if (definitions.length === 0) return questionSchema;
+    
+    // Rebuild only when the schema or a definition changed (registering again replaces the definition)
+    if (extendedQuestionSchema && extendedQuestionSchema.base === questionSchema &&
+        extendedQuestionSchema.definitions.length === definitions.length &&
+        extendedQuestionSchema.definitions.every((definition, i) => definition === definitions[i])) {
+        return extendedQuestionSchema.schema;
+    }
+    
+    const schema = JSON.parse(JSON.stringify(questionSchema));
+    const subQuestion = schema.definitions?.CompositeData?.properties?.sub_questions?.items;
+    definitions.forEach(definition => {
+        const branch = {
+            if: { properties: { type: { const: definition.type } } },
+            then: { properties: { data: definition.schema || { type: 'object' } } }
+        };
+        schema.properties.type.enum.push(definition.type);
+        (schema.allOf = schema.allOf || []).push(branch);
+        if (subQuestion && definition.subQuestion !== false) {
+            subQuestion.properties.type.enum.push(definition.type);
+            (subQuestion.allOf = subQuestion.allOf || []).push(branch);
+        }
+    });
+    
+    extendedQuestionSchema = { base: questionSchema, definitions, schema };
+    return schema;
+}
+
+/**
+ * Format schema errors as readable strings
+ * @param {Array} errors - Errors from validateAgainstSchema
+ * @returns {string[]} e.g. "/metadata/difficulty: must be one of Easy, Medium, Hard"
+ */
+function formatSchemaErrors(errors) {
+    return errors.map(err => `${err.path || '/'}: ${err.message}`);
+}
+
+// =====================================================
+// GENERIC VALIDATOR
+// =====================================================
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema (its own root is used to resolve $ref)
+ * @returns {Array} [{ path, message, keyword }] - path is a JSON pointer into value ('' = root)
+ */
+function validateAgainstSchema(value, schema) {
+    const errors = [];
+    validateNode(value, schema, '', schema, errors);
+    return errors;
+}
+
+/**
+ * Validate one value against one schema node, appending violations to errors
+ * @param {*} value - Value at this path
+ * @param {Object|boolean} schema - Schema node
+ * @param {string} path - JSON pointer of value
+ * @param {Object} root - Root schema for $ref
+ * @param {Array} errors - Collected errors (modified in place)
+ */
+function validateNode(value, schema, path, root, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push({ path, keyword: 'false', message: 'is not allowed' });
+        return;
+    }
+
+    const add = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+    if (schema.$ref) {
+        // draft-07: $ref ignores sibling keywords
+        validateNode(value, resolveSchemaRef(schema.$ref, root), path, root, errors);
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            add('type', `must be ${types.join(' or ')} (got ${describeSchemaType(value)})`);
+            return; // Further keywords would only repeat the same problem
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(item => schemaValuesEqual(item, value))) {
+        add('enum', `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if ('const' in schema && !schemaValuesEqual(schema.const, value)) {
+        add('const', `must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) add('minimum', `must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) add('maximum', `must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) add('minLength', `must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) add('maxLength', `must have at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) add('pattern', `must match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) add('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) add('maxItems', `must have at most ${schema.maxItems} items`);
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => {
+                const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+                validateNode(item, itemSchema, `${path}/${i}`, root, errors);
+            });
+        }
+    }
+
+    if (isPlainSchemaObject(value)) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) add('required', `missing required property "${key}"`);
+        });
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            const childPath = `${path}/${escapeJsonPointer(key)}`;
+            if (key in properties) {
+                validateNode(value[key], properties[key], childPath, root, errors);
+            } else if (schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    add('additionalProperties', 'is not a known property', childPath);
+                } else {
+                    validateNode(value[key], schema.additionalProperties, childPath, root, errors);
+                }
+            }
+        });
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(sub => validateNode(value, sub, path, root, errors));
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(sub => collectSchemaErrors(value, sub, path, root));
+        if (!results.some(r => r.length === 0)) {
+            add('anyOf', 'does not match any of the allowed shapes');
+            errors.push(...closestSchemaBranch(results));
+        }
+    }
+
+    if (schema.oneOf) {
+        const results = schema.oneOf.map(sub => collectSchemaErrors(value, sub, path, root));
+        const matches = results.filter(r => r.length === 0).length;
+        if (matches === 0) {
+            add('oneOf', 'does not match any of the allowed shapes');
+            errors.push(...closestSchemaBranch(results));
+        } else if (matches > 1) {
+            add('oneOf', `matches ${matches} shapes but must match exactly one`);
+        }
+    }
+
+    if (schema.not && collectSchemaErrors(value, schema.not, path, root).length === 0) {
+        add('not', 'matches a shape that is not allowed');
+    }
+
+    if (schema.if !== undefined) {
+        const conditionHolds = collectSchemaErrors(value, schema.if, path, root).length === 0;
+        const branch = conditionHolds ? schema.then : schema.else;
+        if (branch !== undefined) validateNode(value, branch, path, root, errors);
+    }
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Validate into a fresh error list (for anyOf / oneOf / not / if)
+ * @returns {Array} Errors
+ */
+function collectSchemaErrors(value, schema, path, root) {
+    const errors = [];
+    validateNode(value, schema, path, root, errors);
+    return errors;
+}
+
+/**
+ * Pick the failing branch with the fewest errors, to explain an anyOf/oneOf failure
+ * @param {Array<Array>} results - Errors per branch
+ * @returns {Array} Errors of the closest branch
+ */
+function closestSchemaBranch(results) {
+    return results.reduce((best, r) => (best === null || r.length < best.length ? r : best), null) || [];
+}
+
+/**
+ * Resolve a local $ref such as "#/definitions/MCQData"
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema
+ * @returns {Object} Referenced schema node
+ * @throws {Error} If the reference is not local or does not exist
+ */
+function resolveSchemaRef(ref, root) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local $ref values are supported (got "${ref}")`);
+    }
+    const node = ref.slice(1).split('/').filter(Boolean)
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((current, part) => current?.[decodeURIComponent(part)], root);
+    if (node === undefined) {
+        throw new Error(`Unresolvable $ref "${ref}"`);
+    }
+    return node;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value
+ * @param {string} type - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'
+ * @returns {boolean} True if the value has that type
+ */
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainSchemaObject(value);
+        case 'null': return value === null;
+        default: return false;
+    }
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Value
+ * @returns {string} JSON type name
+ */
+function describeSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * @param {*} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainSchemaObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep equality for enum/const checks
+ * @returns {boolean} True if both values are the same JSON
+ */
+function schemaValuesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string} key - Property name
+ * @returns {string} Escaped segment
+ */
+function escapeJsonPointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTION_SCHEMA_URL, loadQuestionSchema, setQuestionSchema, getQuestionSchema,
+        validateQuestionSchema, getQuestionSchemaWithTypes, formatSchemaErrors, validateAgainstSchema,
+        validateNode, collectSchemaErrors, closestSchemaBranch, resolveSchemaRef, matchesSchemaType,
+        describeSchemaType, isPlainSchemaObject, schemaValuesEqual, escapeJsonPointer
+    };
+}
@@ -0,0 +1,800 @@
+/**
+ * Question Schema (Schema v5.1)
+ * schema.json as a script, for pages opened from file:// (where fetch() is blocked)
+ * Used by: assessment-authoring-tool.html, assessment-selection-tool.html
+ *
+ * GENERATED from schema.json by build-schema.js. Edit schema.json, then run `node build-schema.js`.
+ *
+ * Dependencies (must be loaded before this script):
+ * - schema-validator.js (setQuestionSchema)
+ */
+
+setQuestionSchema({
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "title": "Educational Question Schema (v5.1)",
+  "description": "Enhanced schema with type-safe styling. Added column_widths to TableStyle. Moved options_pool from FIBData to CompositeData. Typed answer keys (data.answer) for every question type. 'data' is selected by 'type' with if/then (oneOf was ambiguous: FIB and SUBJECTIVE payloads overlap). Optional schema_version per question; files may start with a QuestionFileHeader.",
+  "type": "object",
+  "required": [
+    "id",
+    "metadata",
+    "type",
+    "data",
+    "solution"
+  ],
+  "properties": {
+    "schema_version": {
+      "type": "string",
+      "pattern": "^\\d+(\\.\\d+)*$",
+      "description": "Schema version the question was written for (e.g., '5.1'). Written on export; older versions are migrated on import."
+    },
+    "id": {
+      "type": "string",
+      "description": "Unique identifier (e.g., 'Q1')"
+    },
+    "metadata": {
+      "type": "object",
+      "required": [
+        "grade",
+        "subject",
+        "chapter",
+        "section",
+        "difficulty",
+        "marks",
+        "pool",
+        "subpool"
+      ],
+      "properties": {
+        "grade": {
+          "type": [
+            "string",
+            "integer"
+          ]
+        },
+        "subject": {
+          "type": "string"
+        },
+        "chapter": {
+          "type": [
+            "string",
+            "integer"
+          ],
+          "description": "Chapter number or Unit number"
+        },
+        "section": {
+          "type": "string",
+          "description": "Section within the chapter"
+        },
+        "difficulty": {
+          "type": "string",
+          "enum": [
+            "Easy",
+            "Medium",
+            "Hard"
+          ]
+        },
+        "marks": {
+          "type": "integer"
+        },
+        "pool": {
+          "type": "string",
+          "enum": [
+            "Practice",
+            "Exam"
+          ]
+        },
+        "subpool": {
+          "type": "string",
+          "enum": [
+            "NA",
+            "Written",
+            "Oral"
+          ],
+          "default": "NA",
+          "description": "Sub-classification for the question pool."
+        }
+      }
+    },
+    "type": {
+      "type": "string",
+      "enum": [
+        "MCQ",
+        "FIB",
+        "MATCH",
+        "SUBJECTIVE",
+        "TABLE",
+        "COMPOSITE"
+      ],
+      "description": "Determines the structure of the 'data' object."
+    },
+    "data": {
+      "type": "object",
+      "description": "Polymorphic payload. Its shape is selected by 'type' (see allOf below)."
+    },
+    "solution": {
+      "$ref": "#/definitions/SolutionText",
+      "description": "The human-readable explanation string."
+    }
+  },
+  "allOf": [
+    {
+      "if": {
+        "properties": {
+          "type": {
+            "const": "MCQ"
+          }
+        }
+      },
+      "then": {
+        "properties": {
+          "data": {
+            "$ref": "#/definitions/MCQData"
+          }
+        }
+      }
+    },
+    {
+      "if": {
+        "properties": {
+          "type": {
+            "const": "FIB"
+          }
+        }
+      },
+      "then": {
+        "properties": {
+          "data": {
+            "$ref": "#/definitions/FIBData"
+          }
+        }
+      }
+    },
+    {
+      "if": {
+        "properties": {
+          "type": {
+            "const": "MATCH"
+          }
+        }
+      },
+      "then": {
+        "properties": {
+          "data": {
+            "$ref": "#/definitions/MatchData"
+          }
+        }
+      }
+    },
+    {
+      "if": {
+        "properties": {
+          "type": {
+            "const": "SUBJECTIVE"
+          }
+        }
+      },
+      "then": {
+        "properties": {
+          "data": {
+            "$ref": "#/definitions/SubjectiveData"
+          }
+        }
+      }
+    },
+    {
+      "if": {
+        "properties": {
+          "type": {
+            "const": "TABLE"
+          }
+        }
+      },
+      "then": {
+        "properties": {
+          "data": {
+            "$ref": "#/definitions/TableData"
+          }
+        }
+      }
+    },
+    {
+      "if": {
+        "properties": {
+          "type": {
+            "const": "COMPOSITE"
+          }
+        }
+      },
+      "then": {
+        "properties": {
+          "data": {
+            "$ref": "#/definitions/CompositeData"
+          }
+        }
+      }
+    }
+  ],
+  "definitions": {
+    "RichText": {
+      "type": "string",
+      "description": "Mixed-Content String. Supports Markdown, LaTeX Math ($$), and Images ([[image:id|height:50|width:75]])."
+    },
+    "QuestionFileHeader": {
+      "type": "object",
+      "description": "Optional first object of a question file. Sets the schema version of questions that don't declare their own.",
+      "required": [
+        "format",
+        "schema_version"
+      ],
+      "properties": {
+        "format": {
+          "const": "assessment-questions"
+        },
+        "schema_version": {
+          "type": "string",
+          "pattern": "^\\d+(\\.\\d+)*$"
+        }
+      }
+    },
+    "SolutionText": {
+      "type": "object",
+      "required": [
+        "text"
+      ],
+      "properties": {
+        "text": {
+          "$ref": "#/definitions/RichText"
+        }
+      }
+    },
+    "_comment_styles": "--- ATOMIC STYLE BLOCKS ---",
+    "BaseStyle": {
+      "type": "object",
+      "description": "Styles applicable to ALL question types (primarily RichText layout).",
+      "properties": {
+        "image_layout": {
+          "type": "string",
+          "enum": [
+            "vertical",
+            "horizontal"
+          ],
+          "default": "vertical",
+          "description": "Controls tokens in RichText. 'horizontal' renders adjacent images (separated only by whitespace or line breaks) side by side in 2 columns."
+        }
+      }
+    },
+    "OptionsStyle": {
+      "type": "object",
+      "description": "Styles for types with lists of options (MCQ, FIB).",
+      "properties": {
+        "options_layout": {
+          "type": "string",
+          "enum": [
+            "vertical",
+            "horizontal"
+          ],
+          "default": "vertical",
+          "description": "For MCQ/FIB Options. 'horizontal' renders options in a 2-column grid."
+        }
+      }
+    },
+    "CompositeStyle": {
+      "type": "object",
+      "description": "Styles for the parent container of sub-questions.",
+      "properties": {
+        "sub_questions_layout": {
+          "type": "string",
+          "enum": [
+            "vertical",
+            "horizontal",
+            "matrix"
+          ],
+          "default": "vertical",
+          "description": "For Composite sub-questions. 'horizontal' renders 2 columns; 'matrix' renders sub_questions_columns columns."
+        },
+        "sub_questions_columns": {
+          "type": "integer",
+          "minimum": 2,
+          "maximum": 6,
+          "default": 3,
+          "description": "Number of columns of the 'matrix' sub_questions_layout. Ignored by the other layouts."
+        }
+      }
+    },
+    "TableStyle": {
+      "type": "object",
+      "description": "Styles specific to TableData.",
+      "properties": {
+        "table_grid_lines": {
+          "type": "string",
+          "enum": [
+            "all",
+            "none",
+            "horizontal",
+            "vertical"
+          ],
+          "default": "all",
+          "description": "Controls visibility of internal grid lines in TABLE type. 'none' hides them."
+        },
+        "hide_header": {
+          "type": "boolean",
+          "default": false,
+          "description": "Controls visibility of row or column headers."
+        },
+        "column_widths": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          },
+          "description": "Optional width values for each column (e.g. ['20%', '80%'])."
+        }
+      }
+    },
+    "_comment_composed_styles": "--- COMPOSED STYLE DEFINITIONS ---",
+    "MCQDataStyle": {
+      "allOf": [
+        {
+          "$ref": "#/definitions/BaseStyle"
+        },
+        {
+          "$ref": "#/definitions/OptionsStyle"
+        }
+      ]
+    },
+    "CompositeDataStyle": {
+      "allOf": [
+        {
+          "$ref": "#/definitions/BaseStyle"
+        },
+        {
+          "$ref": "#/definitions/CompositeStyle"
+        }
+      ]
+    },
+    "TableDataStyle": {
+      "allOf": [
+        {
+          "$ref": "#/definitions/BaseStyle"
+        },
+        {
+          "$ref": "#/definitions/TableStyle"
+        }
+      ]
+    },
+    "SubjectiveDataStyle": {
+      "$ref": "#/definitions/BaseStyle"
+    },
+    "_comment_answers": "--- ANSWER KEY DEFINITIONS ---",
+    "AcceptedAnswer": {
+      "type": "object",
+      "description": "Accepted values for a single blank (FIB gap or TABLE cell).",
+      "required": [
+        "accepted"
+      ],
+      "properties": {
+        "accepted": {
+          "type": "array",
+          "minItems": 1,
+          "items": {
+            "type": "string"
+          },
+          "description": "All responses that should be marked correct (e.g. ['7', 'seven'])."
+        },
+        "case_sensitive": {
+          "type": "boolean",
+          "default": false
+        },
+        "tolerance": {
+          "type": "number",
+          "minimum": 0,
+          "description": "Absolute tolerance when the response and an accepted value are both numbers."
+        },
+        "unit_required": {
+          "type": "boolean",
+          "default": false,
+          "description": "If true, a numeric response must include the unit of the accepted value (e.g. '5 cm')."
+        }
+      }
+    },
+    "MCQAnswer": {
+      "type": "object",
+      "required": [
+        "correct_options"
+      ],
+      "properties": {
+        "correct_options": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          },
+          "description": "Ids of the correct options. Exactly one unless allow_multiple is true."
+        }
+      }
+    },
+    "FIBAnswer": {
+      "type": "object",
+      "required": [
+        "gaps"
+      ],
+      "properties": {
+        "gaps": {
+          "type": "array",
+          "items": {
+            "$ref": "#/definitions/AcceptedAnswer"
+          },
+          "description": "One entry per [[gap]] token, in the order the gaps appear in content."
+        }
+      }
+    },
+    "MatchAnswer": {
+      "type": "object",
+      "required": [
+        "matches"
+      ],
+      "properties": {
+        "matches": {
+          "type": "array",
+          "items": {
+            "type": [
+              "integer",
+              "null"
+            ],
+            "minimum": 0
+          },
+          "description": "matches[i] is the index of the Column B item (pairs[].right) that belongs to Column A item pairs[i].left, or null while that item has no match yet."
+        }
+      }
+    },
+    "SubjectiveAnswer": {
+      "type": "object",
+      "properties": {
+        "model_answer": {
+          "$ref": "#/definitions/RichText"
+        }
+      }
+    },
+    "TableAnswer": {
+      "type": "object",
+      "required": [
+        "cells"
+      ],
+      "properties": {
+        "cells": {
+          "type": "array",
+          "items": {
+            "allOf": [
+              {
+                "$ref": "#/definitions/AcceptedAnswer"
+              },
+              {
+                "type": "object",
+                "required": [
+                  "row",
+                  "col"
+                ],
+                "properties": {
+                  "row": {
+                    "type": "integer",
+                    "minimum": 0,
+                    "description": "Index into table.rows"
+                  },
+                  "col": {
+                    "type": "integer",
+                    "minimum": 0,
+                    "description": "Index into the row"
+                  }
+                }
+              }
+            ]
+          }
+        }
+      }
+    },
+    "_comment_data_types": "--- DATA TYPE DEFINITIONS ---",
+    "MCQData": {
+      "type": "object",
+      "required": [
+        "content",
+        "options",
+        "style"
+      ],
+      "properties": {
+        "content": {
+          "$ref": "#/definitions/RichText"
+        },
+        "style": {
+          "$ref": "#/definitions/MCQDataStyle"
+        },
+        "allow_multiple": {
+          "type": "boolean",
+          "default": false
+        },
+        "answer": {
+          "$ref": "#/definitions/MCQAnswer"
+        },
+        "options": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "required": [
+              "id",
+              "text"
+            ],
+            "properties": {
+              "id": {
+                "type": "string"
+              },
+              "text": {
+                "$ref": "#/definitions/RichText"
+              }
+            }
+          }
+        }
+      }
+    },
+    "FIBData": {
+      "type": "object",
+      "required": [
+        "content",
+        "style"
+      ],
+      "properties": {
+        "content": {
+          "type": "string"
+        },
+        "style": {
+          "$ref": "#/definitions/MCQDataStyle"
+        },
+        "answer": {
+          "$ref": "#/definitions/FIBAnswer"
+        }
+      }
+    },
+    "MatchData": {
+      "type": "object",
+      "required": [
+        "content",
+        "pairs",
+        "style"
+      ],
+      "properties": {
+        "content": {
+          "$ref": "#/definitions/RichText"
+        },
+        "style": {
+          "$ref": "#/definitions/SubjectiveDataStyle"
+        },
+        "answer": {
+          "$ref": "#/definitions/MatchAnswer"
+        },
+        "pairs": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "required": [
+              "left",
+              "right"
+            ],
+            "properties": {
+              "left": {
+                "$ref": "#/definitions/RichText"
+              },
+              "right": {
+                "$ref": "#/definitions/RichText"
+              }
+            }
+          }
+        }
+      }
+    },
+    "SubjectiveData": {
+      "type": "object",
+      "required": [
+        "content",
+        "style"
+      ],
+      "properties": {
+        "content": {
+          "$ref": "#/definitions/RichText"
+        },
+        "style": {
+          "$ref": "#/definitions/SubjectiveDataStyle"
+        },
+        "expected_length": {
+          "type": "string",
+          "enum": [
+            "short",
+            "long"
+          ]
+        },
+        "allow_media_upload": {
+          "type": "boolean",
+          "default": false
+        },
+        "answer": {
+          "$ref": "#/definitions/SubjectiveAnswer"
+        }
+      }
+    },
+    "TableData": {
+      "type": "object",
+      "description": "A structured 2D grid for interactions like Tick Columns or HTO math.",
+      "required": [
+        "content",
+        "table",
+        "style"
+      ],
+      "properties": {
+        "content": {
+          "$ref": "#/definitions/RichText"
+        },
+        "style": {
+          "$ref": "#/definitions/TableDataStyle"
+        },
+        "answer": {
+          "$ref": "#/definitions/TableAnswer"
+        },
+        "table": {
+          "type": "object",
+          "required": [
+            "rows"
+          ],
+          "properties": {
+            "header": {
+              "type": "array",
+              "items": {
+                "$ref": "#/definitions/RichText"
+              }
+            },
+            "rows": {
+              "type": "array",
+              "items": {
+                "type": "array",
+                "items": {
+                  "$ref": "#/definitions/RichText"
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    "CompositeData": {
+      "type": "object",
+      "required": [
+        "common_content",
+        "sub_questions",
+        "style"
+      ],
+      "properties": {
+        "common_content": {
+          "$ref": "#/definitions/RichText"
+        },
+        "style": {
+          "$ref": "#/definitions/CompositeDataStyle"
+        },
+        "options_pool": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "sub_questions": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "required": [
+              "id",
+              "type",
+              "data"
+            ],
+            "properties": {
+              "id": {
+                "type": "string"
+              },
+              "type": {
+                "type": "string",
+                "enum": [
+                  "MCQ",
+                  "FIB",
+                  "MATCH",
+                  "SUBJECTIVE",
+                  "TABLE"
+                ]
+              },
+              "marks": {
+                "type": "number",
+                "minimum": 0,
+                "description": "Marks for this sub-question. Sub-questions without marks share the rest of metadata.marks equally."
+              },
+              "data": {
+                "type": "object"
+              }
+            },
+            "allOf": [
+              {
+                "if": {
+                  "properties": {
+                    "type": {
+                      "const": "MCQ"
+                    }
+                  }
+                },
+                "then": {
+                  "properties": {
+                    "data": {
+                      "$ref": "#/definitions/MCQData"
+                    }
+                  }
+                }
+              },
+              {
+                "if": {
+                  "properties": {
+                    "type": {
+                      "const": "FIB"
+                    }
+                  }
+                },
+                "then": {
+                  "properties": {
+                    "data": {
+                      "$ref": "#/definitions/FIBData"
+                    }
+                  }
+                }
+              },
+              {
+                "if": {
+                  "properties": {
+                    "type": {
+                      "const": "MATCH"
+                    }
+                  }
+                },
+                "then": {
+                  "properties": {
+                    "data": {
+                      "$ref": "#/definitions/MatchData"
+                    }
+                  }
+                }
+              },
+              {
+                "if": {
+                  "properties": {
+                    "type": {
+                      "const": "SUBJECTIVE"
+                    }
+                  }
+                },
+                "then": {
+                  "properties": {
+                    "data": {
+                      "$ref": "#/definitions/SubjectiveData"
+                    }
+                  }
+                }
+              },
+              {
+                "if": {
+                  "properties": {
+                    "type": {
+                      "const": "TABLE"
+                    }
+                  }
+                },
+                "then": {
+                  "properties": {
+                    "data": {
+                      "$ref": "#/definitions/TableData"
+                    }
+                  }
+                }
+              }
+            ]
+          }
+        }
+      }
+    }
+  }
+});
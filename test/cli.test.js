@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { main } = require('../cli.js');
+const { createEmptyQuestion } = require('../index.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assessment-cli-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function question(id, type = 'SUBJECTIVE', content = `Question ${id}`) {
+    const q = createEmptyQuestion(type);
+    q.id = id;
+    q.data.content = content;
+    return q;
+}
+
+function bankFile(name, lines) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, lines.map(line => typeof line === 'string' ? line : JSON.stringify(line)).join('\n'));
+    return file;
+}
+
+// Run the CLI in-process and capture what it prints
+function run(t, ...argv) {
+    const stdout = [];
+    const stderr = [];
+    t.mock.method(console, 'log', (...args) => stdout.push(args.join(' ')));
+    t.mock.method(console, 'error', (...args) => stderr.push(args.join(' ')));
+    const code = main(argv);
+    t.mock.restoreAll();
+    return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+}
+
+test('validate reports each bad line and exits 1', (t) => {
+    const file = bankFile('mixed.jsonl', [question('Q1'), '{"id": "Q2",', question('Q3', 'MCQ')]);
+    const { code, stdout } = run(t, 'validate', file);
+    assert.equal(code, 1);
+    assert.deepEqual(stdout.split('\n'), [
+        `${file}:2:1 syntax (Q2) Unterminated object (missing closing brace)`,
+        `${file}:3:1 validation (Q3) MCQ requires at least one option`,
+        `${file}: 1 valid, 2 errors`
+    ]);
+
+    const good = bankFile('good.jsonl', [question('Q1')]);
+    assert.equal(run(t, 'validate', good).code, 0);
+});
+
+test('convert round-trips JSONL and JSON', (t) => {
+    const source = bankFile('bank.jsonl', [question('Q1'), question('Q2', 'SUBJECTIVE', 'Two $x^2$')]);
+    const json = path.join(dir, 'bank.json');
+    const jsonl = path.join(dir, 'back.jsonl');
+
+    const toJson = run(t, 'convert', source, '-o', json);
+    assert.equal(toJson.code, 0);
+    assert.equal(toJson.stderr, `${source}: 2 questions written as JSON`);
+    const array = JSON.parse(fs.readFileSync(json, 'utf8'));
+    assert.deepEqual(array.map(q => q.id), ['Q1', 'Q2']);
+
+    assert.equal(run(t, 'convert', json, '-o', jsonl).code, 0);
+    const lines = fs.readFileSync(jsonl, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines[0].format, 'assessment-questions');
+    assert.deepEqual(lines.slice(1), array);
+});
+
+test('convert leaves out bad entries and exits 1', (t) => {
+    const source = bankFile('bad.jsonl', [question('Q1'), 'garbage']);
+    const { code, stderr } = run(t, 'convert', source, '--to', 'json', '-o', path.join(dir, 'out.json'));
+    assert.equal(code, 1);
+    assert.match(stderr, /bad\.jsonl:2:1 syntax Unexpected text outside a JSON object/);
+    assert.match(stderr, /1 question written as JSON, 1 skipped$/);
+});
+
+test('render sanitizes author HTML and reports it, unless --trusted', (t) => {
+    const source = bankFile('html.jsonl', [question('Q1', 'SUBJECTIVE', 'Hi <img src="x.png" onerror="alert(1)"><script>alert(2)</script>')]);
+    const output = path.join(dir, 'out.html');
+
+    const safe = run(t, 'render', source, '-o', output);
+    assert.equal(safe.code, 0);
+    assert.match(safe.stderr, /html\.jsonl \(Q1\) removed onerror attribute on <img>, <script> element/);
+    const html = fs.readFileSync(output, 'utf8');
+    assert.doesNotMatch(html, /onerror|<script>alert/);
+    assert.match(html, /<title>html\.jsonl<\/title>/);
+
+    const trusted = run(t, 'render', source, '--trusted', '-o', output);
+    assert.equal(trusted.code, 0);
+    assert.doesNotMatch(trusted.stderr, /removed/);
+    assert.match(fs.readFileSync(output, 'utf8'), /onerror="alert\(1\)"/);
+});
+
+test('stats merges files by id and prints JSON', (t) => {
+    const a = bankFile('a.jsonl', [question('Q1'), question('Q2', 'MCQ')]);
+    const mcq = question('Q3', 'MCQ');
+    mcq.data.options = [{ id: 'a', text: 'Yes' }];
+    const b = bankFile('b.jsonl', [question('Q1'), mcq]);
+
+    const { code, stdout } = run(t, 'stats', a, b, '--json');
+    assert.equal(code, 0);
+    const stats = JSON.parse(stdout);
+    assert.equal(stats.questions, 2);
+    assert.equal(stats.skipped, 1);
+    assert.deepEqual(stats.type, { MCQ: 1, SUBJECTIVE: 1 });
+});
+
+test('usage problems and missing files exit 2', (t) => {
+    const file = bankFile('one.jsonl', [question('Q1')]);
+    for (const argv of [[], ['frobnicate', file], ['validate'], ['convert', file, file], ['convert', file, '--to', 'xml'], ['stats', '--bogus', file]]) {
+        const { code, stdout, stderr } = run(t, ...argv);
+        assert.equal(code, 2, argv.join(' '));
+        assert.match(stdout + stderr, /Usage: assessment-cli/, argv.join(' '));
+    }
+
+    const missing = run(t, 'validate', path.join(dir, 'nope.jsonl'));
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /ENOENT/);
+
+    assert.equal(run(t, '--help').code, 0);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+test('index.js exports the modules without setting anything on globalThis', () => {
+    const before = new Set(Object.getOwnPropertyNames(globalThis));
+    const shared = require('../index.js');
+    assert.deepEqual(Object.getOwnPropertyNames(globalThis).filter(name => !before.has(name)), []);
+
+    for (const name of ['parseJson', 'validateQuestionSchema', 'migrateQuestion', 'renderQuestionHTML',
+        'renderPreviewHTML', 'gradeQuestion']) {
+        assert.equal(typeof shared[name], 'function', name);
+    }
+    assert.ok(shared.getQuestionSchema(), 'schema.json is set');
+});
+
+test('the modules find each other as in a page', () => {
+    const { createEmptyQuestion, validateQuestion, renderQuestionHTML, gradeQuestion } = require('../index.js');
+    const q = createEmptyQuestion('MCQ');
+    q.id = 'Q1';
+    q.data.content = 'Pick one';
+    q.data.options = [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }];
+    q.data.answer = { correct_options: ['a'] };
+
+    // validateQuestion runs the schema validator; renderQuestionHTML uses the parser's type registry
+    assert.equal(validateQuestion(q).valid, true);
+    assert.match(renderQuestionHTML(q), /Yes/);
+    assert.equal(gradeQuestion(q, 'a').score, q.metadata.marks);
+});
+
+test('index.mjs exports the same functions as index.js', async () => {
+    const shared = require('../index.js');
+    const esm = await import('../index.mjs');
+    assert.equal(esm.default, shared);
+    for (const [name, value] of Object.entries(esm)) {
+        if (name !== 'default') assert.equal(value, shared[name], name);
+    }
+    const missing = Object.keys(shared).filter(name => !(name in esm));
+    assert.deepEqual(missing, []);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../module-loader.js');
+
+const {
+    validateBlueprint,
+    generatePaperFromBlueprint,
+    canReachMarks
+} = loadModules(['question-parser.js', 'question-blueprint.js']);
+
+// Small deterministic generator, so a failing paper can be reproduced
+function lcg(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+function bankQuestion(id, marks, { type = 'SUBJECTIVE', difficulty = 'Medium', chapter = 1, pool = 'Exam' } = {}) {
+    return { id, type, metadata: { marks, difficulty, chapter, pool, subpool: 'Written' }, data: { content: id } };
+}
+
+function marksBySection(selections) {
+    const result = {};
+    selections.forEach(s => { result[s.section] = (result[s.section] || 0) + s.marks; });
+    return result;
+}
+
+test('validateBlueprint reports each invalid field', () => {
+    assert.deepEqual(validateBlueprint({ sections: { A: 10 } }), { valid: true, errors: [] });
+    assert.deepEqual(validateBlueprint({
+        sections: { A: -1 },
+        difficulty: { Easy: 0.5, Tricky: 0.2 },
+        types: { ESSAY: 5 },
+        tolerance: -1
+    }).errors, [
+        'sections.A: marks must be a non-negative number',
+        'difficulty.Tricky: must be one of Easy, Medium, Hard',
+        'difficulty: shares must add up to 1 (got 0.7)',
+        'types.ESSAY: must be one of MCQ, FIB, MATCH, SUBJECTIVE, TABLE, COMPOSITE',
+        'types: type marks (5) exceed the paper total (-1)',
+        'tolerance: must be a non-negative number'
+    ]);
+    assert.throws(() => generatePaperFromBlueprint([], { sections: {} }), /Invalid blueprint: sections/);
+});
+
+test('canReachMarks finds exact subsets, half marks included', () => {
+    assert.equal(canReachMarks([3, 2, 2], 4), true);
+    assert.equal(canReachMarks([3, 3], 4), false);
+    assert.equal(canReachMarks([0.5, 1.5, 2], 3.5), true);
+    assert.equal(canReachMarks([2], 4), false, 'each question counts once');
+    assert.equal(canReachMarks([], 0), true);
+});
+
+test('generatePaperFromBlueprint skips a pick that would leave the section unfillable', () => {
+    // The 3-mark question covers the wanted chapter, but 4 marks can only be 2 + 2
+    const bank = [
+        bankQuestion('Q3', 3, { chapter: 7 }),
+        bankQuestion('Q2a', 2),
+        bankQuestion('Q2b', 2)
+    ];
+    const { selections, unmet } = generatePaperFromBlueprint(bank, { sections: { A: 4 }, chapters: [7] }, { random: lcg(1) });
+    assert.deepEqual(selections.map(s => s.id).sort(), ['Q2a', 'Q2b']);
+    assert.deepEqual(unmet.map(u => u.message), ['Chapter 7: not covered (its questions did not fit the section marks)']);
+});
+
+test('generatePaperFromBlueprint reports every constraint it could not meet', () => {
+    const bank = [
+        bankQuestion('E1', 3, { difficulty: 'Easy', type: 'MCQ' }),
+        bankQuestion('E2', 3, { difficulty: 'Easy', type: 'MCQ' }),
+        bankQuestion('P1', 1, { pool: 'Practice' })
+    ];
+    const blueprint = {
+        sections: { A: 5, B: 1 },
+        difficulty: { Easy: 0.5, Hard: 0.5 },
+        chapters: [1, 9],
+        types: { MCQ: 2 },
+        pool: 'Exam'
+    };
+    const { selections, unmet, summary } = generatePaperFromBlueprint(bank, blueprint, { random: lcg(2) });
+
+    assert.equal(selections.length, 1);
+    assert.equal(summary.totalMarks, 3);
+    assert.deepEqual(unmet, [
+        { constraint: 'sections.A', message: 'Section A: filled 3 of 5 marks (no combination of available questions adds up)' },
+        { constraint: 'sections.B', message: 'Section B: filled 0 of 1 marks (no combination of available questions adds up)' },
+        { constraint: 'difficulty.Easy', message: 'Easy: 100% of marks (target 50%, 3 of 3 marks)' },
+        { constraint: 'difficulty.Hard', message: 'Hard: 0% of marks (target 50%, 0 of 3 marks)' },
+        { constraint: 'chapters.9', message: 'Chapter 9: not covered (no questions in the bank)' },
+        { constraint: 'types.MCQ', message: 'MCQ: 3 marks (target 2)' }
+    ]);
+
+    const empty = generatePaperFromBlueprint(bank, { sections: { A: 1 }, pool: 'Exam', subpool: 'Oral' }, { random: lcg(3) });
+    assert.deepEqual(empty.unmet.map(u => u.message), [
+        'Section A: filled 0 of 1 marks (no combination of available questions adds up)',
+        'No questions in the bank match Exam / Oral'
+    ]);
+});
+
+test('generatePaperFromBlueprint fills a paper from a large bank quickly', () => {
+    const random = lcg(42);
+    const levels = ['Easy', 'Medium', 'Hard'];
+    const bank = Array.from({ length: 2000 }, (_, i) => bankQuestion(`Q${i}`, [0.5, 1, 2, 3, 5][i % 5], {
+        difficulty: levels[i % 3],
+        chapter: 1 + (i % 12),
+        type: i % 2 ? 'MCQ' : 'SUBJECTIVE'
+    }));
+    const blueprint = {
+        sections: { A: 20, B: 30, C: 50.5 },
+        difficulty: { Easy: 0.3, Medium: 0.5, Hard: 0.2 },
+        chapters: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+    };
+
+    const start = process.hrtime.bigint();
+    const { selections, unmet } = generatePaperFromBlueprint(bank, blueprint, { random });
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+    assert.deepEqual(marksBySection(selections), { A: 20, B: 30, C: 50.5 });
+    assert.equal(new Set(selections.map(s => s.id)).size, selections.length, 'no question is picked twice');
+    assert.deepEqual(unmet, []);
+    assert.ok(ms < 2000, `took ${Math.round(ms)} ms`);
+});
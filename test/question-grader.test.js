@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    matchesAcceptedAnswer,
+    parseQuantity,
+    gradeQuestion,
+    getSubQuestionMarks,
+    GRADE_STATUS
+} = require('../index.js');
+
+function fib(accepted, extra = {}, marks = 1) {
+    return {
+        id: 'Q1',
+        type: 'FIB',
+        metadata: { marks },
+        data: { content: 'Answer: [[gap]]', answer: { gaps: [{ accepted, ...extra }] } }
+    };
+}
+
+test('matchesAcceptedAnswer ignores case, extra whitespace and a trailing full stop', () => {
+    const entry = { accepted: ['New Delhi'] };
+    assert.equal(matchesAcceptedAnswer('new delhi', entry), true);
+    assert.equal(matchesAcceptedAnswer('  New   Delhi. ', entry), true);
+    assert.equal(matchesAcceptedAnswer('Delhi', entry), false);
+});
+
+test('matchesAcceptedAnswer keeps case when case_sensitive is set', () => {
+    const entry = { accepted: ['NaCl'], case_sensitive: true };
+    assert.equal(matchesAcceptedAnswer('NaCl', entry), true);
+    assert.equal(matchesAcceptedAnswer('nacl', entry), false);
+});
+
+test('matchesAcceptedAnswer compares numbers by value', () => {
+    assert.equal(matchesAcceptedAnswer('1,250', { accepted: ['1250'] }), true);
+    assert.equal(matchesAcceptedAnswer('1250.0', { accepted: ['1,250'] }), true);
+    assert.equal(matchesAcceptedAnswer('1/2', { accepted: ['0.5'] }), true);
+    assert.equal(matchesAcceptedAnswer('−3', { accepted: ['-3'] }), true);
+    assert.equal(matchesAcceptedAnswer('1/0', { accepted: ['0'] }), false);
+});
+
+test('matchesAcceptedAnswer applies the tolerance', () => {
+    const entry = { accepted: ['3.14'], tolerance: 0.01 };
+    assert.equal(matchesAcceptedAnswer('3.141', entry), true);
+    assert.equal(matchesAcceptedAnswer('3.15', entry), true);
+    assert.equal(matchesAcceptedAnswer('3.16', entry), false);
+    assert.equal(matchesAcceptedAnswer('3.1400001', { accepted: ['3.14'] }), false);
+});
+
+test('matchesAcceptedAnswer treats unit spellings and currency signs as equal', () => {
+    assert.equal(matchesAcceptedAnswer('5 centimetres', { accepted: ['5 cm'] }), true);
+    assert.equal(matchesAcceptedAnswer('5 kg', { accepted: ['5 cm'] }), false);
+    assert.equal(matchesAcceptedAnswer('₹20', { accepted: ['20 rupees'] }), true);
+    assert.equal(matchesAcceptedAnswer('Rs. 20', { accepted: ['₹ 20'] }), true);
+    assert.equal(matchesAcceptedAnswer('25 °C', { accepted: ['25 degrees celsius'] }), true);
+});
+
+test('matchesAcceptedAnswer accepts a missing unit unless unit_required', () => {
+    assert.equal(matchesAcceptedAnswer('5', { accepted: ['5 cm'] }), true);
+    assert.equal(matchesAcceptedAnswer('5', { accepted: ['5 cm'], unit_required: true }), false);
+    assert.equal(matchesAcceptedAnswer('5 cm', { accepted: ['5 cm'], unit_required: true }), true);
+});
+
+test('matchesAcceptedAnswer rejects text next to a number that is not the key\'s unit', () => {
+    const entry = { accepted: ['3'] };
+    assert.equal(matchesAcceptedAnswer('3 or 4', entry), false);
+    assert.equal(matchesAcceptedAnswer('3 apples, no wait 7', entry), false);
+    assert.equal(matchesAcceptedAnswer('3 cm', entry), false);
+    assert.equal(matchesAcceptedAnswer('12 kg', { accepted: ['12'] }), false);
+    assert.equal(matchesAcceptedAnswer('₹12', { accepted: ['12'] }), false);
+    assert.equal(matchesAcceptedAnswer('5 cm or 6 cm', { accepted: ['5 cm'] }), false);
+});
+
+test('matchesAcceptedAnswer still matches keys with words after a number exactly', () => {
+    const entry = { accepted: ['3 apples'] };
+    assert.equal(matchesAcceptedAnswer('3 Apples', entry), true);
+    assert.equal(matchesAcceptedAnswer('3', entry), false);
+});
+
+test('matchesAcceptedAnswer rejects blank responses and entries without accepted values', () => {
+    assert.equal(matchesAcceptedAnswer('', { accepted: ['3'] }), false);
+    assert.equal(matchesAcceptedAnswer('   ', { accepted: [''] }), false);
+    assert.equal(matchesAcceptedAnswer('3', { accepted: [] }), false);
+});
+
+test('parseQuantity returns canonical units and null for unknown trailing text', () => {
+    assert.deepEqual({ ...parseQuantity('12 centimetres') }, { value: 12, unit: 'cm' });
+    assert.deepEqual({ ...parseQuantity('rs 20') }, { value: 20, unit: 'rs' });
+    assert.deepEqual({ ...parseQuantity('-.5') }, { value: -0.5, unit: '' });
+    assert.equal(parseQuantity('3 or 4'), null);
+    assert.equal(parseQuantity('₹20 cm'), null);
+    assert.equal(parseQuantity('twelve'), null);
+});
+
+test('gradeQuestion gives no marks for hedged FIB answers', () => {
+    const question = fib(['3']);
+    assert.equal(gradeQuestion(question, ['3']).score, 1);
+    assert.equal(gradeQuestion(question, ['3 or 4']).score, 0);
+    assert.equal(gradeQuestion(question, ['3 apples, no wait 7']).score, 0);
+    assert.equal(gradeQuestion(question, ['3 or 4']).status, GRADE_STATUS.INCORRECT);
+});
+
+test('gradeQuestion splits FIB marks over the gaps', () => {
+    const question = {
+        id: 'Q2',
+        type: 'FIB',
+        metadata: { marks: 2 },
+        data: {
+            content: '[[gap]] and [[gap]]',
+            answer: { gaps: [{ accepted: ['east'] }, { accepted: ['west'] }] }
+        }
+    };
+    const result = gradeQuestion(question, ['East', 'north']);
+    assert.equal(result.score, 1);
+    assert.equal(result.status, GRADE_STATUS.PARTIAL);
+    assert.equal(gradeQuestion(question, ['East', 'north'], { partialCredit: false }).score, 0);
+    assert.equal(gradeQuestion(question, []).status, GRADE_STATUS.UNANSWERED);
+});
+
+test('gradeQuestion scores MCQ all or nothing', () => {
+    const question = {
+        id: 'Q3',
+        type: 'MCQ',
+        metadata: { marks: 2 },
+        data: {
+            content: 'Pick the even numbers',
+            options: [{ id: 'a', text: '2' }, { id: 'b', text: '3' }, { id: 'c', text: '4' }],
+            allow_multiple: true,
+            answer: { correct_options: ['a', 'c'] }
+        }
+    };
+    assert.equal(gradeQuestion(question, ['c', 'a']).score, 2);
+    assert.equal(gradeQuestion(question, ['a']).score, 0);
+    assert.equal(gradeQuestion(question, ['a', 'b', 'c']).score, 0);
+});
+
+test('gradeQuestion flags SUBJECTIVE answers for review', () => {
+    const question = {
+        id: 'Q4',
+        type: 'SUBJECTIVE',
+        metadata: { marks: 3 },
+        data: { content: 'Explain', answer: { model_answer: 'Because' } }
+    };
+    const result = gradeQuestion(question, 'Because it is');
+    assert.equal(result.needsReview, true);
+    assert.equal(result.score, 0);
+});
+
+test('gradeQuestion marks the items of a partially keyed MATCH that have no key', () => {
+    const question = {
+        id: 'Q5',
+        type: 'MATCH',
+        metadata: { marks: 3 },
+        data: {
+            content: 'Match the animals with their young',
+            pairs: [{ left: 'Cat', right: 'Kitten' }, { left: 'Dog', right: 'Puppy' }, { left: 'Cow', right: 'Calf' }],
+            answer: { matches: [0, null, 2] }
+        }
+    };
+    const result = gradeQuestion(question, [0, 1, 1]);
+    assert.equal(result.score, 1);
+    assert.deepEqual(result.parts.map(p => [p.correct, p.feedback]), [
+        [true, 'Correct'], [null, 'No answer key'], [false, 'Expected c']
+    ]);
+});
+
+test('getSubQuestionMarks shares the unassigned marks', () => {
+    const question = {
+        metadata: { marks: 5 },
+        data: { sub_questions: [{ marks: 2 }, {}, {}] }
+    };
+    assert.deepEqual([...getSubQuestionMarks(question)], [2, 1.5, 1.5]);
+});
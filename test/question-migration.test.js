@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    convertLegacyQuestion,
+    migrateQuestion,
+    detectSchemaVersion,
+    validateAndNormalize,
+    validateQuestion,
+    parseJson,
+    createEmptyQuestion,
+    PARSE_ERROR_KINDS
+} = require('../index.js');
+
+const LEGACY_MCQ = {
+    question_id: 'L1',
+    taxonomy: {
+        grade_id: 'grade-5', subject_id: 'maths', unit_id: 3, section_id: 'A',
+        type: 'mcq', difficulty: 'easy', pool: 'practice', skill_tags: ['addition']
+    },
+    content: {
+        prompt: { text: 'What is 2+2?', assets: [{ uri: 'https://cdn.example.com/sum.png' }] },
+        options: [{ opt_id: 'a', text: '4' }, { opt_id: 'b', text: '5' }]
+    },
+    grading: { kind: 'single', values: ['a'], points: 2 },
+    metadata: { ui_hint: 'grid' }
+};
+
+// Only the first of the three items has a key
+const LEGACY_MATCH = {
+    question_id: 'L2',
+    taxonomy: { grade_id: 'grade-5', subject_id: 'science', unit_id: 1, type: 'match_columns', difficulty: 'easy' },
+    content: {
+        prompt: { text: 'Match the animals with their young' },
+        stimulus: {
+            pairs: {
+                left_column: [{ id: 'l1', text: 'Cat' }, { id: 'l2', text: 'Dog' }, { id: 'l3', text: 'Cow' }],
+                right_column: [{ id: 'r1', text: 'Puppy' }, { id: 'r2', text: 'Kitten' }, { id: 'r3', text: 'Calf' }]
+            }
+        }
+    },
+    grading: { kind: 'pairs', values: [{ pair: ['l1', 'r2'] }], points: 3 }
+};
+
+function question(type, version, id = 'Q1') {
+    const q = createEmptyQuestion(type);
+    q.id = id;
+    q.schema_version = version;
+    return q;
+}
+
+test('convertLegacyQuestion converts a legacy MCQ to a valid v5.1 question', () => {
+    const before = JSON.stringify(LEGACY_MCQ);
+    const result = convertLegacyQuestion(LEGACY_MCQ);
+    assert.equal(JSON.stringify(LEGACY_MCQ), before, 'source is not modified');
+
+    const { question } = result;
+    assert.equal(question.id, 'L1');
+    assert.equal(question.type, 'MCQ');
+    assert.deepEqual(
+        { ...question.metadata },
+        { grade: 5, subject: 'Maths', chapter: 3, section: 'A', difficulty: 'Easy', pool: 'Practice', subpool: 'NA', marks: 2 }
+    );
+    assert.equal(question.data.content, 'What is 2+2?\n\n[[image:sum]]');
+    assert.deepEqual(question.data.answer.correct_options, ['a']);
+    assert.deepEqual(result.images.map(i => ({ ...i })), [{ tag: 'sum', uri: 'https://cdn.example.com/sum.png' }]);
+    assert.deepEqual(result.unmapped.map(u => u.path), ['taxonomy.skill_tags', 'metadata.ui_hint']);
+    assert.equal(validateQuestion(validateAndNormalize(question)).valid, true);
+});
+
+test('convertLegacyQuestion keeps the unkeyed items of a legacy MATCH as null', () => {
+    const { question } = convertLegacyQuestion(LEGACY_MATCH);
+    assert.deepEqual(question.data.pairs.map(p => [p.left, p.right]), [['Cat', 'Puppy'], ['Dog', 'Kitten'], ['Cow', 'Calf']]);
+    assert.deepEqual(question.data.answer.matches, [1, null, null]);
+    assert.deepEqual(validateQuestion(validateAndNormalize(question)).errors, []);
+});
+
+test('parseJson imports legacy questions, partially keyed MATCH included', () => {
+    const content = [JSON.stringify(LEGACY_MCQ), JSON.stringify(LEGACY_MATCH)].join('\n');
+    const { questions, errors } = parseJson(content);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(questions.map(q => [q.id, q.type]), [['L1', 'MCQ'], ['L2', 'MATCH']]);
+    assert.deepEqual(questions[1].data.answer.matches, [1, null, null]);
+});
+
+test('migrateQuestion runs legacy 2.0 questions through the converter', () => {
+    assert.equal(detectSchemaVersion(LEGACY_MCQ), '2.0');
+    const result = migrateQuestion(LEGACY_MCQ);
+    assert.deepEqual(result.steps, ['2.0→5.1']);
+    assert.equal(result.question.schema_version, '5.1');
+    assert.deepEqual(result.question.data, convertLegacyQuestion(LEGACY_MCQ).question.data);
+    assert.deepEqual(result.unmapped.map(u => u.path), ['taxonomy.skill_tags', 'metadata.ui_hint']);
+});
+
+test('migrateQuestion upgrades 4.6 image tokens through 5.0', () => {
+    const q = question('SUBJECTIVE', '4.6');
+    q.data.content = 'See [[Q1.content.1]] and [[gap]]';
+
+    const result = migrateQuestion(q);
+    assert.deepEqual(result.steps, ['4.6→5.0', '5.0→5.1']);
+    assert.equal(result.question.data.content, 'See [[image:Q1.content.1]] and [[gap]]');
+    assert.equal(result.question.schema_version, '5.1');
+    assert.deepEqual(result.unmapped, []);
+});
+
+test('migrateQuestion moves 5.0 FIB word banks to the COMPOSITE parent', () => {
+    const sub = question('FIB', undefined, 'Q1a');
+    delete sub.schema_version;
+    sub.data.content = 'The [[gap]] sat';
+    sub.data.options_pool = ['cat', 'dog'];
+    const composite = question('COMPOSITE', '5.0', 'C1');
+    composite.data.options_pool = ['dog', 'mat'];
+    composite.data.sub_questions = [sub];
+
+    const { question: migrated, steps } = migrateQuestion(composite);
+    assert.deepEqual(steps, ['5.0→5.1']);
+    assert.deepEqual(migrated.data.options_pool, ['dog', 'mat', 'cat']);
+    assert.equal('options_pool' in migrated.data.sub_questions[0].data, false);
+});
+
+test('migrateQuestion appends the word bank of a standalone 5.0 FIB to its content', () => {
+    const q = question('FIB', '5.0');
+    q.data.content = 'The [[gap]] sat';
+    q.data.options_pool = ['cat', 'dog'];
+
+    const result = migrateQuestion(q);
+    assert.equal(result.question.data.content, 'The [[gap]] sat\n\n**Word bank:** cat · dog');
+    assert.equal('options_pool' in result.question.data, false);
+    assert.deepEqual(result.unmapped.map(u => u.path), ['data.options_pool']);
+});
+
+test('migrateQuestion throws when there is no migration path', () => {
+    assert.throws(() => migrateQuestion({}, '3.0'), /No migration from schema 3\.0 to 5\.1/);
+});
+
+test('parseJson migrates older files and reports each migration as a warning', () => {
+    const q = question('SUBJECTIVE', undefined);
+    delete q.schema_version;
+    q.data.content = 'See [[Q1.content.1]]';
+    const content = [
+        JSON.stringify({ format: 'assessment-questions', schema_version: '4.6' }),
+        JSON.stringify(q),
+        JSON.stringify(LEGACY_MCQ)
+    ].join('\n');
+
+    const { questions, errors, warnings } = parseJson(content);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(questions.map(x => x.data.content), ['See [[image:Q1.content.1]]', 'What is 2+2?\n\n[[image:sum]]']);
+    assert.deepEqual(warnings.map(w => [w.line, w.questionId, w.kind, w.fromVersion]), [
+        [2, 'Q1', PARSE_ERROR_KINDS.MIGRATION, '4.6'],
+        [3, 'L1', PARSE_ERROR_KINDS.MIGRATION, '2.0']
+    ]);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadModules } = require('../module-loader.js');
+
+// Matching answers are turned into plain text with the browser's DOMParser
+const { window } = new JSDOM('');
+const {
+    createEmptyQuestion,
+    createMoodleXml,
+    createGiftText,
+    escapeGiftText,
+    escapeMoodleClozeText,
+    getMoodleCategory
+} = loadModules([
+    'question-parser.js',
+    'question-renderer.js',
+    'zip-utils.js',
+    'image-bundle.js',
+    'question-package.js',
+    'question-moodle.js'
+], { DOMParser: window.DOMParser });
+
+function question(id, type, content = `Question ${id}`) {
+    const q = createEmptyQuestion(type);
+    q.id = id;
+    q.metadata.marks = 2;
+    q.metadata.chapter = 3;
+    q.metadata.section = 'Fractions';
+    q.data.content = content;
+    return q;
+}
+
+function fib(id, content, ...gaps) {
+    const q = question(id, 'FIB', content);
+    q.data.answer.gaps = gaps;
+    return q;
+}
+
+function match(id, matches) {
+    const q = question(id, 'MATCH', 'Match the animals with their young');
+    q.data.pairs = [
+        { left: 'Cat', right: 'Kitten' },
+        { left: 'Dog', right: 'Puppy' },
+        { left: 'Cow', right: 'Calf' }
+    ];
+    q.data.answer.matches = matches;
+    return q;
+}
+
+test('escapeGiftText escapes the GIFT control characters and line breaks', () => {
+    assert.equal(escapeGiftText('a:b = {c} ~d #e \\f'), 'a\\:b \\= \\{c\\} \\~d \\#e \\\\f');
+    assert.equal(escapeGiftText('one\r\n\ntwo'), 'one\\n\\ntwo');
+    assert.equal(escapeGiftText(null), '');
+});
+
+test('escapeMoodleClozeText escapes HTML and the cloze control characters', () => {
+    assert.equal(escapeMoodleClozeText('1/2 } #~"x" \\ <b> & c'), '1\\/2 \\} \\#\\~\\"x\\" \\\\ &lt;b&gt; &amp; c');
+});
+
+test('getMoodleCategory nests the section below the chapter', () => {
+    assert.equal(getMoodleCategory({ chapter: 3, section: 'Fractions' }), '$course$/top/Chapter 3/Fractions');
+    assert.equal(getMoodleCategory({ chapter: 'Ratio/Rate' }), '$course$/top/Ratio//Rate');
+    assert.equal(getMoodleCategory({}), '$course$/top/Uncategorised');
+});
+
+test('createGiftText escapes question text and short answers', () => {
+    const { text, report } = createGiftText([fib('Q1', 'Ratio a:b = [[gap]] {x}', { accepted: ['1/2 } #~', '0.5'] })]);
+    assert.equal(text, [
+        '$CATEGORY: $course$/top/Chapter 3/Fractions',
+        '',
+        '// Q1',
+        '::Q1::[html]Ratio a\\:b \\= {=1/2 \\} \\#\\~ =0.5} \\{x\\}',
+        ''
+    ].join('\n'));
+    assert.deepEqual(report, { exported: 1, skipped: [], warnings: [] });
+});
+
+test('createGiftText lists what it skips and what it converts with losses', () => {
+    const essay = question('Q4', 'SUBJECTIVE', 'Why?');
+    essay.data.answer.model_answer = 'Because';
+    const { report } = createGiftText([
+        fib('Q1', '[[gap]] and [[gap]]', { accepted: ['a'] }, { accepted: ['b'] }),
+        match('Q2', [0, null, 2]),
+        question('Q3', 'TABLE'),
+        essay,
+        fib('Q5', 'x = [[gap]]', { accepted: ['2.5'], tolerance: 0.1 })
+    ]);
+    assert.equal(report.exported, 2);
+    assert.deepEqual(report.skipped, [
+        { questionId: 'Q1', reason: 'GIFT has one blank per question; export FIB with several gaps as Moodle XML' },
+        { questionId: 'Q2', reason: 'GIFT matching needs at least three matched items with different Column B answers' },
+        { questionId: 'Q3', reason: 'TABLE questions have no Moodle mapping' }
+    ]);
+    assert.deepEqual(report.warnings, [
+        { questionId: 'Q2', message: 'Column A item 2 has no match in the answer key; left out' },
+        { questionId: 'Q4', message: 'GIFT has no place for the model answer; export as Moodle XML to keep it' }
+    ]);
+});
+
+test('createMoodleXml writes a cloze field per gap with escaped answers', async () => {
+    const { text, report } = await createMoodleXml([
+        fib('Q1', 'Ratio a:b = [[gap]], x = [[gap]]', { accepted: ['1/2 } #~', '1:2'] }, { accepted: ['2.5'], tolerance: 0.1 }),
+        fib('Q2', 'Name: [[gap]]', { accepted: ['Ada'], case_sensitive: true })
+    ], new Map());
+    assert.match(text, /<!\[CDATA\[Ratio a:b = \{1:SHORTANSWER:=1\\\/2 \\\} \\#\\~~=1:2\}, x = \{1:NUMERICAL:=2\.5:0\.1\}\]\]>/);
+    assert.match(text, /\{1:SHORTANSWER_C:=Ada\}/);
+    assert.deepEqual(report, { exported: 2, skipped: [], warnings: [] });
+});
+
+test('createMoodleXml exports a partially keyed MATCH with the unmatched answers as extras', async () => {
+    const { text, report } = await createMoodleXml([match('Q1', [0, null, 2]), match('Q2', [null, null, null])], new Map());
+    assert.match(text, /<subquestion format="html"><text><!\[CDATA\[Cat\]\]><\/text><answer><text>Kitten<\/text><\/answer><\/subquestion>/);
+    assert.match(text, /<subquestion format="html"><text><\/text><answer><text>Puppy<\/text><\/answer><\/subquestion>/);
+    assert.deepEqual(report.skipped, [{ questionId: 'Q2', reason: 'No matches in the answer key' }]);
+    assert.deepEqual(report.warnings, [{ questionId: 'Q1', message: 'Column A item 2 has no match in the answer key; left out' }]);
+});
+
+test('createMoodleXml splits ]]> over two CDATA sections and reports missing images', async () => {
+    const q = question('Q1', 'SUBJECTIVE', 'a ]]> b [[image:Q1.content.1]]');
+    const { text, missing } = await createMoodleXml([q], new Map());
+    assert.match(text, /<!\[CDATA\[a \]\]\]\]><!\[CDATA\[> b /);
+    assert.deepEqual(missing, [{ tag: 'Q1.content.1', reason: 'no image uploaded' }]);
+});
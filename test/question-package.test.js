@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../module-loader.js');
+
+const {
+    setQuestionSchema,
+    createEmptyQuestion,
+    parseJson,
+    createQuestionPackage,
+    readQuestionPackage,
+    isQuestionPackageManifest,
+    createZip,
+    QUESTION_PACKAGE_FORMAT
+} = loadModules([
+    'question-parser.js',
+    'schema-validator.js',
+    'question-migration.js',
+    'zip-utils.js',
+    'image-bundle.js',
+    'question-package.js'
+]);
+setQuestionSchema(require('../schema.json'));
+
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+function bank() {
+    const mcq = createEmptyQuestion('MCQ');
+    mcq.id = 'Q1';
+    mcq.data.content = 'Which shape is this? [[image:Q1.content.1]]';
+    mcq.data.options = [{ id: 'a', text: 'Circle' }, { id: 'b', text: 'Square [[image:Q1.option.b]]' }];
+    mcq.data.answer.correct_options = ['a'];
+    const fib = createEmptyQuestion('FIB');
+    fib.id = 'Q2';
+    fib.data.content = '2 + 2 = [[gap]]';
+    fib.data.answer.gaps = [{ accepted: ['4'] }];
+    return [mcq, fib];
+}
+
+test('a question package round-trips its questions and images', async () => {
+    const questions = bank();
+    const store = new Map([['Q1.content.1', { blob: new Blob([PNG], { type: 'image/png' }), contentType: 'image/png' }]]);
+
+    const { blob, manifest, missing } = await createQuestionPackage(questions, store, { name: 'Shapes' });
+    assert.deepEqual(missing, [{ tag: 'Q1.option.b', reason: 'no image uploaded' }]);
+    assert.equal(manifest.question_count, 2);
+
+    const pkg = await readQuestionPackage(blob);
+    assert.equal(pkg.manifest.format, QUESTION_PACKAGE_FORMAT);
+    assert.equal(pkg.manifest.name, 'Shapes');
+    assert.deepEqual(pkg.skipped, []);
+    assert.deepEqual(pkg.images.map(({ tag, name, contentType }) => ({ tag, name, contentType })), [
+        { tag: 'Q1.content.1', name: 'images/Q1.content.1.png', contentType: 'image/png' }
+    ]);
+    assert.deepEqual(new Uint8Array(await pkg.images[0].blob.arrayBuffer()), PNG);
+
+    const { questions: restored, errors } = parseJson(pkg.text);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(restored, questions);
+    assert.equal(isQuestionPackageManifest(JSON.stringify(pkg.manifest)), true);
+});
+
+test('readQuestionPackage returns null for a plain image bundle', async () => {
+    const bundle = await createZip([{ name: 'Q1.content.1.png', data: PNG }]);
+    assert.equal(await readQuestionPackage(bundle), null);
+});
+
+test('readQuestionPackage refuses packages newer than this tool', async () => {
+    const future = await createZip([
+        { name: 'manifest.json', data: JSON.stringify({ format: QUESTION_PACKAGE_FORMAT, package_version: 99 }) }
+    ]);
+    await assert.rejects(readQuestionPackage(future), /Package version 99 is newer/);
+});
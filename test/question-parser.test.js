@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseJson,
+    createEmptyQuestion,
+    PARSE_ERROR_KINDS,
+    QUESTION_TYPES,
+    registerQuestionType,
+    getQuestionTypeDefinition,
+    getTypeDisplayName,
+    validateQuestion,
+    validateQuestionSchema,
+    formatSchemaErrors,
+    traverseAllRichText,
+    renderQuestionHTML,
+    formatRichText
+} = require('../index.js');
+
+function question(id, type = 'SUBJECTIVE') {
+    const q = createEmptyQuestion(type);
+    q.id = id;
+    q.data.content = `Question ${id}`;
+    return q;
+}
+
+// 1-based line and column of the first occurrence of needle
+function positionOf(text, needle) {
+    const before = text.slice(0, text.indexOf(needle)).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+test('parseJson keeps the good lines of a JSONL file and reports each bad one', () => {
+    const content = [
+        JSON.stringify(question('Q1')),
+        '{"id": "Q2", "type": "SUBJECTIVE", "metadata": {',
+        JSON.stringify(question('Q3')),
+        '{"id": "Q4", "type": "MCQ" "data": {}}',
+        'garbage',
+        '}'
+    ].join('\n');
+    const { questions, errors } = parseJson(content);
+
+    assert.deepEqual(questions.map(q => q.id), ['Q1', 'Q3']);
+    assert.deepEqual(errors.map(({ line, column, questionId, kind }) => ({ line, column, questionId, kind })), [
+        { line: 2, column: 1, questionId: 'Q2', kind: PARSE_ERROR_KINDS.SYNTAX },
+        { line: 4, column: 28, questionId: 'Q4', kind: PARSE_ERROR_KINDS.SYNTAX },
+        { line: 5, column: 1, questionId: null, kind: PARSE_ERROR_KINDS.SYNTAX },
+        { line: 6, column: 1, questionId: null, kind: PARSE_ERROR_KINDS.SYNTAX }
+    ]);
+    assert.equal(errors[0].message, 'Unterminated object (missing closing brace)');
+    assert.equal(errors[2].message, 'Unexpected text outside a JSON object');
+    assert.equal(errors[3].message, 'Unexpected closing brace');
+});
+
+test('parseJson points at the syntax error inside a pretty-printed array', () => {
+    const text = '\uFEFF' + JSON.stringify([question('A'), question('B', 'MCQ')], null, 2)
+        .replace('"type": "MCQ"', '"type": "MCQ",,');
+    const { questions, errors } = parseJson(text);
+
+    assert.deepEqual(questions.map(q => q.id), ['A']);
+    // The BOM is stripped before counting columns; the error is at the second comma
+    const { line, column } = positionOf(text.slice(1), ',,');
+    assert.deepEqual(errors.map(e => [e.line, e.column, e.questionId, e.kind]), [
+        [line, column + 1, 'B', PARSE_ERROR_KINDS.SYNTAX]
+    ]);
+});
+
+test('parseJson reports questions that fail validation with their id', () => {
+    const bad = question('C', 'MCQ');
+    const content = [JSON.stringify(question('A')), JSON.stringify(bad)].join('\n');
+    const { questions, errors } = parseJson(content);
+
+    assert.deepEqual(questions.map(q => q.id), ['A']);
+    assert.deepEqual(errors, [{
+        line: 2, column: 1, questionId: 'C', kind: PARSE_ERROR_KINDS.VALIDATION,
+        message: 'MCQ requires at least one option'
+    }]);
+});
+
+test('parseJson reports unknown types and unsupported schema versions', () => {
+    const content = [
+        JSON.stringify({ id: 'Q5', type: 'NOPE', metadata: {}, data: {} }),
+        JSON.stringify({ ...question('Q6'), schema_version: '9.0' })
+    ].join('\n');
+    const { errors } = parseJson(content);
+
+    assert.deepEqual(errors.map(e => [e.line, e.questionId, e.kind]), [
+        [1, 'Q5', PARSE_ERROR_KINDS.VALIDATION],
+        [2, 'Q6', PARSE_ERROR_KINDS.VERSION]
+    ]);
+    assert.equal(errors[1].message, 'Schema version 9.0 is newer than this tool supports (5.1)');
+});
+
+test('parseJson reports an invalid file header version', () => {
+    const content = [
+        JSON.stringify({ format: 'assessment-questions', schema_version: 'x' }),
+        JSON.stringify(question('Q1'))
+    ].join('\n');
+    const { questions, errors } = parseJson(content);
+
+    assert.deepEqual(questions.map(q => q.id), ['Q1']);
+    assert.deepEqual(errors.map(e => [e.line, e.kind, e.message]), [
+        [1, PARSE_ERROR_KINDS.VERSION, 'Invalid file schema_version "x"']
+    ]);
+});
+
+function matchQuestion(id, matches) {
+    const q = question(id, 'MATCH');
+    q.data.pairs = [
+        { left: 'Cat', right: 'Kitten' },
+        { left: 'Dog', right: 'Puppy' },
+        { left: 'Cow', right: 'Calf' }
+    ];
+    q.data.answer = { matches };
+    return q;
+}
+
+test('a partially keyed MATCH question is valid and survives a save and reload', () => {
+    // The editor writes null for the items the author hasn't matched yet
+    const q = matchQuestion('M1', [0, null, 2]);
+    assert.deepEqual(validateQuestion(q).errors, []);
+    assert.deepEqual(validateQuestionSchema(q).errors, []);
+
+    const { questions, errors } = parseJson(JSON.stringify(q));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(questions[0].data.answer.matches, [0, null, 2]);
+});
+
+test('MATCH keys must be Column B indexes or null', () => {
+    const q = matchQuestion('M2', [0, 3, -1]);
+    assert.deepEqual(validateQuestion(q).errors, [
+        'MATCH answer for item 2 is not a valid Column B index',
+        'MATCH answer for item 3 is not a valid Column B index',
+        '/data/answer/matches/2: must be >= 0'
+    ]);
+    assert.deepEqual(formatSchemaErrors(validateQuestionSchema(matchQuestion('M3', [0, 'b'])).errors), [
+        '/data/answer/matches/1: must be integer or null (got string)'
+    ]);
+});
+
+// The README's example of an in-house type
+const ORDERING = {
+    displayName: 'Put in Order',
+    defaultData: () => ({ content: '', items: [] }),
+    defaultAnswer: () => ({ order: [] }),
+    validate: (q) => (q.data?.items || []).length < 2 ? ['ORDERING requires at least two items'] : [],
+    walkRichText: (data, transformer) => {
+        (data.items || []).forEach((item, i) => { data.items[i] = transformer(item, `data.items[${i}]`); });
+    },
+    render: (data, opts) => `<ol>${(data.items || []).map(item => `<li>${formatRichText(item, opts)}</li>`).join('')}</ol>`,
+    schema: {
+        type: 'object',
+        required: ['content', 'style', 'items'],
+        properties: { items: { type: 'array', items: { $ref: '#/definitions/RichText' } } }
+    }
+};
+
+test('the built-in types are registered with their answer key renderers', () => {
+    assert.deepEqual(QUESTION_TYPES.slice(0, 6), ['MCQ', 'FIB', 'MATCH', 'SUBJECTIVE', 'TABLE', 'COMPOSITE']);
+    for (const type of QUESTION_TYPES.slice(0, 6)) {
+        assert.equal(typeof getQuestionTypeDefinition(type).renderAnswer, 'function', type);
+    }
+    assert.equal(getQuestionTypeDefinition('ORDERING_UNKNOWN'), null);
+    assert.throws(() => registerQuestionType(''), /non-empty string/);
+});
+
+test('a registered type is created, validated, walked, rendered and imported through its hooks', () => {
+    registerQuestionType('ORDERING', ORDERING);
+    assert.ok(QUESTION_TYPES.includes('ORDERING'));
+    assert.equal(getTypeDisplayName('ORDERING'), 'Put in Order');
+
+    const q = createEmptyQuestion('ORDERING');
+    q.id = 'O1';
+    q.data.content = 'Put these in order';
+    assert.deepEqual(q.data.items, []);
+    assert.deepEqual(q.data.answer, { order: [] });
+    assert.deepEqual(validateQuestion(q).errors, ['ORDERING requires at least two items']);
+
+    q.data.items = ['one', 'two'];
+    assert.equal(validateQuestion(q).valid, true);
+    const paths = [];
+    traverseAllRichText(q, (value, path) => { paths.push(path); return value; });
+    assert.deepEqual(paths, ['data.content', 'data.items[0]', 'data.items[1]', 'solution.text']);
+    assert.match(renderQuestionHTML(q), /<ol><li>one<\/li><li>two<\/li><\/ol>/);
+
+    const { questions, errors } = parseJson(JSON.stringify(q));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(questions.map(x => x.type), ['ORDERING']);
+
+    const schemaErrors = validateQuestionSchema({ ...q, data: { ...q.data, items: [1] } }).errors;
+    assert.deepEqual(schemaErrors.map(e => e.path), ['/data/items/0']);
+});
+
+test('registering a type again merges into its definition', () => {
+    registerQuestionType('ORDERING', ORDERING);
+    registerQuestionType('ORDERING', { displayName: 'Ordering' });
+    assert.equal(getTypeDisplayName('ORDERING'), 'Ordering');
+    assert.equal(getQuestionTypeDefinition('ORDERING').render, ORDERING.render);
+    assert.equal(QUESTION_TYPES.filter(type => type === 'ORDERING').length, 1);
+});
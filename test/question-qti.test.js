@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadModules } = require('../module-loader.js');
+
+// question-qti.js reads and writes XML with the browser's DOMParser and XMLSerializer
+const { window } = new JSDOM('');
+const {
+    setQuestionSchema,
+    createEmptyQuestion,
+    parseJson,
+    createZip,
+    createQtiPackage,
+    readQtiPackage,
+    QTI_MANIFEST
+} = loadModules([
+    'question-parser.js',
+    'schema-validator.js',
+    'question-migration.js',
+    'question-renderer.js',
+    'question-grader.js',
+    'zip-utils.js',
+    'image-bundle.js',
+    'question-package.js',
+    'question-qti.js'
+], { DOMParser: window.DOMParser, XMLSerializer: window.XMLSerializer, Node: window.Node });
+
+setQuestionSchema(require('../schema.json'));
+
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+function question(id, type, content = `Question ${id}`) {
+    const q = createEmptyQuestion(type);
+    q.id = id;
+    q.metadata.marks = 2;
+    q.data.content = content;
+    return q;
+}
+
+function bank() {
+    const mcq = question('Q1', 'MCQ', 'Which shape is this? [[image:Q1.content.1]]');
+    mcq.data.options = [{ id: 'a', text: 'Circle' }, { id: 'b', text: 'Square' }, { id: 'c', text: 'Oval' }];
+    mcq.data.allow_multiple = true;
+    mcq.data.answer.correct_options = ['a', 'c'];
+
+    const fib = question('Q2', 'FIB', 'The capital of France is [[gap]] and 2 + 2 = [[gap]]');
+    fib.data.answer.gaps = [{ accepted: ['Paris'] }, { accepted: ['4', 'four'] }];
+
+    const match = question('Q3', 'MATCH', 'Match the animals with their young');
+    match.data.pairs = [
+        { left: 'Cat', right: 'Kitten' },
+        { left: 'Dog', right: 'Puppy' },
+        { left: 'Cow', right: 'Calf' }
+    ];
+    match.data.answer.matches = [0, null, 2];
+
+    const subjective = question('Q4', 'SUBJECTIVE', 'Explain why the sky is blue.');
+    subjective.data.answer.model_answer = 'Air scatters blue light more than red light.';
+    subjective.solution.text = 'See Rayleigh scattering.';
+
+    const table = question('Q5', 'TABLE', 'Complete the table');
+    table.data.table = { header: ['Number', 'Double'], rows: [['2', ''], ['5', '']] };
+    table.data.answer.cells = [{ row: 0, col: 1, accepted: ['4'] }, { row: 1, col: 1, accepted: ['10'] }];
+
+    const composite = question('Q6', 'COMPOSITE');
+    delete composite.data.content;
+    composite.data.common_content = 'Read the passage.';
+    const sub = createEmptyQuestion('MCQ').data;
+    sub.content = 'Who wrote it?';
+    sub.options = [{ id: 'a', text: 'Ana' }, { id: 'b', text: 'Ben' }];
+    sub.answer.correct_options = ['b'];
+    const gap = createEmptyQuestion('FIB').data;
+    gap.content = 'It is [[gap]] pages long';
+    gap.answer.gaps = [{ accepted: ['12'] }];
+    composite.data.sub_questions = [{ id: 'a', type: 'MCQ', marks: 1, data: sub }, { id: 'b', type: 'FIB', marks: 1, data: gap }];
+
+    return [mcq, fib, match, subjective, table, composite];
+}
+
+async function roundTrip(questions, store = new Map()) {
+    const exported = await createQtiPackage(questions, store, { name: 'Round trip' });
+    const imported = await readQtiPackage(exported.blob);
+    return { exported, imported, parsed: parseJson(imported.text) };
+}
+
+test('each question type survives a QTI export and import', async () => {
+    const store = new Map([['Q1.content.1', { blob: new Blob([PNG], { type: 'image/png' }), contentType: 'image/png' }]]);
+    const questions = bank();
+    const { exported, imported, parsed } = await roundTrip(questions, store);
+
+    assert.deepEqual(exported.missing, []);
+    assert.deepEqual(exported.warnings, []);
+    assert.deepEqual(imported.skipped, []);
+    assert.deepEqual(imported.warnings, []);
+    assert.deepEqual(parsed.errors, []);
+    for (const [i, expected] of questions.entries()) {
+        assert.deepEqual(parsed.questions[i], expected, expected.type);
+    }
+    assert.deepEqual(imported.images.map(({ tag, contentType }) => ({ tag, contentType })), [
+        { tag: 'Q1.content.1', contentType: 'image/png' }
+    ]);
+    assert.deepEqual(new Uint8Array(await imported.images[0].blob.arrayBuffer()), PNG);
+});
+
+test('a partially keyed MATCH comes back from QTI with null for the unkeyed items', async () => {
+    const [, , match] = bank();
+    match.data.answer.matches = [null, 0, null];
+    const { parsed } = await roundTrip([match]);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.questions[0].data.answer.matches, [null, 0, null]);
+});
+
+test('answer rules QTI cannot express are reported on export and restored on import', async () => {
+    const fib = question('Q1', 'FIB', 'Length: [[gap]]');
+    fib.data.answer.gaps = [{ accepted: ['5 cm'], tolerance: 0.1 }];
+    const { exported, parsed } = await roundTrip([fib]);
+    assert.deepEqual(exported.warnings.map(w => w.questionId), ['Q1']);
+    assert.match(exported.warnings[0].message, /tolerance and unit rules are not part of QTI/);
+    assert.deepEqual(parsed.questions[0].data.answer, fib.data.answer);
+});
+
+test('readQtiPackage returns null for a ZIP without a QTI manifest', async () => {
+    const zip = await createZip([{ name: 'Q1.content.1.png', data: PNG }]);
+    assert.equal(await readQtiPackage(zip), null);
+});
+
+test('readQtiPackage skips QTI 2.x items and lists them', async () => {
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="M1">
+  <resources>
+    <resource identifier="old" type="imsqti_item_xmlv2p1" href="old.xml"><file href="old.xml"/></resource>
+  </resources>
+</manifest>`;
+    const zip = await createZip([{ name: QTI_MANIFEST, data: manifest }, { name: 'old.xml', data: '<assessmentItem/>' }]);
+    const { skipped, text } = await readQtiPackage(zip);
+    assert.deepEqual(skipped, [{ name: 'old.xml', reason: 'QTI 2.x items are not supported (export them as QTI 3.0)' }]);
+    assert.deepEqual(parseJson(text).questions, []);
+});
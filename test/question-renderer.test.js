@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    sanitizeHtml,
+    sanitizeAttributes,
+    decodeHtmlEntities,
+    describeSanitizeReport,
+    formatRichText,
+    renderQuestionHTML,
+    createEmptyQuestion,
+    tokenizeMath,
+    findMathErrors,
+    renderLatexMath
+} = require('../index.js');
+
+function sanitize(html) {
+    const report = [];
+    return { html: sanitizeHtml(html, report), removed: describeSanitizeReport(report) };
+}
+
+test('sanitizeHtml removes event handlers and keeps the allowed attributes', () => {
+    assert.deepEqual(sanitize('<img src="x.png" alt="Map" onerror="alert(1)" style="width:9px">'), {
+        html: '<img src="x.png" alt="Map">',
+        removed: ['onerror attribute on <img>', 'style attribute on <img>']
+    });
+    assert.deepEqual(sanitize('<a href="https://example.com" title=\'T\' onclick=go()>go</a>'), {
+        html: '<a href="https://example.com" title="T">go</a>',
+        removed: ['onclick attribute on <a>']
+    });
+});
+
+test('sanitizeHtml removes javascript: URLs hidden with entities or control characters', () => {
+    for (const href of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'jav&#x09;ascript:alert(1)', 'java&Tab;script:alert(1)',
+        'javascript&colon;alert(1)', '&#106;avascript:alert(1)', ' \njavascript:alert(1)']) {
+        const { html, removed } = sanitize(`<a href="${href}">x</a>`);
+        assert.equal(html, '<a>x</a>', href);
+        assert.deepEqual(removed, ['javascript: URL on <a>'], href);
+    }
+});
+
+test('sanitizeHtml allows data: URLs only for images', () => {
+    assert.equal(sanitize('<img src="data:image/png;base64,AAAA">').html, '<img src="data:image/png;base64,AAAA">');
+    assert.deepEqual(sanitize('<a href="data:text/html,<b>hi</b>">d</a>'), { html: '<a>d</a>', removed: ['data: URL on <a>'] });
+    assert.deepEqual(sanitize('<img src="data:text/html,hi">'), { html: '<img>', removed: ['data: URL on <img>'] });
+    assert.equal(sanitize('<a href="#top">t</a><a href="page.html?x=1">p</a><a href="mailto:a@b.c">m</a>').removed.length, 0);
+});
+
+test('sanitizeHtml drops script, style, svg and similar tags with their content', () => {
+    assert.deepEqual(sanitize('a<svg><script>alert(1)</script></svg>b<style>p{}</style>c<iframe src="x"></iframe>d'), {
+        html: 'abcd',
+        removed: ['<svg> element', '<style> element', '<iframe> element']
+    });
+    assert.deepEqual(sanitize('x<SCRIPT>never closed'), { html: 'x', removed: ['<script> element'] });
+    assert.deepEqual(sanitize('<div class="c">text</div><!-- note -->'), {
+        html: 'text',
+        removed: ['<div> element', 'HTML comment']
+    });
+});
+
+test('sanitizeHtml closes unclosed tags and drops stray closing tags', () => {
+    assert.equal(sanitizeHtml('<b>bold<i>both</b> after'), '<b>bold<i>both</i></b> after');
+    assert.equal(sanitizeHtml('<p>open'), '<p>open</p>');
+    assert.equal(sanitizeHtml('</em>text</p>'), 'text');
+    assert.equal(sanitizeHtml('1 < 2 and <br> x'), '1 &lt; 2 and <br> x');
+});
+
+test('sanitizeAttributes re-quotes and escapes the values it keeps', () => {
+    const removed = [];
+    const note = entry => removed.push(entry);
+    assert.equal(sanitizeAttributes('img', ' src=x.png alt=\'a "b" <c>\' width="10" onload=x', note),
+        ' src="x.png" alt="a &quot;b&quot; &lt;c&gt;" width="10"');
+    assert.deepEqual(removed, [{ kind: 'attribute', name: 'onload', tag: 'img' }]);
+});
+
+test('decodeHtmlEntities decodes numeric and scheme-hiding named references', () => {
+    assert.equal(decodeHtmlEntities('&#106;&#x61;v&Tab;a&colon;&amp;&lt;&unknown;'), 'jav\ta:&<&unknown;');
+    assert.equal(decodeHtmlEntities('&#0;&#x110000;x'), 'x');
+});
+
+test('describeSanitizeReport counts repeated findings', () => {
+    const report = [];
+    sanitizeHtml('<script>1</script><script>2</script><b onclick="x" onclick="y">b</b>', report);
+    assert.deepEqual(describeSanitizeReport(report), ['<script> element (2×)', 'onclick attribute on <b> (2×)']);
+    assert.deepEqual(describeSanitizeReport(undefined), []);
+});
+
+test('formatRichText escapes image ids in placeholders and image markup', () => {
+    assert.equal(formatRichText('[[image:a"><script>x</script>]]'),
+        '<div class="p-asset-placeholder">[Image: a&quot;&gt;&lt;script&gt;x&lt;/script&gt;]</div>');
+    const html = formatRichText('[[image:b" onload="x]]', { imageResolver: () => 'https://cdn.example.com/b.png' });
+    assert.match(html, /alt="b&quot; onload=&quot;x"/);
+    assert.doesNotMatch(html, /onload="x"/);
+});
+
+test('renderQuestionHTML sanitizes by default and reports it', () => {
+    const q = createEmptyQuestion('SUBJECTIVE');
+    q.id = 'Q1';
+    q.data.content = 'Hi <img src="x.png" onerror="alert(1)">';
+    const report = [];
+    assert.doesNotMatch(renderQuestionHTML(q, { sanitizeReport: report }), /onerror/);
+    assert.deepEqual(describeSanitizeReport(report), ['onerror attribute on <img>']);
+    assert.match(renderQuestionHTML(q, { sanitize: false }), /onerror="alert\(1\)"/);
+});
+
+const text = (value) => ({ type: 'text', value });
+const math = (value, source, display = false) => ({ type: 'math', value, math: source, display });
+
+test('tokenizeMath leaves currency amounts as text', () => {
+    assert.deepEqual(tokenizeMath('Ravi has $5 and Sita has $3'), {
+        segments: [text('Ravi has $5 and Sita has $3')],
+        errors: []
+    });
+    assert.deepEqual(tokenizeMath('$ x$').segments, [text('$ x$')]);
+    assert.deepEqual(tokenizeMath('a $x$1').segments, [text('a $x$1')]);
+});
+
+test('tokenizeMath reads inline and display delimiters', () => {
+    assert.deepEqual(tokenizeMath('Area is $x^2$ cm').segments, [
+        text('Area is '), math('$x^2$', 'x^2'), text(' cm')
+    ]);
+    assert.deepEqual(tokenizeMath('$$\\frac12$$ and \\[y\\] and \\(z\\)').segments, [
+        math('$$\\frac12$$', '\\frac12', true),
+        text(' and '),
+        math('\\[y\\]', 'y', true),
+        text(' and '),
+        math('\\(z\\)', 'z')
+    ]);
+});
+
+test('tokenizeMath turns \\$ into a dollar sign and skips code spans', () => {
+    assert.deepEqual(tokenizeMath('\\$5 or $a$').segments, [text('$5 or '), math('$a$', 'a')]);
+    assert.deepEqual(tokenizeMath('`$x$` code').segments, [text('`$x$` code')]);
+});
+
+test('tokenizeMath keeps chemistry inside math delimiters', () => {
+    assert.deepEqual(tokenizeMath('Water is $\\ce{H2O}$').segments, [
+        text('Water is '), math('$\\ce{H2O}$', '\\ce{H2O}')
+    ]);
+});
+
+test('findMathErrors reports unclosed delimiters', () => {
+    assert.deepEqual(findMathErrors('$$open'), ['Unclosed $$ (missing closing $$)']);
+    assert.deepEqual(findMathErrors('\\(open'), ['Unclosed \\( (missing \\))']);
+    assert.deepEqual(findMathErrors('\\[open'), ['Unclosed \\[ (missing \\])']);
+    assert.deepEqual(findMathErrors('Ravi has $5 and $x$'), []);
+    assert.deepEqual(tokenizeMath('\\(open').segments, [text('\\(open')]);
+});
+
+test('renderLatexMath keeps dollar amounts and writes TeX delimiters for MathJax', () => {
+    assert.equal(renderLatexMath('Ravi has $5 and Sita has $3'), 'Ravi has $5 and Sita has $3');
+    assert.equal(renderLatexMath('cost \\$5 and $x$', html => html, 'tex'), 'cost $5 and \\(x\\)');
+    assert.equal(renderLatexMath('$$y$$', html => html, 'tex'), '\\[y\\]');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../module-loader.js');
+
+const {
+    parseQuestionText,
+    TEXT_IMPORT_ERROR_KIND,
+    PARSE_ERROR_KINDS
+} = loadModules(['question-parser.js', 'question-text-import.js']);
+
+const SHEET = `---
+grade: 4
+chapter: 3
+difficulty: hard
+---
+1. What is 2 + 3? (2 marks)
+a) 4   b) 5   c) 6
+ANSWER: b
+SOLUTION: 2 + 3 = 5
+
+Q2. The capital of France is ___ and of Spain is ___.
+ans: Paris; Madrid | Madrid city
+
+3) Complete the table
+| n | 2n |
+|---|---|
+| 2 |  |
+| 5 |  |
+ANSWER: 4; 10
+
+Question 4: Explain photosynthesis. [3]
+ID: BIO-7
+ANSWER: Plants make food
+from light.`;
+
+// Line and message of each error, in line order
+function errorLines(errors) {
+    return errors.map(e => [e.line, e.message]).sort((a, b) => a[0] - b[0]);
+}
+
+test('parseQuestionText infers each type from what the question has', () => {
+    const { questions, errors } = parseQuestionText(SHEET);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(questions.map(q => q.type), ['MCQ', 'FIB', 'TABLE', 'SUBJECTIVE']);
+
+    const [mcq, fib, table, subjective] = questions;
+    assert.deepEqual(mcq.data.options, [{ id: 'a', text: '4' }, { id: 'b', text: '5' }, { id: 'c', text: '6' }]);
+    assert.equal(mcq.data.style.options_layout, 'horizontal');
+    assert.equal(fib.data.content, 'The capital of France is [[gap]] and of Spain is [[gap]].');
+    assert.deepEqual(table.data.table, { header: ['n', '2n'], rows: [['2', ''], ['5', '']] });
+    assert.equal(subjective.data.content, 'Explain photosynthesis.');
+});
+
+test('parseQuestionText applies front matter, marks suffixes and ID lines', () => {
+    const { questions } = parseQuestionText(SHEET);
+    assert.deepEqual(questions.map(q => [q.metadata.grade, q.metadata.chapter, q.metadata.difficulty, q.metadata.marks]), [
+        [4, 3, 'Hard', 2],
+        [4, 3, 'Hard', 1],
+        [4, 3, 'Hard', 1],
+        [4, 3, 'Hard', 3]
+    ]);
+    assert.equal(questions[3].id, 'BIO-7');
+    assert.equal(new Set(questions.map(q => q.id)).size, 4);
+
+    const next = parseQuestionText(`${SHEET}\n---\nmarks: 5\n---\n1. Again\nID: BIO-7`);
+    assert.equal(next.questions[4].metadata.marks, 5, 'numbering restarts after new front matter');
+    assert.notEqual(next.questions[4].id, 'BIO-7');
+    assert.deepEqual(errorLines(next.errors), [[28, 'ID BIO-7 is already used by another question; a new one was made']]);
+});
+
+test('parseQuestionText reads ANSWER: for each type', () => {
+    const { questions } = parseQuestionText(SHEET);
+    assert.deepEqual(questions.map(q => q.data.answer), [
+        { correct_options: ['b'] },
+        { gaps: [{ accepted: ['Paris'] }, { accepted: ['Madrid', 'Madrid city'] }] },
+        { cells: [{ row: 0, col: 1, accepted: ['4'] }, { row: 1, col: 1, accepted: ['10'] }] },
+        { model_answer: 'Plants make food\nfrom light.' }
+    ]);
+    assert.equal(questions[0].solution.text, '2 + 3 = 5');
+
+    const several = parseQuestionText('1. Which are even?\na) 2\nb) 3\nc) 4\nAnswer: a and (c)').questions[0];
+    assert.deepEqual(several.data.answer.correct_options, ['a', 'c']);
+    assert.equal(several.data.allow_multiple, true);
+});
+
+test('parseQuestionText reports an ANSWER: it cannot read and keeps the question without a key', () => {
+    const { questions, errors } = parseQuestionText([
+        '1. Pick one', 'a) x', 'b) y', 'ANSWER: d',
+        '2. Fill ___', 'ANSWER: a; b',
+        '3. Choose', 'a) p', 'ANSWER: maybe'
+    ].join('\n'));
+    assert.deepEqual(questions.map(q => q.data.answer), [{ correct_options: [] }, { gaps: [] }, { correct_options: [] }]);
+    assert.deepEqual(errors.map(e => [e.line, e.questionId, e.kind, e.message]), [
+        [4, questions[0].id, TEXT_IMPORT_ERROR_KIND, 'ANSWER: there is no option d); imported without an answer key'],
+        [6, questions[1].id, TEXT_IMPORT_ERROR_KIND, 'ANSWER: 2 values for 1 gaps; imported without an answer key'],
+        [9, questions[2].id, TEXT_IMPORT_ERROR_KIND, 'ANSWER: "maybe" is not an option letter; imported without an answer key']
+    ]);
+});
+
+test('parseQuestionText reports each line it cannot place', () => {
+    const { questions, errors } = parseQuestionText([
+        'stray line',
+        '---',
+        'grade: 4',
+        'colour: red',
+        'difficulty: Tricky',
+        '---',
+        '1. Question',
+        'a) one',
+        '',
+        'after the options',
+        'SOLUTION: s',
+        'SOLUTION: again',
+        'more',
+        '2.'
+    ].join('\n'));
+    assert.equal(questions.length, 1);
+    assert.deepEqual(errorLines(errors), [
+        [1, 'Not part of a question: questions start with a number (1. or Q1.)'],
+        [4, 'Not a front matter line: use key: value with grade, subject, chapter, section, difficulty, marks, pool, subpool'],
+        [5, 'difficulty must be Easy, Medium, Hard, not "Tricky"'],
+        [10, 'Text after the options: put it above a) or under SOLUTION:'],
+        [12, 'Second SOLUTION: in this question; left out'],
+        [13, 'Part of a left-out ANSWER: or SOLUTION:'],
+        [14, 'Question has no text']
+    ]);
+    assert.equal(errors.find(e => e.line === 14).kind, PARSE_ERROR_KINDS.VALIDATION);
+});
+
+test('parseQuestionText undoes what pasting from Word adds', () => {
+    const { questions, errors } = parseQuestionText('\uFEFF1. Two\u00A0words\u200B?\r\nANSWER: Yes\r\n');
+    assert.deepEqual(errors, []);
+    assert.equal(questions[0].data.content, 'Two words?');
+    assert.equal(questions[0].data.answer.model_answer, 'Yes');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('../module-loader.js');
+
+const {
+    createSeededRandom,
+    shuffleQuestion,
+    createPaperVariant,
+    getVariantCode
+} = loadModules(['question-variants.js']);
+
+const MCQ = {
+    id: 'Q1',
+    type: 'MCQ',
+    data: {
+        content: 'Pick the even numbers',
+        options: [{ id: 'a', text: '2' }, { id: 'b', text: '3' }, { id: 'c', text: '4' }, { id: 'd', text: '5' }],
+        answer: { correct_options: ['a', 'c'] }
+    }
+};
+
+const MATCH = {
+    id: 'Q2',
+    type: 'MATCH',
+    data: {
+        content: 'Match the animals with their young',
+        pairs: [{ left: 'Cat', right: 'Kitten' }, { left: 'Dog', right: 'Puppy' }, { left: 'Cow', right: 'Calf' }],
+        answer: { matches: [0, 1, null] }
+    }
+};
+
+// The option texts the answer key points at, which shuffling must not change
+function correctTexts(q) {
+    return q.data.answer.correct_options.map(id => q.data.options.find(o => o.id === id).text).sort();
+}
+
+test('createSeededRandom repeats its sequence for the same seed', () => {
+    const a = createSeededRandom('paper-1:A');
+    const b = createSeededRandom('paper-1:A');
+    const c = createSeededRandom('paper-1:B');
+    const first = [a(), a(), a()];
+    assert.deepEqual([b(), b(), b()], first);
+    assert.notDeepEqual([c(), c(), c()], first);
+    assert.ok(first.every(x => x >= 0 && x < 1));
+});
+
+test('shuffleQuestion moves MCQ texts, keeps the labels and remaps correct_options', () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 20; seed++) {
+        const shuffled = shuffleQuestion(MCQ, createSeededRandom(seed));
+        assert.deepEqual(shuffled.data.options.map(o => o.id), ['a', 'b', 'c', 'd']);
+        assert.deepEqual(correctTexts(shuffled), ['2', '4']);
+        const ids = shuffled.data.answer.correct_options;
+        assert.deepEqual(ids, [...ids].sort(), 'in printed order');
+        seen.add(shuffled.data.options.map(o => o.text).join());
+    }
+    assert.ok(seen.size > 1, 'the options move');
+    assert.deepEqual(MCQ.data.answer.correct_options, ['a', 'c'], 'source is not modified');
+});
+
+test('shuffleQuestion permutes Column B and remaps matches, keeping unkeyed items null', () => {
+    for (let seed = 0; seed < 20; seed++) {
+        const shuffled = shuffleQuestion(MATCH, createSeededRandom(seed));
+        const { pairs, answer } = shuffled.data;
+        assert.deepEqual(pairs.map(p => p.left), ['Cat', 'Dog', 'Cow']);
+        assert.equal(pairs[answer.matches[0]].right, 'Kitten');
+        assert.equal(pairs[answer.matches[1]].right, 'Puppy');
+        assert.equal(answer.matches[2], null);
+    }
+});
+
+test('shuffleQuestion shuffles the sub-questions of a COMPOSITE', () => {
+    const composite = { id: 'C1', type: 'COMPOSITE', data: { content: 'Answer both', sub_questions: [MCQ, MATCH] } };
+    const shuffled = shuffleQuestion(composite, createSeededRandom('x'));
+    assert.deepEqual(correctTexts(shuffled.data.sub_questions[0]), ['2', '4']);
+    assert.equal(shuffled.data.sub_questions[1].data.answer.matches[2], null);
+});
+
+test('createPaperVariant is reproducible and names sets A, B, ... Z, AA', () => {
+    const sections = [{ section: 'A', questions: [{ id: 'Q1' }, { id: 'Q2' }] }];
+    const bank = { Q1: MCQ, Q2: MATCH };
+    const setB = createPaperVariant(sections, id => bank[id], { seed: 'term-1', index: 1 });
+
+    assert.equal(setB.code, 'B');
+    assert.equal(setB.seed, 'term-1:B');
+    assert.deepEqual(createPaperVariant(sections, id => bank[id], { seed: 'term-1', index: 1 }), setB);
+    assert.deepEqual(setB.sections[0].questions.map(q => q.id).sort(), ['Q1', 'Q2']);
+    assert.deepEqual(correctTexts(setB.questions.Q1), ['2', '4']);
+    assert.deepEqual([getVariantCode(0), getVariantCode(25), getVariantCode(26), getVariantCode(27)], ['A', 'Z', 'AA', 'AB']);
+});
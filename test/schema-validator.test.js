@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const {
+    createEmptyQuestion,
+    validateQuestionSchema,
+    validateAgainstSchema,
+    formatSchemaErrors
+} = require('../index.js');
+const { buildSchemaScript } = require('../build-schema.js');
+
+const schema = require('../schema.json');
+const schemaScript = fs.readFileSync(path.join(__dirname, '..', 'schema.js'), 'utf8');
+
+test('schema.js is up to date with schema.json (run node build-schema.js)', () => {
+    assert.equal(schemaScript, buildSchemaScript(schema));
+});
+
+test('schema.js passes schema.json to setQuestionSchema', () => {
+    const calls = [];
+    vm.runInNewContext(schemaScript, { setQuestionSchema: s => calls.push(s) });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(JSON.parse(JSON.stringify(calls[0])), schema);
+});
+
+test('validateQuestionSchema accepts the empty question of every schema type', () => {
+    for (const type of ['MCQ', 'FIB', 'SUBJECTIVE', 'TABLE', 'MATCH', 'COMPOSITE']) {
+        const result = validateQuestionSchema(createEmptyQuestion(type));
+        assert.deepEqual(result.errors, [], type);
+        assert.equal(result.checked, true);
+    }
+});
+
+test('validateQuestionSchema reports violations with JSON-pointer paths', () => {
+    const question = createEmptyQuestion('MCQ');
+    question.data.options = [{ id: 1, text: '4' }];
+    delete question.metadata.grade;
+    const result = validateQuestionSchema(question);
+    assert.equal(result.valid, false);
+    assert.deepEqual(formatSchemaErrors(result.errors), [
+        '/metadata: missing required property "grade"',
+        '/data/options/0/id: must be string (got integer)'
+    ]);
+});
+
+test('validateAgainstSchema checks a standalone schema', () => {
+    const errors = validateAgainstSchema({ a: 1 }, {
+        type: 'object',
+        required: ['b'],
+        properties: { a: { type: 'string' } }
+    });
+    assert.deepEqual(errors.map(e => [e.path, e.keyword]), [['', 'required'], ['/a', 'type']]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { loadModules } = require('../module-loader.js');
+
+const { createZip, readZip, crc32 } = loadModules(['zip-utils.js']);
+
+async function readEntries(blob) {
+    const { entries, skipped } = await readZip(blob);
+    return {
+        skipped,
+        files: await Promise.all(entries.map(async e => [e.name, e.size, Buffer.from(await e.blob.arrayBuffer())]))
+    };
+}
+
+// A one-file archive with a deflated entry, as other ZIP tools write them
+function deflatedZip(name, text) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(text);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(new Uint8Array(data));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    const directoryOffset = local.length + nameBytes.length + compressed.length;
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(central.length + nameBytes.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    return new Blob([local, nameBytes, compressed, central, nameBytes, end]);
+}
+
+test('createZip and readZip round-trip strings, bytes and blobs', async () => {
+    const blob = await createZip([
+        { name: 'notes/é.txt', data: 'héllo' },
+        { name: 'images/Q1.content.1.png', data: new Uint8Array([137, 80, 78, 71]) },
+        { name: 'blob.txt', data: new Blob(['from a blob']) }
+    ]);
+    assert.equal(blob.type, 'application/zip');
+
+    const { files, skipped } = await readEntries(blob);
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(files, [
+        ['notes/é.txt', 6, Buffer.from('héllo')],
+        ['images/Q1.content.1.png', 4, Buffer.from([137, 80, 78, 71])],
+        ['blob.txt', 11, Buffer.from('from a blob')]
+    ]);
+});
+
+test('readZip inflates deflated entries', async () => {
+    const text = 'question '.repeat(50);
+    const { files, skipped } = await readEntries(deflatedZip('questions.jsonl', text));
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(files, [['questions.jsonl', text.length, Buffer.from(text)]]);
+});
+
+test('readZip rejects files that are not ZIP archives', async () => {
+    await assert.rejects(readZip(new Blob(['not a zip'])));
+});
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
@@ -0,0 +1,248 @@
+/**
+ * ZIP Utilities Module
+ * Minimal ZIP archive reading without third-party libraries
+ * Used by: image-bundle.js, question-package.js
+ *
+ * This module provides functions to:
+ * - List and extract the files of a ZIP archive (stored or deflated entries)
+ * - Write a ZIP archive (stored entries; images are compressed already)
+ *
+ * Deflated entries are inflated with the browser's DecompressionStream('deflate-raw')
+ * (Chrome 80+, Firefox 113+, Safari 16.4+). ZIP64 and encrypted archives are not supported.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+
+// Compression methods
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATE = 8;
+
+// General purpose flag: file names are UTF-8
+const ZIP_FLAG_UTF8 = 0x0800;
+
+// CRC-32 lookup table (polynomial 0xEDB88320), built on first use
+let zipCrcTable = null;
+
+// =====================================================
+// READING
+// =====================================================
+
+/**
+ * Read all files from a ZIP archive
+ * Entries that can't be extracted are reported in skipped, not thrown, so one bad
+ * file doesn't lose the rest of the archive.
+ * @param {Blob} blob - ZIP file (File or Blob)
+ * @returns {Promise<Object>} { entries: [{ name, size, blob }], skipped: [{ name, reason }] }
+ *   name is the full path inside the archive; folders are not listed
+ * @throws {Error} If the file is not a ZIP archive or uses ZIP64
+ */
+async function readZip(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const end = findZipEnd(view);
+
+    const count = view.getUint16(end + 10, true);
+    const directoryOffset = view.getUint32(end + 16, true);
+    if (count === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    const skipped = [];
+    let pos = directoryOffset;
+
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > view.byteLength || view.getUint32(pos, true) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const size = view.getUint32(pos + 24, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = new TextDecoder('utf-8').decode(new Uint8Array(buffer, pos + 46, nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // Folder
+
+        if (flags & 0x1) {
+            skipped.push({ name, reason: 'encrypted' });
+            continue;
+        }
+        if (method !== ZIP_METHOD_STORED && method !== ZIP_METHOD_DEFLATE) {
+            skipped.push({ name, reason: `unsupported compression method ${method}` });
+            continue;
+        }
+
+        try {
+            const data = readZipEntryData(buffer, view, localOffset, compressedSize);
+            const bytes = method === ZIP_METHOD_DEFLATE ? await inflateRaw(data) : data;
+            if (bytes.length !== size) throw new Error('size mismatch');
+            entries.push({ name, size, blob: new Blob([bytes]) });
+        } catch (e) {
+            skipped.push({ name, reason: e.message });
+        }
+    }
+
+    return { entries, skipped };
+}
+
+// =====================================================
+// WRITING
+// =====================================================
+
+/**
+ * Write files into a ZIP archive (entries are stored, not compressed)
+ * @param {Array} files - [{ name, data }] where data is a Blob, string (written as UTF-8) or Uint8Array;
+ *   name may contain folders ('images/Q1.content.1.png')
+ * @param {Date} date - Modification time recorded for every entry (default: now)
+ * @returns {Promise<Blob>} application/zip
+ * @throws {Error} If the archive would need ZIP64 (over 65535 files or 4 GB)
+ */
+async function createZip(files, date = new Date()) {
+    if (files.length >= 0xFFFF) throw new Error('Too many files for a ZIP archive');
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data)
+            : file.data instanceof Uint8Array ? file.data
+            : new Uint8Array(await file.data.arrayBuffer());
+        if (offset + data.length > 0xFFFFFFFF) throw new Error('ZIP archive too large (over 4 GB)');
+        const crc = crc32(data);
+
+        // Fields shared by the local header (from offset 4) and the central header (from offset 6)
+        const common = new DataView(new ArrayBuffer(26));
+        common.setUint16(0, 20, true);               // Version needed: 2.0
+        common.setUint16(2, ZIP_FLAG_UTF8, true);
+        common.setUint16(4, ZIP_METHOD_STORED, true);
+        common.setUint16(6, dosTime, true);
+        common.setUint16(8, dosDate, true);
+        common.setUint32(10, crc, true);
+        common.setUint32(14, data.length, true);     // Compressed size
+        common.setUint32(18, data.length, true);     // Size
+        common.setUint16(22, name.length, true);
+        common.setUint16(24, 0, true);               // Extra field length
+
+        const local = new Uint8Array(30);
+        new DataView(local.buffer).setUint32(0, ZIP_LOCAL_HEADER_SIGNATURE, true);
+        local.set(new Uint8Array(common.buffer), 4);
+        parts.push(local, name, data);
+
+        const central = new Uint8Array(46);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, ZIP_CENTRAL_HEADER_SIGNATURE, true);
+        centralView.setUint16(4, 20, true);          // Version made by
+        central.set(new Uint8Array(common.buffer), 6);
+        centralView.setUint32(42, offset, true);     // Local header offset
+        directory.push(central, name);
+
+        offset += local.length + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, ZIP_END_SIGNATURE, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, directorySize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * CRC-32 checksum of a ZIP entry
+ * @param {Uint8Array} bytes - Entry data
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+    if (!zipCrcTable) {
+        zipCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            zipCrcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = zipCrcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Find the end-of-central-directory record (it may be followed by a comment of up to 64 KB)
+ * @param {DataView} view - Archive bytes
+ * @returns {number} Offset of the record
+ * @throws {Error} If there is no record (not a ZIP file)
+ */
+function findZipEnd(view) {
+    const last = view.byteLength - 22;
+    const first = Math.max(0, last - 0xFFFF);
+    for (let pos = last; pos >= first; pos--) {
+        if (view.getUint32(pos, true) === ZIP_END_SIGNATURE) return pos;
+    }
+    throw new Error('Not a ZIP file');
+}
+
+/**
+ * Get the (still compressed) bytes of one entry
+ * @param {ArrayBuffer} buffer - Archive bytes
+ * @param {DataView} view - View on buffer
+ * @param {number} localOffset - Offset of the entry's local header
+ * @param {number} compressedSize - Size from the central directory (local sizes may be zero)
+ * @returns {Uint8Array} Entry data
+ */
+function readZipEntryData(buffer, view, localOffset, compressedSize) {
+    if (localOffset + 30 > view.byteLength || view.getUint32(localOffset, true) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+        throw new Error('corrupt local header');
+    }
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (start + compressedSize > buffer.byteLength) throw new Error('truncated data');
+    return new Uint8Array(buffer, start, compressedSize);
+}
+
+/**
+ * Inflate raw DEFLATE data
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Inflated bytes
+ */
+async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot inflate ZIP data (no DecompressionStream)');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// =====================================================
+// MODULE EXPORTS
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readZip, createZip, crc32
+    };
+}